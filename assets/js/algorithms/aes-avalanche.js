@@ -0,0 +1,109 @@
+/**
+ * aes-avalanche.js — Avalanche-effect comparison of two AES encryptions
+ * Runs buildAESSteps on inputs that differ by one bit and diffs the states bit by bit.
+ * Pure functions only. No DOM access.
+ */
+
+import { buildAESSteps } from './aes.js';
+import { hexToBytes, bytesToHex, clone2DArray, diffIndices } from './utils.js';
+
+const STATE_BITS = 128;
+
+/**
+ * Count set bits in a byte.
+ * @param {number} byte
+ * @returns {number}
+ */
+export function popcount8(byte) {
+  let count = 0;
+  for (let b = byte; b; b >>= 1) count += b & 1;
+  return count;
+}
+
+/**
+ * Flip one bit of a hex string. Bit 0 is the most significant bit of the first byte.
+ * @param {string} hex
+ * @param {number} bitIndex
+ * @returns {string}
+ */
+export function flipBit(hex, bitIndex) {
+  const bytes = hexToBytes(hex);
+  if (!Number.isInteger(bitIndex) || bitIndex < 0 || bitIndex >= bytes.length * 8) {
+    throw new RangeError(`反転するビット位置は 0〜${bytes.length * 8 - 1} で指定してください`);
+  }
+  bytes[Math.floor(bitIndex / 8)] ^= 0x80 >> (bitIndex % 8);
+  return bytesToHex(bytes);
+}
+
+/**
+ * XOR two 4x4 states and count differing bits.
+ * @param {number[][]} a
+ * @param {number[][]} b
+ * @returns {{ xor: number[][], bits: number }}
+ */
+function stateDiff(a, b) {
+  const xor = a.map((row, r) => row.map((byte, c) => byte ^ b[r][c]));
+  const bits = xor.flat().reduce((sum, byte) => sum + popcount8(byte), 0);
+  return { xor, bits };
+}
+
+/**
+ * Build side-by-side steps for two encryptions whose plaintexts (or keys) differ by one bit.
+ * Every step carries both states, their XOR for the bit heatmap, and the
+ * Hamming distance after each completed round so far (`roundHistory`).
+ * @param {string} plaintextHex - 32-char hex string
+ * @param {string} keyHex - 32, 48, or 64-char hex string
+ * @param {Object} [options]
+ * @param {'plaintext'|'key'} [options.target='plaintext'] - Which input to flip
+ * @param {number} [options.bitIndex=0] - Bit to flip (0 = MSB of the first byte)
+ * @returns {Object[]} Array of step objects
+ */
+export function buildAvalancheSteps(plaintextHex, keyHex, { target = 'plaintext', bitIndex = 0 } = {}) {
+  const plainB = target === 'plaintext' ? flipBit(plaintextHex, bitIndex) : plaintextHex;
+  const keyB = target === 'key' ? flipBit(keyHex, bitIndex) : keyHex;
+  const stepsA = buildAESSteps(plaintextHex, keyHex);
+  const stepsB = buildAESSteps(plainB, keyB);
+  const targetLabel = target === 'plaintext' ? '平文' : '鍵';
+  const roundHistory = [];
+
+  return stepsA.map((a, i) => {
+    const b = stepsB[i];
+    const { xor, bits } = stateDiff(a.state, b.state);
+    if (a.operation === 'addRoundKey' || a.operation === 'initial') {
+      const last = roundHistory[roundHistory.length - 1];
+      if (last && last.round === a.round) last.bits = bits;
+      else roundHistory.push({ round: a.round, bits });
+    }
+
+    let description = `A と B の差は ${bits} / ${STATE_BITS} ビット（${((bits / STATE_BITS) * 100).toFixed(1)}%）です。`;
+    if (a.operation === 'initial') {
+      description = target === 'plaintext'
+        ? `平文の第 ${bitIndex} ビットだけを反転した B を、同じ鍵で暗号化します。`
+        : `鍵の第 ${bitIndex} ビットだけを反転した B で、同じ平文を暗号化します。ラウンドキーがすべて変わります。`;
+    } else if (a.operation === 'complete') {
+      description = `1 ビットの違いが暗号文で ${bits} ビットの違いになりました。理想的なブロック暗号では約半分（64 ビット）が変化します。`;
+    }
+
+    return {
+      algorithm: 'aes-avalanche',
+      id: `avalanche-${a.id}`,
+      round: a.round,
+      operation: a.operation,
+      label: a.label,
+      description,
+      target,
+      bitIndex,
+      stateA: clone2DArray(a.state),
+      stateB: clone2DArray(b.state),
+      diffIndices: diffIndices(a.state, b.state),
+      xorState: xor,
+      hammingDistance: bits,
+      roundHistory: roundHistory.map((h) => ({ ...h })),
+      values: {
+        [`${targetLabel} A`]: target === 'plaintext' ? plaintextHex.toLowerCase() : keyHex.toLowerCase(),
+        [`${targetLabel} B`]: target === 'plaintext' ? plainB : keyB,
+        'ハミング距離': `${bits} / ${STATE_BITS}`,
+      },
+    };
+  });
+}
@@ -0,0 +1,43 @@
+/**
+ * aes-cipher.js — Single-block AES encrypt/decrypt without step recording
+ * Used for verification and as the block primitive for higher-level modes.
+ * Pure functions only. No DOM access.
+ */
+
+import {
+  subBytes, shiftRows, mixColumns, addRoundKey,
+  invSubBytes, invShiftRows, invMixColumns,
+} from './aes-operations.js';
+import { bytesToMatrix, matrixToBytes } from './utils.js';
+
+/**
+ * Encrypt one 16-byte block (FIPS-197 Cipher).
+ * @param {number[]} blockBytes - 16-byte plaintext block
+ * @param {number[][][]} roundKeys - Output of keyExpansion
+ * @returns {number[]} 16-byte ciphertext block
+ */
+export function encryptBlock(blockBytes, roundKeys) {
+  const rounds = roundKeys.length - 1;
+  let state = addRoundKey(bytesToMatrix(blockBytes), roundKeys[0]);
+  for (let round = 1; round < rounds; round++) {
+    state = addRoundKey(mixColumns(shiftRows(subBytes(state))), roundKeys[round]);
+  }
+  state = addRoundKey(shiftRows(subBytes(state)), roundKeys[rounds]);
+  return matrixToBytes(state);
+}
+
+/**
+ * Decrypt one 16-byte block (FIPS-197 InvCipher).
+ * @param {number[]} blockBytes - 16-byte ciphertext block
+ * @param {number[][][]} roundKeys - Output of keyExpansion
+ * @returns {number[]} 16-byte plaintext block
+ */
+export function decryptBlock(blockBytes, roundKeys) {
+  const rounds = roundKeys.length - 1;
+  let state = addRoundKey(bytesToMatrix(blockBytes), roundKeys[rounds]);
+  for (let round = rounds - 1; round >= 1; round--) {
+    state = invMixColumns(addRoundKey(invSubBytes(invShiftRows(state)), roundKeys[round]));
+  }
+  state = addRoundKey(invSubBytes(invShiftRows(state)), roundKeys[0]);
+  return matrixToBytes(state);
+}
@@ -0,0 +1,165 @@
+/**
+ * aes-decrypt.js — AES decryption (inverse cipher) step builder for visualization
+ * Applies the inverse transforms with round keys in reverse order.
+ * Pure functions only. No DOM access.
+ */
+
+import {
+  invSubBytes, invShiftRows, invMixColumns, invMixColumnsTrace, addRoundKey,
+} from './aes-operations.js';
+import { sboxLookup } from './aes-sbox.js';
+import { keyExpansion } from './aes-key-expansion.js';
+import {
+  hexToBytes, bytesToMatrix, matrixToBytes, bytesToHex, clone2DArray, diffIndices,
+} from './utils.js';
+
+/**
+ * Build a decrypt step from the state before and after one inverse transform.
+ * @param {Object} fields - id, round, operation, label, description, detail
+ * @param {number[][]} prevState
+ * @param {number[][]} state
+ * @param {number[][]|null} [roundKey=null]
+ * @returns {Object}
+ */
+function transformStep(fields, prevState, state, roundKey = null) {
+  return {
+    algorithm: 'aes',
+    mode: 'decrypt',
+    ...fields,
+    state: clone2DArray(state),
+    prevState,
+    roundKey: roundKey ? clone2DArray(roundKey) : null,
+    changedIndices: diffIndices(prevState, state),
+  };
+}
+
+/**
+ * Build the full sequence of AES decryption steps.
+ * Each step's `round` is the index of the round key it belongs to, so the
+ * round-key sidebar walks backwards from NR to 0.
+ * @param {string} ciphertextHex - 32-char hex string
+ * @param {string} keyHex - 32, 48, or 64-char hex string
+ * @param {string|null} [expectedPlaintextHex=null] - Original plaintext to compare against; without it the final step gives no verdict.
+ *   When omitted, the recovered plaintext is re-encrypted and compared with the ciphertext.
+ * @returns {Object[]} Array of step objects for the visualizer
+ */
+export function buildAESDecryptSteps(ciphertextHex, keyHex, expectedPlaintextHex = null) {
+  const steps = [];
+  const cipherBytes = hexToBytes(ciphertextHex);
+  const roundKeys = keyExpansion(hexToBytes(keyHex));
+  const rounds = roundKeys.length - 1;
+  let state = bytesToMatrix(cipherBytes);
+  let prevState;
+
+  steps.push({
+    algorithm: 'aes',
+    mode: 'decrypt',
+    id: 'aes-dec-initial',
+    round: rounds,
+    operation: 'initial',
+    label: '初期状態（暗号文）',
+    description: '暗号文を4×4のバイト行列（ステート）に変換します。復号では最後のラウンドキーから逆順に使います。',
+    state: clone2DArray(state),
+    prevState: null,
+    roundKey: null,
+    changedIndices: [],
+    detail: null,
+  });
+
+  prevState = clone2DArray(state);
+  state = addRoundKey(state, roundKeys[rounds]);
+  steps.push(transformStep({
+    id: `aes-dec-round${rounds}-addRoundKey`,
+    round: rounds,
+    operation: 'addRoundKey',
+    label: `初期 AddRoundKey（ラウンドキー ${rounds}）`,
+    description: `暗号文とラウンドキー ${rounds} の XOR を計算し、暗号化の最終 AddRoundKey を打ち消します。`,
+    detail: { type: 'addRoundKey', roundKeyIndex: rounds },
+  }, prevState, state, roundKeys[rounds]));
+
+  // Rounds NR-1..0: InvShiftRows, InvSubBytes, AddRoundKey, (InvMixColumns except last)
+  for (let round = rounds - 1; round >= 0; round--) {
+    const isFinal = round === 0;
+    const prefix = isFinal ? '最終ラウンド: ' : '';
+
+    prevState = clone2DArray(state);
+    state = invShiftRows(state);
+    steps.push(transformStep({
+      id: `aes-dec-round${round}-invShiftRows`,
+      round,
+      operation: 'invShiftRows',
+      label: `逆ラウンド ${round} - InvShiftRows`,
+      description: `${prefix}各行を右に循環シフトします（行0: 0, 行1: 1, 行2: 2, 行3: 3）。`,
+      detail: { type: 'invShiftRows' },
+    }, prevState, state));
+
+    prevState = clone2DArray(state);
+    state = invSubBytes(state);
+    steps.push(transformStep({
+      id: `aes-dec-round${round}-invSubBytes`,
+      round,
+      operation: 'invSubBytes',
+      label: `逆ラウンド ${round} - InvSubBytes`,
+      description: `${prefix}各バイトを逆 S-BOX で置換し、SubBytes を元に戻します。`,
+      detail: { type: 'invSubBytes', sbox: sboxLookup(prevState, true) },
+    }, prevState, state));
+
+    prevState = clone2DArray(state);
+    state = addRoundKey(state, roundKeys[round]);
+    steps.push(transformStep({
+      id: `aes-dec-round${round}-addRoundKey`,
+      round,
+      operation: 'addRoundKey',
+      label: `逆ラウンド ${round} - AddRoundKey`,
+      description: `${prefix}ラウンドキー ${round} との XOR を計算します（XOR は自分自身の逆演算です）。`,
+      detail: { type: 'addRoundKey', roundKeyIndex: round },
+    }, prevState, state, roundKeys[round]));
+
+    if (!isFinal) {
+      prevState = clone2DArray(state);
+      state = invMixColumns(state);
+      steps.push(transformStep({
+        id: `aes-dec-round${round}-invMixColumns`,
+        round,
+        operation: 'invMixColumns',
+        label: `逆ラウンド ${round} - InvMixColumns`,
+        description: 'GF(2⁸) 上で逆行列 [0e 0b 0d 09] を列ごとに掛け、MixColumns を元に戻します。変換後のバイトをクリックすると計算の内訳を表示します。',
+        detail: { type: 'invMixColumns', trace: invMixColumnsTrace(prevState) },
+      }, prevState, state));
+    }
+  }
+
+  // Final summary: compare with the known plaintext when one is given
+  const plainBytes = matrixToBytes(state);
+  const plainHex = bytesToHex(plainBytes);
+  let match = null;
+  let label;
+  let description;
+  if (expectedPlaintextHex) {
+    match = plainHex === expectedPlaintextHex.toLowerCase();
+    label = match ? '復号完了 ✓ 一致' : '復号完了 ✗ 不一致';
+    description = match
+      ? `復号結果 ${plainHex} は元の平文と一致しました。`
+      : `復号結果 ${plainHex} は元の平文 ${expectedPlaintextHex.toLowerCase()} と一致しませんでした。`;
+  } else {
+    // Without the original plaintext there is nothing to check the result against
+    label = '復号完了';
+    description = `平文: ${plainHex}。元の平文が与えられていないため、正しく復号できたかどうかはここでは判定しません。`;
+  }
+  steps.push({
+    algorithm: 'aes',
+    mode: 'decrypt',
+    id: 'aes-dec-complete',
+    round: 0,
+    operation: 'complete',
+    label,
+    description,
+    state: clone2DArray(state),
+    prevState: null,
+    roundKey: null,
+    changedIndices: [],
+    detail: { type: 'complete', plainHex, match },
+  });
+
+  return steps;
+}
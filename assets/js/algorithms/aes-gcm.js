@@ -0,0 +1,403 @@
+/**
+ * aes-gcm.js — AES-GCM authenticated encryption (NIST SP 800-38D) step builder
+ * CTR keystream from the AES core plus GHASH over GF(2^128). 96-bit IVs only.
+ * Pure functions only. No DOM access.
+ */
+
+import { encryptBlock } from './aes-cipher.js';
+import { keyExpansion } from './aes-key-expansion.js';
+import { splitBlocks } from './aes-modes.js';
+import {
+  hexToBytes, bytesToHex, xorBytes, utf8ToBytes, bytesToBigInt, bigIntToBytes,
+} from './utils.js';
+
+const BLOCK_BYTES = 16;
+const IV_BYTES = 12;
+
+/** GCM reduction constant: x^128 + x^7 + x^2 + x + 1 in GCM's reflected bit order. */
+const GCM_R = 0xe1n << 120n;
+
+/**
+ * Test vectors from the GCM specification (McGrew & Viega), also published by NIST.
+ * Used by the self-test step.
+ */
+export const GCM_TEST_VECTORS = Object.freeze([
+  {
+    name: 'Test Case 2',
+    key: '00000000000000000000000000000000',
+    iv: '000000000000000000000000',
+    plaintext: '00000000000000000000000000000000',
+    aad: '',
+    ciphertext: '0388dace60b6a392f328c2b971b2fe78',
+    tag: 'ab6e47d42cec13bdf53a67b21257bddf',
+  },
+  {
+    name: 'Test Case 3',
+    key: 'feffe9928665731c6d6a8f9467308308',
+    iv: 'cafebabefacedbaddecaf888',
+    plaintext: 'd9313225f88406e5a55909c5aff5269a86a7a9531534f7da2e4c303d8a318a721c3c0c95956809532fcf0e2449a6b525b16aedf5aa0de657ba637b391aafd255',
+    aad: '',
+    ciphertext: '42831ec2217774244b7221b784d0d49ce3aa212f2c02a4e035c17e2329aca12e21d514b25466931c7d8f6a5aac84aa051ba30b396a0aac973d58e091473f5985',
+    tag: '4d5c2af327cd64a62cf35abd2ba6fab4',
+  },
+  {
+    name: 'Test Case 4',
+    key: 'feffe9928665731c6d6a8f9467308308',
+    iv: 'cafebabefacedbaddecaf888',
+    plaintext: 'd9313225f88406e5a55909c5aff5269a86a7a9531534f7da2e4c303d8a318a721c3c0c95956809532fcf0e2449a6b525b16aedf5aa0de657ba637b39',
+    aad: 'feedfacedeadbeeffeedfacedeadbeefabaddad2',
+    ciphertext: '42831ec2217774244b7221b784d0d49ce3aa212f2c02a4e035c17e2329aca12e21d514b25466931c7d8f6a5aac84aa051ba30b396a0aac973d58e091',
+    tag: '5bc94fbc3221a5db94fae95ae7121a47',
+  },
+]);
+
+/**
+ * Multiply two elements of GF(2^128) using GCM's bit ordering (SP 800-38D Algorithm 1).
+ * @param {bigint} x
+ * @param {bigint} y
+ * @returns {bigint}
+ */
+export function gf128Mul(x, y) {
+  let z = 0n;
+  let v = y;
+  for (let i = 127n; i >= 0n; i--) {
+    if ((x >> i) & 1n) z ^= v;
+    v = v & 1n ? (v >> 1n) ^ GCM_R : v >> 1n;
+  }
+  return z;
+}
+
+/**
+ * Increment the rightmost 32 bits of a counter block modulo 2^32.
+ * @param {number[]} block - 16-byte counter block
+ * @returns {number[]}
+ */
+export function inc32(block) {
+  const next = [...block];
+  for (let i = BLOCK_BYTES - 1; i >= BLOCK_BYTES - 4; i--) {
+    next[i] = (next[i] + 1) & 0xff;
+    if (next[i] !== 0) break;
+  }
+  return next;
+}
+
+/**
+ * Zero-pad bytes to a whole number of 16-byte blocks.
+ * @param {number[]} bytes
+ * @returns {number[][]}
+ */
+function paddedBlocks(bytes) {
+  return splitBlocks(bytes).map((b) => [...b, ...new Array(BLOCK_BYTES - b.length).fill(0)]);
+}
+
+/**
+ * GHASH_H over AAD ‖ C ‖ len(A)₆₄ ‖ len(C)₆₄, recording every multiply-accumulate.
+ * @param {number[]} hBytes - Hash subkey H
+ * @param {number[]} aadBytes
+ * @param {number[]} cipherBytes
+ * @returns {{ trace: Object[], result: number[] }}
+ */
+export function ghash(hBytes, aadBytes, cipherBytes) {
+  const h = bytesToBigInt(hBytes);
+  const lenBlock = [
+    ...bigIntToBytes(BigInt(aadBytes.length * 8), 8),
+    ...bigIntToBytes(BigInt(cipherBytes.length * 8), 8),
+  ];
+  const inputs = [
+    ...paddedBlocks(aadBytes).map((block, index) => ({ kind: 'aad', index, block })),
+    ...paddedBlocks(cipherBytes).map((block, index) => ({ kind: 'cipher', index, block })),
+    { kind: 'len', index: 0, block: lenBlock },
+  ];
+  const trace = [];
+  let x = 0n;
+  for (const input of inputs) {
+    const xIn = x;
+    const xored = x ^ bytesToBigInt(input.block);
+    x = gf128Mul(xored, h);
+    trace.push({
+      ...input,
+      xIn: bigIntToBytes(xIn, BLOCK_BYTES),
+      xored: bigIntToBytes(xored, BLOCK_BYTES),
+      xOut: bigIntToBytes(x, BLOCK_BYTES),
+    });
+  }
+  return { trace, result: bigIntToBytes(x, BLOCK_BYTES) };
+}
+
+/**
+ * AES-GCM authenticated encryption with intermediate values.
+ * @param {number[][][]} roundKeys - Output of keyExpansion
+ * @param {number[]} ivBytes - 12-byte IV
+ * @param {number[]} plainBytes
+ * @param {number[]} aadBytes
+ * @returns {Object} { h, j0, ekj0, blocks, cipherBytes, ghashTrace, s, tag }
+ */
+export function gcmEncrypt(roundKeys, ivBytes, plainBytes, aadBytes) {
+  if (ivBytes.length !== IV_BYTES) {
+    throw new RangeError('GCM の IV は 12 バイト（24 桁の16進数）で指定してください');
+  }
+  const h = encryptBlock(new Array(BLOCK_BYTES).fill(0), roundKeys);
+  const j0 = [...ivBytes, 0, 0, 0, 1];
+  const ekj0 = encryptBlock(j0, roundKeys);
+
+  const blocks = [];
+  let counter = j0;
+  splitBlocks(plainBytes).forEach((plain, index) => {
+    counter = inc32(counter);
+    const keystream = encryptBlock(counter, roundKeys);
+    blocks.push({ index, plain, counter, keystream, cipher: xorBytes(plain, keystream) });
+  });
+  const cipherBytes = blocks.flatMap((b) => b.cipher);
+
+  const { trace: ghashTrace, result: s } = ghash(h, aadBytes, cipherBytes);
+  return { h, j0, ekj0, blocks, cipherBytes, ghashTrace, s, tag: xorBytes(ekj0, s) };
+}
+
+/**
+ * Recompute the tag for received data (the receiver's check).
+ * @param {number[][][]} roundKeys
+ * @param {number[]} ivBytes
+ * @param {number[]} cipherBytes
+ * @param {number[]} aadBytes
+ * @returns {number[]}
+ */
+export function gcmTag(roundKeys, ivBytes, cipherBytes, aadBytes) {
+  const h = encryptBlock(new Array(BLOCK_BYTES).fill(0), roundKeys);
+  const ekj0 = encryptBlock([...ivBytes, 0, 0, 0, 1], roundKeys);
+  return xorBytes(ekj0, ghash(h, aadBytes, cipherBytes).result);
+}
+
+/**
+ * Run the GCM test vectors through gcmEncrypt.
+ * @returns {{ name: string, pass: boolean }[]}
+ */
+export function runGCMSelfTest() {
+  return GCM_TEST_VECTORS.map((v) => {
+    const r = gcmEncrypt(
+      keyExpansion(hexToBytes(v.key)), hexToBytes(v.iv), hexToBytes(v.plaintext), hexToBytes(v.aad),
+    );
+    return { name: v.name, pass: bytesToHex(r.cipherBytes) === v.ciphertext && bytesToHex(r.tag) === v.tag };
+  });
+}
+
+/**
+ * Build block tiles for one GCM step.
+ * Events are revealed in order (all CTR blocks, then every GHASH input);
+ * a tile shows the rows of every event up to `upTo`.
+ * @param {Object} r - gcmEncrypt result
+ * @param {number} upTo - Index of the last revealed event (-1: none)
+ * @returns {Object[]}
+ */
+function gcmTiles(r, upTo) {
+  const ctrCount = r.blocks.length;
+  const ghashAt = (t) => ctrCount + r.ghashTrace.indexOf(t);
+  const ghashRows = (t, active) => [
+    { label: '⊕ X', hex: bytesToHex(t.xIn), highlight: false },
+    { label: '· H → X', hex: bytesToHex(t.xOut), highlight: active },
+  ];
+
+  const aadTiles = r.ghashTrace.filter((t) => t.kind === 'aad').map((t) => {
+    const at = ghashAt(t);
+    return {
+      index: t.index,
+      title: `AAD ${t.index}`,
+      status: at === upTo ? 'active' : at < upTo ? 'done' : 'pending',
+      rows: [
+        { label: `A${t.index}`, hex: bytesToHex(t.block), highlight: false },
+        ...(at <= upTo ? ghashRows(t, at === upTo) : []),
+      ],
+      aesInputHex: null,
+    };
+  });
+
+  const dataTiles = r.blocks.map((b) => {
+    const g = r.ghashTrace.find((t) => t.kind === 'cipher' && t.index === b.index);
+    const at = ghashAt(g);
+    const rows = [{ label: `P${b.index}`, hex: bytesToHex(b.plain), highlight: false }];
+    if (b.index <= upTo) {
+      rows.push(
+        { label: `CB${b.index + 1}`, hex: bytesToHex(b.counter), highlight: false },
+        { label: 'E_K(CB)', hex: bytesToHex(b.keystream.slice(0, b.plain.length)), highlight: false },
+        { label: `C${b.index}`, hex: bytesToHex(b.cipher), highlight: b.index === upTo },
+      );
+    }
+    if (at <= upTo) rows.push(...ghashRows(g, at === upTo));
+    const active = b.index === upTo || at === upTo;
+    return {
+      index: b.index,
+      status: active ? 'active' : at < upTo ? 'done' : b.index <= upTo ? 'done' : 'pending',
+      rows,
+      aesInputHex: b.index <= upTo ? bytesToHex(b.counter) : null,
+    };
+  });
+
+  const len = r.ghashTrace[r.ghashTrace.length - 1];
+  const lenAt = ghashAt(len);
+  const lenTile = {
+    index: 0,
+    title: '長さブロック',
+    status: lenAt === upTo ? 'active' : lenAt < upTo ? 'done' : 'pending',
+    rows: [
+      { label: 'len(A)‖len(C)', hex: bytesToHex(len.block), highlight: false },
+      ...(lenAt <= upTo ? ghashRows(len, lenAt === upTo) : []),
+    ],
+    aesInputHex: null,
+  };
+
+  return [...aadTiles, ...dataTiles, lenTile];
+}
+
+/**
+ * Build the GCM step sequence: H derivation, CTR encryption, GHASH
+ * multiply-accumulate, length block, tag, verification, tamper check, and self-test.
+ * @param {string} message - Plaintext (UTF-8 encoded)
+ * @param {string} keyHex - 32, 48, or 64-char hex string
+ * @param {string} ivHex - 24-char hex string (96-bit IV)
+ * @param {string} [aad=''] - Additional authenticated data (UTF-8, not encrypted)
+ * @returns {Object[]} Array of step objects
+ */
+export function buildGCMSteps(message, keyHex, ivHex, aad = '') {
+  if (message.length === 0) {
+    throw new RangeError('メッセージを入力してください。');
+  }
+  const roundKeys = keyExpansion(hexToBytes(keyHex));
+  const ivBytes = hexToBytes(ivHex);
+  const aadBytes = utf8ToBytes(aad);
+  const r = gcmEncrypt(roundKeys, ivBytes, utf8ToBytes(message), aadBytes);
+  const base = { algorithm: 'aes-mode', mode: 'GCM' };
+  const lastEvent = r.blocks.length + r.ghashTrace.length - 1;
+  const steps = [];
+
+  steps.push({
+    ...base,
+    id: 'gcm-overview',
+    phase: 'overview',
+    label: 'GCM モードの概要',
+    description: 'GCM は CTR モードで暗号化し、暗号文と追加認証データ (AAD) に対して GF(2¹²⁸) 上の GHASH で認証タグを計算します。タグにより改ざんを検出できます。',
+    formula: 'C = CTR_K(inc32(J₀), P)\nT = E_K(J₀) ⊕ GHASH_H(A ‖ C ‖ len(A) ‖ len(C))',
+    values: { 'メッセージ': message, 'AAD': aad || '（なし）', 'IV': ivHex.toLowerCase() },
+    blocks: gcmTiles(r, -1),
+  });
+
+  steps.push({
+    ...base,
+    id: 'gcm-h',
+    phase: 'hash-key',
+    label: 'ハッシュ鍵 H の導出',
+    description: 'ゼロブロックを AES で暗号化して GHASH 用のハッシュ鍵 H を作ります。鍵 K を知らないと H も分かりません。',
+    formula: `H = E_K(0¹²⁸) = ${bytesToHex(r.h)}`,
+    values: { H: bytesToHex(r.h) },
+    blocks: gcmTiles(r, -1),
+  });
+
+  steps.push({
+    ...base,
+    id: 'gcm-j0',
+    phase: 'counter',
+    label: '初期カウンタ J₀',
+    description: '96 ビットの IV に 00000001 を連結して J₀ とします。J₀ はタグのマスクに使い、データの暗号化は inc32(J₀) から始めます。',
+    formula: `J₀ = IV ‖ 00000001 = ${bytesToHex(r.j0)}`,
+    values: { 'J₀': bytesToHex(r.j0), 'E_K(J₀)': bytesToHex(r.ekj0) },
+    blocks: gcmTiles(r, -1),
+  });
+
+  r.blocks.forEach((b) => {
+    steps.push({
+      ...base,
+      id: `gcm-block${b.index}-ctr`,
+      phase: 'encrypt',
+      label: `ブロック ${b.index}: CTR 暗号化`,
+      description: '下位 32 ビットを 1 増やしたカウンタを暗号化し、平文と XOR します（CTR モードと同じ）。',
+      formula: `C${b.index} = P${b.index} ⊕ E_K(${bytesToHex(b.counter)}) = ${bytesToHex(b.cipher)}`,
+      activeBlock: b.index,
+      blocks: gcmTiles(r, b.index),
+    });
+  });
+
+  r.ghashTrace.forEach((t, k) => {
+    const event = r.blocks.length + k;
+    const name = t.kind === 'aad' ? `A${t.index}` : t.kind === 'cipher' ? `C${t.index}` : 'len(A)‖len(C)';
+    let description;
+    if (t.kind === 'aad') {
+      description = 'AAD は暗号化されませんが、GHASH に取り込まれるので改ざんは検出されます。';
+    } else if (t.kind === 'cipher') {
+      description = '暗号文ブロックを累積値 X に XOR し、GF(2¹²⁸) 上で H を掛けます（端数は 0 で埋めます）。';
+    } else {
+      description = 'AAD と暗号文のビット長を 64 ビットずつ並べた長さブロックを最後に取り込みます。これで長さの改ざんも検出されます。';
+    }
+    steps.push({
+      ...base,
+      id: t.kind === 'len' ? 'gcm-ghash-len' : `gcm-ghash-${t.kind}${t.index}`,
+      phase: 'ghash',
+      label: `GHASH: ${name} の乗算累積`,
+      description,
+      formula: `X = (${bytesToHex(t.xIn)} ⊕ ${bytesToHex(t.block)}) · H\n  = ${bytesToHex(t.xOut)}`,
+      blocks: gcmTiles(r, event),
+    });
+  });
+
+  steps.push({
+    ...base,
+    id: 'gcm-tag',
+    phase: 'tag',
+    label: '認証タグの計算',
+    description: 'GHASH の結果 S に E_K(J₀) を XOR したものが認証タグ T です。',
+    formula: `T = E_K(J₀) ⊕ S = ${bytesToHex(r.ekj0)} ⊕ ${bytesToHex(r.s)}\n  = ${bytesToHex(r.tag)}`,
+    values: { S: bytesToHex(r.s), T: bytesToHex(r.tag) },
+    blocks: gcmTiles(r, lastEvent),
+  });
+
+  steps.push({
+    ...base,
+    id: 'gcm-result',
+    phase: 'result',
+    label: '暗号化完了',
+    description: '受信者には IV・AAD・暗号文・タグを送ります。',
+    formula: `暗号文: ${bytesToHex(r.cipherBytes)}\nタグ: ${bytesToHex(r.tag)}`,
+    values: { '暗号文': bytesToHex(r.cipherBytes), 'タグ': bytesToHex(r.tag) },
+    blocks: gcmTiles(r, lastEvent),
+  });
+
+  const recomputed = bytesToHex(gcmTag(roundKeys, ivBytes, r.cipherBytes, aadBytes));
+  const verified = recomputed === bytesToHex(r.tag);
+  steps.push({
+    ...base,
+    id: 'gcm-verify',
+    phase: 'verify',
+    label: '受信者によるタグの再計算（改ざんなし）',
+    description: '受信者は復号の前に同じ手順でタグを再計算し、受け取ったタグと比較します。'
+      + 'ここでは送信側と同じ鍵・IV・AAD・暗号文から計算し直しているので、改ざんがなければ必ず一致します。'
+      + '実装が正しいかどうかの独立した確認ではなく、次の改ざんの例やテストベクターとの比較が実装の確認になります。',
+    formula: `再計算: ${recomputed}\n受信  : ${bytesToHex(r.tag)} ${verified ? '✓ 一致' : '✗ 不一致'}`,
+    values: { '検証結果': verified ? '認証成功' : '認証失敗' },
+  });
+
+  const tampered = [...r.cipherBytes];
+  tampered[0] ^= 0x01;
+  const tamperedTag = bytesToHex(gcmTag(roundKeys, ivBytes, tampered, aadBytes));
+  const tamperDetected = tamperedTag !== bytesToHex(r.tag);
+  steps.push({
+    ...base,
+    id: 'gcm-tamper',
+    phase: 'tamper',
+    label: 'タグ検証（暗号文を 1 バイト改ざん）',
+    description: '暗号文の先頭バイトを 1 ビット反転させると GHASH の結果が変わり、タグが一致しなくなります。受信者は復号せずに破棄します。',
+    formula: `改ざん後の暗号文: ${bytesToHex(tampered)}\n再計算: ${tamperedTag}\n受信  : ${bytesToHex(r.tag)} ${tamperDetected ? '✗ 不一致' : '✓ 一致'}`,
+    values: { '検証結果': tamperDetected ? '認証失敗（改ざんを検出）' : '認証成功' },
+  });
+
+  const results = runGCMSelfTest();
+  const allPass = results.every((t) => t.pass);
+  steps.push({
+    ...base,
+    id: 'gcm-selftest',
+    phase: 'selftest',
+    label: 'テストベクターによる実装確認',
+    description: allPass
+      ? 'GCM 仕様のテストベクターで、暗号文とタグがすべて期待値と一致しました。'
+      : 'テストベクターの一部が期待値と一致しませんでした。',
+    values: Object.fromEntries(results.map((t) => [t.name, t.pass ? '✓ 一致' : '✗ 不一致'])),
+  });
+
+  return steps;
+}
@@ -1,44 +1,46 @@
 /**
- * aes-key-expansion.js — AES-128 key schedule (key expansion)
+ * aes-key-expansion.js — AES key schedule (key expansion) for 128/192/256-bit keys
  * Pure function. No DOM access.
  */
 
 import { SBOX, RCON } from './aes-constants.js';
 
-const NK = 4;  // key length in 32-bit words (AES-128)
-const NR = 10; // number of rounds
+/** Number of rounds keyed by key length in 32-bit words (FIPS-197 Table 4). */
+const ROUNDS_BY_NK = Object.freeze({
+  4: 10, // AES-128
+  6: 12, // AES-192
+  8: 14, // AES-256
+});
 
 /**
- * Expand a 16-byte key into 11 round keys (each a 4x4 column-major matrix).
- * @param {number[]} keyBytes - 16-byte flat array
- * @returns {number[][][]} Array of 11 round keys, each 4x4 matrix [row][col]
+ * Look up the number of rounds for a key.
+ * @param {number[]} keyBytes - 16, 24, or 32-byte flat array
+ * @returns {number} 10, 12, or 14
  */
-export function keyExpansion(keyBytes) {
-  const W = [];
-
-  // Copy original key into first NK words
-  for (let i = 0; i < NK; i++) {
-    W[i] = keyBytes.slice(i * 4, i * 4 + 4);
+export function aesRoundCount(keyBytes) {
+  const nr = ROUNDS_BY_NK[keyBytes.length / 4];
+  if (!nr) {
+    throw new RangeError(`鍵長は16・24・32バイトのいずれかにしてください（現在: ${keyBytes.length}バイト）`);
   }
+  return nr;
+}
 
-  // Generate remaining words
-  for (let i = NK; i < 4 * (NR + 1); i++) {
-    let temp = [...W[i - 1]];
-    if (i % NK === 0) {
-      temp = rotWord(temp);
-      temp = temp.map((b) => SBOX[b]);
-      temp[0] ^= RCON[i / NK];
-    }
-    W[i] = W[i - NK].map((b, j) => b ^ temp[j]);
-  }
+/**
+ * Expand a key into NR + 1 round keys (each a 4x4 column-major matrix).
+ * AES-128 yields 11 round keys, AES-192 yields 13, and AES-256 yields 15.
+ * @param {number[]} keyBytes - 16, 24, or 32-byte flat array
+ * @returns {number[][][]} Array of round keys, each 4x4 matrix [row][col]
+ */
+export function keyExpansion(keyBytes) {
+  const { nr, words } = expandKeyWords(keyBytes);
 
-  // Pack into 11 round keys (each 4x4 matrix, column-major)
+  // Pack into NR + 1 round keys (each 4x4 matrix, column-major)
   const roundKeys = [];
-  for (let r = 0; r <= NR; r++) {
+  for (let r = 0; r <= nr; r++) {
     const key = Array.from({ length: 4 }, () => new Array(4));
     for (let col = 0; col < 4; col++) {
       for (let row = 0; row < 4; row++) {
-        key[row][col] = W[r * 4 + col][row];
+        key[row][col] = words[r * 4 + col][row];
       }
     }
     roundKeys.push(key);
@@ -46,6 +48,50 @@ export function keyExpansion(keyBytes) {
   return roundKeys;
 }
 
+/**
+ * Run the key schedule word by word and record how each word W[i] (i ≥ NK) was built.
+ * Trace entries carry only the intermediate values that apply to that word:
+ * `rotWord`, `subWord` and `rcon` when i mod NK = 0, `subWord` alone for the
+ * extra AES-256 substitution, and always `temp` (the value XORed with W[i−NK]).
+ * @param {number[]} keyBytes - 16, 24, or 32-byte flat array
+ * @returns {{ nk: number, nr: number, words: number[][], trace: Object[] }}
+ */
+export function expandKeyWords(keyBytes) {
+  const nr = aesRoundCount(keyBytes);
+  const nk = keyBytes.length / 4;
+  const words = [];
+  const trace = [];
+
+  // Copy original key into first NK words
+  for (let i = 0; i < nk; i++) {
+    words[i] = keyBytes.slice(i * 4, i * 4 + 4);
+  }
+
+  // Generate remaining words
+  for (let i = nk; i < 4 * (nr + 1); i++) {
+    const entry = { index: i, prev: [...words[i - 1]], back: [...words[i - nk]] };
+    let temp = [...words[i - 1]];
+    if (i % nk === 0) {
+      temp = rotWord(temp);
+      entry.rotWord = temp;
+      temp = subWord(temp);
+      entry.subWord = temp;
+      entry.rcon = [RCON[i / nk], 0, 0, 0];
+      temp = temp.map((b, j) => b ^ entry.rcon[j]);
+    } else if (nk > 6 && i % nk === 4) {
+      // AES-256 only: extra SubWord halfway through each 8-word block
+      temp = subWord(temp);
+      entry.subWord = temp;
+    }
+    entry.temp = temp;
+    words[i] = words[i - nk].map((b, j) => b ^ temp[j]);
+    entry.result = [...words[i]];
+    trace.push(entry);
+  }
+
+  return { nk, nr, words, trace };
+}
+
 /**
  * Rotate a 4-byte word left by one position.
  * @param {number[]} word - 4-byte array
@@ -54,3 +100,12 @@ export function keyExpansion(keyBytes) {
 function rotWord(word) {
   return [word[1], word[2], word[3], word[0]];
 }
+
+/**
+ * Substitute each byte of a 4-byte word through the S-BOX.
+ * @param {number[]} word - 4-byte array
+ * @returns {number[]}
+ */
+function subWord(word) {
+  return word.map((b) => SBOX[b]);
+}
@@ -0,0 +1,138 @@
+/**
+ * aes-key-steps.js — Step builder for the AES key schedule (key expansion)
+ * Shows how every word W[i] is derived: RotWord, SubWord, RCON XOR, and XOR with W[i−NK].
+ * Pure functions only. No DOM access.
+ */
+
+import { expandKeyWords } from './aes-key-expansion.js';
+import { hexToBytes, bytesToHex } from './utils.js';
+
+/**
+ * Indices (0..3) of bytes that differ between two words.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]}
+ */
+function wordDiff(a, b) {
+  return a.flatMap((byte, j) => (byte !== b[j] ? [j] : []));
+}
+
+/**
+ * Build one key-schedule step.
+ * `round` is the round key the word belongs to, so the sidebar highlights it.
+ * @param {number} wordIndex
+ * @param {string} stage - rotWord | subWord | rcon | xor
+ * @param {Object} fields - label, description, keyWords
+ * @returns {Object}
+ */
+function keyStep(wordIndex, stage, { label, description, keyWords }) {
+  return {
+    algorithm: 'aes',
+    id: `aes-key-w${wordIndex}-${stage}`,
+    round: Math.floor(wordIndex / 4),
+    operation: 'keyExpansion',
+    label: `鍵拡張 W[${wordIndex}] - ${label}`,
+    description,
+    keyWords,
+    detail: { type: 'keyExpansion', wordIndex, stage },
+  };
+}
+
+/**
+ * Build the key-schedule steps that precede round 0.
+ * Each `keyWords` row is { label, bytes, changedIndices, operator } where
+ * operator is null, '→', '⊕', or '=' and is drawn before the row.
+ * @param {string} keyHex - 32, 48, or 64-char hex string
+ * @returns {Object[]} Array of step objects for the visualizer
+ */
+export function buildKeyExpansionSteps(keyHex) {
+  const { nk, nr, words, trace } = expandKeyWords(hexToBytes(keyHex));
+  const total = words.length;
+  const steps = [];
+
+  steps.push({
+    algorithm: 'aes',
+    id: 'aes-key-initial',
+    round: 0,
+    operation: 'keyExpansion',
+    label: '鍵拡張 - 鍵のワード分割',
+    description: `${nk * 32} ビット鍵を ${nk} 個の 32 ビットワード W[0]〜W[${nk - 1}] に分割します。ここから W[${total - 1}] まで計 ${total} ワードを生成し、4 ワードずつ ${nr + 1} 個のラウンドキーにします。`,
+    keyWords: words.slice(0, nk).map((bytes, i) => ({
+      label: `W[${i}]`, bytes: [...bytes], changedIndices: [], operator: null,
+    })),
+    detail: { type: 'keyExpansion', wordIndex: nk - 1, stage: 'initial' },
+  });
+
+  for (const t of trace) {
+    const i = t.index;
+    const back = `W[${i - nk}]`;
+    const prev = `W[${i - 1}]`;
+
+    if (t.rotWord) {
+      steps.push(keyStep(i, 'rotWord', {
+        label: 'RotWord',
+        description: `i = ${i} は NK = ${nk} の倍数なので、${prev} を 1 バイト左に循環シフトします。`,
+        keyWords: [
+          { label: prev, bytes: t.prev, changedIndices: [], operator: null },
+          { label: 'RotWord', bytes: t.rotWord, changedIndices: wordDiff(t.prev, t.rotWord), operator: '→' },
+        ],
+      }));
+    }
+
+    if (t.subWord) {
+      const input = t.rotWord ?? t.prev;
+      const description = t.rotWord
+        ? '各バイトを S-BOX で置換します（SubBytes と同じ表）。'
+        : `AES-256 では i mod 8 = 4 のとき、RotWord と RCON なしで ${prev} に SubWord だけを適用します。`;
+      steps.push(keyStep(i, 'subWord', {
+        label: 'SubWord',
+        description,
+        keyWords: [
+          { label: t.rotWord ? 'RotWord' : prev, bytes: input, changedIndices: [], operator: null },
+          { label: 'SubWord', bytes: t.subWord, changedIndices: wordDiff(input, t.subWord), operator: '→' },
+        ],
+      }));
+    }
+
+    if (t.rcon) {
+      steps.push(keyStep(i, 'rcon', {
+        label: 'RCON の XOR',
+        description: `先頭バイトにラウンド定数 RCON[${i / nk}] = ${t.rcon[0].toString(16).padStart(2, '0')} を XOR します。`,
+        keyWords: [
+          { label: 'SubWord', bytes: t.subWord, changedIndices: [], operator: null },
+          { label: `RCON[${i / nk}]`, bytes: t.rcon, changedIndices: [], operator: '⊕' },
+          { label: 'temp', bytes: t.temp, changedIndices: wordDiff(t.subWord, t.temp), operator: '=' },
+        ],
+      }));
+    }
+
+    const tempLabel = t.rotWord || t.subWord ? 'temp' : prev;
+    const description = t.rotWord || t.subWord
+      ? `${back} と変換後の temp を XOR して W[${i}] = ${bytesToHex(t.result)} を得ます。`
+      : `i mod ${nk} ≠ 0 なので変換は不要です。${back} と ${prev} を XOR して W[${i}] を得ます。`;
+    steps.push(keyStep(i, 'xor', {
+      label: `${back} との XOR`,
+      description,
+      keyWords: [
+        { label: back, bytes: t.back, changedIndices: [], operator: null },
+        { label: tempLabel, bytes: t.temp, changedIndices: [], operator: '⊕' },
+        { label: `W[${i}]`, bytes: t.result, changedIndices: [0, 1, 2, 3], operator: '=' },
+      ],
+    }));
+  }
+
+  steps.push({
+    algorithm: 'aes',
+    id: 'aes-key-complete',
+    round: nr,
+    operation: 'keyExpansion',
+    label: '鍵拡張 - 完了',
+    description: `W[0]〜W[${total - 1}] を 4 ワードずつまとめると、ラウンドキー 0〜${nr} になります。最後のラウンドキーは W[${total - 4}]〜W[${total - 1}] です。`,
+    keyWords: words.slice(total - 4).map((bytes, j) => ({
+      label: `W[${total - 4 + j}]`, bytes: [...bytes], changedIndices: [], operator: null,
+    })),
+    detail: { type: 'keyExpansion', wordIndex: total - 1, stage: 'complete' },
+  });
+
+  return steps;
+}
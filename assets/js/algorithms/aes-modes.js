@@ -0,0 +1,397 @@
+/**
+ * aes-modes.js — Block cipher modes of operation (ECB, CBC, CTR) over multi-block messages
+ * Uses the single-block AES core with PKCS#7 padding (ECB/CBC).
+ * Pure functions only. No DOM access.
+ */
+
+import { encryptBlock, decryptBlock } from './aes-cipher.js';
+import { keyExpansion } from './aes-key-expansion.js';
+import { hexToBytes, bytesToHex, xorBytes, utf8ToBytes, bytesToUtf8 } from './utils.js';
+
+const BLOCK_BYTES = 16;
+
+export const AES_MODES = Object.freeze(['ECB', 'CBC', 'CTR']);
+
+/**
+ * PKCS#7 padding: append N bytes of value N (1 ≤ N ≤ blockSize).
+ * A full block of padding is added when the input is already aligned.
+ * @param {number[]} bytes
+ * @param {number} [blockSize=16]
+ * @returns {number[]}
+ */
+export function pkcs7Pad(bytes, blockSize = BLOCK_BYTES) {
+  const padLen = blockSize - (bytes.length % blockSize);
+  return [...bytes, ...new Array(padLen).fill(padLen)];
+}
+
+/**
+ * Remove and validate PKCS#7 padding.
+ * @param {number[]} bytes
+ * @param {number} [blockSize=16]
+ * @returns {number[]}
+ */
+export function pkcs7Unpad(bytes, blockSize = BLOCK_BYTES) {
+  const padLen = bytes[bytes.length - 1];
+  if (bytes.length === 0 || bytes.length % blockSize !== 0 || padLen < 1 || padLen > blockSize) {
+    throw new RangeError('PKCS#7 パディングが不正です');
+  }
+  for (let i = bytes.length - padLen; i < bytes.length; i++) {
+    if (bytes[i] !== padLen) throw new RangeError('PKCS#7 パディングが不正です');
+  }
+  return bytes.slice(0, bytes.length - padLen);
+}
+
+/**
+ * Increment a counter block as a 128-bit big-endian integer (NIST SP 800-38A).
+ * @param {number[]} block - 16-byte counter block
+ * @returns {number[]} new counter block
+ */
+export function incrementCounter(block) {
+  const next = [...block];
+  for (let i = next.length - 1; i >= 0; i--) {
+    next[i] = (next[i] + 1) & 0xff;
+    if (next[i] !== 0) break;
+  }
+  return next;
+}
+
+/**
+ * Split a byte array into 16-byte blocks (the last one may be shorter).
+ * @param {number[]} bytes
+ * @returns {number[][]}
+ */
+export function splitBlocks(bytes) {
+  const blocks = [];
+  for (let i = 0; i < bytes.length; i += BLOCK_BYTES) {
+    blocks.push(bytes.slice(i, i + BLOCK_BYTES));
+  }
+  return blocks;
+}
+
+/**
+ * Encrypt a message in the given mode and record each block's intermediate values.
+ * Trace entry fields: plain, cipher, aesInput, aesOutput, and mode-specific
+ * `chain` (CBC: IV or previous ciphertext) or `counter` (CTR).
+ * @param {string} mode - 'ECB' | 'CBC' | 'CTR'
+ * @param {number[]} messageBytes - Unpadded message
+ * @param {number[][][]} roundKeys - Output of keyExpansion
+ * @param {number[]|null} ivBytes - 16-byte IV (CBC) or initial counter block (CTR)
+ * @returns {{ padded: number[], trace: Object[], cipherBytes: number[] }}
+ */
+export function encryptMessage(mode, messageBytes, roundKeys, ivBytes) {
+  const padded = mode === 'CTR' ? [...messageBytes] : pkcs7Pad(messageBytes);
+  const trace = [];
+  let chain = ivBytes;
+  let counter = ivBytes;
+
+  splitBlocks(padded).forEach((plain, index) => {
+    if (mode === 'ECB') {
+      const cipher = encryptBlock(plain, roundKeys);
+      trace.push({ index, plain, aesInput: plain, aesOutput: cipher, cipher });
+    } else if (mode === 'CBC') {
+      const aesInput = xorBytes(plain, chain);
+      const cipher = encryptBlock(aesInput, roundKeys);
+      trace.push({ index, plain, chain, aesInput, aesOutput: cipher, cipher });
+      chain = cipher;
+    } else {
+      const keystream = encryptBlock(counter, roundKeys);
+      const cipher = xorBytes(plain, keystream);
+      trace.push({ index, plain, counter, aesInput: counter, aesOutput: keystream, cipher });
+      counter = incrementCounter(counter);
+    }
+  });
+
+  return { padded, trace, cipherBytes: trace.flatMap((b) => b.cipher) };
+}
+
+/**
+ * Decrypt a message produced by encryptMessage (removes padding for ECB/CBC).
+ * @param {string} mode - 'ECB' | 'CBC' | 'CTR'
+ * @param {number[]} cipherBytes
+ * @param {number[][][]} roundKeys
+ * @param {number[]|null} ivBytes
+ * @returns {number[]} Unpadded message bytes
+ */
+export function decryptMessage(mode, cipherBytes, roundKeys, ivBytes) {
+  const out = [];
+  let chain = ivBytes;
+  let counter = ivBytes;
+  for (const block of splitBlocks(cipherBytes)) {
+    if (mode === 'ECB') {
+      out.push(...decryptBlock(block, roundKeys));
+    } else if (mode === 'CBC') {
+      out.push(...xorBytes(decryptBlock(block, roundKeys), chain));
+      chain = block;
+    } else {
+      out.push(...xorBytes(block, encryptBlock(counter, roundKeys)));
+      counter = incrementCounter(counter);
+    }
+  }
+  return mode === 'CTR' ? out : pkcs7Unpad(out);
+}
+
+/**
+ * Assign a pattern group to each block hex; identical blocks share a group.
+ * Groups are numbered in first-appearance order, and only groups that occur
+ * more than once are flagged as repeated.
+ * @param {string[]} hexBlocks
+ * @returns {{ group: number, repeated: boolean }[]}
+ */
+export function patternGroups(hexBlocks) {
+  const ids = new Map();
+  const counts = new Map();
+  hexBlocks.forEach((h) => {
+    if (!ids.has(h)) ids.set(h, ids.size);
+    counts.set(h, (counts.get(h) ?? 0) + 1);
+  });
+  return hexBlocks.map((h) => ({ group: ids.get(h), repeated: counts.get(h) > 1 }));
+}
+
+const MODE_DESCRIPTIONS = {
+  ECB: 'ECB（電子コードブック）は各ブロックを独立に同じ鍵で暗号化します。同じ平文ブロックは必ず同じ暗号文ブロックになります。',
+  CBC: 'CBC（暗号ブロック連鎖）は平文ブロックを直前の暗号文ブロック（先頭は IV）と XOR してから暗号化します。',
+  CTR: 'CTR（カウンタ）はカウンタブロックを暗号化してキーストリームを作り、平文と XOR します。ブロック暗号をストリーム暗号として使います。',
+};
+
+const SUB = ['₀', '₁', '₂', '₃', '₄', '₅', '₆', '₇', '₈', '₉'];
+
+/** Subscript block index for labels (P₀, C₁₂ …). */
+function sub(n) {
+  return String(n).split('').map((d) => SUB[d]).join('');
+}
+
+/**
+ * Build the tile rows for one block given how far it has progressed.
+ * @param {string} mode
+ * @param {Object} b - Trace entry
+ * @param {string} stage - 'pending' | 'xor' | 'encrypt' | 'done'
+ * @param {number} padStart - Index in the padded message where padding begins
+ * @param {boolean} isActive - Whether this block is the one being processed
+ * @returns {Object[]} rows: { label, hex, highlight, padFrom? }
+ */
+function blockRows(mode, b, stage, padStart, isActive) {
+  const i = b.index;
+  const blockStart = i * BLOCK_BYTES;
+  const padFrom = padStart < blockStart + b.plain.length
+    ? Math.max(0, padStart - blockStart)
+    : null;
+  const rows = [{ label: `P${sub(i)}`, hex: bytesToHex(b.plain), highlight: false, padFrom }];
+  if (stage === 'pending') return rows;
+
+  if (mode === 'CBC') {
+    rows.push({ label: i === 0 ? '⊕ IV' : `⊕ C${sub(i - 1)}`, hex: bytesToHex(b.chain), highlight: stage === 'xor' });
+    rows.push({ label: 'AES 入力', hex: bytesToHex(b.aesInput), highlight: stage === 'xor' });
+  } else if (mode === 'CTR') {
+    rows.push({ label: `T${sub(i)}`, hex: bytesToHex(b.counter), highlight: stage === 'encrypt' });
+    rows.push({ label: `E_K(T${sub(i)})`, hex: bytesToHex(b.aesOutput.slice(0, b.plain.length)), highlight: stage === 'encrypt' });
+  }
+  if (stage === 'xor' && mode === 'CBC') return rows;
+  if (stage === 'encrypt' && mode === 'CTR') return rows;
+
+  rows.push({ label: `C${sub(i)}`, hex: bytesToHex(b.cipher), highlight: isActive });
+  return rows;
+}
+
+/**
+ * Snapshot all block tiles for one step.
+ * @param {string} mode
+ * @param {Object[]} trace
+ * @param {number} activeIndex - Block in progress (-1: none started, trace.length: all done)
+ * @param {string} activeStage
+ * @param {number} padStart
+ * @returns {Object[]}
+ */
+function blockTiles(mode, trace, activeIndex, activeStage, padStart) {
+  return trace.map((b) => {
+    let stage = 'pending';
+    if (b.index < activeIndex) stage = 'done';
+    else if (b.index === activeIndex) stage = activeStage;
+    const isActive = b.index === activeIndex;
+    const aesReached = stage === 'done' || stage === 'encrypt';
+    return {
+      index: b.index,
+      status: isActive ? 'active' : stage,
+      rows: blockRows(mode, b, stage, padStart, isActive),
+      aesInputHex: aesReached ? bytesToHex(b.aesInput) : null,
+    };
+  });
+}
+
+/**
+ * Build the block-level step sequence for one mode of operation.
+ * Each `blocks` tile exposes `aesInputHex` once its AES call has been reached,
+ * so the UI can drill down into the full round view via buildAESSteps.
+ * @param {string} mode - 'ECB' | 'CBC' | 'CTR'
+ * @param {string} message - Plaintext (UTF-8 encoded)
+ * @param {string} keyHex - 32, 48, or 64-char hex string
+ * @param {string} [ivHex] - 32-char hex IV (CBC) or initial counter block (CTR); unused for ECB
+ * @returns {Object[]} Array of step objects
+ */
+export function buildModeSteps(mode, message, keyHex, ivHex) {
+  if (!AES_MODES.includes(mode)) {
+    throw new RangeError(`未対応のモードです: ${mode}`);
+  }
+  if (message.length === 0) {
+    throw new RangeError('メッセージを入力してください。');
+  }
+  if (mode !== 'ECB' && !/^[0-9a-fA-F]{32}$/.test(ivHex ?? '')) {
+    throw new RangeError(`${mode === 'CTR' ? '初期カウンタ' : 'IV'}は 16 バイト（32 桁）の16進数で入力してください。`);
+  }
+  const roundKeys = keyExpansion(hexToBytes(keyHex));
+  const ivBytes = mode === 'ECB' ? null : hexToBytes(ivHex);
+  const messageBytes = utf8ToBytes(message);
+  const { padded, trace, cipherBytes } = encryptMessage(mode, messageBytes, roundKeys, ivBytes);
+  const padStart = messageBytes.length;
+  const padLen = padded.length - messageBytes.length;
+  const base = { algorithm: 'aes-mode', mode };
+  const steps = [];
+
+  steps.push({
+    ...base,
+    id: 'mode-overview',
+    phase: 'overview',
+    label: `${mode} モードの概要`,
+    description: MODE_DESCRIPTIONS[mode],
+    formula: mode === 'ECB'
+      ? 'Cᵢ = E_K(Pᵢ)'
+      : mode === 'CBC'
+        ? 'C₀ = E_K(P₀ ⊕ IV),  Cᵢ = E_K(Pᵢ ⊕ Cᵢ₋₁)'
+        : 'Tᵢ = IV + i,  Cᵢ = Pᵢ ⊕ E_K(Tᵢ)',
+    values: {
+      'メッセージ': message,
+      'バイト長': messageBytes.length,
+      ...(ivBytes ? { [mode === 'CTR' ? '初期カウンタ' : 'IV']: bytesToHex(ivBytes) } : {}),
+    },
+    blocks: blockTiles(mode, trace, -1, 'pending', padStart),
+  });
+
+  steps.push({
+    ...base,
+    id: 'mode-pad',
+    phase: 'pad',
+    label: mode === 'CTR' ? 'ブロック分割（パディング不要）' : 'PKCS#7 パディングとブロック分割',
+    description: mode === 'CTR'
+      ? 'CTR はキーストリームとの XOR なので、最後のブロックが 16 バイト未満でもパディングは不要です。余ったキーストリームは捨てます。'
+      : `メッセージ長を 16 の倍数にするため、値 ${padLen.toString(16).padStart(2, '0')} のバイトを ${padLen} 個追加します（PKCS#7）。`,
+    formula: `${messageBytes.length} バイト → ${padded.length} バイト = ${trace.length} ブロック`,
+    values: { 'パディング長': padLen, 'ブロック数': trace.length },
+    blocks: blockTiles(mode, trace, -1, 'pending', padStart),
+  });
+
+  trace.forEach((b, i) => {
+    if (mode === 'ECB') {
+      steps.push({
+        ...base,
+        id: `mode-block${i}-encrypt`,
+        phase: 'encrypt',
+        label: `ブロック ${i}: C${sub(i)} = E_K(P${sub(i)})`,
+        description: 'ブロックを単独で AES 暗号化します。他のブロックには一切依存しません。',
+        formula: `${bytesToHex(b.plain)} → ${bytesToHex(b.cipher)}`,
+        activeBlock: i,
+        blocks: blockTiles(mode, trace, i, 'done', padStart),
+      });
+    } else if (mode === 'CBC') {
+      steps.push({
+        ...base,
+        id: `mode-block${i}-xor`,
+        phase: 'chain',
+        label: `ブロック ${i}: P${sub(i)} ⊕ ${i === 0 ? 'IV' : `C${sub(i - 1)}`}`,
+        description: i === 0
+          ? '最初のブロックは IV と XOR します。IV を毎回変えることで、同じメッセージでも暗号文が変わります。'
+          : `直前の暗号文ブロック C${sub(i - 1)} と XOR して連鎖させます。`,
+        formula: `${bytesToHex(b.plain)} ⊕ ${bytesToHex(b.chain)} = ${bytesToHex(b.aesInput)}`,
+        activeBlock: i,
+        blocks: blockTiles(mode, trace, i, 'xor', padStart),
+      });
+      steps.push({
+        ...base,
+        id: `mode-block${i}-encrypt`,
+        phase: 'encrypt',
+        label: `ブロック ${i}: C${sub(i)} = E_K(P${sub(i)} ⊕ ${i === 0 ? 'IV' : `C${sub(i - 1)}`})`,
+        description: 'XOR した結果を AES で暗号化します。この暗号文が次のブロックの XOR に使われます。',
+        formula: `E_K(${bytesToHex(b.aesInput)}) = ${bytesToHex(b.cipher)}`,
+        activeBlock: i,
+        blocks: blockTiles(mode, trace, i, 'done', padStart),
+      });
+    } else {
+      steps.push({
+        ...base,
+        id: `mode-block${i}-keystream`,
+        phase: 'counter',
+        label: `ブロック ${i}: カウンタ T${sub(i)} の暗号化`,
+        description: i === 0
+          ? '初期カウンタブロックを AES で暗号化してキーストリームを作ります。'
+          : `カウンタを 1 増やし（T${sub(i)} = T${sub(i - 1)} + 1）、AES で暗号化してキーストリームを作ります。`,
+        formula: `E_K(${bytesToHex(b.counter)}) = ${bytesToHex(b.aesOutput)}`,
+        activeBlock: i,
+        blocks: blockTiles(mode, trace, i, 'encrypt', padStart),
+      });
+      steps.push({
+        ...base,
+        id: `mode-block${i}-xor`,
+        phase: 'encrypt',
+        label: `ブロック ${i}: C${sub(i)} = P${sub(i)} ⊕ E_K(T${sub(i)})`,
+        description: b.plain.length < BLOCK_BYTES
+          ? `最後のブロックは ${b.plain.length} バイトなので、キーストリームの先頭 ${b.plain.length} バイトだけを使います。`
+          : '平文ブロックとキーストリームを XOR します。',
+        formula: `${bytesToHex(b.plain)} ⊕ ${bytesToHex(b.aesOutput.slice(0, b.plain.length))} = ${bytesToHex(b.cipher)}`,
+        activeBlock: i,
+        blocks: blockTiles(mode, trace, i, 'done', padStart),
+      });
+    }
+  });
+
+  const cipherHexBlocks = trace.map((b) => bytesToHex(b.cipher));
+  const groups = patternGroups(cipherHexBlocks);
+  const repeatedCount = groups.filter((g) => g.repeated).length;
+  const doneTiles = blockTiles(mode, trace, trace.length, 'done', padStart).map((t, i) => ({
+    ...t,
+    patternGroup: groups[i].repeated ? groups[i].group : null,
+  }));
+  steps.push({
+    ...base,
+    id: 'mode-result',
+    phase: 'result',
+    label: '暗号化完了',
+    description: repeatedCount > 0
+      ? `${repeatedCount} 個の暗号文ブロックが他のブロックと一致しています。平文の繰り返しが暗号文から読み取れてしまいます。`
+      : '同じ値の暗号文ブロックはありません。',
+    formula: `暗号文: ${bytesToHex(cipherBytes)}`,
+    values: { 'ブロック数': trace.length, '重複ブロック': repeatedCount },
+    blocks: doneTiles,
+  });
+
+  const decrypted = bytesToUtf8(decryptMessage(mode, cipherBytes, roundKeys, ivBytes));
+  const match = decrypted === message;
+  steps.push({
+    ...base,
+    id: 'mode-verify',
+    phase: 'decrypt',
+    label: '復号の検証',
+    description: mode === 'CTR'
+      ? '同じカウンタ列のキーストリームを暗号文に XOR すると平文に戻ります。'
+      : 'ブロックごとに復号し、PKCS#7 パディングを取り除くと平文に戻ります。',
+    formula: `復号: ${decrypted} ${match ? '✓ 一致' : '✗ 不一致'}`,
+    values: { '復号結果': decrypted, '一致': match ? 'Yes' : 'No' },
+    blocks: doneTiles,
+  });
+
+  // Same message under every mode: the "ECB penguin" pattern leak in block form
+  const comparison = AES_MODES.map((m) => {
+    const iv = m === 'ECB' ? null : ivBytes ?? hexToBytes('00'.repeat(BLOCK_BYTES));
+    const hexes = encryptMessage(m, messageBytes, roundKeys, iv).trace.map((b) => bytesToHex(b.cipher));
+    return { mode: m, hexes, groups: patternGroups(hexes) };
+  });
+  const plainGroups = patternGroups(splitBlocks(padded).map(bytesToHex));
+  steps.push({
+    ...base,
+    id: 'mode-compare',
+    phase: 'compare',
+    label: 'モード比較（ECB ペンギン）',
+    description: '同じ平文を 3 つのモードで暗号化し、ブロックの値を色で表しました。同じ色は同じ値です。ECB だけが平文の繰り返し模様をそのまま暗号文に残します。',
+    plainPattern: plainGroups,
+    comparison,
+  });
+
+  return steps;
+}
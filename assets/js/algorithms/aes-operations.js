@@ -1,9 +1,10 @@
 /**
- * aes-operations.js — The four AES-128 round transformations
+ * aes-operations.js — The four AES round transformations and their inverses
+ * Also exports traced GF(2^8) multiplication for the MixColumns drill-down.
  * Pure functions only. No DOM access.
  */
 
-import { SBOX, MIX_MATRIX } from './aes-constants.js';
+import { SBOX, INV_SBOX, MIX_MATRIX, INV_MIX_MATRIX } from './aes-constants.js';
 
 /**
  * SubBytes: replace each byte with its S-BOX substitution.
@@ -29,27 +30,131 @@ export function shiftRows(state) {
  * @returns {number[][]} new state
  */
 export function mixColumns(state) {
+  return multiplyColumns(state, MIX_MATRIX);
+}
+
+/**
+ * InvSubBytes: replace each byte with its inverse S-BOX substitution.
+ * @param {number[][]} state - 4x4 state matrix
+ * @returns {number[][]} new state
+ */
+export function invSubBytes(state) {
+  return state.map((row) => row.map((byte) => INV_SBOX[byte]));
+}
+
+/**
+ * InvShiftRows: cyclically shift row i right by i positions.
+ * @param {number[][]} state - 4x4 state matrix
+ * @returns {number[][]} new state
+ */
+export function invShiftRows(state) {
+  return state.map((row, i) => [...row.slice(4 - i), ...row.slice(0, 4 - i)]);
+}
+
+/**
+ * InvMixColumns: multiply each column by the inverse MixColumns matrix in GF(2^8).
+ * @param {number[][]} state - 4x4 state matrix
+ * @returns {number[][]} new state
+ */
+export function invMixColumns(state) {
+  return multiplyColumns(state, INV_MIX_MATRIX);
+}
+
+/**
+ * Trace MixColumns for every output byte (for the GF(2^8) drill-down).
+ * @param {number[][]} state - 4x4 state matrix before MixColumns
+ * @returns {Object[][]} 4x4 grid of traceColumnByte() results
+ */
+export function mixColumnsTrace(state) {
+  return traceColumns(state, MIX_MATRIX);
+}
+
+/**
+ * Trace InvMixColumns for every output byte (for the GF(2^8) drill-down).
+ * @param {number[][]} state - 4x4 state matrix before InvMixColumns
+ * @returns {Object[][]} 4x4 grid of traceColumnByte() results
+ */
+export function invMixColumnsTrace(state) {
+  return traceColumns(state, INV_MIX_MATRIX);
+}
+
+/**
+ * AddRoundKey: XOR state with the round key.
+ * @param {number[][]} state - 4x4 state matrix
+ * @param {number[][]} roundKey - 4x4 round key matrix
+ * @returns {number[][]} new state
+ */
+export function addRoundKey(state, roundKey) {
+  return state.map((row, r) => row.map((byte, c) => byte ^ roundKey[r][c]));
+}
+
+/**
+ * Multiply every state column by a fixed 4x4 matrix in GF(2^8).
+ * @param {number[][]} state - 4x4 state matrix
+ * @param {number[][]} matrix - MIX_MATRIX or INV_MIX_MATRIX
+ * @returns {number[][]} new state
+ */
+function multiplyColumns(state, matrix) {
   const result = Array.from({ length: 4 }, () => new Array(4).fill(0));
   for (let col = 0; col < 4; col++) {
     for (let row = 0; row < 4; row++) {
       result[row][col] =
-        gmul(MIX_MATRIX[row][0], state[0][col]) ^
-        gmul(MIX_MATRIX[row][1], state[1][col]) ^
-        gmul(MIX_MATRIX[row][2], state[2][col]) ^
-        gmul(MIX_MATRIX[row][3], state[3][col]);
+        gmul(matrix[row][0], state[0][col]) ^
+        gmul(matrix[row][1], state[1][col]) ^
+        gmul(matrix[row][2], state[2][col]) ^
+        gmul(matrix[row][3], state[3][col]);
     }
   }
   return result;
 }
 
 /**
- * AddRoundKey: XOR state with the round key.
+ * Trace every output byte of a column multiplication.
+ * Each entry is { row, col, terms: [{ coefficient, input, product, steps }], result }.
  * @param {number[][]} state - 4x4 state matrix
- * @param {number[][]} roundKey - 4x4 round key matrix
- * @returns {number[][]} new state
+ * @param {number[][]} matrix - MIX_MATRIX or INV_MIX_MATRIX
+ * @returns {Object[][]}
  */
-export function addRoundKey(state, roundKey) {
-  return state.map((row, r) => row.map((byte, c) => byte ^ roundKey[r][c]));
+function traceColumns(state, matrix) {
+  return matrix.map((coefficients, row) => [0, 1, 2, 3].map((col) => {
+    const terms = coefficients.map((coefficient, k) => {
+      const { product, steps } = gmulTrace(coefficient, state[k][col]);
+      return { coefficient, input: state[k][col], product, steps };
+    });
+    const result = terms.reduce((acc, t) => acc ^ t.product, 0);
+    return { row, col, terms, result };
+  }));
+}
+
+/**
+ * GF(2^8) multiplication that records every shift-and-add iteration.
+ * `a` is the matrix coefficient and `b` the state byte; the loop walks the bits
+ * of `a` and doubles `b` with xtime, so the steps read "coefficient bit i set →
+ * add b·x^i". Each step is
+ * { bit, term, used, accumulator, xtime: { shifted, overflow, reduced } | null }
+ * where `shifted` is the 9-bit value before reducing by 0x11b.
+ * xtime is null on the last step, where no further doubling is needed.
+ * @param {number} a - Coefficient (01, 02, 03, 09, 0b, 0d, 0e)
+ * @param {number} b - State byte
+ * @returns {{ product: number, steps: Object[] }}
+ */
+export function gmulTrace(a, b) {
+  const steps = [];
+  let accumulator = 0;
+  let term = b;
+  for (let bit = 0; a >> bit; bit++) {
+    const used = ((a >> bit) & 1) === 1;
+    if (used) accumulator ^= term;
+    let xtime = null;
+    if (a >> (bit + 1)) {
+      const shifted = term << 1;
+      const overflow = shifted > 0xff;
+      xtime = { shifted, overflow, reduced: overflow ? shifted ^ 0x11b : shifted };
+    }
+    steps.push({ bit, term, used, accumulator, xtime });
+    if (xtime) term = xtime.reduced;
+  }
+  return { product: accumulator, steps };
 }
 
 /**
@@ -59,7 +164,7 @@ export function addRoundKey(state, roundKey) {
  * @param {number} b
  * @returns {number}
  */
-function gmul(a, b) {
+export function gmul(a, b) {
   let result = 0;
   for (let i = 0; i < 8; i++) {
     if (b & 1) {
@@ -0,0 +1,112 @@
+/**
+ * aes-sbox.js — Derivation of S-BOX entries from GF(2^8) arithmetic
+ * S(x) = affine(x⁻¹) and S⁻¹(y) = (affine⁻¹(y))⁻¹, checked against the constant tables.
+ * Pure functions only. No DOM access.
+ */
+
+import { SBOX, INV_SBOX } from './aes-constants.js';
+import { gmul } from './aes-operations.js';
+
+/** Affine transform: b'_i = b_i ⊕ b_(i+4) ⊕ b_(i+5) ⊕ b_(i+6) ⊕ b_(i+7) ⊕ c_i */
+const AFFINE_OFFSETS = Object.freeze([0, 4, 5, 6, 7]);
+const AFFINE_CONSTANT = 0x63;
+
+/** Inverse affine transform: b_i = b'_(i+2) ⊕ b'_(i+5) ⊕ b'_(i+7) ⊕ d_i */
+const INV_AFFINE_OFFSETS = Object.freeze([2, 5, 7]);
+const INV_AFFINE_CONSTANT = 0x05;
+
+/**
+ * Multiplicative inverse in GF(2^8), computed as x^254 (x^255 = 1 for x ≠ 0).
+ * By convention 00 maps to 00.
+ * @param {number} byte
+ * @returns {number}
+ */
+export function gfInverse(byte) {
+  let result = 1;
+  let base = byte;
+  for (let e = 254; e > 0; e >>= 1) {
+    if (e & 1) result = gmul(result, base);
+    base = gmul(base, base);
+  }
+  return byte === 0 ? 0 : result;
+}
+
+/**
+ * Apply a bitwise affine transform and record each output bit.
+ * Each entry of `bits` is { bit, sources, inputBits, constantBit, value }
+ * where `sources` are the input bit positions XORed together.
+ * @param {number} byte
+ * @param {readonly number[]} offsets
+ * @param {number} constant
+ * @returns {{ result: number, bits: Object[] }}
+ */
+function affine(byte, offsets, constant) {
+  const bits = [];
+  let result = 0;
+  for (let bit = 0; bit < 8; bit++) {
+    const sources = offsets.map((o) => (bit + o) % 8);
+    const inputBits = sources.map((i) => (byte >> i) & 1);
+    const constantBit = (constant >> bit) & 1;
+    const value = inputBits.reduce((acc, b) => acc ^ b, constantBit);
+    result |= value << bit;
+    bits.push({ bit, sources, inputBits, constantBit, value });
+  }
+  return { result, bits };
+}
+
+/**
+ * Derive S-BOX[byte]: multiplicative inverse followed by the affine transform.
+ * @param {number} byte
+ * @returns {{ input: number, inverse: number, check: number, affine: Object,
+ *   result: number, tableValue: number, match: boolean, constant: number }}
+ */
+export function deriveSboxEntry(byte) {
+  const inverse = gfInverse(byte);
+  const transformed = affine(inverse, AFFINE_OFFSETS, AFFINE_CONSTANT);
+  return {
+    input: byte,
+    inverse,
+    check: gmul(byte, inverse),
+    affine: transformed,
+    constant: AFFINE_CONSTANT,
+    result: transformed.result,
+    tableValue: SBOX[byte],
+    match: transformed.result === SBOX[byte],
+  };
+}
+
+/**
+ * Derive INV_SBOX[byte]: inverse affine transform followed by the multiplicative inverse.
+ * @param {number} byte
+ * @returns {{ input: number, inverse: number, check: number, affine: Object,
+ *   result: number, tableValue: number, match: boolean, constant: number }}
+ */
+export function deriveInvSboxEntry(byte) {
+  const transformed = affine(byte, INV_AFFINE_OFFSETS, INV_AFFINE_CONSTANT);
+  const inverse = gfInverse(transformed.result);
+  return {
+    input: byte,
+    inverse,
+    check: gmul(transformed.result, inverse),
+    affine: transformed,
+    constant: INV_AFFINE_CONSTANT,
+    result: inverse,
+    tableValue: INV_SBOX[byte],
+    match: inverse === INV_SBOX[byte],
+  };
+}
+
+/**
+ * Lookup data for a SubBytes / InvSubBytes step: the table and a derivation per state byte.
+ * @param {number[][]} state - 4x4 state before the substitution
+ * @param {boolean} [inverse=false] - true for InvSubBytes
+ * @returns {{ table: readonly number[], inverse: boolean, derivations: Object[][] }}
+ */
+export function sboxLookup(state, inverse = false) {
+  const derive = inverse ? deriveInvSboxEntry : deriveSboxEntry;
+  return {
+    table: inverse ? INV_SBOX : SBOX,
+    inverse,
+    derivations: state.map((row) => row.map(derive)),
+  };
+}
@@ -1,35 +1,23 @@
 /**
- * aes.js — AES-128 step builder for visualization
+ * aes.js — AES-128/192/256 step builder for visualization
  * Orchestrates all AES operations and produces a step array.
  * Pure functions only. No DOM access.
  */
 
-import { subBytes, shiftRows, mixColumns, addRoundKey } from './aes-operations.js';
+import {
+  subBytes, shiftRows, mixColumns, mixColumnsTrace, addRoundKey,
+} from './aes-operations.js';
+import { sboxLookup } from './aes-sbox.js';
 import { keyExpansion } from './aes-key-expansion.js';
-import { hexToBytes, bytesToMatrix, matrixToBytes, bytesToHex, clone2DArray } from './utils.js';
-
-const AES_ROUNDS = 10;
-
-/**
- * Compute indices of bytes that changed between two 4x4 matrices.
- * Returns flat indices 0..15 in row-major order (row * 4 + col).
- */
-function diffIndices(prev, curr) {
-  const indices = [];
-  for (let r = 0; r < 4; r++) {
-    for (let c = 0; c < 4; c++) {
-      if (prev[r][c] !== curr[r][c]) {
-        indices.push(r * 4 + c);
-      }
-    }
-  }
-  return indices;
-}
+import {
+  hexToBytes, bytesToMatrix, matrixToBytes, bytesToHex, clone2DArray, diffIndices,
+} from './utils.js';
 
 /**
- * Build the full sequence of AES-128 encryption steps.
+ * Build the full sequence of AES encryption steps.
+ * The round count follows the key length: 10 (AES-128), 12 (AES-192) or 14 (AES-256).
  * @param {string} plaintextHex - 32-char hex string
- * @param {string} keyHex - 32-char hex string
+ * @param {string} keyHex - 32, 48, or 64-char hex string
  * @returns {Object[]} Array of step objects for the visualizer
  */
 export function buildAESSteps(plaintextHex, keyHex) {
@@ -38,6 +26,7 @@ export function buildAESSteps(plaintextHex, keyHex) {
   const keyBytes = hexToBytes(keyHex);
   let state = bytesToMatrix(plainBytes);
   const roundKeys = keyExpansion(keyBytes);
+  const rounds = roundKeys.length - 1;
 
   // Step: Initial State
   steps.push({
@@ -71,8 +60,8 @@ export function buildAESSteps(plaintextHex, keyHex) {
     detail: { type: 'addRoundKey', roundKeyIndex: 0 },
   });
 
-  // Rounds 1–9 (full rounds: SubBytes, ShiftRows, MixColumns, AddRoundKey)
-  for (let round = 1; round <= AES_ROUNDS - 1; round++) {
+  // Rounds 1..NR-1 (full rounds: SubBytes, ShiftRows, MixColumns, AddRoundKey)
+  for (let round = 1; round <= rounds - 1; round++) {
     prevState = clone2DArray(state);
     state = subBytes(state);
     steps.push({
@@ -86,7 +75,7 @@ export function buildAESSteps(plaintextHex, keyHex) {
       prevState,
       roundKey: null,
       changedIndices: diffIndices(prevState, state),
-      detail: { type: 'subBytes' },
+      detail: { type: 'subBytes', sbox: sboxLookup(prevState) },
     });
 
     prevState = clone2DArray(state);
@@ -113,12 +102,12 @@ export function buildAESSteps(plaintextHex, keyHex) {
       round,
       operation: 'mixColumns',
       label: `ラウンド ${round} - MixColumns`,
-      description: 'ガロア体 GF(2⁸) 上で列ごとの行列乗算を行います。',
+      description: 'ガロア体 GF(2⁸) 上で列ごとの行列乗算を行います。変換後のバイトをクリックすると計算の内訳を表示します。',
       state: clone2DArray(state),
       prevState,
       roundKey: null,
       changedIndices: diffIndices(prevState, state),
-      detail: { type: 'mixColumns' },
+      detail: { type: 'mixColumns', trace: mixColumnsTrace(prevState) },
     });
 
     prevState = clone2DArray(state);
@@ -138,31 +127,31 @@ export function buildAESSteps(plaintextHex, keyHex) {
     });
   }
 
-  // Round 10 (final): SubBytes, ShiftRows, AddRoundKey (no MixColumns)
+  // Round NR (final): SubBytes, ShiftRows, AddRoundKey (no MixColumns)
   prevState = clone2DArray(state);
   state = subBytes(state);
   steps.push({
     algorithm: 'aes',
-    id: 'aes-round10-subBytes',
-    round: 10,
+    id: `aes-round${rounds}-subBytes`,
+    round: rounds,
     operation: 'subBytes',
-    label: 'ラウンド 10 - SubBytes',
+    label: `ラウンド ${rounds} - SubBytes`,
     description: '最終ラウンド: 各バイトを S-BOX で置換します。',
     state: clone2DArray(state),
     prevState,
     roundKey: null,
     changedIndices: diffIndices(prevState, state),
-    detail: { type: 'subBytes' },
+    detail: { type: 'subBytes', sbox: sboxLookup(prevState) },
   });
 
   prevState = clone2DArray(state);
   state = shiftRows(state);
   steps.push({
     algorithm: 'aes',
-    id: 'aes-round10-shiftRows',
-    round: 10,
+    id: `aes-round${rounds}-shiftRows`,
+    round: rounds,
     operation: 'shiftRows',
-    label: 'ラウンド 10 - ShiftRows',
+    label: `ラウンド ${rounds} - ShiftRows`,
     description: '最終ラウンド: 各行を左に循環シフトします。',
     state: clone2DArray(state),
     prevState,
@@ -172,19 +161,19 @@ export function buildAESSteps(plaintextHex, keyHex) {
   });
 
   prevState = clone2DArray(state);
-  state = addRoundKey(state, roundKeys[10]);
+  state = addRoundKey(state, roundKeys[rounds]);
   steps.push({
     algorithm: 'aes',
-    id: 'aes-round10-addRoundKey',
-    round: 10,
+    id: `aes-round${rounds}-addRoundKey`,
+    round: rounds,
     operation: 'addRoundKey',
-    label: 'ラウンド 10 - AddRoundKey',
-    description: '最終ラウンド: ラウンドキー 10 との XOR を計算します。',
+    label: `ラウンド ${rounds} - AddRoundKey`,
+    description: `最終ラウンド: ラウンドキー ${rounds} との XOR を計算します。`,
     state: clone2DArray(state),
     prevState,
-    roundKey: clone2DArray(roundKeys[10]),
+    roundKey: clone2DArray(roundKeys[rounds]),
     changedIndices: diffIndices(prevState, state),
-    detail: { type: 'addRoundKey', roundKeyIndex: 10 },
+    detail: { type: 'addRoundKey', roundKeyIndex: rounds },
   });
 
   // Final summary
@@ -192,7 +181,7 @@ export function buildAESSteps(plaintextHex, keyHex) {
   steps.push({
     algorithm: 'aes',
     id: 'aes-complete',
-    round: 10,
+    round: rounds,
     operation: 'complete',
     label: '暗号化完了',
     description: `暗号文: ${cipherHex}`,
@@ -206,4 +195,5 @@ export function buildAESSteps(plaintextHex, keyHex) {
   return steps;
 }
 
-export { keyExpansion } from './aes-key-expansion.js';
+export { keyExpansion, aesRoundCount } from './aes-key-expansion.js';
+export { buildAESDecryptSteps } from './aes-decrypt.js';
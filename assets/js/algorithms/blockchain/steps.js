@@ -501,8 +501,9 @@ function buildCryptoLinkSteps() {
       phase: 'hash-role',
       label: 'ハッシュの役割',
       description:
-        'ブロックチェーンは暗号学的ハッシュ関数（SHA-256 等）でデータの完整性を守ります。本サイトのブロックデモでも同じ SHA-256 を使用しています。',
+        'ブロックチェーンは暗号学的ハッシュ関数（SHA-256 等）でデータの完整性を守ります。本サイトのブロックデモでも同じ SHA-256 を使用しています。トップページの「SHA-256」タブで、パディング・メッセージスケジュール・64 ラウンドの圧縮関数を 1 ステップずつ確認できます。',
       vizType: 'card',
+      linkToSha256: true,
     },
     {
       ...BASE,
@@ -511,7 +512,7 @@ function buildCryptoLinkSteps() {
       phase: 'signature',
       label: 'デジタル署名',
       description:
-        '取引の送信者は秘密鍵で署名し、誰でも公開鍵で検証できます。RSA 暗号はこの仕組みの学習に使われます。トップページの RSA ビジュアライザーで鍵生成・署名の流れを確認できます。',
+        '取引の送信者は秘密鍵で署名し、誰でも公開鍵で検証できます。RSA 暗号はこの仕組みの学習に使われます。トップページの「RSA 署名」タブで、ハッシュ・署名・検証と、メッセージを改ざんすると検証に失敗する様子を確認できます。',
       vizType: 'card',
       linkToRsa: true,
     },
@@ -0,0 +1,191 @@
+/**
+ * caesar-crack.js — Breaking a Caesar cipher: brute force over all 25 shifts, ranked by
+ * how closely each candidate's letter frequencies match a reference language (chi-squared).
+ * Pure functions only. No DOM access.
+ */
+
+import { ALPHABET_SIZE, caesarDecrypt } from './caesar.js';
+import {
+  LETTERS, LETTER_FREQUENCIES, letterCounts, toPercent, chiSquared,
+} from './frequency.js';
+
+/** Below this many letters the frequency ranking is unreliable. */
+export const CRACK_MIN_LETTERS = 40;
+
+/** Candidate texts longer than this are cut in the tables. */
+const PREVIEW_LENGTH = 36;
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function preview(text) {
+  return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text;
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatScore(value) {
+  return value.toFixed(1);
+}
+
+/**
+ * Decrypt with every shift and score each candidate against the reference languages.
+ * @param {string} ciphertext
+ * @returns {{ shift: number, text: string, scores: Object<string, number> }[]} Shifts 1–25 in order
+ */
+export function caesarCandidates(ciphertext) {
+  return Array.from({ length: ALPHABET_SIZE - 1 }, (_, i) => {
+    const shift = i + 1;
+    const text = caesarDecrypt(ciphertext, shift);
+    const counts = letterCounts(text);
+    const scores = Object.fromEntries(Object.entries(LETTER_FREQUENCIES)
+      .map(([lang, { percent }]) => [lang, chiSquared(counts, percent).score]));
+    return { shift, text, scores };
+  });
+}
+
+/**
+ * Build the steps for cracking a Caesar ciphertext.
+ * Steps carry `chart` ({ caption, series: [{ name, kind, values }], marked }) for the
+ * letter-frequency histograms and `table` for the candidate lists.
+ * @param {string} ciphertext
+ * @param {Object} [options]
+ * @param {'english'|'romaji'} [options.reference='english'] - Language used for ranking
+ * @returns {Object[]} Array of step objects
+ */
+export function buildCaesarCrackSteps(ciphertext, { reference = 'english' } = {}) {
+  const counts = letterCounts(ciphertext);
+  const total = counts.reduce((sum, c) => sum + c, 0);
+  if (total === 0) throw new RangeError('暗号文に英字が含まれていません。');
+  const { name: refName, percent: refPercent } = LETTER_FREQUENCIES[reference];
+  const otherLang = Object.keys(LETTER_FREQUENCIES).find((lang) => lang !== reference);
+  const steps = [];
+
+  steps.push({
+    algorithm: 'caesar-crack',
+    id: 'caesar-crack-input',
+    phase: 'input',
+    label: '解読する暗号文',
+    description: 'シーザー暗号の鍵はシフト量 1〜25 の 25 通りしかありません。'
+      + 'すべてを試す総当たりで必ず解けるので、問題は「どれが正しい平文か」を見分けることだけです。'
+      + (total < CRACK_MIN_LETTERS ? `英字が ${total} 文字と少ないため、頻度による順位付けが外れることがあります。` : ''),
+    formula: `暗号文: ${ciphertext}\n英字の数 N = ${total}\n鍵の候補: 25 通り`,
+    values: { '英字の数': total, '鍵の候補数': ALPHABET_SIZE - 1 },
+  });
+
+  const observed = toPercent(counts);
+  const top = counts.indexOf(Math.max(...counts));
+  const refTop = refPercent.indexOf(Math.max(...refPercent));
+  const guess = (top - refTop + ALPHABET_SIZE) % ALPHABET_SIZE;
+  steps.push({
+    algorithm: 'caesar-crack',
+    id: 'caesar-crack-histogram',
+    phase: 'frequency',
+    label: '文字の出現頻度',
+    description: `暗号文の各文字の出現頻度を${refName}の標準的な頻度と並べます。`
+      + 'シーザー暗号は全文字を同じだけずらすだけなので、頻度の山の形はそのまま保たれ、横にずれて見えます。'
+      + `${refName}で最も多い '${LETTERS[refTop]}' が暗号文で最も多い '${LETTERS[top]}' になったと考えると、シフト量は ${guess} と予想できます。`,
+    formula: `暗号文で最多: ${LETTERS[top]}（${counts[top]} 回、${observed[top].toFixed(1)}%）\n`
+      + `${refName}で最多: ${LETTERS[refTop]}（${refPercent[refTop]}%）\n`
+      + `予想シフト = ${LETTERS[top]}(${top}) − ${LETTERS[refTop]}(${refTop}) mod 26 = ${guess}`,
+    chart: {
+      caption: `暗号文と${refName}の文字頻度（%）`,
+      series: [
+        { name: '暗号文', kind: 'observed', values: observed },
+        { name: refName, kind: 'reference', values: [...refPercent] },
+      ],
+      marked: [top],
+    },
+  });
+
+  const candidates = caesarCandidates(ciphertext);
+  const ranked = [...candidates].sort((x, y) => x.scores[reference] - y.scores[reference]);
+  const best = ranked[0];
+  const rankOf = new Map(ranked.map((c, i) => [c.shift, i + 1]));
+  steps.push({
+    algorithm: 'caesar-crack',
+    id: 'caesar-crack-candidates',
+    phase: 'candidates',
+    label: '総当たり: 25 通りの復号',
+    description: '各シフト量で caesarDecrypt を実行した結果です。人間なら読める行を探せば済みますが、'
+      + '各候補の文字頻度が言語の頻度にどれだけ近いかを χ² 値で数値にすると、自動で選べます。値が小さいほど近い頻度です。',
+    formula: `候補[k] = caesarDecrypt(暗号文, k)  (k = 1 … 25)\n順位は${refName}の χ² が小さい順`,
+    table: {
+      caption: '復号候補（太字は χ² 最小）',
+      columns: ['シフト', '復号候補', `χ²（${LETTER_FREQUENCIES.english.name}）`, `χ²（${LETTER_FREQUENCIES.romaji.name}）`, '順位'],
+      rows: candidates.map((c) => [
+        c.shift, preview(c.text), formatScore(c.scores.english), formatScore(c.scores.romaji), rankOf.get(c.shift),
+      ]),
+      highlightRow: best.shift - 1,
+    },
+  });
+
+  const { terms } = chiSquared(letterCounts(best.text), refPercent);
+  const largest = [...terms].sort((x, y) => y.term - x.term).slice(0, 3);
+  steps.push({
+    algorithm: 'caesar-crack',
+    id: 'caesar-crack-chi',
+    phase: 'score',
+    label: `χ² 値の計算（シフト ${best.shift}）`,
+    description: `χ² は各文字について、実際の回数 O と${refName}の頻度から期待される回数 E = N × 頻度 のずれを E で割って合計したものです。`
+      + '正しいシフトでは頻度の山が参照の山に重なり、ずれが小さくなります。期待回数の少ない文字が多く現れると大きく加算されます。',
+    formula: `χ² = Σ (O − E)² / E = ${formatScore(best.scores[reference])}\n`
+      + `寄与が大きい文字: ${largest.map((t) => `${t.letter}（O=${t.observed}, E=${t.expected.toFixed(1)}, ${formatScore(t.term)}）`).join('、')}`,
+    chart: {
+      caption: `シフト ${best.shift} で復号した文字頻度と${refName}（%）`,
+      series: [
+        { name: '復号候補', kind: 'observed', values: toPercent(letterCounts(best.text)) },
+        { name: refName, kind: 'reference', values: [...refPercent] },
+      ],
+      marked: largest.map((t) => LETTERS.indexOf(t.letter)),
+    },
+    table: {
+      caption: '文字ごとの寄与',
+      columns: ['文字', 'O', 'E', '(O − E)² / E'],
+      rows: terms.map((t) => [t.letter, t.observed, t.expected.toFixed(2), t.term.toFixed(2)]),
+    },
+  });
+
+  const runnerUp = ranked[1];
+  const margin = runnerUp.scores[reference] / best.scores[reference];
+  const otherBest = [...candidates].sort((x, y) => x.scores[otherLang] - y.scores[otherLang])[0];
+  steps.push({
+    algorithm: 'caesar-crack',
+    id: 'caesar-crack-ranking',
+    phase: 'ranking',
+    label: 'χ² による順位',
+    description: `1 位の χ² は 2 位の約 1/${margin.toFixed(1)} です。`
+      + (margin >= 2 ? '差が大きいので、1 位が正しい平文だとほぼ確信できます。' : '差が小さいので、上位の候補を実際に読んで確かめる必要があります。')
+      + (otherBest.shift === best.shift
+        ? `${LETTER_FREQUENCIES[otherLang].name}の頻度で順位を付けても 1 位は同じシフト ${best.shift} です。`
+        : `${LETTER_FREQUENCIES[otherLang].name}の頻度で順位を付けると 1 位はシフト ${otherBest.shift} になります。平文の言語に合った参照頻度を選ぶことが大切です。`),
+    formula: ranked.slice(0, 5).map((c, i) => `${i + 1} 位: シフト ${c.shift}  χ² = ${formatScore(c.scores[reference])}`).join('\n'),
+    table: {
+      caption: `上位 5 件（${refName}）`,
+      columns: ['順位', 'シフト', '復号候補', 'χ²'],
+      rows: ranked.slice(0, 5).map((c, i) => [i + 1, c.shift, preview(c.text), formatScore(c.scores[reference])]),
+      markedRow: 0,
+    },
+  });
+
+  steps.push({
+    algorithm: 'caesar-crack',
+    id: 'caesar-crack-result',
+    phase: 'result',
+    label: `解読結果: シフト ${best.shift}`,
+    description: '鍵の候補が少なすぎるため、シーザー暗号は総当たりと頻度分析ですぐに破られます。'
+      + '安全な暗号には、すべての鍵を試すことが現実的に不可能なほど大きな鍵空間と、平文の統計的な偏りを暗号文に残さない仕組みが必要です。',
+    formula: `平文: ${best.text}\n2 位（シフト ${runnerUp.shift}）の χ² は 1 位の約 ${margin.toFixed(1)} 倍`,
+    values: {
+      'シフト量': best.shift,
+      '平文': best.text,
+      'χ²': formatScore(best.scores[reference]),
+      '2 位との χ² の比': `${margin.toFixed(1)} 倍`,
+    },
+  });
+
+  return steps;
+}
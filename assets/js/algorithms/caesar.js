@@ -3,7 +3,7 @@
  * Pure functions only. No DOM access.
  */
 
-const ALPHABET_SIZE = 26;
+export const ALPHABET_SIZE = 26;
 
 /**
  * Shift a single character by the given amount.
@@ -12,7 +12,7 @@ const ALPHABET_SIZE = 26;
  * @param {number} shift - Shift amount (can be negative for decryption)
  * @returns {{ original: string, shifted: string, isAlpha: boolean, base: number, pos: number, newPos: number }}
  */
-function shiftChar(char, shift) {
+export function shiftChar(char, shift) {
   const code = char.charCodeAt(0);
   let base;
 
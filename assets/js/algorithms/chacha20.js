@@ -0,0 +1,384 @@
+/**
+ * chacha20.js — ChaCha20 stream cipher (RFC 8439) and its step builder
+ * A 4×4 state of 32-bit words (constants, key, block counter, nonce) goes through
+ * 20 rounds of quarter-rounds built only from add, rotate and XOR (ARX); adding the
+ * initial state back gives one 64-byte keystream block.
+ * Pure functions only. No DOM access.
+ */
+
+import { xorBytes, utf8ToBytes, bytesToHex } from './utils.js';
+
+/** "expand 32-byte k" as four little-endian words. */
+export const CHACHA_CONSTANTS = Object.freeze([0x61707865, 0x3320646e, 0x79622d32, 0x6b206574]);
+
+export const CHACHA_KEY_BYTES = 32;
+export const CHACHA_NONCE_BYTES = 12;
+export const CHACHA_BLOCK_BYTES = 64;
+export const CHACHA_ROUNDS = 20;
+
+/** Longest message visualized (four keystream blocks). */
+export const CHACHA_MAX_MESSAGE_BYTES = 256;
+
+/** Word indices of the four column quarter-rounds, then the four diagonal ones. */
+export const CHACHA_COLUMNS = Object.freeze([[0, 4, 8, 12], [1, 5, 9, 13], [2, 6, 10, 14], [3, 7, 11, 15]]);
+export const CHACHA_DIAGONALS = Object.freeze([[0, 5, 10, 15], [1, 6, 11, 12], [2, 7, 8, 13], [3, 4, 9, 14]]);
+
+/** Role of each state word, used to colour the initial state. */
+export const CHACHA_WORD_KINDS = Object.freeze([
+  'constant', 'constant', 'constant', 'constant',
+  'key', 'key', 'key', 'key',
+  'key', 'key', 'key', 'key',
+  'counter', 'nonce', 'nonce', 'nonce',
+]);
+
+/** RFC 8439 test vectors: the block function (2.3.2), encryption (2.4.2) and Appendix A.1 #1. */
+export const CHACHA_PRESETS = Object.freeze({
+  rfc8439_block: {
+    label: 'RFC 8439 2.3.2（ブロック関数）',
+    keyHex: '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f',
+    nonceHex: '000000090000004a00000000',
+    counter: 1,
+    plaintext: '',
+    expectedHex: '10f1e7e4d13b5915500fdd1fa32071c4c7d1f4c733c068030422aa9ac3d46c4e'
+      + 'd2826446079faa0914c2d705d98b02a2b5129cd1de164eb9cbd083e8a2503c4e',
+  },
+  rfc8439_encrypt: {
+    label: 'RFC 8439 2.4.2（暗号化）',
+    keyHex: '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f',
+    nonceHex: '000000000000004a00000000',
+    counter: 1,
+    plaintext: "Ladies and Gentlemen of the class of '99: If I could offer you only one tip for the future, sunscreen would be it.",
+    expectedHex: '6e2e359a2568f98041ba0728dd0d6981e97e7aec1d4360c20a27afccfd9fae0b'
+      + 'f91b65c5524733ab8f593dabcd62b3571639d624e65152ab8f530c359f0861d8'
+      + '07ca0dbf500d6a6156a38e088a22b65e52bc514d16ccf806818ce91ab7793736'
+      + '5af90bbf74a35be6b40b8eedf2785e42874d',
+  },
+  rfc8439_zero: {
+    label: 'RFC 8439 付録 A.1 #1（鍵・ノンス・カウンタがすべて 0）',
+    keyHex: '00'.repeat(CHACHA_KEY_BYTES),
+    nonceHex: '00'.repeat(CHACHA_NONCE_BYTES),
+    counter: 0,
+    plaintext: '',
+    expectedHex: '76b8e0ada0f13d90405d6ae55386bd28bdd219b8a08ded1aa836efcc8b770dc7'
+      + 'da41597c5157488d7724e03fb8d84a376a43b8f41518a11cc387b669b2ee6586',
+  },
+});
+
+/**
+ * Rotate a 32-bit word left.
+ * @param {number} x
+ * @param {number} n
+ * @returns {number}
+ */
+export function rotl(x, n) {
+  return ((x << n) | (x >>> (32 - n))) >>> 0;
+}
+
+/**
+ * @param {number} word
+ * @returns {string}
+ */
+function toHexWord(word) {
+  return word.toString(16).padStart(8, '0');
+}
+
+/**
+ * Little-endian 32-bit word from four bytes.
+ * @param {number[]} bytes
+ * @param {number} offset
+ * @returns {number}
+ */
+function readWordLE(bytes, offset) {
+  return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+/**
+ * Serialize words as little-endian bytes.
+ * @param {number[]} words
+ * @returns {number[]}
+ */
+function wordsToBytesLE(words) {
+  return words.flatMap((w) => [w & 0xff, (w >>> 8) & 0xff, (w >>> 16) & 0xff, w >>> 24]);
+}
+
+/**
+ * @param {number[]} words - 16 words, row-major
+ * @returns {number[][]} 4×4 matrix
+ */
+function toMatrix(words) {
+  return [0, 1, 2, 3].map((row) => words.slice(row * 4, row * 4 + 4));
+}
+
+/**
+ * The ChaCha quarter-round on four words, recording every add, XOR and rotation.
+ * @param {number} a
+ * @param {number} b
+ * @param {number} c
+ * @param {number} d
+ * @returns {{ words: number[], trace: { target: string, op: string, text: string, value: number }[] }}
+ */
+export function quarterRound(a, b, c, d) {
+  const v = { a, b, c, d };
+  const trace = [];
+  const add = (x, y) => { v[x] = (v[x] + v[y]) >>> 0; trace.push({ target: x, op: 'add', text: `${x} += ${y}`, value: v[x] }); };
+  const xor = (x, y) => { v[x] = (v[x] ^ v[y]) >>> 0; trace.push({ target: x, op: 'xor', text: `${x} ^= ${y}`, value: v[x] }); };
+  const rot = (x, n) => { v[x] = rotl(v[x], n); trace.push({ target: x, op: 'rotl', text: `${x} <<<= ${n}`, value: v[x] }); };
+  add('a', 'b'); xor('d', 'a'); rot('d', 16);
+  add('c', 'd'); xor('b', 'c'); rot('b', 12);
+  add('a', 'b'); xor('d', 'a'); rot('d', 8);
+  add('c', 'd'); xor('b', 'c'); rot('b', 7);
+  return { words: [v.a, v.b, v.c, v.d], trace };
+}
+
+/**
+ * Initial ChaCha20 state: constants, key, block counter and nonce.
+ * @param {number[]} key - 32 bytes
+ * @param {number} counter - 32-bit block counter
+ * @param {number[]} nonce - 12 bytes
+ * @returns {number[]} 16 words
+ */
+export function chachaInitialState(key, counter, nonce) {
+  if (key.length !== CHACHA_KEY_BYTES) {
+    throw new RangeError(`鍵は ${CHACHA_KEY_BYTES} バイト（64 桁の16進数）が必要です（現在: ${key.length} バイト）。`);
+  }
+  if (nonce.length !== CHACHA_NONCE_BYTES) {
+    throw new RangeError(`ノンスは ${CHACHA_NONCE_BYTES} バイト（24 桁の16進数）が必要です（現在: ${nonce.length} バイト）。`);
+  }
+  if (!Number.isInteger(counter) || counter < 0 || counter > 0xffffffff) {
+    throw new RangeError('ブロックカウンタは 0〜4294967295 の整数で指定してください。');
+  }
+  return [
+    ...CHACHA_CONSTANTS,
+    ...Array.from({ length: 8 }, (_, i) => readWordLE(key, i * 4)),
+    counter >>> 0,
+    ...Array.from({ length: 3 }, (_, i) => readWordLE(nonce, i * 4)),
+  ];
+}
+
+/**
+ * The ChaCha20 block function.
+ * @param {number[]} key - 32 bytes
+ * @param {number} counter
+ * @param {number[]} nonce - 12 bytes
+ * @returns {number[]} 64 keystream bytes
+ */
+export function chachaBlock(key, counter, nonce) {
+  const initial = chachaInitialState(key, counter, nonce);
+  const x = [...initial];
+  for (let round = 1; round <= CHACHA_ROUNDS; round++) {
+    (round % 2 === 1 ? CHACHA_COLUMNS : CHACHA_DIAGONALS).forEach((idx) => {
+      quarterRound(...idx.map((i) => x[i])).words.forEach((w, j) => { x[idx[j]] = w; });
+    });
+  }
+  return wordsToBytesLE(x.map((w, i) => (w + initial[i]) >>> 0));
+}
+
+/**
+ * ChaCha20 encryption (and decryption): XOR with the keystream of blocks counter, counter + 1, …
+ * @param {number[]} key
+ * @param {number} counter
+ * @param {number[]} nonce
+ * @param {number[]} message
+ * @returns {number[]}
+ */
+export function chacha20Encrypt(key, counter, nonce, message) {
+  const keystream = [];
+  for (let j = 0; j * CHACHA_BLOCK_BYTES < message.length; j++) {
+    keystream.push(...chachaBlock(key, counter + j, nonce));
+  }
+  return xorBytes(message, keystream.slice(0, message.length));
+}
+
+/**
+ * Find the RFC 8439 test vector with exactly these inputs.
+ * @param {number[]} key
+ * @param {number[]} nonce
+ * @param {number} counter
+ * @param {number[]} message
+ * @returns {Object|undefined}
+ */
+function findPreset(key, nonce, counter, message) {
+  return Object.values(CHACHA_PRESETS).find((preset) => preset.keyHex === bytesToHex(key)
+    && preset.nonceHex === bytesToHex(nonce) && preset.counter === counter
+    && bytesToHex(utf8ToBytes(preset.plaintext)) === bytesToHex(message));
+}
+
+/**
+ * Build the ChaCha20 steps for the first keystream block: the initial state, every
+ * quarter-round of the 20 rounds, the final addition and the little-endian keystream,
+ * then the XOR with the message (further blocks are summarized) and a comparison with a
+ * known result when the inputs are one of CHACHA_PRESETS. Quarter-round steps carry
+ * `prevState` / `state` (4×4 words), `changedIndices` and a `table` of the 12 ARX operations.
+ * @param {number[]} key - 32 bytes
+ * @param {number[]} nonce - 12 bytes
+ * @param {number} counter - Block counter of the first block
+ * @param {number[]} message - Plaintext; empty to show only the keystream block
+ * @returns {Object[]} Array of step objects
+ */
+export function buildChaCha20Steps(key, nonce, counter, message) {
+  if (message.length > CHACHA_MAX_MESSAGE_BYTES) {
+    throw new RangeError(`メッセージは ${CHACHA_MAX_MESSAGE_BYTES} バイト以内にしてください（現在: ${message.length} バイト）。`);
+  }
+  const blockCount = Math.max(1, Math.ceil(message.length / CHACHA_BLOCK_BYTES));
+  if (counter + blockCount - 1 > 0xffffffff) {
+    throw new RangeError('ブロックカウンタが 32 ビットを超えます。カウンタを小さくしてください。');
+  }
+  const initial = chachaInitialState(key, counter, nonce);
+  const expectedHex = findPreset(key, nonce, counter, message)?.expectedHex ?? null;
+  const steps = [];
+
+  steps.push({
+    algorithm: 'chacha20',
+    id: 'chacha-init',
+    phase: 'init',
+    label: '初期ステート',
+    description: 'ChaCha20 のステートは 32 ビットのワード 16 個を 4×4 に並べたものです。'
+      + '1 行目は定数 "expand 32-byte k"、2〜3 行目は 256 ビットの鍵、4 行目はブロックカウンタと 96 ビットのノンスです。'
+      + 'バイト列はすべてリトルエンディアンでワードに読み込みます。',
+    formula: `定数: ${CHACHA_CONSTANTS.map(toHexWord).join(' ')}（"expand 32-byte k"）\n`
+      + `鍵:   ${initial.slice(4, 12).map(toHexWord).join(' ')}\n`
+      + `カウンタ: ${toHexWord(initial[12])}  ノンス: ${initial.slice(13).map(toHexWord).join(' ')}`,
+    state: toMatrix(initial),
+    changedIndices: [],
+    wordKinds: CHACHA_WORD_KINDS,
+    values: {
+      '鍵': bytesToHex(key),
+      'ノンス': bytesToHex(nonce),
+      'ブロックカウンタ': counter,
+    },
+  });
+
+  const x = [...initial];
+  for (let round = 1; round <= CHACHA_ROUNDS; round++) {
+    const isColumn = round % 2 === 1;
+    (isColumn ? CHACHA_COLUMNS : CHACHA_DIAGONALS).forEach((idx, q) => {
+      const prev = [...x];
+      const before = idx.map((i) => x[i]);
+      const { words, trace } = quarterRound(...before);
+      words.forEach((w, j) => { x[idx[j]] = w; });
+      const first = round === 1 && q === 0;
+      steps.push({
+        algorithm: 'chacha20',
+        id: `chacha-r${round}-q${q}`,
+        phase: isColumn ? 'column' : 'diagonal',
+        round,
+        label: `${isColumn ? '列' : '対角'}ラウンド: QR(${idx.join(', ')})`,
+        description: (first
+          ? 'クォーターラウンドは 4 つのワード a, b, c, d に「加算 (mod 2³²)・XOR・左回転」を 4 回ずつ繰り返します（ARX）。'
+            + 'S-BOX のような表を使わないので、処理時間が入力に依存せず、ソフトウェアでも速く実装できます。'
+          : '')
+          + (isColumn
+            ? `奇数ラウンドは 4 つの列にクォーターラウンドを適用します（列 ${q}）。`
+            : `偶数ラウンドは 4 つの対角線にクォーターラウンドを適用します（対角 ${q}）。`)
+          + (q === 3 && round === CHACHA_ROUNDS ? '20 ラウンド（列と対角を 10 回ずつ）が終わりました。' : ''),
+        formula: `(a, b, c, d) = (x[${idx.join('], x[')}])\n`
+          + `前: ${before.map(toHexWord).join(' ')}\n`
+          + `後: ${words.map(toHexWord).join(' ')}`,
+        prevState: toMatrix(prev),
+        state: toMatrix(x),
+        changedIndices: [...idx],
+        table: {
+          caption: 'クォーターラウンドの演算',
+          columns: ['#', '演算', '結果'],
+          rows: trace.map((t, i) => [i + 1, t.text, toHexWord(t.value)]),
+        },
+      });
+    });
+  }
+
+  const sum = x.map((w, i) => (w + initial[i]) >>> 0);
+  steps.push({
+    algorithm: 'chacha20',
+    id: 'chacha-add',
+    phase: 'add',
+    label: '初期ステートを足し戻す',
+    description: '20 ラウンド後のステートに初期ステートをワードごとに加算 (mod 2³²) します。'
+      + 'ラウンド関数はすべて逆算できるので、この加算がないと出力から鍵を含む初期ステートを計算で戻せてしまいます。',
+    formula: `x′[i] = x[i] + 初期[i] mod 2³²\n例: x′[0] = ${toHexWord(x[0])} + ${toHexWord(initial[0])} = ${toHexWord(sum[0])}`,
+    addition: {
+      operands: [
+        { label: '20 ラウンド後', state: toMatrix(x) },
+        { label: '初期ステート', state: toMatrix(initial), wordKinds: CHACHA_WORD_KINDS },
+      ],
+      result: { label: '合計', state: toMatrix(sum) },
+    },
+  });
+
+  const keystream = wordsToBytesLE(sum);
+  steps.push({
+    algorithm: 'chacha20',
+    id: 'chacha-serialize',
+    phase: 'keystream',
+    label: 'キーストリーム（64 バイト）',
+    description: '合計したワードを x′[0] から順にリトルエンディアンでバイト列にすると、64 バイトのキーストリームブロックになります。'
+      + 'カウンタを 1 増やせば次の 64 バイトが得られます。',
+    formula: `x′[0] = ${toHexWord(sum[0])} → ${bytesToHex(keystream.slice(0, 4)).match(/../g).join(' ')}`,
+    byteLayout: {
+      caption: `キーストリーム（カウンタ ${counter}）`,
+      rows: [{
+        label: 'KS', operator: null, segments: [{ label: 'キーストリーム', kind: 'keystream', bytes: keystream }],
+      }],
+    },
+  });
+
+  let output = keystream;
+  if (message.length > 0) {
+    const fullKeystream = [...keystream];
+    for (let j = 1; j < blockCount; j++) fullKeystream.push(...chachaBlock(key, counter + j, nonce));
+    const pad = fullKeystream.slice(0, message.length);
+    output = xorBytes(message, pad);
+    steps.push({
+      algorithm: 'chacha20',
+      id: 'chacha-encrypt',
+      phase: 'encrypt',
+      label: 'メッセージと XOR',
+      description: 'ストリーム暗号なので、暗号文は平文とキーストリームの XOR です。復号も同じ操作です。'
+        + (blockCount > 1
+          ? `メッセージが ${message.length} バイトあるので、カウンタを ${counter} から ${counter + blockCount - 1} まで増やした ${blockCount} ブロック分のキーストリームを使います（2 ブロック目以降のラウンドは省略）。`
+          : 'キーストリームの余りは捨てます。')
+        + '同じ鍵とノンスの組を 2 度使うと、ワンタイムパッドの鍵の再利用と同じく C1 ⊕ C2 = M1 ⊕ M2 になってしまいます。',
+      formula: 'C = P ⊕ ChaCha20(鍵, ノンス, カウンタ, カウンタ + 1, …)',
+      byteLayouts: [{
+        caption: `C = P ⊕ KS（${message.length} バイト）`,
+        rows: [
+          { label: 'P', operator: null, segments: [{ label: '平文', kind: 'message', bytes: message }] },
+          { label: 'KS', operator: '⊕', segments: [{ label: 'キーストリーム', kind: 'keystream', bytes: pad }] },
+          { label: 'C', operator: '=', segments: [{ label: '暗号文', kind: 'cipher', bytes: output }] },
+        ],
+      }],
+      table: blockCount > 1 ? {
+        caption: 'ブロックごとのキーストリーム',
+        columns: ['カウンタ', 'バイト', 'キーストリーム'],
+        rows: Array.from({ length: blockCount }, (_, j) => [
+          counter + j,
+          `${j * CHACHA_BLOCK_BYTES}〜${Math.min(message.length, (j + 1) * CHACHA_BLOCK_BYTES) - 1}`,
+          bytesToHex(fullKeystream.slice(j * CHACHA_BLOCK_BYTES, (j + 1) * CHACHA_BLOCK_BYTES)),
+        ]),
+      } : null,
+      values: { '暗号文': bytesToHex(output) },
+    });
+  }
+
+  if (expectedHex) {
+    const what = message.length > 0 ? '暗号文' : 'キーストリーム';
+    const match = bytesToHex(output) === expectedHex.toLowerCase();
+    steps.push({
+      algorithm: 'chacha20',
+      id: 'chacha-result',
+      phase: 'result',
+      label: match ? 'テストベクターと一致 ✓' : 'テストベクターと不一致 ✗',
+      description: match
+        ? `計算した${what}は RFC 8439 に載っている期待値と一致しました。`
+        : `計算した${what}が RFC 8439 の期待値と一致しません。`,
+      formula: `${bytesToHex(output)}\n${match ? '=' : '≠'} ${expectedHex.toLowerCase()}`,
+      sideBySide: [
+        { title: `計算した${what}`, values: { [what]: bytesToHex(output) } },
+        { title: 'RFC 8439 の期待値', values: { [what]: expectedHex.toLowerCase() } },
+      ],
+      values: { match },
+    });
+  }
+
+  return steps;
+}
+
@@ -0,0 +1,537 @@
+/**
+ * classical.js — Vigenère, affine, monoalphabetic substitution and columnar transposition
+ * Each builder emits Caesar-style steps (charResults with pending / active / done status)
+ * so the Caesar character grid renders them; steps may add `alphabet` (the full A–Z
+ * mapping) or `grid` (the transposition table).
+ * Pure functions only. No DOM access.
+ */
+
+import { ALPHABET_SIZE, shiftChar } from './caesar.js';
+import { gcd, modInverse } from './utils.js';
+
+const UPPER_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Letter case of a character: its alphabet base code and position, or null for non-letters.
+ * @param {string} char
+ * @returns {{ base: number, pos: number }|null}
+ */
+function letterPosition(char) {
+  const code = char.charCodeAt(0);
+  if (code >= 65 && code <= 90) return { base: 65, pos: code - 65 };
+  if (code >= 97 && code <= 122) return { base: 97, pos: code - 97 };
+  return null;
+}
+
+/**
+ * Map one letter through a position → position function, keeping its case.
+ * Same result shape as shiftChar().
+ * @param {string} char
+ * @param {Function} map - (pos) → newPos, both 0–25
+ * @returns {{ original: string, shifted: string, isAlpha: boolean, base: number, pos: number, newPos: number }}
+ */
+function mapChar(char, map) {
+  const letter = letterPosition(char);
+  if (!letter) return { original: char, shifted: char, isAlpha: false, base: 0, pos: 0, newPos: 0 };
+  const newPos = map(letter.pos);
+  return { original: char, shifted: String.fromCharCode(letter.base + newPos), isAlpha: true, ...letter, newPos };
+}
+
+/**
+ * Validate a key made of letters only and return it uppercased.
+ * @param {string} key
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeKey(key, name) {
+  const trimmed = key.trim();
+  if (!/^[A-Za-z]+$/.test(trimmed)) {
+    throw new RangeError(`${name}は英字のみで入力してください。`);
+  }
+  return trimmed.toUpperCase();
+}
+
+/**
+ * Shared sequence for ciphers that replace one letter at a time: overview, one step per
+ * character, result, and a decryption check.
+ * @param {string} algorithm
+ * @param {string} text
+ * @param {Object[]} charResults - shiftChar()-shaped entries, optionally with `key`
+ * @param {Object} spec
+ * @param {Object} spec.overview - { label, description, formula }
+ * @param {Function} spec.explain - (r, i) → { description, formula } for a letter
+ * @param {Function} spec.decrypt - (ciphertext) → plaintext
+ * @param {Object} spec.params - Values shown in the result step (key, a, b, …)
+ * @param {Object|null} [spec.alphabet=null] - { from, to } mapping to show with the active letter
+ * @returns {Object[]}
+ */
+function buildLetterSteps(algorithm, text, charResults, {
+  overview, explain, decrypt, params, alphabet = null,
+}) {
+  const steps = [];
+  const withAlphabet = (active) => (alphabet ? { alphabet: { ...alphabet, active } } : {});
+
+  steps.push({
+    algorithm,
+    id: `${algorithm}-overview`,
+    phase: 'overview',
+    ...overview,
+    plaintext: text,
+    charResults: charResults.map((r) => ({ ...r, status: 'pending' })),
+    ciphertextSoFar: '',
+    ...withAlphabet(null),
+  });
+
+  let ciphertextSoFar = '';
+  charResults.forEach((r, i) => {
+    ciphertextSoFar += r.shifted;
+    const { description, formula } = r.isAlpha
+      ? explain(r, i)
+      : {
+        description: `'${r.original}' はアルファベットではないため、そのまま残します。`,
+        formula: `${r.original} → ${r.shifted}（変換なし）`,
+      };
+    steps.push({
+      algorithm,
+      id: `${algorithm}-char-${i}`,
+      phase: 'encrypt',
+      label: `文字 ${i + 1}: ${r.isAlpha ? `${r.original} → ${r.shifted}` : `${r.original}（変換なし）`}`,
+      description,
+      formula,
+      plaintext: text,
+      currentCharIndex: i,
+      charResults: charResults.map((cr, j) => ({
+        ...cr,
+        status: j < i ? 'done' : j === i ? 'active' : 'pending',
+      })),
+      ciphertextSoFar,
+      ...withAlphabet(r.isAlpha ? r.pos : null),
+    });
+  });
+
+  const done = charResults.map((r) => ({ ...r, status: 'done' }));
+  steps.push({
+    algorithm,
+    id: `${algorithm}-result`,
+    phase: 'result',
+    label: '暗号化完了',
+    description: 'すべての文字の変換が完了しました。',
+    formula: `平文: ${text}\n暗号文: ${ciphertextSoFar}`,
+    plaintext: text,
+    charResults: done,
+    ciphertextSoFar,
+    ...withAlphabet(null),
+    values: { '平文': text, '暗号文': ciphertextSoFar, ...params },
+  });
+
+  const decrypted = decrypt(ciphertextSoFar);
+  steps.push({
+    algorithm,
+    id: `${algorithm}-decrypt-verify`,
+    phase: 'decrypt',
+    label: '復号の検証',
+    description: '暗号化の逆の変換を各文字に適用すると、元のテキストに戻ります。',
+    formula: `暗号文: ${ciphertextSoFar}\n復号: ${decrypted}`,
+    plaintext: text,
+    charResults: done,
+    ciphertextSoFar,
+    values: { '暗号文': ciphertextSoFar, '復号結果': decrypted, '一致': decrypted === text ? 'Yes' : 'No' },
+  });
+
+  return steps;
+}
+
+// --- Vigenère ---
+
+/**
+ * Encrypt (or decrypt) with a repeating key: the key advances only on letters.
+ * @param {string} text
+ * @param {string} key - Letters; A = shift 0
+ * @param {1|-1} [direction=1] - -1 decrypts
+ * @returns {Object[]} shiftChar() results plus `key` (the key letter used, '' for non-letters)
+ */
+export function vigenereResults(text, key, direction = 1) {
+  const upperKey = normalizeKey(key, '鍵');
+  let k = 0;
+  return [...text].map((ch) => {
+    if (!letterPosition(ch)) return { ...shiftChar(ch, 0), key: '' };
+    const keyChar = upperKey[k % upperKey.length];
+    k++;
+    return { ...shiftChar(ch, direction * (keyChar.charCodeAt(0) - 65)), key: keyChar };
+  });
+}
+
+/**
+ * @param {string} text
+ * @param {string} key
+ * @returns {string}
+ */
+export function vigenereEncrypt(text, key) {
+  return vigenereResults(text, key).map((r) => r.shifted).join('');
+}
+
+/**
+ * @param {string} text
+ * @param {string} key
+ * @returns {string}
+ */
+export function vigenereDecrypt(text, key) {
+  return vigenereResults(text, key, -1).map((r) => r.shifted).join('');
+}
+
+/**
+ * Build Vigenère encryption steps. The key row under the plaintext shows how the key repeats.
+ * @param {string} plaintext
+ * @param {string} key
+ * @returns {Object[]} Array of step objects
+ */
+export function buildVigenereSteps(plaintext, key) {
+  if (plaintext.length === 0) throw new RangeError('テキストを入力してください。');
+  const upperKey = normalizeKey(key, '鍵');
+  const shifts = [...upperKey].map((ch) => `${ch}=${ch.charCodeAt(0) - 65}`).join(', ');
+  return buildLetterSteps('vigenere', plaintext, vigenereResults(plaintext, upperKey), {
+    overview: {
+      label: 'ヴィジュネル暗号の概要',
+      description: `鍵 ${upperKey} を平文の英字の下に繰り返し並べ、各文字を鍵の文字の分だけずらします（A = 0, B = 1, …）。`
+        + '同じ平文の文字でも位置によって違う文字になるので、シーザー暗号のような単純な頻度分析が効きにくくなります。',
+      formula: `鍵: ${upperKey}（${shifts}）\nC[i] = (P[i] + K[i mod ${upperKey.length}]) mod 26`,
+    },
+    explain: (r) => ({
+      description: `鍵の文字 '${r.key}' のシフト量は ${r.key.charCodeAt(0) - 65} です。'${r.original}'（${r.pos}）をずらすと '${r.shifted}'（${r.newPos}）になります。`,
+      formula: `${r.original}(${r.pos}) + ${r.key}(${r.key.charCodeAt(0) - 65}) = ${r.pos + r.key.charCodeAt(0) - 65} mod 26 = ${r.newPos} → ${r.shifted}`,
+    }),
+    decrypt: (c) => vigenereDecrypt(c, upperKey),
+    params: { '鍵': upperKey },
+  });
+}
+
+// --- Affine ---
+
+/**
+ * Inverse of a modulo 26, or null when gcd(a, 26) ≠ 1.
+ * @param {number} a
+ * @returns {number|null}
+ */
+export function affineInverse(a) {
+  if (gcd(BigInt(a), BigInt(ALPHABET_SIZE)) !== 1n) return null;
+  return Number(modInverse(BigInt(((a % ALPHABET_SIZE) + ALPHABET_SIZE) % ALPHABET_SIZE), BigInt(ALPHABET_SIZE)));
+}
+
+/**
+ * Check the affine key and explain a non-invertible a with two letters that collide.
+ * @param {number} a
+ * @param {number} b
+ * @returns {number} a⁻¹ mod 26
+ */
+function checkAffineKey(a, b) {
+  if (!Number.isInteger(a) || !Number.isInteger(b)) throw new RangeError('a と b は整数で入力してください。');
+  const inverse = affineInverse(a);
+  if (inverse === null) {
+    const g = Number(gcd(BigInt(a), BigInt(ALPHABET_SIZE)));
+    const other = ALPHABET_SIZE / g; // a · (26 / g) ≡ 0, so x and x + 26/g collide
+    const target = UPPER_ALPHABET[((b % ALPHABET_SIZE) + ALPHABET_SIZE) % ALPHABET_SIZE];
+    throw new RangeError(`a = ${a} は 26 と互いに素ではない（gcd = ${g}）ため復号できません。`
+      + `例: A と ${UPPER_ALPHABET[other]} がどちらも ${target} になります。a には 1, 3, 5, 7, 9, 11, 15, 17, 19, 21, 23, 25 を使ってください。`);
+  }
+  return inverse;
+}
+
+/**
+ * @param {string} text
+ * @param {number} a
+ * @param {number} b
+ * @returns {string}
+ */
+export function affineEncrypt(text, a, b) {
+  checkAffineKey(a, b);
+  return [...text].map((ch) => mapChar(ch, (x) => (((a * x + b) % ALPHABET_SIZE) + ALPHABET_SIZE) % ALPHABET_SIZE).shifted).join('');
+}
+
+/**
+ * D(y) = a⁻¹ · (y − b) mod 26.
+ * @param {string} text
+ * @param {number} a
+ * @param {number} b
+ * @returns {string}
+ */
+export function affineDecrypt(text, a, b) {
+  const inverse = checkAffineKey(a, b);
+  return [...text].map((ch) => mapChar(ch, (y) => (((inverse * (y - b)) % ALPHABET_SIZE) + ALPHABET_SIZE) % ALPHABET_SIZE).shifted).join('');
+}
+
+/**
+ * Build affine cipher steps, E(x) = (a·x + b) mod 26, starting with the invertibility check.
+ * @param {string} plaintext
+ * @param {number} a - Multiplier, coprime to 26
+ * @param {number} b - Shift
+ * @returns {Object[]} Array of step objects
+ */
+export function buildAffineSteps(plaintext, a, b) {
+  if (plaintext.length === 0) throw new RangeError('テキストを入力してください。');
+  const inverse = checkAffineKey(a, b);
+  const encrypt = (x) => (((a * x + b) % ALPHABET_SIZE) + ALPHABET_SIZE) % ALPHABET_SIZE;
+  const alphabet = { from: [...UPPER_ALPHABET], to: [...UPPER_ALPHABET].map((_, x) => UPPER_ALPHABET[encrypt(x)]) };
+  const steps = buildLetterSteps('affine', plaintext, [...plaintext].map((ch) => mapChar(ch, encrypt)), {
+    overview: {
+      label: 'アフィン暗号の概要',
+      description: `各英字を番号 x（A = 0 … Z = 25）に直し、${a}·x + ${b} を 26 で割った余りの文字に置き換えます。`
+        + 'a = 1 のときはシーザー暗号と同じです。下の対応表のように、26 文字が重複なく並べ替えられます。',
+      formula: `E(x) = (${a}·x + ${b}) mod 26\nD(y) = ${inverse}·(y − ${b}) mod 26`,
+    },
+    explain: (r) => ({
+      description: `'${r.original}' の番号 ${r.pos} を ${a} 倍して ${b} を足し、26 で割った余り ${r.newPos} が '${r.shifted}' です。`,
+      formula: `(${a}·${r.pos} + ${b}) mod 26 = ${a * r.pos + b} mod 26 = ${r.newPos} → ${r.shifted}`,
+    }),
+    decrypt: (c) => affineDecrypt(c, a, b),
+    params: { a, b, 'a⁻¹': inverse },
+    alphabet,
+  });
+
+  steps.splice(1, 0, {
+    algorithm: 'affine',
+    id: 'affine-check',
+    phase: 'overview',
+    label: '鍵の検証: a の逆元',
+    description: `復号には a·a⁻¹ ≡ 1 (mod 26) となる a⁻¹ が必要です。gcd(${a}, 26) = 1 なので逆元が存在し、`
+      + '暗号化は 26 文字の並べ替え（1 対 1 の対応）になります。gcd が 1 でない a では 2 つの文字が同じ文字に移り、復号できません。',
+    formula: `gcd(${a}, 26) = 1\na⁻¹ = ${inverse}（${a}·${inverse} = ${a * inverse} ≡ 1 mod 26）`,
+    plaintext,
+    charResults: steps[0].charResults,
+    ciphertextSoFar: '',
+    alphabet: { ...alphabet, active: null },
+    values: { a, b, 'a⁻¹': inverse },
+  });
+  return steps;
+}
+
+// --- Monoalphabetic substitution ---
+
+/**
+ * Cipher alphabet from a key: either a permutation of all 26 letters, or a keyword
+ * whose distinct letters come first, followed by the unused letters in order.
+ * @param {string} key
+ * @returns {string} 26 uppercase letters
+ */
+export function substitutionAlphabet(key) {
+  const upper = normalizeKey(key, '鍵');
+  const distinct = [...new Set(upper)].join('');
+  if (upper.length === ALPHABET_SIZE && distinct.length !== ALPHABET_SIZE) {
+    throw new RangeError('26 文字の鍵アルファベットには A〜Z を 1 回ずつ使ってください。');
+  }
+  return distinct + [...UPPER_ALPHABET].filter((ch) => !distinct.includes(ch)).join('');
+}
+
+/**
+ * @param {string} text
+ * @param {string} key
+ * @returns {string}
+ */
+export function substitutionEncrypt(text, key) {
+  const to = substitutionAlphabet(key);
+  return [...text].map((ch) => mapChar(ch, (x) => to.charCodeAt(x) - 65).shifted).join('');
+}
+
+/**
+ * @param {string} text
+ * @param {string} key
+ * @returns {string}
+ */
+export function substitutionDecrypt(text, key) {
+  const to = substitutionAlphabet(key);
+  return [...text].map((ch) => mapChar(ch, (y) => to.indexOf(UPPER_ALPHABET[y])).shifted).join('');
+}
+
+/**
+ * Build monoalphabetic substitution steps with the plain / cipher alphabet table.
+ * @param {string} plaintext
+ * @param {string} key - Keyword or full 26-letter cipher alphabet
+ * @returns {Object[]} Array of step objects
+ */
+export function buildSubstitutionSteps(plaintext, key) {
+  if (plaintext.length === 0) throw new RangeError('テキストを入力してください。');
+  const to = substitutionAlphabet(key);
+  const fromKeyword = key.trim().length !== ALPHABET_SIZE;
+  return buildLetterSteps('substitution', plaintext, [...plaintext].map((ch) => mapChar(ch, (x) => to.charCodeAt(x) - 65)), {
+    overview: {
+      label: '単一換字式暗号の概要',
+      description: (fromKeyword
+        ? `キーワード ${key.trim().toUpperCase()} の重複しない文字を先頭に、残りの文字を A から順に並べて暗号アルファベットを作ります。`
+        : '指定した 26 文字の並びを暗号アルファベットとして使います。')
+        + `鍵の候補は 26! ≈ 4×10²⁶ 通りありますが、同じ文字はいつも同じ文字になるので、文字の出現頻度から解読できます。`,
+      formula: `平文: ${UPPER_ALPHABET}\n暗号: ${to}`,
+    },
+    explain: (r) => ({
+      description: `対応表で '${r.original.toUpperCase()}' の下にある '${r.shifted.toUpperCase()}' に置き換えます（大文字・小文字はそのまま）。`,
+      formula: `${r.original} → 表の ${r.pos + 1} 列目 → ${r.shifted}`,
+    }),
+    decrypt: (c) => substitutionDecrypt(c, to),
+    params: { '暗号アルファベット': to },
+    alphabet: { from: [...UPPER_ALPHABET], to: [...to] },
+  });
+}
+
+// --- Columnar transposition ---
+
+/**
+ * Order in which the columns are read: alphabetical by key letter, ties left to right.
+ * @param {string} key
+ * @returns {number[]} Column indices in reading order
+ */
+export function columnOrder(key) {
+  return [...key.toUpperCase()]
+    .map((ch, i) => ({ ch, i }))
+    .sort((x, y) => (x.ch === y.ch ? x.i - y.i : x.ch.localeCompare(y.ch)))
+    .map(({ i }) => i);
+}
+
+/**
+ * Remove whitespace and pad with X to fill the last row.
+ * @param {string} text
+ * @param {number} columns
+ * @returns {string[]}
+ */
+function fillGrid(text, columns) {
+  const chars = [...text.replace(/\s+/g, '')];
+  while (chars.length % columns !== 0) chars.push('X');
+  return chars;
+}
+
+/**
+ * @param {string} text
+ * @param {string} key
+ * @returns {string}
+ */
+export function transpositionEncrypt(text, key) {
+  const upperKey = normalizeKey(key, '鍵');
+  const chars = fillGrid(text, upperKey.length);
+  return columnOrder(upperKey)
+    .flatMap((col) => chars.filter((_, i) => i % upperKey.length === col))
+    .join('');
+}
+
+/**
+ * Inverse of transpositionEncrypt(); the result keeps the X padding.
+ * @param {string} text
+ * @param {string} key
+ * @returns {string}
+ */
+export function transpositionDecrypt(text, key) {
+  const upperKey = normalizeKey(key, '鍵');
+  const chars = [...text];
+  const rows = chars.length / upperKey.length;
+  if (!Number.isInteger(rows)) throw new RangeError('暗号文の長さが鍵の長さの倍数ではありません。');
+  const out = new Array(chars.length);
+  columnOrder(upperKey).forEach((col, k) => {
+    for (let r = 0; r < rows; r++) out[r * upperKey.length + col] = chars[k * rows + r];
+  });
+  return out.join('');
+}
+
+/**
+ * Build columnar transposition steps: write the text in rows under the key, then read
+ * whole columns in key order. Letters keep their identity and only move, so the arrow
+ * row shows which read-out turn each character belongs to.
+ * @param {string} plaintext
+ * @param {string} key
+ * @returns {Object[]} Array of step objects
+ */
+export function buildTranspositionSteps(plaintext, key) {
+  const upperKey = normalizeKey(key, '鍵');
+  const columns = upperKey.length;
+  if (columns < 2) throw new RangeError('鍵は 2 文字以上にしてください。');
+  if (plaintext.replace(/\s+/g, '').length === 0) throw new RangeError('テキストを入力してください。');
+  const chars = fillGrid(plaintext, columns);
+  const text = chars.join('');
+  const rows = chars.length / columns;
+  const order = columnOrder(upperKey);
+  const turn = order.reduce((acc, col, k) => { acc[col] = k; return acc; }, []);
+  const ciphertext = transpositionEncrypt(plaintext, upperKey);
+  // Index by code point, the same way fillGrid() splits the text
+  const cipherChars = [...ciphertext];
+  const padding = chars.length - [...plaintext.replace(/\s+/g, '')].length;
+
+  const grid = (activeColumn, doneColumns) => ({
+    header: [...upperKey],
+    order: turn.map((k) => k + 1),
+    rows: Array.from({ length: rows }, (_, r) => chars.slice(r * columns, (r + 1) * columns)),
+    activeColumn,
+    doneColumns,
+  });
+  // Entry i is plaintext position i; its cipher-row cell shows ciphertext position i
+  const results = (activeTurn) => chars.map((ch, i) => {
+    const t = turn[i % columns];
+    const outTurn = Math.floor(i / rows);
+    const status = t < activeTurn ? 'done' : t === activeTurn ? 'active' : 'pending';
+    return {
+      original: ch,
+      shifted: cipherChars[i],
+      isAlpha: true,
+      status,
+      outputStatus: outTurn < activeTurn ? 'done' : outTurn === activeTurn ? 'active' : 'pending',
+      note: String(t + 1),
+    };
+  });
+
+  const steps = [];
+  steps.push({
+    algorithm: 'transposition',
+    id: 'transposition-overview',
+    phase: 'overview',
+    label: '列転置暗号の概要',
+    description: `空白を除いたテキストを、鍵 ${upperKey} の文字数 ${columns} 列の表に行ごとに書き込みます`
+      + `${padding > 0 ? `（最後の行は X を ${padding} 個足して埋めます）` : ''}。鍵の文字をアルファベット順に並べた順番で、列を上から読み出します。`
+      + '文字そのものは変わらず位置だけが入れ替わるので、文字の出現頻度は平文と同じです。',
+    formula: `鍵: ${upperKey}\n読み出す順番: ${order.map((col) => `${upperKey[col]}(${col + 1}列目)`).join(' → ')}`,
+    plaintext: text,
+    charResults: results(-1).map((r) => ({ ...r, status: 'pending', outputStatus: 'pending' })),
+    ciphertextSoFar: '',
+    grid: grid(null, []),
+  });
+
+  order.forEach((col, k) => {
+    const column = chars.filter((_, i) => i % columns === col).join('');
+    const soFar = cipherChars.slice(0, (k + 1) * rows).join('');
+    steps.push({
+      algorithm: 'transposition',
+      id: `transposition-column-${k}`,
+      phase: 'encrypt',
+      label: `${k + 1} 番目に読む列: ${upperKey[col]}（${col + 1} 列目）`,
+      description: `鍵の文字 '${upperKey[col]}' はアルファベット順で ${k + 1} 番目です。${col + 1} 列目を上から読み、暗号文の続きに書きます。`,
+      formula: `${col + 1} 列目: ${column}\n暗号文: ${soFar}`,
+      plaintext: text,
+      charResults: results(k),
+      ciphertextSoFar: soFar,
+      grid: grid(col, order.slice(0, k)),
+    });
+  });
+
+  const done = results(columns);
+  steps.push({
+    algorithm: 'transposition',
+    id: 'transposition-result',
+    phase: 'result',
+    label: '暗号化完了',
+    description: 'すべての列を読み出しました。',
+    formula: `平文: ${text}\n暗号文: ${ciphertext}`,
+    plaintext: text,
+    charResults: done,
+    ciphertextSoFar: ciphertext,
+    grid: grid(null, order),
+    values: { '平文（埋め込み後）': text, '暗号文': ciphertext, '鍵': upperKey },
+  });
+
+  const decrypted = transpositionDecrypt(ciphertext, upperKey);
+  steps.push({
+    algorithm: 'transposition',
+    id: 'transposition-decrypt-verify',
+    phase: 'decrypt',
+    label: '復号の検証',
+    description: `暗号文を ${rows} 文字ずつに区切って鍵の順番の列に戻し、行ごとに読むと元のテキストに戻ります。`,
+    formula: `暗号文: ${ciphertext}\n復号: ${decrypted}`,
+    plaintext: text,
+    charResults: done,
+    ciphertextSoFar: ciphertext,
+    values: { '暗号文': ciphertext, '復号結果': decrypted, '一致': decrypted === text ? 'Yes' : 'No' },
+  });
+  return steps;
+}
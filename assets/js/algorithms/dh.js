@@ -0,0 +1,401 @@
+/**
+ * dh.js — Diffie–Hellman key exchange step builder
+ * Parameter check (g a primitive root mod p), secret choice, public-value exchange and
+ * the shared secret, optionally with a man-in-the-middle replacing both public values.
+ * Pure functions only. No DOM access.
+ */
+
+import { modPow, powerDetail, formatBig } from './utils.js';
+import { isProbablePrime, bitLength, randomBits, cryptoRng, pollardRho } from './primes.js';
+
+/** Trial-divide p − 1 up to this bound before falling back to Pollard's rho. */
+const TRIAL_DIVISION_LIMIT = 1n << 16n;
+
+/** Largest p for which the eavesdropper's brute-force discrete log is run. */
+const BRUTE_FORCE_LIMIT = 1n << 20n;
+
+/** Group orders up to this many bits are within reach of a dedicated discrete-log search. */
+const FEASIBLE_LOG_BITS = 64;
+
+/** 2048-bit MODP group 14 prime from RFC 3526 §3 (g = 2 generates its prime-order subgroup). */
+const RFC3526_GROUP14_HEX = [
+  'FFFFFFFFFFFFFFFFC90FDAA22168C234C4C6628B80DC1CD129024E088A67CC74',
+  '020BBEA63B139B22514A08798E3404DDEF9519B3CD3A431B302B0A6DF25F1437',
+  '4FE1356D6D51C245E485B576625E7EC6F44C42E9A637ED6B0BFF5CB6F406B7ED',
+  'EE386BFB5A899FA5AE9F24117C4B1FE649286651ECE45B3DC2007CB8A163BF05',
+  '98DA48361C55D39A69163FA8FD24CF5F83655D23DCA3AD961C62F356208552BB',
+  '9ED529077096966D670C354E4ABC9804F1746C08CA18217C32905E462E36CE3B',
+  'E39E772C180E86039B2783A2EC07A28FB5C55DF06F4C52C9DE2BCBF695581718',
+  '3995497CEA956AE515D2261898FA051015728E5A8AACAA68FFFFFFFFFFFFFFFF',
+].join('');
+
+const RFC3526_GROUP14_P = BigInt(`0x${RFC3526_GROUP14_HEX}`);
+
+/**
+ * Parameter presets: a textbook example, two safe primes with their smallest primitive root, and RFC 3526.
+ * `factors` lists the distinct prime factors of p − 1 where factoring them at 2048 bits would
+ * stall the page (RFC 3526 proves p = 2q + 1 with q prime).
+ */
+export const DH_GROUPS = Object.freeze({
+  small: { p: 23n, g: 5n },
+  safe32: { p: 4294967087n, g: 5n },
+  safe64: { p: 18446744073709550147n, g: 2n },
+  rfc3526: { p: RFC3526_GROUP14_P, g: 2n, factors: [2n, (RFC3526_GROUP14_P - 1n) / 2n] },
+});
+
+/**
+ * Random secret exponent in 2..p−2.
+ * @param {bigint} p
+ * @param {() => number} [rng=cryptoRng]
+ * @returns {bigint}
+ */
+export function randomExponent(p, rng = cryptoRng) {
+  return 2n + (randomBits(bitLength(p), rng) % (p - 3n));
+}
+
+/**
+ * Distinct prime factors of n, smallest first.
+ * @param {bigint} n - At least 2
+ * @returns {bigint[]}
+ */
+export function distinctPrimeFactors(n) {
+  const factors = new Set();
+  let rest = n;
+  for (let f = 2n; f < TRIAL_DIVISION_LIMIT && f * f <= rest; f += f === 2n ? 1n : 2n) {
+    if (rest % f === 0n) {
+      factors.add(f);
+      while (rest % f === 0n) rest /= f;
+    }
+  }
+  const pending = rest > 1n ? [rest] : [];
+  while (pending.length > 0) {
+    const m = pending.pop();
+    if (isProbablePrime(m)) {
+      factors.add(m);
+      continue;
+    }
+    const { factor } = pollardRho(m);
+    if (!factor) {
+      throw new RangeError(`p − 1 を素因数分解できませんでした（${formatBig(m)} が残りました）。p = 2q + 1（q も素数）の形の素数を使ってください`);
+    }
+    pending.push(factor, m / factor);
+  }
+  return [...factors].sort((a, b) => (a < b ? -1 : 1));
+}
+
+/**
+ * Check whether g is a primitive root mod p: g^((p−1)/f) ≢ 1 for every prime f | p − 1.
+ * Also returns the multiplicative order of g, i.e. how many values g^x can take.
+ * @param {bigint} g
+ * @param {bigint} p - Prime
+ * @param {bigint[]} [factors] - Distinct prime factors of p − 1, if already known
+ * @returns {{ factors: bigint[], tests: { factor: bigint, exponent: bigint, value: bigint }[],
+ *   isPrimitive: boolean, order: bigint }}
+ */
+export function primitiveRootCheck(g, p, factors = distinctPrimeFactors(p - 1n)) {
+  const tests = factors.map((factor) => {
+    const exponent = (p - 1n) / factor;
+    return { factor, exponent, value: modPow(g, exponent, p) };
+  });
+  let order = p - 1n;
+  for (const f of factors) {
+    while (order % f === 0n && modPow(g, order / f, p) === 1n) order /= f;
+  }
+  return { factors, tests, isPrimitive: tests.every((t) => t.value !== 1n), order };
+}
+
+/**
+ * Smallest primitive root mod p.
+ * @param {bigint} p - Prime
+ * @param {bigint[]} [factors] - Distinct prime factors of p − 1, if already known
+ * @returns {bigint}
+ */
+export function smallestPrimitiveRoot(p, factors = distinctPrimeFactors(p - 1n)) {
+  for (let g = 2n; g < p; g++) {
+    if (factors.every((f) => modPow(g, (p - 1n) / f, p) !== 1n)) return g;
+  }
+  return 1n;
+}
+
+/**
+ * Eavesdropper's brute-force discrete log: smallest x ≥ 1 with g^x ≡ target (mod p).
+ * @param {bigint} g
+ * @param {bigint} target
+ * @param {bigint} p
+ * @returns {bigint|null} null when not found within p − 1 tries
+ */
+export function bruteForceLog(g, target, p) {
+  let value = 1n;
+  for (let x = 1n; x < p; x++) {
+    value = (value * g) % p;
+    if (value === target) return x;
+  }
+  return null;
+}
+
+/**
+ * One entry of a party's column: a value they know.
+ * @param {string} name
+ * @param {bigint} value
+ * @param {Object} [flags]
+ * @param {boolean} [flags.secret=false] - Never leaves this party
+ * @param {boolean} [flags.fresh=false] - Learned in this step
+ * @param {boolean} [flags.forged=false] - Substituted by the attacker
+ * @returns {Object}
+ */
+function known(name, value, { secret = false, fresh = false, forged = false } = {}) {
+  return { name, value, secret, fresh, forged };
+}
+
+/**
+ * Build the Diffie–Hellman steps.
+ * Each step carries `exchange`: { parties: [{ role, title, items }], message } where role is
+ * alice | channel | bob (channel is what an eavesdropper sees, or the attacker in MITM mode),
+ * items come from known(), and message is { from, to, name, value, forged } or null.
+ * @param {Object} params
+ * @param {bigint} params.p - Prime modulus
+ * @param {bigint} params.g - Generator
+ * @param {bigint} params.a - Alice's secret
+ * @param {bigint} params.b - Bob's secret
+ * @param {Object} [options]
+ * @param {boolean} [options.mitm=false] - Mallory swaps both public values for her own
+ * @param {bigint} [options.m] - Mallory's secret (required when mitm is set)
+ * @returns {Object[]} Array of step objects
+ */
+export function buildDHSteps({ p, g, a, b }, { mitm = false, m } = {}) {
+  // Presets are known primes; re-proving the 2048-bit one would freeze the page
+  const preset = Object.values(DH_GROUPS).find((group) => group.p === p);
+  if (!preset && !isProbablePrime(p)) throw new RangeError(`p = ${formatBig(p)} は素数ではありません`);
+  if (p < 5n) throw new RangeError('p は 5 以上の素数を選んでください');
+  if (g < 2n || g > p - 2n) throw new RangeError(`g は 2 ≤ g ≤ p − 2 = ${formatBig(p - 2n)} の範囲で選んでください`);
+  const secrets = mitm ? { a, b, m } : { a, b };
+  Object.entries(secrets).forEach(([name, value]) => {
+    if (value === undefined || value < 1n || value > p - 2n) {
+      throw new RangeError(`秘密の値 ${name} は 1 ≤ ${name} ≤ p − 2 = ${formatBig(p - 2n)} の範囲で選んでください`);
+    }
+  });
+
+  const steps = [];
+  const [P, G] = [p, g].map(formatBig);
+  const eve = mitm ? { role: 'channel', title: '攻撃者 Mallory' } : { role: 'channel', title: '盗聴者 Eve（通信路）' };
+  // Running knowledge of each party; `fresh` flags are cleared after every step
+  const alice = [known('p', p), known('g', g)];
+  const bob = [known('p', p), known('g', g)];
+  const channel = [known('p', p), known('g', g)];
+
+  const push = (fields, message = null) => {
+    steps.push({
+      algorithm: 'dh',
+      mode: mitm ? 'mitm' : 'standard',
+      detail: null,
+      ...fields,
+      exchange: {
+        parties: [
+          { role: 'alice', title: 'Alice', items: alice.map((k) => ({ ...k })) },
+          { ...eve, items: channel.map((k) => ({ ...k })) },
+          { role: 'bob', title: 'Bob', items: bob.map((k) => ({ ...k })) },
+        ],
+        message,
+      },
+    });
+    [alice, bob, channel].forEach((list) => list.forEach((k) => { k.fresh = false; }));
+  };
+
+  push({
+    id: 'dh-params', phase: 'setup', operation: 'chooseParams', label: '公開パラメータ p, g',
+    description: `素数 p（${bitLength(p)} ビット）と生成元 g を決めます。どちらも秘密ではなく、通信路を通して誰でも知ることができます。`,
+    formula: `p = ${P}\ng = ${G}`,
+    values: { p, g },
+  });
+
+  const check = primitiveRootCheck(g, p, preset?.factors);
+  const factorList = check.factors.map(formatBig).join(', ');
+  // g of large prime order q (e.g. q = (p−1)/2 for a safe prime) is the standard subgroup choice.
+  // The order divides p − 1, so it is prime exactly when it is one of the factors
+  const primeSubgroup = !check.isPrimitive && check.factors.includes(check.order) && check.order * check.order > p;
+  // Only a q beyond a dedicated discrete-log search counts as the standard, large subgroup
+  const orderBits = bitLength(check.order);
+  let primitiveDescription;
+  if (check.isPrimitive) {
+    primitiveDescription = `p − 1 の各素因数 f について g^((p−1)/f) mod p が 1 にならないので、g は原始根です。g^x は 1〜p−1 のすべての値（${formatBig(p - 1n)} 通り）を取ります。`;
+  } else if (primeSubgroup) {
+    primitiveDescription = `g は原始根ではありませんが、位数 q = ${formatBig(check.order)} が素数なので、g は素数位数 q の部分群を生成します。`
+      + (check.order * 2n === p - 1n ? 'p は q = (p−1)/2 も素数である安全素数で、g^x は 1〜p−1 のうち平方剰余にあたる半分（q 通り）の値を取ります。' : `g^x は q 通りの値を取ります。`)
+      + (orderBits > FEASIBLE_LOG_BITS
+        ? 'RFC 3526 などの標準パラメータもこの選び方で、部分群の位数が大きな素数なので、相手の値を小さな部分群に落とし込む攻撃を防げ、共有鍵が偶奇などの情報を漏らしません。'
+        : `ただし q は ${orderBits} ビットしかなく、離散対数を直接計算できる大きさです。標準パラメータでは q を ${FEASIBLE_LOG_BITS} ビットよりはるかに大きく取ります（RFC 3526 のグループ 14 では 2047 ビット）。`);
+  } else {
+    primitiveDescription = `g^((p−1)/f) ≡ 1 となる f があるので g は原始根ではありません。g^x は ${formatBig(check.order)} 通りの値しか取らず、共有鍵の候補がその分少なくなります`
+      + `（最小の原始根は ${formatBig(smallestPrimitiveRoot(p, check.factors))}）。原始根か、大きな素数位数の部分群の生成元を選んでください。`;
+  }
+  let generatorLabel = '生成元の確認 ✗ 原始根ではない';
+  if (check.isPrimitive) generatorLabel = '生成元の確認 ✓ 原始根';
+  else if (primeSubgroup) generatorLabel = '生成元の確認 ✓ 素数位数の部分群';
+  push({
+    id: 'dh-generator', phase: 'setup', operation: 'checkGenerator',
+    label: generatorLabel,
+    description: primitiveDescription,
+    formula: `p − 1 = ${formatBig(p - 1n)} の素因数: ${factorList}\ng の位数 = ${formatBig(check.order)}${check.isPrimitive ? ' = p − 1' : ''}`,
+    table: {
+      caption: 'すべての行で 1 以外なら g は原始根',
+      columns: ['素因数 f', '(p−1)/f', 'g^((p−1)/f) mod p'],
+      rows: check.tests.map((t) => [t.factor, t.exponent, t.value]),
+      markedRow: check.tests.findIndex((t) => t.value === 1n),
+    },
+    values: { '原始根': check.isPrimitive, '素数位数の部分群': check.isPrimitive || primeSubgroup, 'g の位数': check.order },
+  });
+
+  alice.push(known('a', a, { secret: true, fresh: true }));
+  push({
+    id: 'dh-alice-secret', phase: 'secret', operation: 'chooseSecret', label: 'Alice が秘密 a を選ぶ',
+    description: 'Alice は 1〜p−2 の範囲から乱数 a を選び、誰にも教えません。',
+    formula: `a = ${formatBig(a)}`,
+    values: { a },
+  });
+
+  bob.push(known('b', b, { secret: true, fresh: true }));
+  push({
+    id: 'dh-bob-secret', phase: 'secret', operation: 'chooseSecret', label: 'Bob が秘密 b を選ぶ',
+    description: 'Bob も同様に秘密の乱数 b を選びます。',
+    formula: `b = ${formatBig(b)}`,
+    values: { b },
+  });
+
+  const aDetail = powerDetail(g, a, p);
+  const A = aDetail.result;
+  alice.push(known('A', A, { fresh: true }));
+  push({
+    id: 'dh-alice-public', phase: 'public', operation: 'computePublic', label: 'Alice の公開値 A',
+    description: 'Alice は A = gᵃ mod p を計算します。A から a を求めるのは離散対数問題で、p が大きければ現実的な時間では解けません。',
+    formula: `A = g^a mod p = ${G}^${formatBig(a)} mod ${P} = ${formatBig(A)}`,
+    values: { g, a, p, A },
+    detail: aDetail,
+  });
+
+  const bDetail = powerDetail(g, b, p);
+  const B = bDetail.result;
+  bob.push(known('B', B, { fresh: true }));
+  push({
+    id: 'dh-bob-public', phase: 'public', operation: 'computePublic', label: 'Bob の公開値 B',
+    description: 'Bob も B = gᵇ mod p を計算します。',
+    formula: `B = g^b mod p = ${G}^${formatBig(b)} mod ${P} = ${formatBig(B)}`,
+    values: { g, b, p, B },
+    detail: bDetail,
+  });
+
+  if (!mitm) {
+    channel.push(known('A', A, { fresh: true }));
+    bob.push(known('A', A, { fresh: true }));
+    push({
+      id: 'dh-send-a', phase: 'exchange', operation: 'sendPublic', label: 'A を Bob に送る',
+      description: 'A は暗号化せずに送ります。盗聴者 Eve にも A が見えます。',
+      formula: null,
+      values: { A },
+    }, { from: 'alice', to: 'bob', name: 'A', value: A, forged: false });
+
+    channel.push(known('B', B, { fresh: true }));
+    alice.push(known('B', B, { fresh: true }));
+    push({
+      id: 'dh-send-b', phase: 'exchange', operation: 'sendPublic', label: 'B を Alice に送る',
+      description: '同様に B を Alice に送ります。Eve は p, g, A, B を知りましたが、a と b は知りません。',
+      formula: null,
+      values: { B },
+    }, { from: 'bob', to: 'alice', name: 'B', value: B, forged: false });
+
+    const sAlice = modPow(B, a, p);
+    alice.push(known('s', sAlice, { secret: true, fresh: true }));
+    push({
+      id: 'dh-alice-shared', phase: 'shared', operation: 'computeShared', label: 'Alice が共有鍵を計算',
+      description: 'Alice は受け取った B を自分の秘密 a で累乗します。',
+      formula: `s = B^a mod p = ${formatBig(B)}^${formatBig(a)} mod ${P} = ${formatBig(sAlice)}`,
+      values: { B, a, s: sAlice },
+      detail: powerDetail(B, a, p),
+    });
+
+    const sBob = modPow(A, b, p);
+    bob.push(known('s', sBob, { secret: true, fresh: true }));
+    push({
+      id: 'dh-bob-shared', phase: 'shared', operation: 'computeShared', label: 'Bob が共有鍵を計算',
+      description: 'Bob は受け取った A を自分の秘密 b で累乗します。',
+      formula: `s = A^b mod p = ${formatBig(A)}^${formatBig(b)} mod ${P} = ${formatBig(sBob)}`,
+      values: { A, b, s: sBob },
+      detail: powerDetail(A, b, p),
+    });
+
+    const match = sAlice === sBob;
+    const found = p <= BRUTE_FORCE_LIMIT ? bruteForceLog(g, A, p) : null;
+    const eveNote = p <= BRUTE_FORCE_LIMIT
+      ? `この p は小さいので、Eve は g^x を順に計算して ${found === null ? '見つけられません' : `x = ${formatBig(found)} 回目で A に一致する値を見つけ、s を計算できてしまいます`}。実際には 2048 ビット以上の p を使います。`
+      : `Eve が A から a を総当たりで探すには約 2^${bitLength(check.order)} 回の試行が必要です。${bitLength(check.order) <= FEASIBLE_LOG_BITS
+        ? 'この程度ならコンピュータで解けてしまうので、実際には 2048 ビット以上の p を使います。'
+        : '現実的な時間では終わりません。'}`;
+    push({
+      id: 'dh-result', phase: 'result', operation: 'compareShared',
+      label: match ? '共有鍵の一致 ✓' : '共有鍵の不一致 ✗',
+      description: `${match ? 'g^(ab) = (g^b)^a = (g^a)^b なので、2 人は同じ s を得ました。' : '2 人の s が一致しませんでした。'}${eveNote}`,
+      formula: `Alice: s = ${formatBig(sAlice)}\nBob:   s = ${formatBig(sBob)} ${match ? '✓ 一致' : '✗ 不一致'}`,
+      values: { s: sAlice, match, ...(found !== null ? { 'Eve が見つけた x': found } : {}) },
+    });
+    return steps;
+  }
+
+  const mDetail = powerDetail(g, m, p);
+  const M = mDetail.result;
+  channel.push(known('m', m, { secret: true, fresh: true }), known('M', M, { fresh: true }));
+  push({
+    id: 'dh-mallory-secret', phase: 'attack', operation: 'chooseSecret', label: 'Mallory が自分の鍵 m を用意',
+    description: '通信路に入り込んだ Mallory は、自分の秘密 m と M = gᵐ mod p を用意します。',
+    formula: `M = g^m mod p = ${G}^${formatBig(m)} mod ${P} = ${formatBig(M)}`,
+    values: { m, M },
+    detail: mDetail,
+  });
+
+  channel.push(known('A', A, { fresh: true }));
+  bob.push(known('A', M, { fresh: true, forged: true }));
+  push({
+    id: 'dh-send-a', phase: 'exchange', operation: 'interceptPublic', label: 'A を横取りして M にすり替え',
+    description: 'Alice が送った A を Mallory が受け取り、代わりに自分の M を Bob に送ります。Bob は M を Alice の A だと思い込みます。',
+    formula: `Alice → Mallory: A = ${formatBig(A)}\nMallory → Bob: M = ${formatBig(M)}（A のふり）`,
+    values: { A, M },
+  }, { from: 'alice', to: 'bob', name: 'A', value: M, forged: true });
+
+  channel.push(known('B', B, { fresh: true }));
+  alice.push(known('B', M, { fresh: true, forged: true }));
+  push({
+    id: 'dh-send-b', phase: 'exchange', operation: 'interceptPublic', label: 'B を横取りして M にすり替え',
+    description: 'Bob の B も横取りし、Alice には M を送ります。公開値に認証がないので、どちらも気づけません。',
+    formula: `Bob → Mallory: B = ${formatBig(B)}\nMallory → Alice: M = ${formatBig(M)}（B のふり）`,
+    values: { B, M },
+  }, { from: 'bob', to: 'alice', name: 'B', value: M, forged: true });
+
+  const sAlice = modPow(M, a, p);
+  const sBob = modPow(M, b, p);
+  alice.push(known('s', sAlice, { secret: true, fresh: true }));
+  bob.push(known('s', sBob, { secret: true, fresh: true }));
+  push({
+    id: 'dh-shared', phase: 'shared', operation: 'computeShared', label: 'Alice と Bob が共有鍵を計算',
+    description: '2 人はそれぞれ受け取った値（実は M）を自分の秘密で累乗します。2 人の鍵は一致しませんが、まだそれに気づく手段はありません。',
+    formula: `Alice: s₁ = M^a mod p = ${formatBig(sAlice)}\nBob:   s₂ = M^b mod p = ${formatBig(sBob)}`,
+    values: { 's₁（Alice）': sAlice, 's₂（Bob）': sBob },
+  });
+
+  const s1 = modPow(A, m, p);
+  const s2 = modPow(B, m, p);
+  channel.push(known('s₁', s1, { secret: true, fresh: true }), known('s₂', s2, { secret: true, fresh: true }));
+  push({
+    id: 'dh-mallory-shared', phase: 'attack', operation: 'computeShared', label: 'Mallory が両方の鍵を計算',
+    description: 'Mallory は本物の A と B を自分の m で累乗し、Alice との鍵 s₁ と Bob との鍵 s₂ の両方を手に入れます。',
+    formula: `s₁ = A^m mod p = ${formatBig(s1)} ${s1 === sAlice ? '= Alice の鍵' : ''}\ns₂ = B^m mod p = ${formatBig(s2)} ${s2 === sBob ? '= Bob の鍵' : ''}`,
+    values: { 's₁': s1, 's₂': s2 },
+  });
+
+  push({
+    id: 'dh-result', phase: 'result', operation: 'mitmResult', label: '中間者攻撃の成立',
+    description: 'Mallory は Alice からの通信を s₁ で復号して読み、s₂ で暗号化し直して Bob に転送できます。'
+      + '対策は公開値の認証です。A と B に署名を付ければ（「RSA 署名」タブを参照）、すり替えた M は検証に失敗します。',
+    formula: `Alice ⇄ Mallory: s₁ = ${formatBig(s1)}\nMallory ⇄ Bob:   s₂ = ${formatBig(s2)}`,
+    values: { 'Alice と Bob の鍵が一致': sAlice === sBob, 'Mallory が両方を知っている': s1 === sAlice && s2 === sBob },
+  });
+
+  return steps;
+}
@@ -0,0 +1,540 @@
+/**
+ * ecc.js — Elliptic-curve arithmetic over a small prime field, ECDH and toy ECDSA steps
+ * Curve y² = x³ + ax + b (mod p). Points are { x, y }; the point at infinity O is null.
+ * The field is small enough for plain numbers and for plotting every point.
+ * Pure functions only. No DOM access.
+ */
+
+import { isProbablePrime } from './primes.js';
+import { sha256 } from './sha256.js';
+import { utf8ToBytes, bytesToBigInt, tamperMessage } from './utils.js';
+
+/** Default curve: the secp256k1 equation y² = x³ + 7 over the tiny field F₉₇. */
+export const ECC_CURVE = Object.freeze({ p: 97, a: 0, b: 7 });
+
+/** Largest field size accepted; every point is enumerated and plotted. */
+export const ECC_MAX_P = 1021;
+
+/**
+ * Non-negative remainder.
+ * @param {number} n
+ * @param {number} m
+ * @returns {number}
+ */
+function mod(n, m) {
+  return ((n % m) + m) % m;
+}
+
+/**
+ * Modular inverse for small numbers (extended Euclid).
+ * @param {number} a
+ * @param {number} m
+ * @returns {number}
+ */
+export function invMod(a, m) {
+  let [r0, r1, s0, s1] = [mod(a, m), m, 1, 0];
+  while (r1 !== 0) {
+    const q = Math.floor(r0 / r1);
+    [r0, r1] = [r1, r0 - q * r1];
+    [s0, s1] = [s1, s0 - q * s1];
+  }
+  if (r0 !== 1) throw new RangeError(`${a} は mod ${m} で逆元を持ちません`);
+  return mod(s0, m);
+}
+
+/**
+ * Format a point as "(x, y)", or "O" for the point at infinity.
+ * @param {{ x: number, y: number }|null} P
+ * @returns {string}
+ */
+export function formatPoint(P) {
+  return P ? `(${P.x}, ${P.y})` : 'O';
+}
+
+/**
+ * Validate a curve and enumerate its points.
+ * @param {number} p - Prime field size (≤ ECC_MAX_P)
+ * @param {number} a
+ * @param {number} b
+ * @returns {{ p: number, a: number, b: number, points: { x: number, y: number }[], order: number }}
+ *   order counts O as well
+ */
+export function createCurve(p, a, b) {
+  if (!Number.isInteger(p) || p < 5 || p > ECC_MAX_P || !isProbablePrime(BigInt(p))) {
+    throw new RangeError(`p は 5〜${ECC_MAX_P} の素数を指定してください`);
+  }
+  const [A, B] = [mod(a, p), mod(b, p)];
+  if (mod(4 * A ** 3 + 27 * B ** 2, p) === 0) {
+    throw new RangeError('4a³ + 27b² ≡ 0 (mod p) なので特異曲線です。a, b を変えてください');
+  }
+  const points = [];
+  for (let x = 0; x < p; x++) {
+    const rhs = mod(x ** 3 + A * x + B, p);
+    for (let y = 0; y < p; y++) {
+      if ((y * y) % p === rhs) points.push({ x, y });
+    }
+  }
+  return { p, a: A, b: B, points, order: points.length + 1 };
+}
+
+/**
+ * Check whether a point lies on the curve.
+ * @param {{ x: number, y: number }|null} P
+ * @param {{ p: number, a: number, b: number }} curve
+ * @returns {boolean}
+ */
+export function isOnCurve(P, { p, a, b }) {
+  if (!P) return true;
+  return mod(P.y * P.y - (P.x ** 3 + a * P.x + b), p) === 0;
+}
+
+/**
+ * Add two points and record how: chord (P ≠ Q), tangent (P = Q), or the O / inverse cases.
+ * λ = (y₂ − y₁) / (x₂ − x₁) for a chord, (3x₁² + a) / 2y₁ for a tangent;
+ * x₃ = λ² − x₁ − x₂, y₃ = λ(x₁ − x₃) − y₁.
+ * @param {{ x: number, y: number }|null} P
+ * @param {{ x: number, y: number }|null} Q
+ * @param {{ p: number, a: number }} curve
+ * @returns {{ kind: 'identity'|'inverse'|'double'|'add', P: Object|null, Q: Object|null,
+ *   numerator: number|null, denominator: number|null, lambda: number|null, result: Object|null }}
+ */
+export function pointAdd(P, Q, { p, a }) {
+  const base = { P, Q, numerator: null, denominator: null, lambda: null };
+  if (!P) return { ...base, kind: 'identity', result: Q };
+  if (!Q) return { ...base, kind: 'identity', result: P };
+  if (P.x === Q.x && mod(P.y + Q.y, p) === 0) return { ...base, kind: 'inverse', result: null };
+
+  const doubling = P.x === Q.x && P.y === Q.y;
+  const numerator = doubling ? mod(3 * P.x * P.x + a, p) : mod(Q.y - P.y, p);
+  const denominator = doubling ? mod(2 * P.y, p) : mod(Q.x - P.x, p);
+  const lambda = mod(numerator * invMod(denominator, p), p);
+  const x = mod(lambda * lambda - P.x - Q.x, p);
+  const y = mod(lambda * (P.x - x) - P.y, p);
+  return { kind: doubling ? 'double' : 'add', P, Q, numerator, denominator, lambda, result: { x, y } };
+}
+
+/**
+ * Left-to-right double-and-add k·P, recording every doubling and addition.
+ * @param {number} k - Scalar (≥ 1)
+ * @param {{ x: number, y: number }} P
+ * @param {Object} curve
+ * @returns {{ result: Object|null, bits: string, operations: Object[] }}
+ *   operations are pointAdd() results plus { index, bit, op: 'double'|'add', multiple }
+ *   where multiple is the scalar of the running point after the operation
+ */
+export function scalarMultiply(k, P, curve) {
+  if (!Number.isInteger(k) || k < 1) throw new RangeError('スカラー k は 1 以上の整数です');
+  const bits = k.toString(2);
+  const operations = [];
+  let R = P;
+  let multiple = 1;
+  for (let i = 1; i < bits.length; i++) {
+    const doubled = pointAdd(R, R, curve);
+    multiple *= 2;
+    operations.push({ ...doubled, index: i, bit: bits[i], op: 'double', multiple });
+    R = doubled.result;
+    if (bits[i] === '1') {
+      const added = pointAdd(R, P, curve);
+      multiple += 1;
+      operations.push({ ...added, index: i, bit: '1', op: 'add', multiple });
+      R = added.result;
+    }
+  }
+  return { result: R, bits, operations };
+}
+
+/**
+ * Order of a point: the smallest n ≥ 1 with n·P = O.
+ * @param {{ x: number, y: number }} P
+ * @param {Object} curve
+ * @returns {number}
+ */
+export function pointOrder(P, curve) {
+  let R = P;
+  let n = 1;
+  while (R) {
+    R = pointAdd(R, P, curve).result;
+    n++;
+  }
+  return n;
+}
+
+/**
+ * Largest prime factor of a small positive integer (trial division).
+ * @param {number} n
+ * @returns {number}
+ */
+function largestPrimeFactor(n) {
+  let largest = 1;
+  let rest = n;
+  for (let f = 2; f * f <= rest; f++) {
+    while (rest % f === 0) {
+      largest = f;
+      rest /= f;
+    }
+  }
+  return rest > 1 ? rest : largest;
+}
+
+/**
+ * Base point with the largest order (smallest x on ties), as a toy stand-in for a standard G.
+ * With `primeOrder`, a composite order n is reduced to its largest prime factor q by
+ * taking (n / q)·P, the generator of the prime-order subgroup that ECDSA needs.
+ * @param {Object} curve - From createCurve()
+ * @param {Object} [options]
+ * @param {boolean} [options.primeOrder=false] - Require a base point of prime order
+ * @returns {{ G: { x: number, y: number }, n: number, cofactor: number, P: { x: number, y: number } }}
+ *   P is the point G was derived from (G itself when cofactor is 1)
+ */
+export function findGenerator(curve, { primeOrder = false } = {}) {
+  let best = null;
+  for (const P of curve.points) {
+    if (P.y === 0) continue;
+    const n = pointOrder(P, curve);
+    if (!best || n > best.n) best = { G: P, n, cofactor: 1, P };
+    if (n === curve.order) break;
+  }
+  if (!best) throw new RangeError('位数 3 以上の点がありません。別の曲線を選んでください');
+  if (!primeOrder || isProbablePrime(BigInt(best.n))) return best;
+
+  const q = largestPrimeFactor(best.n);
+  if (q < 3) {
+    throw new RangeError(`点の位数 ${best.n} に 3 以上の素因数がないため、ECDSA に使える素数位数の部分群がありません。別の曲線を選んでください`);
+  }
+  const cofactor = best.n / q;
+  return { G: scalarMultiply(cofactor, best.P, curve).result, n: q, cofactor, P: best.P };
+}
+
+/**
+ * Formula lines for one point addition.
+ * @param {Object} t - pointAdd() result
+ * @param {number} p
+ * @returns {string}
+ */
+function additionFormula(t, p) {
+  if (t.kind === 'identity') return `${formatPoint(t.P)} + ${formatPoint(t.Q)} = ${formatPoint(t.result)}（O は単位元）`;
+  if (t.kind === 'inverse') return `${formatPoint(t.P)} + ${formatPoint(t.Q)} = O（x が同じで y が逆符号）`;
+  const lambdaLine = t.kind === 'double'
+    ? `λ = (3x₁² + a) / 2y₁ = ${t.numerator} / ${t.denominator} ≡ ${t.lambda} (mod ${p})`
+    : `λ = (y₂ − y₁) / (x₂ − x₁) = ${t.numerator} / ${t.denominator} ≡ ${t.lambda} (mod ${p})`;
+  return [
+    lambdaLine,
+    `x₃ = λ² − x₁ − x₂ = ${t.result.x}`,
+    `y₃ = λ(x₁ − x₃) − y₁ = ${t.result.y}`,
+  ].join('\n');
+}
+
+/**
+ * Plot marks for one addition: both operands, the third intersection −R and the result R.
+ * @param {Object} t - pointAdd() result
+ * @param {Object} curve
+ * @param {string[]} names - Labels for P, Q and R
+ * @returns {Object[]}
+ */
+function additionMarks(t, { p }, [nameP, nameQ, nameR]) {
+  const marks = [{ label: nameP, point: t.P, role: 'operand' }];
+  if (t.kind !== 'double') marks.push({ label: nameQ, point: t.Q, role: 'operand' });
+  if (t.result) {
+    marks.push({ label: `−${nameR}`, point: { x: t.result.x, y: mod(-t.result.y, p) }, role: 'reflection' });
+    marks.push({ label: nameR, point: t.result, role: 'result' });
+  }
+  return marks;
+}
+
+/**
+ * A scalar multiplication packaged for a step: the result plus a selectable ladder.
+ * @param {number} k
+ * @param {Object} P
+ * @param {string} name - Label of P (e.g. 'G', 'Q_B')
+ * @param {Object} curve
+ * @returns {{ result: Object|null, ladder: Object }}
+ */
+function ladderFor(k, P, name, curve) {
+  const { result, bits, operations } = scalarMultiply(k, P, curve);
+  const times = (m) => (m === 1 ? name : `${m}${name}`);
+  return {
+    result,
+    ladder: {
+      scalar: k,
+      bits,
+      base: name,
+      operations: operations.map((t) => ({
+        index: t.index,
+        bit: t.bit,
+        op: t.op,
+        multiple: t.multiple,
+        name: times(t.multiple),
+        kind: t.kind,
+        formula: additionFormula(t, curve.p),
+        marks: additionMarks(t, curve, t.op === 'double'
+          ? [times(t.multiple / 2), '', times(t.multiple)]
+          : [times(t.multiple - 1), name, times(t.multiple)]),
+        result: t.result,
+      })),
+    },
+  };
+}
+
+/**
+ * Shared opening steps: the curve and its points, the base point, and one tangent
+ * and one chord addition (2G and 3G) with the λ formulas.
+ * @param {Object} curve
+ * @param {Object} base - findGenerator() result { G, n, cofactor, P }
+ * @param {Function} plot - (marks) → plot object
+ * @returns {Object[]}
+ */
+function buildCurveSteps(curve, { G, n, cofactor, P }, plot) {
+  const { p, a, b } = curve;
+  const steps = [];
+  steps.push({
+    algorithm: 'ecc', id: 'ecc-curve', phase: 'curve', operation: 'showCurve', label: '有限体上の楕円曲線',
+    description: `y² = x³ + ${a}x + ${b} を満たす 0〜${p - 1} の整数の組 (x, y) をすべて点で示します。実数の曲線と違って点はばらばらに散らばりますが、`
+      + `y と p − y が必ず対になるので上下対称です。無限遠点 O を加えた ${curve.order} 点が「群」を作ります。`,
+    formula: `E: y² ≡ x³ + ${a}x + ${b} (mod ${p})\n#E = ${curve.order}（O を含む）`,
+    plot: plot([]),
+    values: { p, a, b, '点の数 #E': curve.order },
+  });
+
+  steps.push({
+    algorithm: 'ecc', id: 'ecc-generator', phase: 'curve', operation: 'chooseGenerator', label: 'ベースポイント G',
+    description: (cofactor > 1
+      ? `この曲線で最大の位数 ${n * cofactor} は素数ではありません。ECDSA は mod n で k や s の逆元を使うので、n が素数である必要があります。`
+        + `そこで点 ${formatPoint(P)} を ${cofactor} 倍し、位数が素数 ${n} の部分群を生成する点を G とします（${cofactor} を余因子と呼びます）。`
+      : '')
+      + `G を繰り返し足すと、${n} 回目で無限遠点 O に戻ります。この n を G の位数と呼び、秘密鍵は 1〜n−1 から選びます。`
+      + (n === curve.order && isProbablePrime(BigInt(curve.order)) ? '#E が素数なので、O 以外のどの点も全体を生成します。' : ''),
+    formula: (cofactor > 1 ? `G = ${cofactor}·${formatPoint(P)} = ${formatPoint(G)}` : `G = ${formatPoint(G)}`)
+      + `\nn = ord(G) = ${n}（${n}·G = O）`,
+    plot: plot([{ label: 'G', point: G, role: 'key' }]),
+    values: { G: formatPoint(G), n },
+  });
+
+  const doubled = pointAdd(G, G, curve);
+  steps.push({
+    algorithm: 'ecc', id: 'ecc-double', phase: 'curve', operation: 'pointDouble', label: '点の 2 倍算: 2G = G + G',
+    description: '同じ点どうしの加算では、G における接線の傾き λ を使います。接線が曲線と再び交わる点 −2G を x 軸で折り返したものが 2G です。'
+      + '割り算は mod p の逆元を掛けることで行います。',
+    formula: additionFormula(doubled, p),
+    plot: plot(additionMarks(doubled, curve, ['G', '', '2G'])),
+    values: { G: formatPoint(G), '2G': formatPoint(doubled.result) },
+  });
+
+  if (doubled.result) {
+    const tripled = pointAdd(doubled.result, G, curve);
+    steps.push({
+      algorithm: 'ecc', id: 'ecc-add', phase: 'curve', operation: 'pointAdd', label: '点の加算: 3G = 2G + G',
+      description: '異なる 2 点の加算では、2 点を結ぶ直線の傾き λ を使います。直線と曲線の 3 つ目の交点 −3G を折り返すと 3G です。',
+      formula: additionFormula(tripled, p),
+      plot: plot(additionMarks(tripled, curve, ['2G', 'G', '3G'])),
+      values: { '2G': formatPoint(doubled.result), G: formatPoint(G), '3G': formatPoint(tripled.result) },
+    });
+  }
+  return steps;
+}
+
+/**
+ * Validate a secret scalar in 1..n−1.
+ * @param {number} value
+ * @param {string} name
+ * @param {number} n
+ * @param {Object} [options]
+ * @param {boolean} [options.invertible=false] - Also require gcd(value, n) = 1 (ECDSA inverts k mod n)
+ */
+function checkScalar(value, name, n, { invertible = false } = {}) {
+  if (!Number.isInteger(value) || value < 1 || value >= n) {
+    throw new RangeError(`${name} は 1〜${n - 1} の整数を指定してください（n = ${n}）`);
+  }
+  if (!invertible) return;
+  let [x, y] = [value, n];
+  while (y !== 0) [x, y] = [y, x % y];
+  if (x !== 1) {
+    throw new RangeError(`${name} = ${value} は n = ${n} と公約数 ${x} を持つため mod n の逆元がありません。n と互いに素な値を指定してください`);
+  }
+}
+
+/**
+ * Build ECC steps for ECDH key agreement or a toy ECDSA signature.
+ * Steps carry `plot`: { p, points, marks: [{ label, point, role }] } with role one of
+ * key | operand | reflection | result, and scalar-multiplication steps also carry
+ * `ladder`: { scalar, bits, base, operations } where each operation has its own
+ * formula and marks so the renderer can highlight one addition at a time.
+ * @param {'ecdh'|'ecdsa'} scenario
+ * @param {Object} params
+ * @param {{ p: number, a: number, b: number }} [params.curve=ECC_CURVE]
+ * @param {number} [params.alice] - ECDH: Alice's private key
+ * @param {number} [params.bob] - ECDH: Bob's private key
+ * @param {number} [params.privateKey] - ECDSA: signer's private key d
+ * @param {number} [params.nonce] - ECDSA: per-signature secret k
+ * @param {string} [params.message] - ECDSA: message to sign
+ * @param {boolean} [params.tamper=false] - ECDSA: verify a message with one character changed
+ * @returns {Object[]} Array of step objects
+ */
+export function buildECCSteps(scenario, {
+  curve: curveParams = ECC_CURVE, alice, bob, privateKey, nonce, message = '', tamper = false,
+} = {}) {
+  const curve = createCurve(curveParams.p, curveParams.a, curveParams.b);
+  const base = findGenerator(curve, { primeOrder: scenario === 'ecdsa' });
+  const { G, n } = base;
+  const points = curve.points.map(({ x, y }) => [x, y]);
+  const plot = (marks) => ({ p: curve.p, points, marks });
+
+  const steps = buildCurveSteps(curve, base, plot);
+
+  if (scenario === 'ecdh') {
+    checkScalar(alice, 'Alice の秘密鍵 d_A', n);
+    checkScalar(bob, 'Bob の秘密鍵 d_B', n);
+    const qa = ladderFor(alice, G, 'G', curve);
+    steps.push({
+      algorithm: 'ecc', id: 'ecc-alice-key', phase: 'keygen', operation: 'scalarMultiply', label: 'Alice の公開鍵 Q_A = d_A·G',
+      description: `d_A を 2 進数 ${qa.ladder.bits} に直し、上位ビットから「2 倍」と「G を足す」を繰り返します（double-and-add）。`
+        + '各操作をクリックすると、その加算を曲線上で確認できます。d_A·G から d_A を求める問題（ECDLP）は、大きな曲線では解けません。',
+      formula: `Q_A = ${alice}·G = ${formatPoint(qa.result)}`,
+      plot: plot([{ label: 'G', point: G, role: 'key' }, { label: 'Q_A', point: qa.result, role: 'result' }]),
+      ladder: qa.ladder,
+      values: { d_A: alice, Q_A: formatPoint(qa.result), '演算回数': qa.ladder.operations.length },
+    });
+
+    const qb = ladderFor(bob, G, 'G', curve);
+    steps.push({
+      algorithm: 'ecc', id: 'ecc-bob-key', phase: 'keygen', operation: 'scalarMultiply', label: 'Bob の公開鍵 Q_B = d_B·G',
+      description: 'Bob も同様に公開鍵を計算します。Q_A と Q_B を交換しますが、d_A と d_B は送りません。',
+      formula: `Q_B = ${bob}·G = ${formatPoint(qb.result)}`,
+      plot: plot([{ label: 'G', point: G, role: 'key' }, { label: 'Q_B', point: qb.result, role: 'result' }]),
+      ladder: qb.ladder,
+      values: { d_B: bob, Q_B: formatPoint(qb.result), '演算回数': qb.ladder.operations.length },
+    });
+
+    const sa = ladderFor(alice, qb.result, 'Q_B', curve);
+    steps.push({
+      algorithm: 'ecc', id: 'ecc-alice-shared', phase: 'exchange', operation: 'scalarMultiply', label: 'Alice が共有点を計算: S = d_A·Q_B',
+      description: 'Alice は受け取った Q_B に自分の秘密鍵 d_A を掛けます。',
+      formula: `S = ${alice}·${formatPoint(qb.result)} = ${formatPoint(sa.result)}`,
+      plot: plot([{ label: 'Q_B', point: qb.result, role: 'key' }, { label: 'S', point: sa.result, role: 'result' }]),
+      ladder: sa.ladder,
+      values: { d_A: alice, Q_B: formatPoint(qb.result), S: formatPoint(sa.result) },
+    });
+
+    const sb = ladderFor(bob, qa.result, 'Q_A', curve);
+    steps.push({
+      algorithm: 'ecc', id: 'ecc-bob-shared', phase: 'exchange', operation: 'scalarMultiply', label: 'Bob が共有点を計算: S = d_B·Q_A',
+      description: 'Bob は受け取った Q_A に自分の秘密鍵 d_B を掛けます。',
+      formula: `S = ${bob}·${formatPoint(qa.result)} = ${formatPoint(sb.result)}`,
+      plot: plot([{ label: 'Q_A', point: qa.result, role: 'key' }, { label: 'S', point: sb.result, role: 'result' }]),
+      ladder: sb.ladder,
+      values: { d_B: bob, Q_A: formatPoint(qa.result), S: formatPoint(sb.result) },
+    });
+
+    const match = formatPoint(sa.result) === formatPoint(sb.result);
+    steps.push({
+      algorithm: 'ecc', id: 'ecc-result', phase: 'exchange', operation: 'compareShared', label: match ? '共有点の一致 ✓' : '共有点の不一致 ✗',
+      description: `${match ? 'd_A·(d_B·G) = d_B·(d_A·G) なので、2 人は同じ点 S を得ました。通常は S の x 座標を共通鍵の材料にします。' : '2 人の S が一致しませんでした。'}`
+        + `この曲線は点が ${curve.order} 個しかないので総当たりで d_A が分かりますが、Bitcoin の secp256k1 は同じ式 y² = x³ + 7 を 256 ビットの素数 p 上で使います。`,
+      formula: `Alice: S = ${formatPoint(sa.result)}\nBob:   S = ${formatPoint(sb.result)} ${match ? '✓ 一致' : '✗ 不一致'}`,
+      plot: plot([{ label: 'S', point: sa.result, role: 'result' }]),
+      values: { '共有鍵（S の x 座標）': sa.result ? sa.result.x : 'O', match },
+    });
+    return steps;
+  }
+
+  // Toy ECDSA: arithmetic mod n on scalars, points on the curve
+  checkScalar(privateKey, '秘密鍵 d', n, { invertible: true });
+  checkScalar(nonce, 'ナンス k', n, { invertible: true });
+  if (message.length === 0) throw new RangeError('署名するメッセージを入力してください');
+  const hashMod = (text) => Number(bytesToBigInt(sha256(utf8ToBytes(text))) % BigInt(n));
+
+  const q = ladderFor(privateKey, G, 'G', curve);
+  steps.push({
+    algorithm: 'ecc', id: 'ecc-sign-key', phase: 'keygen', operation: 'scalarMultiply', label: '署名者の公開鍵 Q = d·G',
+    description: '秘密鍵 d から公開鍵 Q を double-and-add で計算します。各操作をクリックすると、その加算を曲線上で確認できます。',
+    formula: `Q = ${privateKey}·G = ${formatPoint(q.result)}`,
+    plot: plot([{ label: 'G', point: G, role: 'key' }, { label: 'Q', point: q.result, role: 'result' }]),
+    ladder: q.ladder,
+    values: { d: privateKey, Q: formatPoint(q.result) },
+  });
+
+  const z = hashMod(message);
+  steps.push({
+    algorithm: 'ecc', id: 'ecc-sign-hash', phase: 'sign', operation: 'hashMessage', label: 'メッセージのハッシュ z',
+    description: `SHA-256 のハッシュ値を n = ${n} で割った余りを z とします（本来は n のビット長に切り詰めますが、ここでは小さな n に合わせて mod を取ります）。`,
+    formula: `z = SHA-256("${message}") mod ${n} = ${z}`,
+    plot: plot([{ label: 'Q', point: q.result, role: 'key' }]),
+    values: { 'メッセージ': message, z },
+  });
+
+  const R = ladderFor(nonce, G, 'G', curve);
+  const r = R.result ? R.result.x % n : 0;
+  if (r === 0) throw new RangeError(`k = ${nonce} では r = 0 になります。別のナンス k を選んでください`);
+  steps.push({
+    algorithm: 'ecc', id: 'ecc-sign-nonce', phase: 'sign', operation: 'scalarMultiply', label: 'ナンス点 R = k·G と r',
+    description: '署名ごとに新しい秘密の乱数 k を選び、R = k·G の x 座標を n で割った余りを r とします。',
+    formula: `R = ${nonce}·G = ${formatPoint(R.result)}\nr = R.x mod n = ${R.result.x} mod ${n} = ${r}`,
+    plot: plot([{ label: 'G', point: G, role: 'key' }, { label: 'R', point: R.result, role: 'result' }]),
+    ladder: R.ladder,
+    values: { k: nonce, R: formatPoint(R.result), r },
+  });
+
+  const kInv = invMod(nonce, n);
+  const s = mod(kInv * (z + r * privateKey), n);
+  if (s === 0) throw new RangeError(`k = ${nonce} では s = 0 になります。別のナンス k を選んでください`);
+  steps.push({
+    algorithm: 'ecc', id: 'ecc-sign-s', phase: 'sign', operation: 'computeS', label: '署名値 s',
+    description: 's = k⁻¹(z + r·d) mod n を計算し、(r, s) を署名として送ります。'
+      + '同じ k を 2 つのメッセージに使うと、2 つの s の差から k と d が計算できてしまう（PS3 の鍵流出の原因）ので、k は必ず毎回変えます。',
+    formula: `k⁻¹ mod n = ${kInv}\ns = k⁻¹(z + r·d) mod n = ${kInv}·(${z} + ${r}·${privateKey}) mod ${n} = ${s}`,
+    plot: plot([{ label: 'R', point: R.result, role: 'result' }]),
+    values: { r, s, '署名 (r, s)': `(${r}, ${s})` },
+  });
+
+  const received = tamper ? tamperMessage(message) : message;
+  const z2 = hashMod(received);
+  const w = invMod(s, n);
+  const [u1, u2] = [mod(z2 * w, n), mod(r * w, n)];
+  steps.push({
+    algorithm: 'ecc', id: 'ecc-verify-scalars', phase: 'verify', operation: 'computeU', label: tamper ? '検証: u₁, u₂ の計算（改ざんあり）' : '検証: u₁, u₂ の計算',
+    description: tamper
+      ? `途中でメッセージが「${received}」に書き換えられました。検証者は受け取ったメッセージのハッシュ z′ と署名 (r, s) から u₁, u₂ を計算します。`
+      : '検証者は受け取ったメッセージのハッシュ z′ と署名 (r, s) から u₁, u₂ を計算します。秘密の値は使いません。',
+    formula: `z′ = SHA-256("${received}") mod ${n} = ${z2}\nw = s⁻¹ mod n = ${w}\nu₁ = z′·w mod n = ${u1}\nu₂ = r·w mod n = ${u2}`,
+    plot: plot([{ label: 'Q', point: q.result, role: 'key' }]),
+    values: { 'z′': z2, w, 'u₁': u1, 'u₂': u2 },
+  });
+
+  const X1 = scalarMultiply(u1 || n, G, curve).result;
+  const X2 = scalarMultiply(u2 || n, q.result, curve).result;
+  const X = pointAdd(X1, X2, curve);
+  steps.push({
+    algorithm: 'ecc', id: 'ecc-verify-point', phase: 'verify', operation: 'pointAdd', label: '検証: X = u₁·G + u₂·Q',
+    description: '公開鍵 Q を使って点 X を計算します。正しい署名なら u₁ + u₂·d ≡ k (mod n) となり、X は署名時の R と同じ点になります。',
+    formula: `u₁·G = ${formatPoint(X1)}\nu₂·Q = ${formatPoint(X2)}\n${additionFormula(X, curve.p)}`,
+    plot: plot(X.result
+      ? [...additionMarks(X, curve, ['u₁G', 'u₂Q', 'X']), { label: 'R', point: R.result, role: 'key' }]
+      : [{ label: 'R', point: R.result, role: 'key' }]),
+    values: { X: formatPoint(X.result) },
+  });
+
+  const v = X.result ? X.result.x % n : null;
+  const valid = v === r;
+  // With a tiny n a changed message still passes now and then: z′ ≡ z (mod n), or an X
+  // other than R whose x coordinate happens to reduce to r
+  const collision = tamper && valid;
+  let label = valid ? '検証結果 ✓ 署名は有効' : '検証結果 ✗ 署名は無効';
+  let description = valid
+    ? 'X の x 座標を n で割った余りが r と一致しました。署名は秘密鍵 d の持ち主が、このメッセージに対して作ったものです。'
+    : 'X の x 座標が r と一致しません。メッセージが改ざんされたか、別の鍵で署名されています。';
+  if (collision) {
+    label = '検証結果 ⚠ 改ざんしたのに通ってしまった（小さな n での衝突）';
+    description = (z2 === z
+      ? `改ざん後のハッシュが mod ${n} で元のハッシュと同じ値 z′ = z = ${z} になったため、`
+      : `改ざん後の X は R と異なりますが、その x 座標を ${n} で割った余りが偶然 r と一致したため、`)
+      + '改ざんされたメッセージが検証を通ってしまいました。これは正しい署名ではなく、n がとても小さい群で起きる衝突です。'
+      + '実際の曲線は n が約 256 ビットあり、このような一致が起きる確率は無視できるほど小さくなります。';
+  }
+  steps.push({
+    algorithm: 'ecc', id: 'ecc-verify-result', phase: 'verify', operation: 'verifySignature', label,
+    description,
+    formula: `X.x mod n = ${v ?? '—'} ${valid ? '=' : '≠'} r = ${r} ${valid ? '✓ 有効' : '✗ 無効'}`,
+    plot: plot([{ label: 'X', point: X.result, role: 'result' }, { label: 'R', point: R.result, role: 'key' }]),
+    values: { r, 'X.x mod n': v ?? '—', valid },
+  });
+  return steps;
+}
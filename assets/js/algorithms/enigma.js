@@ -0,0 +1,344 @@
+/**
+ * enigma.js — Enigma I simulator and per-keypress step builder
+ * Rotors I–V, reflectors B / C, ring settings, plugboard, and the double-step anomaly.
+ * Pure functions only. No DOM access.
+ */
+
+import { ALPHABET_SIZE } from './caesar.js';
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/** Rotor wirings (entry A–Z → exit) and the window letter at which each rotor turns its left neighbour. */
+export const ENIGMA_ROTORS = Object.freeze({
+  I: Object.freeze({ wiring: 'EKMFLGDQVZNTOWYHXUSPAIBRCJ', notch: 'Q' }),
+  II: Object.freeze({ wiring: 'AJDKSIRUXBLHWTMCQGZNPYFVOE', notch: 'E' }),
+  III: Object.freeze({ wiring: 'BDFHJLCPRTXVZNYEIWGAKMUSQO', notch: 'V' }),
+  IV: Object.freeze({ wiring: 'ESOVPZJAYQUIRHXLNFTGKDCMWB', notch: 'J' }),
+  V: Object.freeze({ wiring: 'VZBRGITYUPSDNHLXAWMJQOFECK', notch: 'Z' }),
+});
+
+/** Reflector (Umkehrwalze) wirings. */
+export const ENIGMA_REFLECTORS = Object.freeze({
+  B: 'YRUHQSLDPXNGOKMIEBFZCWVJAT',
+  C: 'FVPJIAOYEDRZXWGCTKUQSBNMHL',
+});
+
+/** Longest message visualized (one step per letter). */
+export const ENIGMA_MAX_LETTERS = 250;
+
+/**
+ * Known settings. `barbarossa` is part 1 of the German Army message of 7 July 1941
+ * (Operation Barbarossa) with its message key BLA; `doubleStep` starts at ADU, one key
+ * before the right rotor's notch, so the middle rotor steps on the second keypress and
+ * double-steps on the third.
+ */
+export const ENIGMA_PRESETS = Object.freeze({
+  barbarossa: Object.freeze({
+    rotors: ['II', 'IV', 'V'],
+    reflector: 'B',
+    rings: '02 21 12',
+    positions: 'BLA',
+    plugboard: 'AV BS CG DL FU HZ IN KM OW RX',
+    text: 'EDPUDNRGYSZRCXNUYTPOMRMBOFKTBZREZKMLXLVEFGUEYSIOZVEQMIKUBPMMYLKLTTDEISMDICAGYKUACTCDOMOHWXMUUIAUBSTSLRNBZSZWNRFXWFYSSXJZVIJHIDISHPRKLKAYUPADTXQSPINQMATLPIFSVKDASCTACDPBOPVHJK',
+    expected: 'AUFKLXABTEILUNGXVONXKURTINOWAXKURTINOWAXNORDWESTLXSEBEZXSEBEZXUAFFLIEGERSTRASZERIQTUNGXDUBROWKIXDUBROWKIXOPOTSCHKAXOPOTSCHKAXUMXEINSAQTDREINULLXUHRANGETRETENXANGRIFFXINFXRGTX',
+  }),
+  doubleStep: Object.freeze({
+    rotors: ['I', 'II', 'III'],
+    reflector: 'B',
+    rings: 'AAA',
+    positions: 'ADU',
+    plugboard: '',
+    text: 'AAAAA',
+    expected: null,
+  }),
+});
+
+/**
+ * @param {string} ch - Uppercase letter
+ * @returns {number}
+ */
+function toIndex(ch) {
+  return ch.charCodeAt(0) - 65;
+}
+
+/**
+ * @param {number} value
+ * @returns {number} value mod 26 in 0–25
+ */
+function mod26(value) {
+  return ((value % ALPHABET_SIZE) + ALPHABET_SIZE) % ALPHABET_SIZE;
+}
+
+/**
+ * Parse ring settings written as three letters ("AAA") or three numbers 1–26 ("02 21 12").
+ * @param {string} value
+ * @returns {number[]} Three offsets 0–25
+ */
+export function parseRings(value) {
+  const trimmed = value.trim();
+  if (/^[A-Za-z]{3}$/.test(trimmed)) return [...trimmed.toUpperCase()].map(toIndex);
+  const numbers = trimmed.split(/[\s,]+/).map((n) => Number(n));
+  if (numbers.length !== 3 || numbers.some((n) => !Number.isInteger(n) || n < 1 || n > ALPHABET_SIZE)) {
+    throw new RangeError('リング設定は 3 文字（例: AAA）か、1〜26 の数 3 つ（例: 02 21 12）で入力してください。');
+  }
+  return numbers.map((n) => n - 1);
+}
+
+/**
+ * Parse plugboard pairs such as "AV BS CG". Each letter may appear at most once.
+ * @param {string} value
+ * @returns {number[]} Mapping of 26 indices (identity for unplugged letters)
+ */
+export function parsePlugboard(value) {
+  const map = [...ALPHABET].map((_, i) => i);
+  const pairs = value.trim().toUpperCase().split(/[\s,]+/).filter(Boolean);
+  const used = new Set();
+  pairs.forEach((pair) => {
+    if (!/^[A-Z]{2}$/.test(pair) || pair[0] === pair[1]) {
+      throw new RangeError(`プラグボードの組「${pair}」が不正です。異なる英字 2 文字の組を空白で区切って入力してください（例: AV BS CG）。`);
+    }
+    [...pair].forEach((ch) => {
+      if (used.has(ch)) throw new RangeError(`プラグボードで ${ch} が 2 回使われています。`);
+      used.add(ch);
+    });
+    map[toIndex(pair[0])] = toIndex(pair[1]);
+    map[toIndex(pair[1])] = toIndex(pair[0]);
+  });
+  return map;
+}
+
+/**
+ * Validate settings and convert them to indices.
+ * @param {Object} settings - { rotors: [left, middle, right], reflector, rings, positions, plugboard }
+ * @returns {{ rotors: string[], reflector: string, rings: number[], positions: number[], plugboard: number[], plugPairs: string }}
+ */
+export function normalizeSettings({ rotors, reflector, rings, positions, plugboard }) {
+  if (rotors.length !== 3 || rotors.some((name) => !ENIGMA_ROTORS[name])) {
+    throw new RangeError('ローターは I〜V から 3 つ選んでください。');
+  }
+  if (new Set(rotors).size !== 3) throw new RangeError('同じローターを 2 か所で使うことはできません。');
+  if (!ENIGMA_REFLECTORS[reflector]) throw new RangeError('反転ローターは B か C を選んでください。');
+  if (!/^[A-Za-z]{3}$/.test(positions.trim())) {
+    throw new RangeError('ローターの初期位置は英字 3 文字で入力してください（例: AAA）。');
+  }
+  return {
+    rotors: [...rotors],
+    reflector,
+    rings: parseRings(rings),
+    positions: [...positions.trim().toUpperCase()].map(toIndex),
+    plugboard: parsePlugboard(plugboard),
+    plugPairs: plugboard.trim().toUpperCase().split(/[\s,]+/).filter(Boolean).join(' '),
+  };
+}
+
+/**
+ * Advance the rotors for one keypress (before the signal flows). The right rotor always
+ * steps; a rotor at its notch steps its left neighbour. The middle rotor also steps itself
+ * when it turns the left rotor, so it moves on two consecutive keypresses: the double step.
+ * @param {number[]} positions - [left, middle, right] window positions 0–25
+ * @param {string[]} rotors - [left, middle, right] rotor names
+ * @returns {{ positions: number[], stepped: boolean[], doubleStep: boolean }}
+ */
+export function stepRotors(positions, rotors) {
+  const [left, middle, right] = positions;
+  const middleAtNotch = ALPHABET[middle] === ENIGMA_ROTORS[rotors[1]].notch;
+  const rightAtNotch = ALPHABET[right] === ENIGMA_ROTORS[rotors[2]].notch;
+  const stepped = [middleAtNotch, middleAtNotch || rightAtNotch, true];
+  return {
+    positions: positions.map((pos, i) => (stepped[i] ? mod26(pos + 1) : pos)),
+    stepped,
+    doubleStep: middleAtNotch,
+  };
+}
+
+/**
+ * Pass a signal through one rotor. The contact it enters is shifted by the rotor's
+ * position minus its ring setting before the wiring is applied.
+ * @param {number} input - Letter index at the fixed entry contacts
+ * @param {string} name
+ * @param {number} position
+ * @param {number} ring
+ * @param {boolean} backward - true on the way back from the reflector
+ * @returns {{ output: number, contactIn: number, contactOut: number }}
+ */
+function throughRotor(input, name, position, ring, backward) {
+  const { wiring } = ENIGMA_ROTORS[name];
+  const offset = position - ring;
+  const contactIn = mod26(input + offset);
+  const contactOut = backward ? wiring.indexOf(ALPHABET[contactIn]) : toIndex(wiring[contactIn]);
+  return { output: mod26(contactOut - offset), contactIn, contactOut };
+}
+
+/**
+ * Encrypt one letter with the rotors already stepped, recording every stage of the path.
+ * @param {number} input
+ * @param {Object} machine - Normalized settings with the current positions
+ * @returns {{ output: number, path: Object[] }} path: { stage, name, input, output, contactIn?, contactOut? } with letters
+ */
+function encipherLetter(input, { rotors, reflector, rings, positions, plugboard }) {
+  const path = [];
+  let signal = plugboard[input];
+  path.push({ stage: 'plugboard', name: 'プラグボード', input: ALPHABET[input], output: ALPHABET[signal] });
+  for (const i of [2, 1, 0]) {
+    const r = throughRotor(signal, rotors[i], positions[i], rings[i], false);
+    path.push({
+      stage: 'rotor', name: rotors[i], slot: i, input: ALPHABET[signal], output: ALPHABET[r.output],
+      contactIn: ALPHABET[r.contactIn], contactOut: ALPHABET[r.contactOut],
+    });
+    signal = r.output;
+  }
+  const reflected = toIndex(ENIGMA_REFLECTORS[reflector][signal]);
+  path.push({ stage: 'reflector', name: `UKW-${reflector}`, input: ALPHABET[signal], output: ALPHABET[reflected] });
+  signal = reflected;
+  for (const i of [0, 1, 2]) {
+    const r = throughRotor(signal, rotors[i], positions[i], rings[i], true);
+    path.push({
+      stage: 'rotor-back', name: rotors[i], slot: i, input: ALPHABET[signal], output: ALPHABET[r.output],
+      contactIn: ALPHABET[r.contactIn], contactOut: ALPHABET[r.contactOut],
+    });
+    signal = r.output;
+  }
+  const output = plugboard[signal];
+  path.push({ stage: 'plugboard-back', name: 'プラグボード', input: ALPHABET[signal], output: ALPHABET[output] });
+  return { output, path };
+}
+
+/**
+ * Encrypt (or, with the same settings, decrypt) a text. Non-letters are dropped.
+ * @param {string} text
+ * @param {Object} settings - See normalizeSettings()
+ * @returns {string}
+ */
+export function enigmaEncrypt(text, settings) {
+  const machine = normalizeSettings(settings);
+  let { positions } = machine;
+  return [...text.toUpperCase().replace(/[^A-Z]/g, '')].map((ch) => {
+    positions = stepRotors(positions, machine.rotors).positions;
+    return ALPHABET[encipherLetter(toIndex(ch), { ...machine, positions }).output];
+  }).join('');
+}
+
+/**
+ * @param {number[]} positions
+ * @returns {string}
+ */
+function windowText(positions) {
+  return positions.map((p) => ALPHABET[p]).join('');
+}
+
+/**
+ * Find the preset typed with exactly these settings and letters.
+ * @param {string} letters - Uppercase letters to type
+ * @param {Object} machine - Result of normalizeSettings()
+ * @returns {Object|undefined}
+ */
+function findPreset(letters, machine) {
+  return Object.values(ENIGMA_PRESETS).find((preset) => {
+    const known = normalizeSettings(preset);
+    return preset.text === letters
+      && ['rotors', 'reflector', 'rings', 'positions', 'plugboard'].every((k) => String(known[k]) === String(machine[k]));
+  });
+}
+
+/**
+ * Build one step per keypress. Each key step carries `enigma`:
+ * { rotors: [{ name, slot, before, after, stepped, notch, ring }], doubleStep, path, input, output }.
+ * When the settings and letters match one of ENIGMA_PRESETS, the result is compared
+ * with its known output.
+ * @param {string} text - Letters to type; other characters are dropped
+ * @param {Object} settings - { rotors, reflector, rings, positions, plugboard }
+ * @returns {Object[]} Array of step objects
+ */
+export function buildEnigmaSteps(text, settings) {
+  const machine = normalizeSettings(settings);
+  const letters = text.toUpperCase().replace(/[^A-Z]/g, '');
+  if (letters.length === 0) throw new RangeError('英字を入力してください。');
+  if (letters.length > ENIGMA_MAX_LETTERS) {
+    throw new RangeError(`入力は英字 ${ENIGMA_MAX_LETTERS} 文字以内にしてください（現在: ${letters.length} 文字）。`);
+  }
+  const expected = findPreset(letters, machine)?.expected ?? null;
+  const slotNames = ['左', '中', '右'];
+  const rotorView = (before, after, stepped) => machine.rotors.map((name, i) => ({
+    name,
+    slot: slotNames[i],
+    before: before ? ALPHABET[before[i]] : null,
+    after: ALPHABET[after[i]],
+    stepped: stepped ? stepped[i] : false,
+    notch: ENIGMA_ROTORS[name].notch,
+    ring: ALPHABET[machine.rings[i]],
+  }));
+  const steps = [];
+
+  steps.push({
+    algorithm: 'enigma',
+    id: 'enigma-setup',
+    phase: 'setup',
+    label: 'エニグマの設定',
+    description: 'エニグマ I は 3 つのローター、反転ローター（UKW）、プラグボードで文字を置き換えます。'
+      + 'キーを押すたびに先にローターが回り、その後で電流が右から左へローターを通り、反転ローターで折り返して同じローターを逆向きに戻り、ランプが点きます。'
+      + '同じ設定で暗号文を打てば平文に戻り、どの文字も自分自身には暗号化されません。空白や記号は入力から除きます。',
+    formula: `ローター（左・中・右）: ${machine.rotors.join(' ')}\n反転ローター: UKW-${machine.reflector}\n`
+      + `リング設定: ${machine.rings.map((r) => String(r + 1).padStart(2, '0')).join(' ')}（${windowText(machine.rings)}）\n`
+      + `初期位置: ${windowText(machine.positions)}\nプラグボード: ${machine.plugPairs || 'なし'}`,
+    enigma: { rotors: rotorView(null, machine.positions, null), doubleStep: false, path: null, input: null, output: null },
+    values: { '入力の文字数': letters.length },
+  });
+
+  let { positions } = machine;
+  let outputSoFar = '';
+  let middleSteppedBefore = false;
+  [...letters].forEach((ch, i) => {
+    const before = positions;
+    const turn = stepRotors(positions, machine.rotors);
+    positions = turn.positions;
+    const { output, path } = encipherLetter(toIndex(ch), { ...machine, positions });
+    outputSoFar += ALPHABET[output];
+    let stepping = `右ローターが ${ALPHABET[before[2]]} → ${ALPHABET[positions[2]]} に 1 つ進みます。`;
+    if (turn.doubleStep) {
+      stepping += `中ローターが切り欠きの位置 ${ENIGMA_ROTORS[machine.rotors[1]].notch} にあるので、中ローターが左ローターを進め、自分も同時に進みます（二重ステップ）。`
+        + (middleSteppedBefore ? '中ローターは直前のキーでも進んだため、2 回続けて動きます。' : '');
+    } else if (turn.stepped[1]) {
+      stepping += `右ローターが切り欠きの位置 ${ENIGMA_ROTORS[machine.rotors[2]].notch} にあったので、中ローターも 1 つ進みます。`;
+    }
+    steps.push({
+      algorithm: 'enigma',
+      id: `enigma-key-${i}`,
+      phase: 'key',
+      label: `キー ${i + 1}: ${ch} → ${ALPHABET[output]}${turn.doubleStep ? '（二重ステップ）' : ''}`,
+      description: stepping
+        + `電流は ${path.map((s) => s.output).join(' → ')} と流れ、ランプ ${ALPHABET[output]} が点きます。`,
+      formula: `窓: ${windowText(before)} → ${windowText(positions)}\n`
+        + `${ch} → ${path.map((s) => `${s.stage.startsWith('rotor') ? s.name : s.name.replace('プラグボード', 'P')}:${s.output}`).join(' → ')}\n`
+        + `出力: ${outputSoFar}`,
+      enigma: {
+        rotors: rotorView(before, positions, turn.stepped),
+        doubleStep: turn.doubleStep,
+        path,
+        input: ch,
+        output: ALPHABET[output],
+      },
+    });
+    middleSteppedBefore = turn.stepped[1];
+  });
+
+  const roundTrip = enigmaEncrypt(outputSoFar, settings);
+  const values = {
+    '入力': letters,
+    '出力': outputSoFar,
+    '最終位置': windowText(positions),
+    '同じ設定で再入力': roundTrip === letters ? '入力に戻る ✓' : '入力に戻らない ✗',
+  };
+  if (expected) values['既知の結果と一致'] = outputSoFar === expected ? 'Yes' : 'No';
+  steps.push({
+    algorithm: 'enigma',
+    id: 'enigma-result',
+    phase: 'result',
+    label: '結果',
+    description: '反転ローターのおかげで暗号化と復号は同じ操作になり、受信者は同じ初期設定で暗号文を打つだけで平文を得られます。'
+      + 'その代わり文字が自分自身に変わることがなく、この性質と定型文（クリブ）が連合国の解読の手がかりになりました。',
+    formula: `入力: ${letters}\n出力: ${outputSoFar}`,
+    values,
+  });
+
+  return steps;
+}
@@ -0,0 +1,96 @@
+/**
+ * frequency.js — Letter-frequency statistics for attacking classical ciphers
+ * Reference tables, letter counts and the chi-squared score used to rank decryptions.
+ * Pure functions only. No DOM access.
+ */
+
+import { ALPHABET_SIZE } from './caesar.js';
+
+export const LETTERS = Object.freeze([...'ABCDEFGHIJKLMNOPQRSTUVWXYZ']);
+
+/**
+ * Reference letter frequencies in percent, A–Z.
+ * English: Lewand, "Cryptological Mathematics" (2000).
+ * Romaji: rough figures for Hepburn-romanized Japanese prose, dominated by the vowels
+ * a / i / o / u and by n / k. Letters Hepburn does not use (l, q, v, x) get 0.01 so the
+ * chi-squared score stays finite.
+ */
+export const LETTER_FREQUENCIES = Object.freeze({
+  english: Object.freeze({
+    name: '英語',
+    percent: Object.freeze([
+      8.167, 1.492, 2.782, 4.253, 12.702, 2.228, 2.015, 6.094, 6.966, 0.153, 0.772, 4.025, 2.406,
+      6.749, 7.507, 1.929, 0.095, 5.987, 6.327, 9.056, 2.758, 0.978, 2.360, 0.150, 1.974, 0.074,
+    ]),
+  }),
+  romaji: Object.freeze({
+    name: 'ローマ字',
+    percent: Object.freeze([
+      13.6, 1.0, 0.5, 1.6, 6.4, 0.3, 1.6, 3.4, 12.0, 0.5, 7.6, 0.01, 3.8,
+      8.0, 10.4, 0.3, 0.01, 4.4, 5.0, 6.0, 9.2, 0.01, 1.1, 0.01, 2.0, 0.8,
+    ]),
+  }),
+});
+
+/**
+ * Count the letters A–Z in a text, ignoring case and every other character.
+ * @param {string} text
+ * @returns {number[]} 26 counts
+ */
+export function letterCounts(text) {
+  const counts = new Array(ALPHABET_SIZE).fill(0);
+  for (const ch of text.toUpperCase()) {
+    const pos = ch.charCodeAt(0) - 65;
+    if (pos >= 0 && pos < ALPHABET_SIZE) counts[pos]++;
+  }
+  return counts;
+}
+
+/**
+ * Counts as percentages of the letter total (all zeros for a text without letters).
+ * @param {number[]} counts
+ * @returns {number[]}
+ */
+export function toPercent(counts) {
+  const total = counts.reduce((sum, c) => sum + c, 0);
+  return counts.map((c) => (total === 0 ? 0 : (c / total) * 100));
+}
+
+/**
+ * Pearson's chi-squared statistic of observed letter counts against a reference
+ * distribution: Σ (O − E)² / E with E = N · p. Lower means a closer match.
+ * @param {number[]} counts - 26 observed counts
+ * @param {number[]} percent - 26 reference frequencies in percent
+ * @returns {{ score: number, terms: { letter: string, observed: number, expected: number, term: number }[] }}
+ */
+export function chiSquared(counts, percent) {
+  const total = counts.reduce((sum, c) => sum + c, 0);
+  const percentTotal = percent.reduce((sum, p) => sum + p, 0);
+  const terms = counts.map((observed, i) => {
+    const expected = (total * percent[i]) / percentTotal;
+    return { letter: LETTERS[i], observed, expected, term: (observed - expected) ** 2 / expected };
+  });
+  return { score: terms.reduce((sum, t) => sum + t.term, 0), terms };
+}
+
+/**
+ * Index of coincidence: the chance that two letters drawn from the text are equal,
+ * Σ nᵢ(nᵢ − 1) / N(N − 1). Uniformly random letters give about 1/26 ≈ 0.0385.
+ * @param {number[]} counts - 26 letter counts
+ * @returns {number} 0 when there are fewer than two letters
+ */
+export function indexOfCoincidence(counts) {
+  const total = counts.reduce((sum, c) => sum + c, 0);
+  if (total < 2) return 0;
+  return counts.reduce((sum, c) => sum + c * (c - 1), 0) / (total * (total - 1));
+}
+
+/**
+ * Expected index of coincidence of a language, Σ pᵢ².
+ * @param {number[]} percent - 26 reference frequencies in percent
+ * @returns {number}
+ */
+export function referenceIndexOfCoincidence(percent) {
+  const percentTotal = percent.reduce((sum, p) => sum + p, 0);
+  return percent.reduce((sum, p) => sum + (p / percentTotal) ** 2, 0);
+}
@@ -0,0 +1,322 @@
+/**
+ * hmac.js — HMAC-SHA-256 (RFC 2104) step builder and the length-extension comparison
+ * HMAC(K, m) = H((K′ ⊕ opad) ‖ H((K′ ⊕ ipad) ‖ m)), where K′ is the key padded
+ * (or first hashed) to the 64-byte block size.
+ * Pure functions only. No DOM access.
+ */
+
+import { sha256, sha256Pad, sha256Extend, SHA256_BLOCK_BYTES } from './sha256.js';
+import { xorBytes, utf8ToBytes, bytesToHex } from './utils.js';
+
+export const HMAC_IPAD = 0x36;
+export const HMAC_OPAD = 0x5c;
+
+const textHex = (text) => bytesToHex(utf8ToBytes(text));
+
+/** RFC 4231 test cases for HMAC-SHA-256 (case 5 truncates the output and is left out). */
+export const HMAC_PRESETS = Object.freeze({
+  rfc4231_1: {
+    label: 'RFC 4231 テストケース 1',
+    keyHex: '0b'.repeat(20),
+    dataHex: textHex('Hi There'),
+    expectedHex: 'b0344c61d8db38535ca8afceaf0bf12b881dc200c9833da726e9376c2e32cff7',
+  },
+  rfc4231_2: {
+    label: 'RFC 4231 テストケース 2（短い鍵 "Jefe"）',
+    keyHex: textHex('Jefe'),
+    dataHex: textHex('what do ya want for nothing?'),
+    expectedHex: '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843',
+  },
+  rfc4231_3: {
+    label: 'RFC 4231 テストケース 3',
+    keyHex: 'aa'.repeat(20),
+    dataHex: 'dd'.repeat(50),
+    expectedHex: '773ea91e36800e46854db8ebd09181a72959098b3ef8c122d9635514ced565fe',
+  },
+  rfc4231_4: {
+    label: 'RFC 4231 テストケース 4',
+    keyHex: '0102030405060708090a0b0c0d0e0f10111213141516171819',
+    dataHex: 'cd'.repeat(50),
+    expectedHex: '82558a389a443c0ea4cc819899f2083a85f0faa3e578f8077a2e3ff46729665b',
+  },
+  rfc4231_6: {
+    label: 'RFC 4231 テストケース 6（ブロック長より長い鍵）',
+    keyHex: 'aa'.repeat(131),
+    dataHex: textHex('Test Using Larger Than Block-Size Key - Hash Key First'),
+    expectedHex: '60e431591ee0b67f0d8a26aacbf5b77f8e0bc6213728c5140546040f0ee37f54',
+  },
+  rfc4231_7: {
+    label: 'RFC 4231 テストケース 7（長い鍵と長いデータ）',
+    keyHex: 'aa'.repeat(131),
+    dataHex: textHex('This is a test using a larger than block-size key and a larger than block-size data.'
+      + ' The key needs to be hashed before being used by the HMAC algorithm.'),
+    expectedHex: '9b09ffa71b942fcb27635fbcd5b0e944bfdc63644f0713938a7f51535c3a35e2',
+  },
+});
+
+/**
+ * Bring a key to the block size: keys longer than 64 bytes are hashed first,
+ * then zeros are appended.
+ * @param {number[]} key
+ * @returns {{ blockKey: number[], hashed: boolean }}
+ */
+export function hmacBlockKey(key) {
+  const hashed = key.length > SHA256_BLOCK_BYTES;
+  const base = hashed ? sha256(key) : key;
+  return { blockKey: [...base, ...new Array(SHA256_BLOCK_BYTES - base.length).fill(0)], hashed };
+}
+
+/**
+ * HMAC-SHA-256.
+ * @param {number[]} key
+ * @param {number[]} message
+ * @returns {number[]} 32-byte tag
+ */
+export function hmacSha256(key, message) {
+  const { blockKey } = hmacBlockKey(key);
+  const inner = sha256([...xorBytes(blockKey, new Array(SHA256_BLOCK_BYTES).fill(HMAC_IPAD)), ...message]);
+  return sha256([...xorBytes(blockKey, new Array(SHA256_BLOCK_BYTES).fill(HMAC_OPAD)), ...inner]);
+}
+
+/**
+ * The padding SHA-256 appends to an input of the given length (0x80, zeros, bit length).
+ * @param {number} length - Input length in bytes
+ * @returns {number[]}
+ */
+function gluePadding(length) {
+  return sha256Pad(new Array(length).fill(0)).slice(length);
+}
+
+/**
+ * byteLayout segments for the padding appended to a message of the given length.
+ * @param {number[]} glue - From gluePadding()
+ * @returns {Object[]}
+ */
+function glueSegments(glue) {
+  return [
+    { label: '0x80', kind: 'separator', bytes: glue.slice(0, 1) },
+    { label: '0 埋め', kind: 'zero', bytes: glue.slice(1, -8) },
+    { label: 'ビット長', kind: 'length', bytes: glue.slice(-8) },
+  ].filter(({ bytes }) => bytes.length > 0);
+}
+
+/**
+ * Find the RFC 4231 test case with exactly this key and message.
+ * @param {number[]} key
+ * @param {number[]} message
+ * @returns {Object|undefined}
+ */
+function findPreset(key, message) {
+  return Object.values(HMAC_PRESETS).find(
+    ({ keyHex, dataHex }) => keyHex === bytesToHex(key) && dataHex === bytesToHex(message),
+  );
+}
+
+/**
+ * Build the HMAC-SHA-256 steps, optionally followed by a length-extension attack on
+ * the naive MAC H(K ‖ m) and the same attempt against HMAC. When the key and message
+ * are one of HMAC_PRESETS, the tag is compared with its known value.
+ * @param {number[]} key
+ * @param {number[]} message
+ * @param {Object} [options]
+ * @param {number[]|null} [options.extension=null] - Bytes the attacker appends
+ * @returns {Object[]} Array of step objects
+ */
+export function buildHMACSteps(key, message, { extension = null } = {}) {
+  if (key.length === 0) throw new RangeError('鍵を入力してください');
+  const expectedHex = findPreset(key, message)?.expectedHex ?? null;
+  const steps = [];
+  const { blockKey, hashed } = hmacBlockKey(key);
+  const keySegment = { label: '鍵 K', kind: 'key', bytes: key };
+
+  steps.push({
+    algorithm: 'hmac', id: 'hmac-key', phase: 'key',
+    operation: 'blockKey', label: hashed ? '鍵のハッシュとブロック長への調整' : '鍵をブロック長へ 0 埋め',
+    description: hashed
+      ? `鍵が ${key.length} バイトで SHA-256 のブロック長 64 バイトより長いので、まず SHA-256 で 32 バイトに縮め、残りを 0 で埋めて K′ とします。`
+      : `鍵（${key.length} バイト）の後ろに 0 を ${SHA256_BLOCK_BYTES - key.length} バイト付け、SHA-256 のブロック長 64 バイトの K′ にします。`,
+    formula: hashed ? 'K′ = SHA-256(K) ‖ 00…00（64 バイト）' : 'K′ = K ‖ 00…00（64 バイト）',
+    byteLayout: {
+      caption: 'ブロック長の鍵 K′',
+      rows: [
+        { label: 'K', operator: null, segments: [keySegment] },
+        {
+          label: 'K′',
+          operator: '→',
+          segments: [
+            hashed
+              ? { label: 'SHA-256(K)', kind: 'hash', bytes: blockKey.slice(0, 32) }
+              : keySegment,
+            { label: '0 埋め', kind: 'zero', bytes: blockKey.slice(hashed ? 32 : key.length) },
+          ].filter(({ bytes }) => bytes.length > 0),
+        },
+      ],
+    },
+    values: { '鍵の長さ': `${key.length} バイト`, 'K′': bytesToHex(blockKey) },
+  });
+
+  const ipad = new Array(SHA256_BLOCK_BYTES).fill(HMAC_IPAD);
+  const opad = new Array(SHA256_BLOCK_BYTES).fill(HMAC_OPAD);
+  const innerKey = xorBytes(blockKey, ipad);
+  const outerKey = xorBytes(blockKey, opad);
+  steps.push({
+    algorithm: 'hmac', id: 'hmac-pads', phase: 'pad',
+    operation: 'xorPads', label: 'ipad / opad との XOR',
+    description: 'K′ を 0x36 の列（ipad）と 0x5c の列（opad）でそれぞれ XOR し、内側用と外側用の 2 つの鍵を作ります。'
+      + '2 つは多くのビットが異なるので、内側と外側のハッシュは別の鍵で計算されたことになります。',
+    formula: 'K_in = K′ ⊕ ipad（0x36 × 64）\nK_out = K′ ⊕ opad（0x5c × 64）',
+    byteLayouts: [
+      {
+        caption: '内側の鍵 K_in',
+        rows: [
+          { label: 'K′', operator: null, segments: [{ label: 'K′', kind: 'plain', bytes: blockKey }] },
+          { label: 'ipad', operator: '⊕', segments: [{ label: 'ipad', kind: 'fixed', bytes: ipad }] },
+          { label: 'K_in', operator: '=', segments: [{ label: 'K_in', kind: 'masked', bytes: innerKey }] },
+        ],
+      },
+      {
+        caption: '外側の鍵 K_out',
+        rows: [
+          { label: 'K′', operator: null, segments: [{ label: 'K′', kind: 'plain', bytes: blockKey }] },
+          { label: 'opad', operator: '⊕', segments: [{ label: 'opad', kind: 'fixed', bytes: opad }] },
+          { label: 'K_out', operator: '=', segments: [{ label: 'K_out', kind: 'masked', bytes: outerKey }] },
+        ],
+      },
+    ],
+    values: { ipad: '0x36', opad: '0x5c' },
+  });
+
+  const inner = sha256([...innerKey, ...message]);
+  steps.push({
+    algorithm: 'hmac', id: 'hmac-inner', phase: 'inner',
+    operation: 'innerHash', label: '内側のハッシュ',
+    description: `K_in の後ろにメッセージ（${message.length} バイト）をつなげて SHA-256 を計算します。鍵が先頭の 1 ブロックを占めるので、鍵を知らなければこの値は計算できません。`,
+    formula: `inner = SHA-256(K_in ‖ m)\n      = ${bytesToHex(inner)}`,
+    byteLayout: {
+      caption: `内側のハッシュへの入力（${SHA256_BLOCK_BYTES + message.length} バイト）`,
+      rows: [{
+        label: '入力',
+        operator: null,
+        segments: [
+          { label: 'K_in', kind: 'masked', bytes: innerKey },
+          { label: 'メッセージ m', kind: 'message', bytes: message },
+        ].filter(({ bytes }) => bytes.length > 0),
+      }],
+    },
+    values: { inner: bytesToHex(inner) },
+  });
+
+  const tag = sha256([...outerKey, ...inner]);
+  steps.push({
+    algorithm: 'hmac', id: 'hmac-outer', phase: 'outer',
+    operation: 'outerHash', label: '外側のハッシュ',
+    description: 'K_out の後ろに内側のハッシュ値（32 バイト）をつなげて、もう一度 SHA-256 を計算します。これが HMAC の値（タグ）です。'
+      + '外側のハッシュが内側の状態を包むので、タグから内側の途中状態を取り出して続きを計算することはできません。',
+    formula: `HMAC(K, m) = SHA-256(K_out ‖ inner)\n           = ${bytesToHex(tag)}`,
+    byteLayout: {
+      caption: `外側のハッシュへの入力（${SHA256_BLOCK_BYTES + inner.length} バイト）`,
+      rows: [{
+        label: '入力',
+        operator: null,
+        segments: [
+          { label: 'K_out', kind: 'masked', bytes: outerKey },
+          { label: 'inner', kind: 'hash', bytes: inner },
+        ],
+      }],
+    },
+    values: { 'HMAC-SHA-256': bytesToHex(tag) },
+  });
+
+  if (expectedHex) {
+    const match = bytesToHex(tag) === expectedHex.toLowerCase();
+    steps.push({
+      algorithm: 'hmac', id: 'hmac-result', phase: 'result',
+      operation: 'compareTag', label: match ? 'テストベクターと一致 ✓' : 'テストベクターと不一致 ✗',
+      description: match
+        ? '計算したタグは RFC 4231 に載っている期待値と一致しました。'
+        : '計算したタグが RFC 4231 の期待値と一致しません。',
+      formula: `${bytesToHex(tag)}\n${match ? '=' : '≠'} ${expectedHex.toLowerCase()}`,
+      sideBySide: [
+        { title: '計算したタグ', values: { 'HMAC-SHA-256': bytesToHex(tag) } },
+        { title: 'RFC 4231 の期待値', values: { 'HMAC-SHA-256': expectedHex.toLowerCase() } },
+      ],
+      values: { match },
+    });
+  }
+
+  if (!extension) return steps;
+  if (extension.length === 0) throw new RangeError('攻撃者が付け足すデータを入力してください');
+
+  // Length extension: the attacker knows m, the MAC and len(K), but not K
+  const naive = sha256([...key, ...message]);
+  const glue = gluePadding(key.length + message.length);
+  const paddedLength = key.length + message.length + glue.length;
+  steps.push({
+    algorithm: 'hmac', id: 'hmac-naive', phase: 'attack',
+    operation: 'naiveMac', label: '比較: 素朴な MAC = SHA-256(K ‖ m)',
+    description: '鍵をメッセージの前に付けてハッシュするだけでも、一見 MAC として使えそうです。'
+      + '攻撃者はメッセージ m とこの MAC を盗み見ていて、鍵の長さだけは知っている（または総当たりで試す）とします。',
+    formula: `MAC = SHA-256(K ‖ m) = ${bytesToHex(naive)}`,
+    values: { 'MAC': bytesToHex(naive), '鍵の長さ': `${key.length} バイト` },
+  });
+
+  const forged = sha256Extend(naive, paddedLength, extension);
+  const extendedMessage = [...message, ...glue, ...extension];
+  steps.push({
+    algorithm: 'hmac', id: 'hmac-extend', phase: 'attack',
+    operation: 'lengthExtension', label: '長さ拡張攻撃',
+    description: 'SHA-256 の出力は、最後のブロックを処理した後の内部状態そのものです。攻撃者は MAC を内部状態として読み込み、'
+      + '元の入力に付いていたパディングの後ろに好きなデータを続けて圧縮関数を回せます。鍵は一度も使いません。',
+    formula: `m′ = m ‖ パディング（${glue.length} バイト）‖ 追加データ\nMAC′ = SHA-256 を状態 ${bytesToHex(naive).slice(0, 16)}… から再開\n     = ${bytesToHex(forged)}`,
+    byteLayout: {
+      caption: `攻撃者が作る K ‖ m′（${paddedLength + extension.length} バイト）`,
+      rows: [{
+        label: 'K ‖ m′',
+        operator: null,
+        segments: [
+          { label: '鍵 K（攻撃者は知らない）', kind: 'key', bytes: key },
+          { label: 'メッセージ m', kind: 'message', bytes: message },
+          ...glueSegments(glue),
+          { label: '追加データ', kind: 'random', bytes: extension },
+        ].filter(({ bytes }) => bytes.length > 0),
+      }],
+    },
+    values: { 'MAC′（偽造）': bytesToHex(forged) },
+  });
+
+  const actual = sha256([...key, ...extendedMessage]);
+  const broken = bytesToHex(actual) === bytesToHex(forged);
+  steps.push({
+    algorithm: 'hmac', id: 'hmac-extend-check', phase: 'attack',
+    operation: 'verifyForgery', label: broken ? '偽造成功: 素朴な MAC は破られる' : '偽造失敗',
+    description: broken
+      ? '鍵を持つ受信者が m′ の MAC を計算すると、攻撃者の MAC′ と一致します。鍵を知らない攻撃者が、メッセージを書き足して正しい MAC を付けられてしまいました。'
+      : '受信者の計算した MAC と攻撃者の MAC′ が一致しませんでした。',
+    formula: `SHA-256(K ‖ m′) = ${bytesToHex(actual)}\n${broken ? '=' : '≠'} MAC′ ${broken ? '✗ 改ざんを検出できない' : ''}`,
+    sideBySide: [
+      { title: '攻撃者（鍵なし）', values: { 'MAC′': bytesToHex(forged) } },
+      { title: '受信者（鍵あり）', values: { 'SHA-256(K ‖ m′)': bytesToHex(actual) } },
+    ],
+    values: { '偽造成功': broken },
+  });
+
+  // The tag only exposes the outer state, whose input is K_out ‖ inner (96 bytes)
+  const outerLength = SHA256_BLOCK_BYTES + inner.length;
+  const hmacForged = sha256Extend(tag, outerLength + gluePadding(outerLength).length, extension);
+  const hmacActual = hmacSha256(key, extendedMessage);
+  const resisted = bytesToHex(hmacForged) !== bytesToHex(hmacActual);
+  steps.push({
+    algorithm: 'hmac', id: 'hmac-extend-hmac', phase: 'attack',
+    operation: 'hmacResists', label: resisted ? 'HMAC には同じ攻撃が効かない ✓' : 'HMAC への攻撃',
+    description: 'HMAC のタグに同じ手口を使っても、得られるのは外側のハッシュの続きだけです。受信者は m′ の内側のハッシュから計算し直すので、'
+      + '攻撃者の値とは一致しません。内側のハッシュ値はタグに現れないため、攻撃者は内側の計算を延長できません。',
+    formula: `攻撃者の延長: ${bytesToHex(hmacForged)}\nHMAC(K, m′):  ${bytesToHex(hmacActual)} ${resisted ? '≠ ✓' : '='}`,
+    sideBySide: [
+      { title: '攻撃者（タグを延長）', values: { '延長した値': bytesToHex(hmacForged) } },
+      { title: '受信者（鍵あり）', values: { 'HMAC(K, m′)': bytesToHex(hmacActual) } },
+    ],
+    values: { '偽造成功': !resisted },
+  });
+
+  return steps;
+}
@@ -0,0 +1,383 @@
+/**
+ * otp.js — One-time pad (byte-wise XOR) and the two-time pad attack with crib dragging
+ * Pure functions only. No DOM access. Random keys come from the caller (crypto.getRandomValues).
+ */
+
+import { xorBytes, utf8ToBytes, bytesToHex } from './utils.js';
+
+/** Longest message visualized; the XOR view has one step per byte. */
+export const OTP_MAX_BYTES = 48;
+
+/** Default guess for a word in one of the messages. */
+export const OTP_DEFAULT_CRIB = ' the ';
+
+/** Hit offsets examined in detail after dragging the crib. */
+const CRIB_HIT_STEPS = 4;
+
+/** Decoy sentence cycled to the message length for the perfect-secrecy step. */
+const DECOY_TEXT = 'retreat at once! ';
+
+/**
+ * Show a byte as its ASCII character, or a middle dot when it is not printable.
+ * @param {number} byte
+ * @returns {string}
+ */
+function printable(byte) {
+  return byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '·';
+}
+
+/**
+ * @param {number[]} bytes
+ * @returns {string}
+ */
+function printableText(bytes) {
+  return bytes.map(printable).join('');
+}
+
+/**
+ * Does a byte string look like a fragment of English text (letters, spaces and light
+ * punctuation, with at least one letter)?
+ * @param {number[]} bytes
+ * @returns {boolean}
+ */
+export function looksLikeText(bytes) {
+  const text = String.fromCharCode(...bytes);
+  return /^[A-Za-z ,.'!?-]+$/.test(text) && /[A-Za-z]/.test(text);
+}
+
+/**
+ * @param {number} byte
+ * @returns {string}
+ */
+function toHexByte(byte) {
+  return byte.toString(16).padStart(2, '0');
+}
+
+/**
+ * One XOR bit view: rows of 8 bits, the last row being the XOR of the others.
+ * @param {{ label: string, byte: number }[]} rows
+ * @returns {{ rows: { label: string, byte: number, char: string }[] }}
+ */
+function xorView(rows) {
+  return { rows: rows.map(({ label, byte }) => ({ label, byte, char: printable(byte) })) };
+}
+
+/**
+ * Check the key length against the message and return the part that is used.
+ * @param {number[]} key
+ * @param {number} length
+ * @returns {number[]}
+ */
+function usableKey(key, length) {
+  if (key.length < length) {
+    throw new RangeError(`ワンタイムパッドの鍵はメッセージと同じ長さ以上が必要です（メッセージ: ${length} バイト、鍵: ${key.length} バイト）。`);
+  }
+  return key.slice(0, length);
+}
+
+/**
+ * Build one-time pad steps: encode, key, one XOR step per byte, ciphertext, decryption,
+ * and a decoy key showing that the ciphertext fits any message of the same length.
+ * Steps carry `byteLayouts` and, per byte, `xorBits` ({ rows: [{ label, byte, char }] }).
+ * @param {string} message
+ * @param {number[]} key - Key bytes, at least as long as the message's UTF-8 encoding
+ * @returns {Object[]} Array of step objects
+ */
+export function buildOTPSteps(message, key) {
+  const plain = utf8ToBytes(message);
+  if (plain.length === 0) throw new RangeError('メッセージを入力してください。');
+  if (plain.length > OTP_MAX_BYTES) {
+    throw new RangeError(`メッセージは ${OTP_MAX_BYTES} バイト（UTF-8）以内にしてください（現在: ${plain.length} バイト）。`);
+  }
+  const pad = usableKey(key, plain.length);
+  const cipher = xorBytes(plain, pad);
+  const steps = [];
+
+  steps.push({
+    algorithm: 'otp',
+    id: 'otp-encode',
+    phase: 'encode',
+    label: 'メッセージをバイト列に',
+    description: 'XOR はビット単位の演算なので、まずテキストを UTF-8 でバイト列にします。',
+    formula: `"${message}" → UTF-8 → ${plain.length} バイト`,
+    byteLayouts: [{
+      caption: `平文 M（${plain.length} バイト）`,
+      rows: [{ label: 'M', operator: null, segments: [{ label: '平文', kind: 'message', bytes: plain }] }],
+    }],
+  });
+
+  steps.push({
+    algorithm: 'otp',
+    id: 'otp-key',
+    phase: 'key',
+    label: '鍵（パッド）',
+    description: 'ワンタイムパッドの鍵は、(1) 本当にランダムで、(2) メッセージと同じ長さがあり、(3) 一度しか使わない、の 3 つを満たす必要があります。'
+      + 'このとき暗号文からは平文について長さ以外何もわからず、これを完全秘匿性と呼びます。'
+      + (key.length > plain.length ? `入力した鍵 ${key.length} バイトのうち先頭 ${plain.length} バイトを使います。` : ''),
+    formula: `K = ${bytesToHex(pad)}`,
+    byteLayouts: [{
+      caption: `鍵 K（${pad.length} バイト）`,
+      rows: [{ label: 'K', operator: null, segments: [{ label: '鍵', kind: 'key', bytes: pad }] }],
+    }],
+  });
+
+  plain.forEach((byte, i) => {
+    steps.push({
+      algorithm: 'otp',
+      id: `otp-byte-${i}`,
+      phase: 'xor',
+      label: `バイト ${i}: ${toHexByte(byte)} ⊕ ${toHexByte(pad[i])} = ${toHexByte(cipher[i])}`,
+      description: i === 0
+        ? 'XOR は 2 つのビットが違えば 1、同じなら 0 です。鍵のビットが 1 の位置だけ平文のビットが反転します。'
+          + '鍵がランダムなら、どのビットが反転するかもランダムなので、暗号文のビットは 0 と 1 が等確率になります。'
+        : `鍵のビットが 1 の位置で平文のビットが反転します。`,
+      formula: `C[${i}] = M[${i}] ⊕ K[${i}] = ${toHexByte(byte)} ⊕ ${toHexByte(pad[i])} = ${toHexByte(cipher[i])}`,
+      xorBits: xorView([
+        { label: '平文 M', byte },
+        { label: '鍵 K', byte: pad[i] },
+        { label: '暗号文 C', byte: cipher[i] },
+      ]),
+      values: { '暗号文（ここまで）': bytesToHex(cipher.slice(0, i + 1)) },
+    });
+  });
+
+  steps.push({
+    algorithm: 'otp',
+    id: 'otp-cipher',
+    phase: 'result',
+    label: '暗号文',
+    description: 'すべてのバイトを XOR した結果が暗号文です。',
+    formula: `C = M ⊕ K = ${bytesToHex(cipher)}`,
+    byteLayouts: [{
+      caption: 'C = M ⊕ K',
+      rows: [
+        { label: 'M', operator: null, segments: [{ label: '平文', kind: 'message', bytes: plain }] },
+        { label: 'K', operator: '⊕', segments: [{ label: '鍵', kind: 'key', bytes: pad }] },
+        { label: 'C', operator: '=', segments: [{ label: '暗号文', kind: 'cipher', bytes: cipher }] },
+      ],
+    }],
+  });
+
+  const decrypted = xorBytes(cipher, pad);
+  steps.push({
+    algorithm: 'otp',
+    id: 'otp-decrypt',
+    phase: 'decrypt',
+    label: '復号: もう一度 XOR',
+    description: 'x ⊕ k ⊕ k = x なので、同じ鍵をもう一度 XOR すると平文に戻ります。暗号化と復号は同じ操作です。',
+    formula: 'C ⊕ K = (M ⊕ K) ⊕ K = M',
+    byteLayouts: [{
+      caption: 'M = C ⊕ K',
+      rows: [
+        { label: 'C', operator: null, segments: [{ label: '暗号文', kind: 'cipher', bytes: cipher }] },
+        { label: 'K', operator: '⊕', segments: [{ label: '鍵', kind: 'key', bytes: pad }] },
+        { label: 'M', operator: '=', segments: [{ label: '平文', kind: 'message', bytes: decrypted }] },
+      ],
+    }],
+    values: { '復号結果': printableText(decrypted), '一致': decrypted.every((b, i) => b === plain[i]) ? 'Yes' : 'No' },
+  });
+
+  let decoyText = DECOY_TEXT.repeat(Math.ceil(plain.length / DECOY_TEXT.length)).slice(0, plain.length);
+  if (decoyText === String.fromCharCode(...plain)) decoyText = decoyText.toUpperCase();
+  const decoy = utf8ToBytes(decoyText);
+  const decoyKey = xorBytes(cipher, decoy);
+  steps.push({
+    algorithm: 'otp',
+    id: 'otp-perfect-secrecy',
+    phase: 'secrecy',
+    label: '完全秘匿性: どんな平文もありえる',
+    description: `同じ長さの別の文「${decoyText}」についても、K′ = C ⊕ M′ とすれば C を M′ に復号する鍵が必ず存在します。`
+      + '鍵がランダムなら K と K′ は同じ確率で選ばれるので、暗号文だけからどちらの平文かを区別する手がかりはありません。総当たりしても、すべての同じ長さの文が候補に出てくるだけです。',
+    formula: `K′ = C ⊕ M′ = ${bytesToHex(decoyKey)}\nC ⊕ K′ = "${decoyText}"`,
+    byteLayouts: [{
+      caption: '別の鍵 K′ で C を復号すると',
+      rows: [
+        { label: 'C', operator: null, segments: [{ label: '暗号文', kind: 'cipher', bytes: cipher }] },
+        { label: 'K′', operator: '⊕', segments: [{ label: '別の鍵', kind: 'key', bytes: decoyKey }] },
+        { label: 'M′', operator: '=', segments: [{ label: '別の平文', kind: 'message', bytes: decoy }] },
+      ],
+    }],
+  });
+
+  return steps;
+}
+
+/**
+ * Slide a crib across M1 ⊕ M2. At offset j the result is the other message's bytes at j
+ * whenever the crib really occurs there in one of the messages.
+ * @param {number[]} combined - C1 ⊕ C2 (= M1 ⊕ M2)
+ * @param {number[]} crib
+ * @returns {{ offset: number, bytes: number[], plausible: boolean }[]}
+ */
+export function dragCrib(combined, crib) {
+  return Array.from({ length: Math.max(0, combined.length - crib.length + 1) }, (_, offset) => {
+    const bytes = xorBytes(crib, combined.slice(offset, offset + crib.length));
+    return { offset, bytes, plausible: looksLikeText(bytes) };
+  });
+}
+
+/**
+ * Build the two-time pad steps: two messages under the same key, C1 ⊕ C2 cancelling the
+ * key, crib dragging over the result, and the key bytes and plaintext recovered from the hits.
+ * The builder knows both messages, so it also marks which reading of a hit is correct.
+ * @param {string} message1
+ * @param {string} message2
+ * @param {number[]} key - At least as long as the longer message
+ * @param {string} [cribText=OTP_DEFAULT_CRIB] - A word guessed to appear in one message
+ * @returns {Object[]} Array of step objects
+ */
+export function buildTwoTimePadSteps(message1, message2, key, cribText = OTP_DEFAULT_CRIB) {
+  const m1 = utf8ToBytes(message1);
+  const m2 = utf8ToBytes(message2);
+  const crib = utf8ToBytes(cribText);
+  if (m1.length === 0 || m2.length === 0) throw new RangeError('2 つのメッセージを入力してください。');
+  if (Math.max(m1.length, m2.length) > OTP_MAX_BYTES) {
+    throw new RangeError(`メッセージはそれぞれ ${OTP_MAX_BYTES} バイト（UTF-8）以内にしてください。`);
+  }
+  const n = Math.min(m1.length, m2.length);
+  if (crib.length === 0 || crib.length > n) {
+    throw new RangeError(`クリブは 1〜${n} バイト（短い方のメッセージの長さ）にしてください。`);
+  }
+  const pad = usableKey(key, Math.max(m1.length, m2.length));
+  const c1 = xorBytes(m1, pad);
+  const c2 = xorBytes(m2, pad);
+  const combined = xorBytes(c1.slice(0, n), c2.slice(0, n));
+  const steps = [];
+
+  steps.push({
+    algorithm: 'otp',
+    id: 'ttp-encrypt',
+    phase: 'reuse',
+    label: '同じ鍵で 2 通を暗号化',
+    description: 'ワンタイムパッドの鍵を 2 通のメッセージに使い回すと（two-time pad）、完全秘匿性は失われます。'
+      + '攻撃者は 2 つの暗号文 C1・C2 を手に入れたとします。鍵そのものは知りません。',
+    formula: `C1 = M1 ⊕ K = ${bytesToHex(c1)}\nC2 = M2 ⊕ K = ${bytesToHex(c2)}`,
+    byteLayouts: [
+      {
+        caption: 'C1 = M1 ⊕ K',
+        rows: [
+          { label: 'M1', operator: null, segments: [{ label: '平文 1', kind: 'message', bytes: m1 }] },
+          { label: 'K', operator: '⊕', segments: [{ label: '鍵', kind: 'key', bytes: pad.slice(0, m1.length) }] },
+          { label: 'C1', operator: '=', segments: [{ label: '暗号文 1', kind: 'cipher', bytes: c1 }] },
+        ],
+      },
+      {
+        caption: 'C2 = M2 ⊕ K（同じ鍵）',
+        rows: [
+          { label: 'M2', operator: null, segments: [{ label: '平文 2', kind: 'message', bytes: m2 }] },
+          { label: 'K', operator: '⊕', segments: [{ label: '鍵', kind: 'key', bytes: pad.slice(0, m2.length) }] },
+          { label: 'C2', operator: '=', segments: [{ label: '暗号文 2', kind: 'cipher', bytes: c2 }] },
+        ],
+      },
+    ],
+  });
+
+  steps.push({
+    algorithm: 'otp',
+    id: 'ttp-xor',
+    phase: 'reuse',
+    label: 'C1 ⊕ C2 で鍵が消える',
+    description: '2 つの暗号文を XOR すると、同じ鍵 K が 2 回 XOR されて打ち消し合い、平文どうしの XOR が残ります。'
+      + 'これはもうランダムではなく、テキストの構造（空白や文字の偏り）がそのまま残っています。',
+    formula: `C1 ⊕ C2 = (M1 ⊕ K) ⊕ (M2 ⊕ K) = M1 ⊕ M2\n= ${bytesToHex(combined)}`,
+    xorBits: xorView([
+      { label: 'C1[0]', byte: c1[0] },
+      { label: 'C2[0]', byte: c2[0] },
+      { label: 'M1[0] ⊕ M2[0]', byte: combined[0] },
+    ]),
+    byteLayouts: [{
+      caption: `C1 ⊕ C2（先頭 ${n} バイト）`,
+      rows: [
+        { label: 'C1', operator: null, segments: [{ label: '暗号文 1', kind: 'cipher', bytes: c1.slice(0, n) }] },
+        { label: 'C2', operator: '⊕', segments: [{ label: '暗号文 2', kind: 'cipher', bytes: c2.slice(0, n) }] },
+        { label: 'M1⊕M2', operator: '=', segments: [{ label: 'M1 ⊕ M2', kind: 'masked', bytes: combined }] },
+      ],
+    }],
+  });
+
+  const drag = dragCrib(combined, crib);
+  const hits = drag.filter((d) => d.plausible);
+  steps.push({
+    algorithm: 'otp',
+    id: 'ttp-crib-drag',
+    phase: 'crib',
+    label: `クリブ "${cribText}" をずらしながら XOR`,
+    description: '片方のメッセージに含まれていそうな語（クリブ）を推測し、M1 ⊕ M2 の各位置に XOR します。'
+      + 'クリブが本当にその位置にあれば、結果はもう一方のメッセージの同じ位置の文字になり、読める文字列が現れます。'
+      + '違う位置では、ほとんどが意味のない記号になります。',
+    formula: `位置 j の結果 = クリブ ⊕ (M1 ⊕ M2)[j … j + ${crib.length - 1}]\n読める候補: ${hits.length} か所`,
+    table: {
+      caption: 'クリブのドラッグ（✓ は英字・空白・句読点だけの結果）',
+      columns: ['位置 j', '結果（16進）', '結果（文字）', '読める'],
+      rows: drag.map((d) => [d.offset, bytesToHex(d.bytes), `"${printableText(d.bytes)}"`, d.plausible ? '✓' : '']),
+      highlightRow: hits.length > 0 ? hits[0].offset : -1,
+    },
+  });
+
+  const recovered = new Array(pad.length).fill(null);
+  const known1 = new Array(m1.length).fill(null);
+  const known2 = new Array(m2.length).fill(null);
+  const sameBytes = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+  hits.slice(0, CRIB_HIT_STEPS).forEach(({ offset, bytes }) => {
+    const at = (m) => m.slice(offset, offset + crib.length);
+    const inM1 = sameBytes(at(m1), crib);
+    const inM2 = sameBytes(at(m2), crib);
+    const keyBytes = xorBytes(crib, (inM2 && !inM1 ? c2 : c1).slice(offset, offset + crib.length));
+    if (inM1 || inM2) {
+      keyBytes.forEach((b, i) => { recovered[offset + i] = b; });
+      [...crib].forEach((_, i) => {
+        known1[offset + i] = inM1 ? crib[i] : bytes[i];
+        known2[offset + i] = inM1 ? bytes[i] : crib[i];
+      });
+    }
+    const verdict = (ok) => (ok ? '正しい（答え合わせ）' : '誤り');
+    steps.push({
+      algorithm: 'otp',
+      id: `ttp-crib-hit-${offset}`,
+      phase: 'crib',
+      label: `位置 ${offset}: "${printableText(bytes)}"`,
+      description: '読める結果が出た位置では、クリブが M1 と M2 のどちらにあるかで 2 通りの読み方があります。'
+        + '攻撃者は前後の文脈で判断します（ここでは元のメッセージと照合して正解を示します）。'
+        + 'クリブの位置が分かれば、その暗号文とクリブの XOR で鍵の一部も得られ、その鍵で他方の暗号文の同じ位置も復号できます。'
+        + (inM1 || inM2 ? '' : 'この位置はクリブがどちらにもない偶然の一致です。'),
+      formula: `M1 に "${cribText}" があるなら M2[${offset}…] = "${printableText(bytes)}"\n`
+        + `M2 に "${cribText}" があるなら M1[${offset}…] = "${printableText(bytes)}"\n`
+        + `鍵 K[${offset}…${offset + crib.length - 1}] = ${bytesToHex(keyBytes)}`,
+      table: {
+        caption: '2 通りの読み方',
+        columns: ['仮定', 'M1 の該当部分', 'M2 の該当部分', '判定'],
+        rows: [
+          ['クリブは M1 に', `"${cribText}"`, `"${printableText(bytes)}"`, verdict(inM1)],
+          ['クリブは M2 に', `"${printableText(bytes)}"`, `"${cribText}"`, verdict(inM2)],
+        ],
+        markedRow: inM1 ? 0 : inM2 ? 1 : -1,
+      },
+      byteLayouts: [{
+        caption: '得られた鍵の断片',
+        rows: [{ label: 'K', operator: null, segments: [{ label: '鍵の断片', kind: 'key', bytes: keyBytes }] }],
+      }],
+    });
+  });
+
+  const partial = (known) => known.map((b) => (b === null ? '·' : printable(b))).join('');
+  const recoveredCount = recovered.filter((b) => b !== null).length;
+  steps.push({
+    algorithm: 'otp',
+    id: 'ttp-result',
+    phase: 'result',
+    label: '復元できた部分',
+    description: recoveredCount > 0
+      ? '1 つのクリブだけでも、両方のメッセージと鍵の一部が復元できました。復元した部分から新しい語を推測してクリブを増やせば、'
+        + '鍵と 2 通の平文を少しずつ広げていけます。鍵の再利用は、ワンタイムパッドを実用的に破れる暗号に変えてしまいます。'
+      : `${hits.length > 0 ? '確かめた読める結果はどれも偶然の一致で、' : '読める結果が出ず、'}何も復元できませんでした。`
+        + '別のクリブ（" and "、"the " など）を試してみてください。',
+    formula: `M1: ${partial(known1)}\nM2: ${partial(known2)}`,
+    values: {
+      '復元した鍵のバイト数': `${recoveredCount} / ${pad.length}`,
+      'M1（復元部分）': partial(known1),
+      'M2（復元部分）': partial(known2),
+    },
+  });
+
+  return steps;
+}
@@ -0,0 +1,174 @@
+/**
+ * primes.js — Miller–Rabin primality test, random prime generation and Pollard's rho (BigInt)
+ * Pure functions only. No DOM access.
+ */
+
+import { modPow, gcd } from './utils.js';
+
+/**
+ * Witnesses 2..37 make Miller–Rabin deterministic for n < 3.18 × 10²³
+ * (Sorenson & Webster, 2015). Larger n also get random witnesses.
+ */
+const DETERMINISTIC_WITNESSES = Object.freeze([2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n]);
+const DETERMINISTIC_LIMIT = 318665857834031151167461n;
+
+/** Small primes for cheap trial division before Miller–Rabin. */
+const SMALL_PRIMES = Object.freeze(sieve(2000).map(BigInt));
+
+/**
+ * Sieve of Eratosthenes.
+ * @param {number} limit
+ * @returns {number[]} Primes below limit
+ */
+function sieve(limit) {
+  const composite = new Uint8Array(limit);
+  const primes = [];
+  for (let i = 2; i < limit; i++) {
+    if (composite[i]) continue;
+    primes.push(i);
+    for (let j = i * i; j < limit; j += i) composite[j] = 1;
+  }
+  return primes;
+}
+
+/**
+ * Seedable 32-bit PRNG (mulberry32). Not cryptographically secure;
+ * intended for reproducible demos and Miller–Rabin witnesses.
+ * @param {number} seed
+ * @returns {() => number} Function returning a uint32
+ */
+export function createSeededRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  };
+}
+
+/**
+ * Cryptographically secure uint32 source (Web Crypto).
+ * @returns {number}
+ */
+export function cryptoRng() {
+  return crypto.getRandomValues(new Uint32Array(1))[0];
+}
+
+/**
+ * Random non-negative integer of at most `bits` bits.
+ * @param {number} bits
+ * @param {() => number} [rng=cryptoRng] - uint32 source
+ * @returns {bigint}
+ */
+export function randomBits(bits, rng = cryptoRng) {
+  let value = 0n;
+  for (let filled = 0; filled < bits; filled += 32) {
+    value = (value << 32n) | BigInt(rng());
+  }
+  return value >> BigInt(Math.ceil(bits / 32) * 32 - bits);
+}
+
+/**
+ * Number of bits needed to represent n.
+ * @param {bigint} n
+ * @returns {number}
+ */
+export function bitLength(n) {
+  return n === 0n ? 0 : n.toString(2).length;
+}
+
+/**
+ * Miller–Rabin probable-prime test.
+ * Deterministic below 3.18 × 10²³; above that, the fixed witnesses are
+ * followed by `rounds` random witnesses (error ≤ 4^−(12+rounds)).
+ * @param {bigint} n
+ * @param {Object} [options]
+ * @param {number} [options.rounds=16] - Extra random witnesses for large n
+ * @param {() => number} [options.rng] - uint32 source (seedable for reproducibility)
+ * @returns {boolean}
+ */
+export function isProbablePrime(n, { rounds = 16, rng = createSeededRng(Number(n & 0xffffffffn)) } = {}) {
+  if (n < 2n) return false;
+  for (const p of SMALL_PRIMES) {
+    if (n === p) return true;
+    if (n % p === 0n) return false;
+  }
+
+  // n − 1 = d · 2^s with d odd
+  let d = n - 1n;
+  let s = 0;
+  while ((d & 1n) === 0n) {
+    d >>= 1n;
+    s++;
+  }
+
+  const witnesses = [...DETERMINISTIC_WITNESSES];
+  if (n >= DETERMINISTIC_LIMIT) {
+    const bits = bitLength(n);
+    for (let i = 0; i < rounds; i++) {
+      witnesses.push(2n + (randomBits(bits, rng) % (n - 3n)));
+    }
+  }
+
+  return witnesses.every((a) => {
+    let x = modPow(a, d, n);
+    if (x === 1n || x === n - 1n) return true;
+    for (let r = 1; r < s; r++) {
+      x = (x * x) % n;
+      if (x === n - 1n) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * Random prime with exactly `bits` bits. The top two bits are set so that
+ * the product of two such primes has exactly 2·bits bits.
+ * @param {number} bits - At least 8
+ * @param {() => number} [rng=cryptoRng] - uint32 source
+ * @returns {bigint}
+ */
+export function randomPrime(bits, rng = cryptoRng) {
+  if (!Number.isInteger(bits) || bits < 8) {
+    throw new RangeError('素数のビット数は 8 以上で指定してください');
+  }
+  const top = 3n << BigInt(bits - 2);
+  for (;;) {
+    const candidate = randomBits(bits, rng) | top | 1n;
+    if (isProbablePrime(candidate, { rng })) return candidate;
+  }
+}
+
+/** Give up on Pollard's rho after this many iterations (n is too large to factor here). */
+export const RHO_MAX_ITERATIONS = 200000;
+
+/**
+ * Pollard's rho with Floyd cycle detection, f(x) = x² + c mod n.
+ * Retries with the next c when the cycle closes without a factor (d = n).
+ * @param {bigint} n - Composite to factor
+ * @param {number} [maxIterations=RHO_MAX_ITERATIONS]
+ * @returns {{ factor: bigint|null, c: bigint, iterations: Object[] }}
+ *   iterations are { i, x, y, d } for the final attempt
+ */
+export function pollardRho(n, maxIterations = RHO_MAX_ITERATIONS) {
+  if (n % 2n === 0n) return { factor: 2n, c: 0n, iterations: [] };
+  let total = 0;
+  for (let c = 1n; total < maxIterations; c++) {
+    const f = (v) => (v * v + c) % n;
+    const iterations = [];
+    let x = 2n;
+    let y = 2n;
+    let d = 1n;
+    while (d === 1n && total < maxIterations) {
+      x = f(x);
+      y = f(f(y));
+      d = gcd(x > y ? x - y : y - x, n);
+      total++;
+      iterations.push({ i: iterations.length + 1, x, y, d });
+    }
+    if (d !== 1n && d !== n) return { factor: d, c, iterations };
+  }
+  return { factor: null, c: 0n, iterations: [] };
+}
@@ -0,0 +1,324 @@
+/**
+ * rsa-attacks.js — Step builders showing why textbook (unpadded) RSA is broken
+ * Factoring n with Pollard's rho, the small-e cube-root attack, the common-modulus
+ * attack, and ciphertext malleability. Each victim key comes from generateRSAKeys.
+ * Pure functions only. No DOM access.
+ */
+
+import { generateRSAKeys, generateRandomPrimes, rsaEncrypt, rsaDecrypt } from './rsa.js';
+import { createSeededRng, bitLength, pollardRho, RHO_MAX_ITERATIONS } from './primes.js';
+import { gcd, modInverse, modPow, formatBig } from './utils.js';
+
+export const RSA_ATTACKS = Object.freeze(['factor', 'cubeRoot', 'commonModulus', 'malleability']);
+
+/**
+ * Pollard's rho budget for large moduli. Each iteration on a multi-thousand-bit n costs
+ * a big gcd, so they get much less than RHO_MAX_ITERATIONS; their factors are far out
+ * of reach anyway.
+ */
+const RHO_MAX_ITERATIONS_LARGE = 1000;
+const RHO_LARGE_BITS = 64;
+
+/** Rho iterations listed in the table (first rows plus the one that found the factor). */
+const RHO_TABLE_ROWS = 12;
+
+/** Fixed seed so the e = 3 victim key is the same on every run. */
+const CUBE_ROOT_KEY_SEED = 0x5eed;
+const CUBE_ROOT_KEY_BITS = 512;
+
+/** Candidate second exponents for the common-modulus attack. */
+const COMMON_MODULUS_EXPONENTS = Object.freeze([3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n, 65537n]);
+
+/**
+ * Integer k-th root: the largest r with r^k ≤ x (Newton's method).
+ * @param {bigint} x - Non-negative integer
+ * @param {number} k - Root degree (≥ 2)
+ * @returns {bigint}
+ */
+export function integerRoot(x, k) {
+  if (x < 2n) return x;
+  const K = BigInt(k);
+  let r = 1n << BigInt(Math.ceil(bitLength(x) / k));
+  for (;;) {
+    const next = ((K - 1n) * r + x / r ** (K - 1n)) / K;
+    if (next >= r) break;
+    r = next;
+  }
+  while (r ** K > x) r--;
+  return r;
+}
+
+/**
+ * Build the step sequence for one textbook-RSA attack.
+ * `p`, `q`, `e` and `message` come from the RSA form. The cube-root attack
+ * needs e = 3 and m³ < n, so it uses its own fixed 512-bit victim key instead
+ * of p and q.
+ * @param {'factor'|'cubeRoot'|'commonModulus'|'malleability'} attack
+ * @param {Object} params
+ * @param {bigint} params.p
+ * @param {bigint} params.q
+ * @param {bigint} params.e
+ * @param {bigint} params.message
+ * @returns {Object[]} Array of step objects
+ */
+export function buildRSAAttackSteps(attack, { p, q, e, message }) {
+  switch (attack) {
+    case 'factor':
+      return buildFactorSteps(p, q, e, message);
+    case 'cubeRoot':
+      return buildCubeRootSteps(message);
+    case 'commonModulus':
+      return buildCommonModulusSteps(p, q, e, message);
+    case 'malleability':
+      return buildMalleabilitySteps(p, q, e, message);
+    default:
+      throw new RangeError(`未対応の攻撃です: ${attack}`);
+  }
+}
+
+/**
+ * Step for the victim's published key and the intercepted ciphertext.
+ * @param {string} id
+ * @param {Object} keys - generateRSAKeys() result
+ * @param {bigint} ciphertext
+ * @param {string} description
+ * @returns {Object}
+ */
+function victimStep(id, keys, ciphertext, description) {
+  return {
+    algorithm: 'rsa', id, phase: 'victim',
+    operation: 'victimKey', label: '被害者の鍵と傍受した暗号文',
+    description,
+    formula: `公開鍵 (e, n) = (${formatBig(keys.e)}, ${formatBig(keys.n)})\nC = ${formatBig(ciphertext)}`,
+    values: { e: keys.e, n: keys.n, ciphertext, 'n のビット長': bitLength(keys.n) }, detail: null,
+  };
+}
+
+/**
+ * Final step comparing the recovered plaintext with the original.
+ * @param {string} id
+ * @param {bigint} recovered
+ * @param {bigint} message
+ * @param {string} how - Short explanation of the recovery
+ * @returns {Object}
+ */
+function recoveredStep(id, recovered, message, how) {
+  const match = recovered === message;
+  return {
+    algorithm: 'rsa', id, phase: 'result',
+    operation: 'recovered', label: match ? '平文の復元に成功' : '平文の復元に失敗',
+    description: match
+      ? `${how}秘密鍵を使わずに元のメッセージが得られました。`
+      : `${how}しかし元のメッセージとは一致しませんでした。`,
+    formula: `M = ${formatBig(recovered)} ${match ? '✓ 一致' : '✗ 不一致'}`,
+    values: { recovered, original: message, match }, detail: null,
+  };
+}
+
+function buildFactorSteps(p, q, e, message) {
+  const keys = generateRSAKeys(p, q, e);
+  const { n } = keys;
+  const ciphertext = rsaEncrypt(message, keys.e, n);
+  const steps = [victimStep(
+    'rsa-attack-factor-victim', keys, ciphertext,
+    '攻撃者が知っているのは公開鍵 (e, n) と暗号文 C だけです。n を素因数分解できれば秘密鍵を再計算できます。',
+  )];
+
+  const limit = bitLength(n) > RHO_LARGE_BITS ? RHO_MAX_ITERATIONS_LARGE : RHO_MAX_ITERATIONS;
+  const rho = pollardRho(n, limit);
+  if (rho.factor === null) {
+    steps.push({
+      algorithm: 'rsa', id: 'rsa-attack-factor-failed', phase: 'attack',
+      operation: 'factorFailed', label: '因数分解できませんでした',
+      description: `${limit.toLocaleString()} 回の反復で因数が見つかりませんでした。${bitLength(n)} ビットの n は、十分大きな素数の積であればこの方法では現実的な時間で分解できません。これが RSA の安全性の根拠です。`,
+      formula: `n = ${formatBig(n)}`,
+      values: { n, 'n のビット長': bitLength(n) }, detail: null,
+    });
+    return steps;
+  }
+
+  const shown = rho.iterations.length > RHO_TABLE_ROWS
+    ? [...rho.iterations.slice(0, RHO_TABLE_ROWS - 1), rho.iterations[rho.iterations.length - 1]]
+    : rho.iterations;
+  const found = rho.factor;
+  const other = n / found;
+  const smaller = found < other ? found : other;
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-attack-factor-rho', phase: 'attack',
+    operation: 'pollardRho', label: 'Pollard の ρ 法で n を因数分解',
+    description: `x ← x² + ${rho.c} mod n を 1 歩ずつ、y を 2 歩ずつ進め、gcd(|x − y|, n) が 1 より大きくなるまで繰り返します。`
+      + `${rho.iterations.length} 回で因数が見つかりました（試し割りなら奇数で約 ${formatBig(smaller / 2n)} 回）。`,
+    formula: `gcd(|x − y|, n) = ${formatBig(found)}\nn = ${formatBig(found)} × ${formatBig(other)}`,
+    table: {
+      caption: `f(x) = x² + ${rho.c} mod ${formatBig(n)}`,
+      columns: ['i', 'x', 'y', 'gcd(|x − y|, n)'],
+      rows: shown.map((it) => [it.i, it.x, it.y, it.d]),
+      highlightRow: shown.length - 1,
+    },
+    values: { n, p: found, q: other }, detail: null,
+  });
+
+  const phi = (found - 1n) * (other - 1n);
+  const d = modInverse(keys.e, phi);
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-attack-factor-d', phase: 'attack',
+    operation: 'recoverD', label: '秘密指数 d の再計算',
+    description: 'p と q が分かれば、正規の鍵生成と同じ手順で φ(n) と d を計算できます。',
+    formula: `φ(n) = (p−1)(q−1) = ${formatBig(phi)}\nd = e⁻¹ mod φ(n) = ${formatBig(d)}`,
+    values: { phi, d }, detail: null,
+  });
+
+  const recovered = rsaDecrypt(ciphertext, d, n);
+  steps.push(recoveredStep(
+    'rsa-attack-factor-result', recovered, message,
+    `盗んだ d で M = C^d mod n = ${formatBig(recovered)} を計算しました。`,
+  ));
+  return steps;
+}
+
+function buildCubeRootSteps(message) {
+  const { p, q } = generateRandomPrimes(CUBE_ROOT_KEY_BITS, 3n, createSeededRng(CUBE_ROOT_KEY_SEED));
+  const keys = generateRSAKeys(p, q, 3n);
+  const { n } = keys;
+  const ciphertext = rsaEncrypt(message, 3n, n);
+  const cube = message ** 3n;
+  const steps = [victimStep(
+    'rsa-attack-cube-victim', keys, ciphertext,
+    `被害者は e = 3 の ${bitLength(n)} ビット鍵を使い、パディングなしで短いメッセージを暗号化しました。`,
+  )];
+
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-attack-cube-check', phase: 'attack',
+    operation: 'checkWrap', label: 'M³ が n を超えていないか',
+    description: cube < n
+      ? `M³ は ${bitLength(cube)} ビットで n（${bitLength(n)} ビット）より小さいため、mod n の剰余が一度も起きていません。つまり C = M³ そのものです。`
+      : 'M³ ≥ n なので剰余が起き、C は M³ そのものではありません。この攻撃は失敗します（長いメッセージか適切なパディングで防げます）。',
+    formula: `C = M³ mod n ${cube < n ? '= M³（M³ < n）' : '≠ M³（M³ ≥ n）'}`,
+    values: { 'M³ のビット長': bitLength(cube), 'n のビット長': bitLength(n) }, detail: null,
+  });
+
+  const root = integerRoot(ciphertext, 3);
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-attack-cube-root', phase: 'attack',
+    operation: 'cubeRoot', label: '整数の立方根を計算',
+    description: '法を無視して、C の整数としての立方根をニュートン法で求めます。秘密鍵も因数分解も不要です。',
+    formula: `∛C = ∛${formatBig(ciphertext)} = ${formatBig(root)}${root ** 3n === ciphertext ? '（割り切れる）' : '（完全立方数ではない）'}`,
+    values: { ciphertext, root }, detail: null,
+  });
+
+  steps.push(recoveredStep(
+    'rsa-attack-cube-result', root, message,
+    '立方根がそのまま平文になりました。',
+  ));
+  return steps;
+}
+
+function buildCommonModulusSteps(p, q, e, message) {
+  const keysA = generateRSAKeys(p, q, e);
+  const { n, phi } = keysA;
+  const e2 = COMMON_MODULUS_EXPONENTS.find((c) => c !== e && c < phi && gcd(c, phi) === 1n && gcd(c, e) === 1n);
+  if (e2 === undefined) {
+    throw new RangeError('共通法攻撃に使える 2 つ目の公開指数が見つかりませんでした。別の p, q を選んでください');
+  }
+  // One Bézout coefficient is negative, so a ciphertext must be inverted mod n; C = M^e is
+  // invertible exactly when M is
+  const shared = gcd(message, n);
+  if (shared !== 1n) {
+    throw new RangeError(`共通法攻撃では負の指数のために C の mod n の逆元を使うので、gcd(M, n) = 1 が必要です（gcd(${formatBig(message)}, n) = ${formatBig(shared)}）。`
+      + 'n と互いに素な M（0 以外で p・q の倍数でない値）を選んでください');
+  }
+  const keysB = generateRSAKeys(p, q, e2);
+  const c1 = rsaEncrypt(message, e, n);
+  const c2 = rsaEncrypt(message, e2, n);
+
+  const steps = [{
+    algorithm: 'rsa', id: 'rsa-attack-common-victim', phase: 'victim',
+    operation: 'sharedModulus', label: '同じ n を共有する 2 つの公開鍵',
+    description: '同じメッセージ M が、同じ n で異なる公開指数 e1, e2 の 2 人に送られました。攻撃者は 2 つの暗号文を傍受します。',
+    formula: `(e1, n) = (${formatBig(e)}, ${formatBig(n)}) → C1 = ${formatBig(c1)}\n(e2, n) = (${formatBig(e2)}, ${formatBig(n)}) → C2 = ${formatBig(c2)}`,
+    values: { e1: e, e2, n, c1, c2 }, detail: null,
+  }];
+
+  // Bézout coefficients a·e1 + b·e2 = 1 from the extended Euclidean table
+  const { table } = modInverse(e, e2, { withTable: true });
+  const row = table[table.length - 2];
+  const [a, b] = [row.s, row.t];
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-attack-common-bezout', phase: 'attack',
+    operation: 'bezout', label: 'ベズーの等式 a·e1 + b·e2 = 1',
+    description: 'gcd(e1, e2) = 1 なので、拡張ユークリッド互除法で a·e1 + b·e2 = 1 となる整数 a, b が求まります。',
+    formula: `${a}·${formatBig(e)} + ${b}·${formatBig(e2)} = ${a * e + b * e2}`,
+    euclid: { rows: table, activeRow: table.length - 2, gcdRow: table.length - 2 },
+    values: { a, b }, detail: null,
+  });
+
+  // A negative coefficient means raising the inverse of that ciphertext
+  const term = (c, k) => (k < 0n ? modPow(modInverse(c, n), -k, n) : modPow(c, k, n));
+  const recovered = (term(c1, a) * term(c2, b)) % n;
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-attack-common-combine', phase: 'attack',
+    operation: 'combine', label: 'C1^a · C2^b mod n',
+    description: '負の指数は C の mod n における逆元のべき乗として計算します。C1^a · C2^b = M^(a·e1 + b·e2) = M¹ です。',
+    formula: `M = C1^(${a}) · C2^(${b}) mod n = ${formatBig(recovered)}`,
+    values: { a, b, recovered }, detail: null,
+  });
+
+  steps.push(recoveredStep(
+    'rsa-attack-common-result', recovered, message,
+    `どちらの秘密鍵（d1 = ${formatBig(keysA.d)}, d2 = ${formatBig(keysB.d)}）も使わずに計算しました。`,
+  ));
+  return steps;
+}
+
+function buildMalleabilitySteps(p, q, e, message) {
+  const keys = generateRSAKeys(p, q, e);
+  const { n, d } = keys;
+  // M ≡ 0 gives C = 0, and 0 · r^e is 0 again: there is no different ciphertext to submit
+  if (message % n === 0n) {
+    throw new RangeError('M ≡ 0 (mod n) だと暗号文も 0 になり、r^e を掛けても C と異なる暗号文を作れません。0 以外の M を選んでください');
+  }
+  const ciphertext = rsaEncrypt(message, e, n);
+  // The oracle refuses C itself, so C' = C · r^e must differ from C
+  let r = 2n;
+  while (r < n && (gcd(r, n) !== 1n || (ciphertext * modPow(r, e, n)) % n === ciphertext)) r++;
+  if (r === n) throw new RangeError('C と異なる暗号文を作る r が見つかりませんでした。別の M か p, q を選んでください');
+  const steps = [victimStep(
+    'rsa-attack-malleable-victim', keys, ciphertext,
+    '攻撃者は暗号文 C を傍受しましたが、被害者は「C そのもの以外」なら復号結果を返してくれる（復号オラクル）とします。',
+  )];
+
+  const factor = modPow(r, e, n);
+  const forged = (ciphertext * factor) % n;
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-attack-malleable-forge', phase: 'attack',
+    operation: 'forge', label: '暗号文に r^e を掛ける',
+    description: `パディングのない RSA は乗法的です: (M·r)^e = M^e · r^e。攻撃者は r = ${r} を選び、別の暗号文 C' を作ります。`,
+    formula: `C' = C · r^e mod n = ${formatBig(ciphertext)} · ${formatBig(factor)} mod ${formatBig(n)} = ${formatBig(forged)}`,
+    values: { r, 'r^e mod n': factor, forged }, detail: null,
+  });
+
+  const oracle = rsaDecrypt(forged, d, n);
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-attack-malleable-oracle', phase: 'attack',
+    operation: 'oracle', label: '被害者が C\' を復号',
+    description: 'C\' は C と異なるので、被害者は疑わずに復号して結果を返します。',
+    formula: `M' = C'^d mod n = ${formatBig(oracle)}（= M·r mod n）`,
+    values: { oracle }, detail: null,
+  });
+
+  const rInv = modInverse(r, n);
+  const recovered = (oracle * rInv) % n;
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-attack-malleable-unblind', phase: 'attack',
+    operation: 'unblind', label: 'r で割って M を取り出す',
+    description: 'r の mod n における逆元を掛けると、元の平文が現れます。',
+    formula: `M = M' · r⁻¹ mod n = ${formatBig(oracle)} · ${formatBig(rInv)} mod ${formatBig(n)} = ${formatBig(recovered)}`,
+    values: { rInv, recovered }, detail: null,
+  });
+
+  steps.push(recoveredStep(
+    'rsa-attack-malleable-result', recovered, message,
+    '改ざんした暗号文の復号結果から逆算しました。OAEP などのパディングはこの性質を壊します。',
+  ));
+  return steps;
+}
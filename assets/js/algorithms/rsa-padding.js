@@ -0,0 +1,196 @@
+/**
+ * rsa-padding.js — PKCS#1 v1.5 (type 2) and OAEP (MGF1-SHA-256) encryption padding,
+ * and the EMSA-PKCS1-v1_5 encoding of a SHA-256 digest for signatures.
+ * Each encoder returns the encoded block plus a byte layout (segments) for display.
+ * Pure functions only. No DOM access.
+ */
+
+import { sha256, SHA256_DIGEST_BYTES } from './sha256.js';
+import { xorBytes } from './utils.js';
+import { cryptoRng } from './primes.js';
+
+export const RSA_PADDINGS = Object.freeze(['pkcs1', 'oaep', 'none']);
+
+/** PKCS#1 v1.5 needs 00 02, at least 8 bytes of PS, and the 00 separator. */
+export const PKCS1_OVERHEAD = 11;
+/** OAEP needs 00, the masked seed, lHash, and the 01 separator. */
+export const OAEP_OVERHEAD = 2 * SHA256_DIGEST_BYTES + 2;
+
+const HLEN = SHA256_DIGEST_BYTES;
+
+/** DER prefix of DigestInfo for SHA-256 (RFC 8017 §9.2, note 1). */
+export const SHA256_DIGEST_INFO = Object.freeze([
+  0x30, 0x31, 0x30, 0x0d, 0x06, 0x09, 0x60, 0x86, 0x48, 0x01,
+  0x65, 0x03, 0x04, 0x02, 0x01, 0x05, 0x00, 0x04, 0x20,
+]);
+
+/** EMSA-PKCS1-v1_5 needs 00 01, at least 8 bytes of FF, 00, and the DigestInfo. */
+export const EMSA_PKCS1_MIN_BYTES = SHA256_DIGEST_INFO.length + SHA256_DIGEST_BYTES + PKCS1_OVERHEAD;
+
+/**
+ * Longest message (in bytes) a padding scheme can carry in a k-byte block.
+ * Without padding the message only has to stay below n, so k − 1 bytes always fit.
+ * @param {'pkcs1'|'oaep'|'none'} padding
+ * @param {number} k - Modulus length in bytes
+ * @returns {number} Negative when even an empty message does not fit
+ */
+export function paddingCapacity(padding, k) {
+  if (padding === 'pkcs1') return k - PKCS1_OVERHEAD;
+  if (padding === 'oaep') return k - OAEP_OVERHEAD;
+  return k - 1;
+}
+
+/**
+ * Random bytes from a uint32 source.
+ * @param {number} length
+ * @param {() => number} rng
+ * @param {boolean} [nonZero=false] - Redraw zero bytes (PKCS#1 v1.5 PS)
+ * @returns {number[]}
+ */
+function randomBytes(length, rng, nonZero = false) {
+  const bytes = [];
+  while (bytes.length < length) {
+    const byte = rng() & 0xff;
+    if (!nonZero || byte !== 0) bytes.push(byte);
+  }
+  return bytes;
+}
+
+/**
+ * MGF1 mask generation with SHA-256: SHA-256(seed || counter) concatenated.
+ * @param {number[]} seed
+ * @param {number} length - Mask length in bytes
+ * @returns {number[]}
+ */
+export function mgf1Sha256(seed, length) {
+  const mask = [];
+  for (let counter = 0; mask.length < length; counter++) {
+    const c = [counter >>> 24, (counter >>> 16) & 0xff, (counter >>> 8) & 0xff, counter & 0xff];
+    mask.push(...sha256([...seed, ...c]));
+  }
+  return mask.slice(0, length);
+}
+
+/**
+ * PKCS#1 v1.5 encryption encoding: EM = 00 || 02 || PS || 00 || M.
+ * @param {number[]} message
+ * @param {number} k - Modulus length in bytes
+ * @param {() => number} [rng=cryptoRng]
+ * @returns {{ em: number[], segments: Object[] }}
+ */
+export function pkcs1v15Pad(message, k, rng = cryptoRng) {
+  if (message.length > k - PKCS1_OVERHEAD) {
+    throw new RangeError(`PKCS#1 v1.5 で暗号化できるのは ${Math.max(0, k - PKCS1_OVERHEAD)} バイトまでです（現在: ${message.length} バイト）`);
+  }
+  const ps = randomBytes(k - message.length - 3, rng, true);
+  const segments = [
+    { label: '00', kind: 'fixed', bytes: [0x00] },
+    { label: 'ブロック種別 02', kind: 'fixed', bytes: [0x02] },
+    { label: `PS（0 以外の乱数 ${ps.length} バイト）`, kind: 'random', bytes: ps },
+    { label: '区切り 00', kind: 'separator', bytes: [0x00] },
+    { label: `M（${message.length} バイト）`, kind: 'message', bytes: [...message] },
+  ];
+  return { em: segments.flatMap((s) => s.bytes), segments };
+}
+
+/**
+ * Reverse PKCS#1 v1.5: check 00 02, skip PS up to the first 00.
+ * @param {number[]} em - k-byte block
+ * @returns {{ message: number[], separatorIndex: number, segments: Object[] }}
+ */
+export function pkcs1v15Unpad(em) {
+  if (em[0] !== 0x00 || em[1] !== 0x02) {
+    throw new RangeError('復号ブロックが 00 02 で始まっていません（パディングエラー）');
+  }
+  const separatorIndex = em.indexOf(0x00, 2);
+  if (separatorIndex < 2 + 8) {
+    throw new RangeError('PS が見つからないか 8 バイト未満です（パディングエラー）');
+  }
+  const message = em.slice(separatorIndex + 1);
+  const segments = [
+    { label: '00 02', kind: 'fixed', bytes: em.slice(0, 2) },
+    { label: 'PS（読み飛ばす）', kind: 'random', bytes: em.slice(2, separatorIndex) },
+    { label: `最初の 00（位置 ${separatorIndex}）`, kind: 'separator', bytes: [0x00] },
+    { label: `M（${message.length} バイト）`, kind: 'message', bytes: message },
+  ];
+  return { message, separatorIndex, segments };
+}
+
+/**
+ * OAEP encoding (RFC 8017 §7.1.1) with SHA-256 and MGF1-SHA-256.
+ * Returns every intermediate value so the steps can show the two Feistel-like masks.
+ * @param {number[]} message
+ * @param {number} k - Modulus length in bytes
+ * @param {Object} [options]
+ * @param {number[]} [options.label=[]] - OAEP label L
+ * @param {() => number} [options.rng=cryptoRng]
+ * @returns {{ em: number[], lHash: number[], db: number[], seed: number[], dbMask: number[],
+ *   maskedDB: number[], seedMask: number[], maskedSeed: number[], psLength: number }}
+ */
+export function oaepPad(message, k, { label = [], rng = cryptoRng } = {}) {
+  if (message.length > k - OAEP_OVERHEAD) {
+    throw new RangeError(`OAEP (SHA-256) で暗号化できるのは ${Math.max(0, k - OAEP_OVERHEAD)} バイトまでです（現在: ${message.length} バイト）`);
+  }
+  const lHash = sha256(label);
+  const psLength = k - message.length - OAEP_OVERHEAD;
+  const db = [...lHash, ...new Array(psLength).fill(0), 0x01, ...message];
+  const seed = randomBytes(HLEN, rng);
+  const dbMask = mgf1Sha256(seed, k - HLEN - 1);
+  const maskedDB = xorBytes(db, dbMask);
+  const seedMask = mgf1Sha256(maskedDB, HLEN);
+  const maskedSeed = xorBytes(seed, seedMask);
+  return {
+    em: [0x00, ...maskedSeed, ...maskedDB],
+    lHash, db, seed, dbMask, maskedDB, seedMask, maskedSeed, psLength,
+  };
+}
+
+/**
+ * OAEP decoding: undo both masks, then check lHash, the zero PS and the 01 separator.
+ * @param {number[]} em - k-byte block
+ * @param {Object} [options]
+ * @param {number[]} [options.label=[]]
+ * @returns {{ message: number[], seed: number[], db: number[], seedMask: number[],
+ *   dbMask: number[], lHashMatch: boolean, separatorIndex: number }}
+ */
+export function oaepUnpad(em, { label = [] } = {}) {
+  const maskedSeed = em.slice(1, 1 + HLEN);
+  const maskedDB = em.slice(1 + HLEN);
+  const seedMask = mgf1Sha256(maskedDB, HLEN);
+  const seed = xorBytes(maskedSeed, seedMask);
+  const dbMask = mgf1Sha256(seed, maskedDB.length);
+  const db = xorBytes(maskedDB, dbMask);
+  const lHash = sha256(label);
+  const lHashMatch = lHash.every((b, i) => db[i] === b);
+  let separatorIndex = HLEN;
+  while (separatorIndex < db.length && db[separatorIndex] === 0x00) separatorIndex++;
+  if (em[0] !== 0x00 || !lHashMatch || db[separatorIndex] !== 0x01) {
+    throw new RangeError('OAEP の復号に失敗しました（先頭バイト・lHash・区切り 01 のいずれかが不正です）');
+  }
+  return {
+    message: db.slice(separatorIndex + 1), seed, db, seedMask, dbMask, lHashMatch, separatorIndex,
+  };
+}
+
+/**
+ * EMSA-PKCS1-v1_5 signature encoding of a SHA-256 digest:
+ * EM = 00 || 01 || FF…FF || 00 || DigestInfo || H.
+ * @param {number[]} digest - 32-byte SHA-256 digest
+ * @param {number} k - Modulus length in bytes
+ * @returns {{ em: number[], segments: Object[] }}
+ */
+export function emsaPkcs1v15Encode(digest, k) {
+  if (k < EMSA_PKCS1_MIN_BYTES) {
+    throw new RangeError(`EMSA-PKCS1-v1_5 (SHA-256) には n が ${EMSA_PKCS1_MIN_BYTES} バイト以上必要です（現在: ${k} バイト）`);
+  }
+  const psLength = k - SHA256_DIGEST_INFO.length - digest.length - 3;
+  const segments = [
+    { label: '00', kind: 'fixed', bytes: [0x00] },
+    { label: 'ブロック種別 01', kind: 'fixed', bytes: [0x01] },
+    { label: `PS（FF × ${psLength}）`, kind: 'fixed', bytes: new Array(psLength).fill(0xff) },
+    { label: '区切り 00', kind: 'separator', bytes: [0x00] },
+    { label: 'DigestInfo（SHA-256）', kind: 'asn1', bytes: [...SHA256_DIGEST_INFO] },
+    { label: 'H = SHA-256(M)', kind: 'hash', bytes: [...digest] },
+  ];
+  return { em: segments.flatMap((s) => s.bytes), segments };
+}
@@ -0,0 +1,151 @@
+/**
+ * rsa-sign.js — Step builder for RSA signatures (SHA-256, EMSA-PKCS1-v1_5)
+ * Hash → encode → s = h^d mod n, then verify with s^e mod n. The verifier can be
+ * handed a tampered message to show the check failing.
+ * Pure functions only. No DOM access.
+ */
+
+import { generateRSAKeys } from './rsa.js';
+import { emsaPkcs1v15Encode, EMSA_PKCS1_MIN_BYTES } from './rsa-padding.js';
+import { sha256Hex } from './blockchain/hash.js';
+import { bitLength } from './primes.js';
+import {
+  hexToBytes, bytesToBigInt, bigIntToBytes, powerDetail, formatBig, tamperMessage,
+} from './utils.js';
+
+/**
+ * Turn a SHA-256 digest into the integer that gets signed.
+ * Keys of at least EMSA_PKCS1_MIN_BYTES use EMSA-PKCS1-v1_5; smaller toy keys
+ * fall back to H mod n, which is enough to follow the arithmetic but easy to forge.
+ * @param {string} digestHex
+ * @param {bigint} n
+ * @param {number} k - Modulus length in bytes
+ * @returns {{ value: bigint, segments: Object[]|null }}
+ */
+function encodeDigest(digestHex, n, k) {
+  const digest = hexToBytes(digestHex);
+  if (k < EMSA_PKCS1_MIN_BYTES) {
+    return { value: bytesToBigInt(digest) % n, segments: null };
+  }
+  const { em, segments } = emsaPkcs1v15Encode(digest, k);
+  return { value: bytesToBigInt(em), segments };
+}
+
+/**
+ * Build the steps for signing a message and verifying the signature.
+ * Hashing uses crypto.subtle (via sha256Hex), so the builder is async.
+ * @param {string} message - Text to sign
+ * @param {bigint} p - First prime
+ * @param {bigint} q - Second prime
+ * @param {bigint} e - Public exponent
+ * @param {Object} [options]
+ * @param {boolean} [options.tamper=false] - Hand the verifier a message with one character changed
+ * @returns {Promise<Object[]>} Array of step objects
+ */
+export async function buildRSASignSteps(message, p, q, e, { tamper = false } = {}) {
+  if (message.length === 0) throw new RangeError('署名するメッセージを入力してください');
+  const { n, d } = generateRSAKeys(p, q, e);
+  const k = Math.ceil(bitLength(n) / 8);
+  const emsa = k >= EMSA_PKCS1_MIN_BYTES;
+  const [N, E, D] = [n, e, d].map(formatBig);
+  const steps = [];
+
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-sign-key', phase: 'keygen',
+    operation: 'showKeys', label: '署名者の鍵ペア',
+    description: '署名者は秘密鍵 (d, n) で署名し、検証者は公開鍵 (e, n) だけで確かめます。暗号化とは鍵の使い方が逆になります。',
+    formula: `公開鍵 (e, n) = (${E}, ${N})\n秘密鍵 (d, n) = (${D}, ${N})`,
+    values: { e, n, d, 'n のビット長': bitLength(n) }, detail: null,
+  });
+
+  const digestHex = await sha256Hex(message);
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-sign-hash', phase: 'hash',
+    operation: 'hashMessage', label: 'メッセージのハッシュ',
+    description: 'メッセージ全体ではなく、SHA-256 で求めた 32 バイトのハッシュ値に署名します。メッセージが 1 文字でも変わればハッシュはまったく別の値になります。',
+    formula: `H = SHA-256("${message}")\n  = ${digestHex}`,
+    values: { 'メッセージ': message, H: digestHex }, detail: null,
+  });
+
+  const signed = encodeDigest(digestHex, n, k);
+  steps.push(emsa
+    ? {
+      algorithm: 'rsa', id: 'rsa-sign-encode', phase: 'encode',
+      operation: 'emsaEncode', label: 'ハッシュの符号化（EMSA-PKCS1-v1_5）',
+      description: `H の前にハッシュ方式を示す DigestInfo、区切りの 00、FF の列、00 01 を付けて k = ${k} バイトにします。`
+        + '乱数を含まないので、同じメッセージの署名は毎回同じになります。',
+      formula: `EM = 00 ‖ 01 ‖ FF…FF ‖ 00 ‖ DigestInfo ‖ H\nh = OS2IP(EM) = ${formatBig(signed.value)}`,
+      byteLayout: { caption: `EM（${k} バイト）`, rows: [{ label: 'EM', operator: null, segments: signed.segments }] },
+      values: { h: signed.value }, detail: null,
+    }
+    : {
+      algorithm: 'rsa', id: 'rsa-sign-encode', phase: 'encode',
+      operation: 'reduceDigest', label: 'ハッシュの縮小（学習用）',
+      description: `n が ${bitLength(n)} ビットしかなく、EMSA-PKCS1-v1_5 の ${EMSA_PKCS1_MIN_BYTES} バイトに足りません。`
+        + `ここでは H を n で割った余りに署名します。この方法では同じ h になる別のメッセージが約 ${formatBig(n)} 通りに 1 つ見つかるため、実際には 512 ビット以上の鍵を使います。`,
+      formula: `h = H mod n = ${formatBig(bytesToBigInt(hexToBytes(digestHex)))} mod ${N} = ${formatBig(signed.value)}`,
+      values: { h: signed.value, n }, detail: null,
+    });
+
+  const signDetail = powerDetail(signed.value, d, n);
+  const signature = signDetail.result;
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-sign-sign', phase: 'sign',
+    operation: 'computePower', label: '署名の計算',
+    description: '秘密鍵 d で s = hᵈ mod n を計算します。d を知っている署名者だけがこの値を作れます。メッセージと署名 s の組を送ります。',
+    formula: `s = h^d mod n = ${formatBig(signature)}`,
+    values: { h: signed.value, d, n, s: signature },
+    detail: signDetail,
+  });
+
+  const received = tamper ? tamperMessage(message) : message;
+  const receivedHex = await sha256Hex(received);
+  const expected = encodeDigest(receivedHex, n, k);
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-sign-verify-hash', phase: 'verify',
+    operation: 'hashReceived', label: tamper ? '受信メッセージのハッシュ（改ざんあり）' : '受信メッセージのハッシュ',
+    description: tamper
+      ? `途中でメッセージが「${received}」に書き換えられました（署名 s はそのまま）。検証者は受け取ったメッセージから H′ を計算し、署名者と同じ方法で h′ に符号化します。`
+      : '検証者は受け取ったメッセージから H′ を計算し、署名者と同じ方法で h′ に符号化します。',
+    formula: `H′ = SHA-256("${received}")\n  = ${receivedHex}${receivedHex === digestHex ? '' : '（H と異なる）'}\nh′ = ${formatBig(expected.value)}`,
+    values: { '受信メッセージ': received, 'H′': receivedHex, 'h′': expected.value }, detail: null,
+  });
+
+  const verifyDetail = powerDetail(signature, e, n);
+  const recovered = verifyDetail.result;
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-sign-verify-recover', phase: 'verify',
+    operation: 'computePower', label: '署名から h を復元',
+    description: '公開鍵 e で v = sᵉ mod n を計算します。(hᵈ)ᵉ ≡ h (mod n) なので、正しい署名なら署名者が符号化した h に戻ります。',
+    formula: `v = s^e mod n = ${formatBig(recovered)}`,
+    values: { s: signature, e, n, v: recovered },
+    detail: verifyDetail,
+  });
+
+  const valid = recovered === expected.value;
+  const compare = {
+    algorithm: 'rsa', id: 'rsa-sign-verify-result', phase: 'verify',
+    operation: 'verifySignature', label: valid ? '検証結果 ✓ 署名は有効' : '検証結果 ✗ 署名は無効',
+    description: valid
+      ? '署名から復元した v と受信メッセージから計算した h′ が一致しました。メッセージは署名者が署名したものから変わっていません。'
+      : '署名から復元した v と受信メッセージから計算した h′ が一致しません。メッセージが改ざんされたか、別の鍵で署名されています。',
+    formula: `v ${valid ? '=' : '≠'} h′ ${valid ? '✓ 有効' : '✗ 無効'}`,
+    sideBySide: [
+      { title: '署名から復元（sᵉ mod n）', values: { v: recovered } },
+      { title: '受信メッセージから計算', values: { 'h′': expected.value } },
+    ],
+    values: { valid }, detail: null,
+  };
+  if (emsa) {
+    compare.byteLayout = {
+      caption: `sᵉ mod n と EMSA(H′) の比較（${k} バイト）`,
+      rows: [
+        { label: 'v', operator: null, segments: [{ label: 'v', kind: 'plain', bytes: bigIntToBytes(recovered, k) }] },
+        { label: 'EM′', operator: valid ? '=' : '≠', segments: expected.segments },
+      ],
+    };
+  }
+  steps.push(compare);
+
+  return steps;
+}
@@ -0,0 +1,371 @@
+/**
+ * rsa-text.js — Step builder for encrypting text with RSA and a padding scheme
+ * Text → UTF-8 bytes → padded block EM → integer m → C = m^e mod n, and back again.
+ * Pure functions only. No DOM access.
+ */
+
+import { generateRSAKeys, rsaEncrypt, rsaDecrypt } from './rsa.js';
+import {
+  RSA_PADDINGS, paddingCapacity, pkcs1v15Pad, pkcs1v15Unpad, oaepPad, oaepUnpad,
+} from './rsa-padding.js';
+import { bitLength, cryptoRng } from './primes.js';
+import {
+  utf8ToBytes, bytesToUtf8, bytesToBigInt, bigIntToBytes, bytesToHex, powerDetail, formatBig,
+} from './utils.js';
+
+const PADDING_NAMES = Object.freeze({
+  pkcs1: 'PKCS#1 v1.5',
+  oaep: 'OAEP (SHA-256, MGF1)',
+  none: 'パディングなし',
+});
+
+/**
+ * One row of a byte layout.
+ * @param {string} label
+ * @param {Object[]} segments - { label, kind, bytes }
+ * @param {string|null} [operator=null] - '⊕' or '=' drawn before the row
+ * @returns {{ label: string, operator: string|null, segments: Object[] }}
+ */
+function layoutRow(label, segments, operator = null) {
+  return { label, operator, segments };
+}
+
+/**
+ * A row holding a single segment.
+ * @param {string} label
+ * @param {string} kind
+ * @param {number[]} bytes
+ * @param {string|null} [operator=null]
+ * @returns {Object}
+ */
+function singleRow(label, kind, bytes, operator = null) {
+  return layoutRow(label, [{ label, kind, bytes }], operator);
+}
+
+/**
+ * Short hex preview of a byte string for formulas.
+ * @param {number[]} bytes
+ * @returns {string}
+ */
+function hexPreview(bytes) {
+  const hex = bytesToHex(bytes);
+  return hex.length <= 32 ? hex : `${hex.slice(0, 16)}…${hex.slice(-8)}（${bytes.length} バイト）`;
+}
+
+/**
+ * Padding steps (phase 'encode') for one scheme.
+ * @param {'pkcs1'|'oaep'|'none'} padding
+ * @param {number[]} message - UTF-8 bytes
+ * @param {number} k - Modulus length in bytes
+ * @param {() => number} rng
+ * @returns {{ steps: Object[], em: number[] }}
+ */
+function buildPadSteps(padding, message, k, rng) {
+  const base = { algorithm: 'rsa', phase: 'encode', detail: null };
+  const capacity = paddingCapacity(padding, k);
+
+  if (padding === 'none') {
+    const zeros = new Array(k - message.length).fill(0);
+    const segments = [
+      { label: `先頭の 0（${zeros.length} バイト）`, kind: 'zero', bytes: zeros },
+      { label: `M（${message.length} バイト）`, kind: 'message', bytes: [...message] },
+    ];
+    return {
+      em: [...zeros, ...message],
+      steps: [{
+        ...base, id: 'rsa-text-raw', operation: 'noPadding', label: 'パディングなし（教科書的 RSA）',
+        description: 'バイト列をそのまま整数にします。乱数が入らないため同じ平文は常に同じ暗号文になり、'
+          + '短いメッセージは小さい e で開平されるなど、攻撃モードで見た弱点がそのまま残ります。',
+        formula: `EM = 00…00 ‖ M（${k} バイト、M は最大 ${capacity} バイト）`,
+        byteLayout: { caption: `EM（${k} バイト）`, rows: [layoutRow('EM', segments)] },
+        values: { 'M のバイト数': message.length, 'ブロック長 k': k },
+      }],
+    };
+  }
+
+  if (padding === 'pkcs1') {
+    const { em, segments } = pkcs1v15Pad(message, k, rng);
+    const ps = segments[2].bytes;
+    return {
+      em,
+      steps: [{
+        ...base, id: 'rsa-text-pkcs1', operation: 'pkcs1Pad', label: 'PKCS#1 v1.5 パディング',
+        description: `先頭に 00 02、続けて 0 を含まない乱数 PS（${ps.length} バイト）、区切りの 00、最後にメッセージを並べて k = ${k} バイトにします。`
+          + 'PS が毎回変わるので、同じ平文でも暗号文は毎回異なります。',
+        formula: `EM = 00 ‖ 02 ‖ PS ‖ 00 ‖ M\n|PS| = k − 3 − |M| = ${k} − 3 − ${message.length} = ${ps.length}（8 バイト以上必要 → M は最大 ${capacity} バイト）`,
+        byteLayout: { caption: `EM（${k} バイト）`, rows: [layoutRow('EM', segments)] },
+        values: { 'M のバイト数': message.length, 'PS のバイト数': ps.length, 'ブロック長 k': k },
+      }],
+    };
+  }
+
+  const o = oaepPad(message, k, { rng });
+  const dbSegments = [
+    { label: 'lHash = SHA-256("")', kind: 'hash', bytes: o.lHash },
+    { label: `PS（00 × ${o.psLength}）`, kind: 'zero', bytes: o.db.slice(o.lHash.length, o.lHash.length + o.psLength) },
+    { label: '区切り 01', kind: 'separator', bytes: [0x01] },
+    { label: `M（${message.length} バイト）`, kind: 'message', bytes: [...message] },
+  ];
+  return {
+    em: o.em,
+    steps: [
+      {
+        ...base, id: 'rsa-text-oaep-db', operation: 'oaepDB', label: 'OAEP: データブロック DB',
+        description: `ラベル L（空）のハッシュ lHash、0 の列 PS、区切り 01、メッセージを連結して k − 33 = ${o.db.length} バイトの DB を作ります。`
+          + '復号側は lHash と 01 の位置を確かめることで改ざんを検出します。',
+        formula: `DB = lHash ‖ PS ‖ 01 ‖ M\n|PS| = k − |M| − 66 = ${k} − ${message.length} − 66 = ${o.psLength}（M は最大 ${capacity} バイト）`,
+        byteLayout: { caption: `DB（${o.db.length} バイト）`, rows: [layoutRow('DB', dbSegments)] },
+        values: { 'M のバイト数': message.length, 'PS のバイト数': o.psLength, 'ブロック長 k': k },
+      },
+      {
+        ...base, id: 'rsa-text-oaep-dbmask', operation: 'oaepMaskDB', label: 'OAEP: DB のマスク',
+        description: '32 バイトの乱数 seed を選び、MGF1（SHA-256(seed ‖ カウンタ) を必要な長さまで連結）で DB と同じ長さのマスクを作って XOR します。',
+        formula: `seed = ${hexPreview(o.seed)}\ndbMask = MGF1(seed, ${o.db.length})\nmaskedDB = DB ⊕ dbMask`,
+        byteLayout: {
+          caption: 'DB ⊕ MGF1(seed)',
+          rows: [
+            layoutRow('DB', dbSegments),
+            singleRow('dbMask', 'mask', o.dbMask, '⊕'),
+            singleRow('maskedDB', 'masked', o.maskedDB, '='),
+          ],
+        },
+        values: { seed: bytesToHex(o.seed) },
+      },
+      {
+        ...base, id: 'rsa-text-oaep-seedmask', operation: 'oaepMaskSeed', label: 'OAEP: seed のマスク',
+        description: '今度は maskedDB から MGF1 で 32 バイトのマスクを作り、seed を隠します。'
+          + 'DB の 1 ビットでも変われば seed のマスクも全体が変わります。',
+        formula: `seedMask = MGF1(maskedDB, 32)\nmaskedSeed = seed ⊕ seedMask = ${hexPreview(o.maskedSeed)}`,
+        byteLayout: {
+          caption: 'seed ⊕ MGF1(maskedDB)',
+          rows: [
+            singleRow('seed', 'random', o.seed),
+            singleRow('seedMask', 'mask', o.seedMask, '⊕'),
+            singleRow('maskedSeed', 'masked', o.maskedSeed, '='),
+          ],
+        },
+        values: { maskedSeed: bytesToHex(o.maskedSeed) },
+      },
+      {
+        ...base, id: 'rsa-text-oaep-em', operation: 'oaepEM', label: 'OAEP: 符号化ブロック EM',
+        description: '先頭の 00、maskedSeed、maskedDB を並べると k バイトの EM になります。どのバイトも乱数のように見え、平文の構造は残っていません。',
+        formula: `EM = 00 ‖ maskedSeed ‖ maskedDB（${k} バイト）`,
+        byteLayout: {
+          caption: `EM（${k} バイト）`,
+          rows: [layoutRow('EM', [
+            { label: '00', kind: 'fixed', bytes: [0x00] },
+            { label: 'maskedSeed', kind: 'masked', bytes: o.maskedSeed },
+            { label: 'maskedDB', kind: 'masked', bytes: o.maskedDB },
+          ])],
+        },
+        values: null,
+      },
+    ],
+  };
+}
+
+/**
+ * Unpadding steps (phase 'decode') for one scheme.
+ * @param {'pkcs1'|'oaep'|'none'} padding
+ * @param {number[]} em - Recovered k-byte block
+ * @returns {{ steps: Object[], message: number[] }}
+ */
+function buildUnpadSteps(padding, em) {
+  const base = { algorithm: 'rsa', phase: 'decode', detail: null };
+
+  if (padding === 'none') {
+    const start = em.findIndex((b) => b !== 0);
+    const message = start < 0 ? [] : em.slice(start);
+    return {
+      message,
+      steps: [{
+        ...base, id: 'rsa-text-strip', operation: 'stripZeros', label: '先頭の 0 を除去',
+        description: '先頭の 00 を取り除きます。パディングがないので、元のメッセージ自体が 00 で始まっていた場合は区別できません。',
+        formula: `M = EM から先頭の 00 × ${em.length - message.length} を除いたもの`,
+        byteLayout: {
+          caption: `EM（${em.length} バイト）`,
+          rows: [layoutRow('EM', [
+            { label: '先頭の 0（除去）', kind: 'zero', bytes: em.slice(0, em.length - message.length) },
+            { label: `M（${message.length} バイト）`, kind: 'message', bytes: message },
+          ])],
+        },
+        values: { 'M のバイト数': message.length },
+      }],
+    };
+  }
+
+  if (padding === 'pkcs1') {
+    const { message, separatorIndex, segments } = pkcs1v15Unpad(em);
+    return {
+      message,
+      steps: [{
+        ...base, id: 'rsa-text-pkcs1-unpad', operation: 'pkcs1Unpad', label: 'PKCS#1 v1.5 パディングの除去',
+        description: '先頭が 00 02 であることを確かめ、PS を読み飛ばして最初の 00 より後ろをメッセージとして取り出します。',
+        formula: `EM[0..1] = 00 02 ✓\n最初の 00 の位置 = ${separatorIndex} → M = EM[${separatorIndex + 1}..${em.length - 1}]`,
+        byteLayout: { caption: `EM（${em.length} バイト）`, rows: [layoutRow('EM', segments)] },
+        values: { 'M のバイト数': message.length },
+      }],
+    };
+  }
+
+  const u = oaepUnpad(em);
+  const maskedSeed = em.slice(1, 1 + u.seed.length);
+  const maskedDB = em.slice(1 + u.seed.length);
+  const hLen = u.seed.length;
+  return {
+    message: u.message,
+    steps: [
+      {
+        ...base, id: 'rsa-text-oaep-unmask', operation: 'oaepUnmask', label: 'OAEP: マスクの除去',
+        description: 'EM を 00 ‖ maskedSeed ‖ maskedDB に分け、暗号化と逆の順に seed → DB の順でマスクを外します（XOR は自分自身の逆演算です）。',
+        formula: 'seed = maskedSeed ⊕ MGF1(maskedDB, 32)\nDB = maskedDB ⊕ MGF1(seed, k − 33)',
+        byteLayout: {
+          caption: 'maskedSeed ⊕ seedMask → seed、maskedDB ⊕ dbMask → DB',
+          rows: [
+            singleRow('maskedSeed', 'masked', maskedSeed),
+            singleRow('seedMask', 'mask', u.seedMask, '⊕'),
+            singleRow('seed', 'random', u.seed, '='),
+            singleRow('maskedDB', 'masked', maskedDB),
+            singleRow('dbMask', 'mask', u.dbMask, '⊕'),
+            singleRow('DB', 'plain', u.db, '='),
+          ],
+        },
+        values: { seed: bytesToHex(u.seed) },
+      },
+      {
+        ...base, id: 'rsa-text-oaep-check', operation: 'oaepCheck', label: 'OAEP: DB の検証',
+        description: 'DB の先頭が lHash と一致し、0 の列の後に 01 があることを確かめてから、その後ろをメッセージとして取り出します。',
+        formula: `lHash ${u.lHashMatch ? '✓ 一致' : '✗ 不一致'}\n区切り 01 の位置 = ${u.separatorIndex} → M = DB[${u.separatorIndex + 1}..${u.db.length - 1}]`,
+        byteLayout: {
+          caption: `DB（${u.db.length} バイト）`,
+          rows: [layoutRow('DB', [
+            { label: 'lHash', kind: 'hash', bytes: u.db.slice(0, hLen) },
+            { label: 'PS', kind: 'zero', bytes: u.db.slice(hLen, u.separatorIndex) },
+            { label: '区切り 01', kind: 'separator', bytes: [0x01] },
+            { label: `M（${u.message.length} バイト）`, kind: 'message', bytes: u.message },
+          ])],
+        },
+        values: { 'M のバイト数': u.message.length },
+      },
+    ],
+  };
+}
+
+/**
+ * Build the steps for encrypting a text message with RSA.
+ * The key must be large enough for the padding: PKCS#1 v1.5 needs |M| ≤ k − 11
+ * and OAEP-SHA-256 needs |M| ≤ k − 66, where k is the byte length of n.
+ * Steps carry a `byteLayout` ({ caption, rows: [{ label, operator, segments }] })
+ * where each segment is { label, kind, bytes } and kind selects the colour.
+ * @param {string} text - Plaintext
+ * @param {bigint} p - First prime
+ * @param {bigint} q - Second prime
+ * @param {bigint} e - Public exponent
+ * @param {Object} [options]
+ * @param {'pkcs1'|'oaep'|'none'} [options.padding='oaep']
+ * @param {() => number} [options.rng=cryptoRng] - Source of PS / seed bytes
+ * @returns {Object[]} Array of step objects
+ */
+export function buildRSATextSteps(text, p, q, e, { padding = 'oaep', rng = cryptoRng } = {}) {
+  if (!RSA_PADDINGS.includes(padding)) throw new RangeError(`不明なパディング方式です: ${padding}`);
+  const key = generateRSAKeys(p, q, e);
+  const { n, d } = key;
+  const bits = bitLength(n);
+  const k = Math.ceil(bits / 8);
+  const message = utf8ToBytes(text);
+  const capacity = paddingCapacity(padding, k);
+  if (message.length === 0) throw new RangeError('暗号化するテキストを入力してください');
+  if (message.length > capacity) {
+    const needed = padding === 'none' ? message.length + 1 : message.length + (k - capacity);
+    throw new RangeError(`${PADDING_NAMES[padding]} で ${message.length} バイトのテキストを暗号化するには、`
+      + `n が ${needed} バイト（${needed * 8} ビット）以上必要です（現在 ${bits} ビット）。鍵長を選んで「素数を生成」してください`);
+  }
+  const steps = [];
+
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-text-key', phase: 'keygen',
+    operation: 'showKeys', label: '鍵とブロック長',
+    description: `n のバイト長 k が 1 ブロックの大きさです。${PADDING_NAMES[padding]} では最大 ${capacity} バイトのメッセージを 1 回で暗号化できます。`,
+    formula: `公開鍵 (e, n) = (${formatBig(e)}, ${formatBig(n)})\nk = ⌈${bits} / 8⌉ = ${k} バイト`,
+    values: { e, n, d, 'ブロック長 k': k }, detail: null,
+  });
+
+  const chars = Array.from(text);
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-text-utf8', phase: 'encode',
+    operation: 'utf8Encode', label: 'テキストを UTF-8 バイト列に',
+    description: `${chars.length} 文字を UTF-8 で符号化すると ${message.length} バイトになります。ASCII 文字は 1 バイト、ひらがなや漢字は 3 バイトです。`,
+    formula: `M = UTF-8("${text.length > 24 ? `${text.slice(0, 24)}…` : text}") = ${hexPreview(message)}`,
+    byteLayout: {
+      caption: `M（${message.length} バイト）`,
+      rows: [layoutRow('M', chars.map((ch) => ({ label: ch === ' ' ? '␣' : ch, kind: 'message', bytes: utf8ToBytes(ch) })))],
+    },
+    values: { '文字数': chars.length, 'バイト数': message.length }, detail: null,
+  });
+
+  const { steps: padSteps, em } = buildPadSteps(padding, message, k, rng);
+  steps.push(...padSteps);
+
+  const m = bytesToBigInt(em);
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-text-os2ip', phase: 'encode',
+    operation: 'os2ip', label: 'バイト列を整数に（OS2IP）',
+    description: `EM を ${k} 桁の 256 進数（ビッグエンディアン）とみなして整数 m にします。先頭が 00 なので必ず m < n です。`,
+    formula: `m = Σ EM[i]·256^(${k - 1}−i) = ${formatBig(m)}`,
+    values: { m, n }, detail: null,
+  });
+
+  const ciphertext = rsaEncrypt(m, e, n);
+  const encryptValues = { ciphertext };
+  if (padding !== 'none') {
+    const { em: again } = buildPadSteps(padding, message, k, rng);
+    encryptValues['もう一度暗号化した C'] = rsaEncrypt(bytesToBigInt(again), e, n);
+  }
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-text-encrypt', phase: 'encrypt',
+    operation: 'computePower', label: '暗号化',
+    description: padding === 'none'
+      ? '公開鍵で C = mᵉ mod n を計算します。パディングがないので、同じテキストからは常に同じ C が得られます。'
+      : '公開鍵で C = mᵉ mod n を計算します。パディングの乱数を変えてもう一度暗号化すると、まったく別の C になります。',
+    formula: `C = m^e mod n = ${formatBig(ciphertext)}`,
+    values: encryptValues,
+    detail: powerDetail(m, e, n),
+  });
+
+  const decrypted = rsaDecrypt(ciphertext, d, n);
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-text-decrypt', phase: 'decrypt',
+    operation: 'computeDecrypt', label: '復号',
+    description: '秘密鍵で m = Cᵈ mod n を計算し、パディング済みの整数を取り戻します。',
+    formula: `m = C^d mod n = ${formatBig(decrypted)}`,
+    values: { ciphertext, d, m: decrypted },
+    detail: powerDetail(ciphertext, d, n),
+  });
+
+  const recovered = bigIntToBytes(decrypted, k);
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-text-i2osp', phase: 'decode',
+    operation: 'i2osp', label: '整数をバイト列に（I2OSP）',
+    description: `m を ${k} バイトのビッグエンディアンに戻します。先頭の 00 も含めて k バイトにそろえるのがポイントです。`,
+    formula: `EM = I2OSP(m, ${k})`,
+    byteLayout: { caption: `EM（${k} バイト）`, rows: [singleRow('EM', 'plain', recovered)] },
+    values: null, detail: null,
+  });
+
+  const { steps: unpadSteps, message: plainBytes } = buildUnpadSteps(padding, recovered);
+  steps.push(...unpadSteps);
+
+  const plaintext = bytesToUtf8(plainBytes);
+  const match = plaintext === text;
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-text-result', phase: 'decode',
+    operation: 'showPlain', label: 'UTF-8 として復号',
+    description: match
+      ? 'バイト列を UTF-8 として読み直すと、元のテキストが得られました。'
+      : 'バイト列を UTF-8 として読み直しましたが、元のテキストと一致しませんでした。',
+    formula: `"${plaintext}" ${match ? '✓ 一致' : '✗ 不一致'}`,
+    values: { '復号したテキスト': plaintext, '元のテキスト': text, match }, detail: null,
+  });
+
+  return steps;
+}
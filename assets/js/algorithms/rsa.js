@@ -3,98 +3,228 @@
  * Pure functions only. No DOM access.
  */
 
-import { modPow, gcd, modInverse } from './utils.js';
+import { modPow, gcd, modInverse, formatBig, powerDetail } from './utils.js';
+import { isProbablePrime, randomPrime, bitLength, cryptoRng } from './primes.js';
+
+/** Euclidean rows shown one step at a time before the rest are grouped. */
+const EUCLID_ROW_STEPS = 12;
 
 /**
- * Check if a number is prime (trial division).
- * @param {number} n
- * @returns {boolean}
+ * Validate p, q and the range of e, and compute n and φ(n).
+ * Whether e is invertible mod φ(n) is left to the caller.
+ * @param {bigint} p
+ * @param {bigint} q
+ * @param {bigint} e
+ * @returns {{ n: bigint, phi: bigint }}
  */
-function isPrime(n) {
-  if (n < 2) return false;
-  if (n < 4) return true;
-  if (n % 2 === 0 || n % 3 === 0) return false;
-  for (let i = 5; i * i <= n; i += 6) {
-    if (n % i === 0 || n % (i + 2) === 0) return false;
+function computeModulus(p, q, e) {
+  if (!isProbablePrime(p)) throw new RangeError(`p = ${formatBig(p)} は素数ではありません`);
+  if (!isProbablePrime(q)) throw new RangeError(`q = ${formatBig(q)} は素数ではありません`);
+  if (p === q) throw new RangeError('p と q は異なる素数を選んでください');
+  const n = p * q;
+  const phi = (p - 1n) * (q - 1n);
+  if (e < 2n || e >= phi) {
+    throw new RangeError(`e = ${formatBig(e)} は 2 ≤ e < φ(n) = ${formatBig(phi)} を満たす必要があります`);
   }
-  return true;
+  return { n, phi };
 }
 
 /**
  * Generate RSA key parameters from two primes and a public exponent.
- * @param {number} p - First prime
- * @param {number} q - Second prime
- * @param {number} e - Public exponent
- * @returns {{ p: number, q: number, n: number, phi: number, e: number, d: number }}
+ * Primality is checked with Miller–Rabin, so p and q may be hundreds of digits long.
+ * @param {bigint} p - First prime
+ * @param {bigint} q - Second prime
+ * @param {bigint} e - Public exponent
+ * The CRT parameters dp = d mod (p−1), dq = d mod (q−1) and qInv = q⁻¹ mod p
+ * are included for rsaDecryptCRT().
+ * @returns {{ p: bigint, q: bigint, n: bigint, phi: bigint, e: bigint, d: bigint,
+ *   dp: bigint, dq: bigint, qInv: bigint }}
  */
 export function generateRSAKeys(p, q, e) {
-  if (!isPrime(p)) throw new RangeError(`p = ${p} は素数ではありません`);
-  if (!isPrime(q)) throw new RangeError(`q = ${q} は素数ではありません`);
-  if (p === q) throw new RangeError('p と q は異なる素数を選んでください');
-  const n = p * q;
-  const phi = (p - 1) * (q - 1);
-  if (e < 2 || e >= phi) {
-    throw new RangeError(`e = ${e} は 2 ≤ e < φ(n) = ${phi} を満たす必要があります`);
-  }
-  if (gcd(e, phi) !== 1) {
-    throw new RangeError(`e = ${e} と φ(n) = ${phi} は互いに素ではありません`);
+  const { n, phi } = computeModulus(p, q, e);
+  if (gcd(e, phi) !== 1n) {
+    throw new RangeError(`e = ${formatBig(e)} と φ(n) = ${formatBig(phi)} は互いに素ではありません`);
   }
   const d = modInverse(e, phi);
-  return { p, q, n, phi, e, d };
+  return { p, q, n, phi, e, d, ...crtParams(p, q, d) };
+}
+
+/**
+ * CRT exponents and coefficient for a key.
+ * @param {bigint} p
+ * @param {bigint} q
+ * @param {bigint} d
+ * @returns {{ dp: bigint, dq: bigint, qInv: bigint }}
+ */
+function crtParams(p, q, d) {
+  return { dp: d % (p - 1n), dq: d % (q - 1n), qInv: modInverse(q, p) };
+}
+
+/**
+ * Pick two random primes for a modulus of `modulusBits` bits.
+ * Primes with gcd(e, p − 1) ≠ 1 are rejected so that e stays valid.
+ * @param {number} modulusBits - Size of n (e.g. 512, 1024, 2048)
+ * @param {bigint} [e=65537n] - Public exponent the primes must be compatible with
+ * @param {() => number} [rng=cryptoRng] - uint32 source (seedable for reproducible keys)
+ * @returns {{ p: bigint, q: bigint }}
+ */
+export function generateRandomPrimes(modulusBits, e = 65537n, rng = cryptoRng) {
+  const primeBits = Math.floor(modulusBits / 2);
+  const pick = () => {
+    for (;;) {
+      const prime = randomPrime(primeBits, rng);
+      if (gcd(e, prime - 1n) === 1n) return prime;
+    }
+  };
+  const p = pick();
+  let q = pick();
+  while (q === p) q = pick();
+  return { p, q };
 }
 
 /**
  * RSA encryption: C = M^e mod n
- * @param {number} m - Plaintext message (0 ≤ m < n)
- * @param {number} e - Public exponent
- * @param {number} n - Modulus
- * @returns {number} Ciphertext
+ * @param {bigint} m - Plaintext message (0 ≤ m < n)
+ * @param {bigint} e - Public exponent
+ * @param {bigint} n - Modulus
+ * @returns {bigint} Ciphertext
  */
 export function rsaEncrypt(m, e, n) {
-  if (m < 0 || m >= n) {
-    throw new RangeError(`メッセージ M = ${m} は 0 ≤ M < n = ${n} を満たす必要があります`);
+  if (m < 0n || m >= n) {
+    throw new RangeError(`メッセージ M = ${formatBig(m)} は 0 ≤ M < n = ${formatBig(n)} を満たす必要があります`);
   }
   return modPow(m, e, n);
 }
 
 /**
  * RSA decryption: M = C^d mod n
- * @param {number} c - Ciphertext
- * @param {number} d - Private exponent
- * @param {number} n - Modulus
- * @returns {number} Plaintext message
+ * @param {bigint} c - Ciphertext
+ * @param {bigint} d - Private exponent
+ * @param {bigint} n - Modulus
+ * @returns {bigint} Plaintext message
  */
 export function rsaDecrypt(c, d, n) {
   return modPow(c, d, n);
 }
 
+/**
+ * RSA decryption with the Chinese Remainder Theorem (Garner's recombination):
+ * m1 = C^dp mod p, m2 = C^dq mod q, h = qInv·(m1 − m2) mod p, M = m2 + h·q.
+ * @param {bigint} c - Ciphertext
+ * @param {{ p: bigint, q: bigint, dp: bigint, dq: bigint, qInv: bigint }} key
+ * @returns {bigint} Plaintext message
+ */
+export function rsaDecryptCRT(c, { p, q, dp, dq, qInv }) {
+  const m1 = modPow(c, dp, p);
+  const m2 = modPow(c, dq, q);
+  const h = (qInv * (((m1 - m2) % p) + p)) % p;
+  return m2 + h * q;
+}
+
+/**
+ * One step per row of the extended Euclidean table for e⁻¹ mod φ(n).
+ * Rows 0 and 1 (the inputs) share the first step; tables longer than
+ * EUCLID_ROW_STEPS rows put the remaining rows into the last step.
+ * @param {Object[]} table - Rows from modInverse(e, phi, { withTable: true })
+ * @returns {Object[]}
+ */
+function buildEuclidSteps(table) {
+  const steps = [];
+  const gcdRow = table.length - 2;
+  const lastShown = Math.min(table.length - 1, EUCLID_ROW_STEPS);
+  for (let k = 1; k <= lastShown; k++) {
+    const end = k === lastShown ? table.length - 1 : k;
+    const row = table[end];
+    let description;
+    let formula;
+    if (k === 1) {
+      description = '表の最初の 2 行に e と φ(n) を置きます。各行は r = s·e + t·φ(n) を満たすように s, t を記録します。';
+      formula = `r0 = e = ${formatBig(table[0].r)}（s0 = 1, t0 = 0）\nr1 = φ(n) = ${formatBig(table[1].r)}（s1 = 0, t1 = 1）`;
+    } else {
+      const [prev2, prev1] = [table[end - 2], table[end - 1]];
+      const [Q, R] = [formatBig(row.q), formatBig(row.r)];
+      formula = [
+        `q${end} = ⌊r${end - 2} / r${end - 1}⌋ = ⌊${formatBig(prev2.r)} / ${formatBig(prev1.r)}⌋ = ${Q}`,
+        `r${end} = r${end - 2} − q${end}·r${end - 1} = ${R}`,
+        `s${end} = s${end - 2} − q${end}·s${end - 1} = ${formatBig(row.s)}`,
+        `t${end} = t${end - 2} − q${end}·t${end - 1} = ${formatBig(row.t)}`,
+      ].join('\n');
+      if (row.r === 0n) {
+        description = `余りが 0 になったので終了です。直前の行の r${gcdRow} = ${formatBig(table[gcdRow].r)} が gcd(e, φ(n)) です。`;
+      } else if (row.q === 0n) {
+        description = 'e < φ(n) なので最初の商は 0 で、e がそのまま余りになります。';
+      } else {
+        description = `前の 2 行から商 q を求め、r・s・t をそれぞれ「2 行前 − q × 1 行前」で更新します。${end > k ? `（残り ${end - k} 行もまとめて表示）` : ''}`;
+      }
+    }
+    steps.push({
+      algorithm: 'rsa', id: `rsa-keygen-euclid-${k}`, phase: 'keygen',
+      operation: 'euclidRow', label: `拡張ユークリッド互除法（${end + 1} 行目まで）`,
+      description, formula,
+      euclid: { rows: table.slice(0, end + 1), activeRow: end, gcdRow: row.r === 0n ? gcdRow : null },
+      values: null, detail: null,
+    });
+  }
+  return steps;
+}
+
+/**
+ * Back-substitute the Euclidean rows from the gcd row up to rows 0 and 1,
+ * rewriting 1 = A·r_i + B·r_(i+1) until it reads 1 = A·e + B·φ(n).
+ * @param {Object[]} table
+ * @returns {string[]} One formula line per substitution
+ */
+function backSubstitute(table) {
+  const term = (coef, value, first) => {
+    const sign = coef < 0n ? '−' : '+';
+    const abs = coef < 0n ? -coef : coef;
+    return `${first ? (coef < 0n ? '−' : '') : ` ${sign} `}${formatBig(abs)}·${formatBig(value)}`;
+  };
+  const gcdRow = table.length - 2;
+  if (gcdRow < 2) return [`1 = ${formatBig(table[gcdRow].r)}`];
+  let i = gcdRow - 2;
+  let [A, B] = [1n, -table[gcdRow].q];
+  const lines = [`1 = r${i} − q${gcdRow}·r${i + 1} = ${term(A, table[i].r, true)}${term(B, table[i + 1].r, false)}`];
+  while (i > 0) {
+    // r_(i+1) = r_(i−1) − q_(i+1)·r_i
+    [A, B] = [B, A - B * table[i + 1].q];
+    i--;
+    lines.push(`  = ${term(A, table[i].r, true)}${term(B, table[i + 1].r, false)}（r${i + 2} = r${i} − q${i + 2}·r${i + 1} を代入）`);
+  }
+  return lines;
+}
+
 /**
  * Build the full sequence of RSA steps for visualization.
- * @param {number} message - Plaintext number
- * @param {number} [p=61] - First prime
- * @param {number} [q=53] - Second prime
- * @param {number} [e=17] - Public exponent
+ * @param {bigint} message - Plaintext number
+ * @param {bigint} [p=61n] - First prime
+ * @param {bigint} [q=53n] - Second prime
+ * @param {bigint} [e=17n] - Public exponent
+ * @param {Object} [options]
+ * @param {boolean} [options.crt=false] - Add CRT key parameters and a CRT decryption
+ *   compared side by side with the plain C^d mod n
  * @returns {Object[]} Array of step objects
  */
-export function buildRSASteps(message, p = 61, q = 53, e = 17) {
+export function buildRSASteps(message, p = 61n, q = 53n, e = 17n, { crt = false } = {}) {
   const steps = [];
-  const keys = generateRSAKeys(p, q, e);
-  const { n, phi, d } = keys;
+  const { n, phi } = computeModulus(p, q, e);
+  const g = gcd(e, phi);
+  const [P, Q, N, PHI, E, M] = [p, q, n, phi, e, message].map(formatBig);
 
   // Key Generation
   steps.push({
     algorithm: 'rsa', id: 'rsa-keygen-primes', phase: 'keygen',
     operation: 'choosePrimes', label: '素数の選択',
-    description: '2つの素数 p と q を選びます。これらは秘密にしておきます。',
-    formula: `p = ${p}, q = ${q}`,
+    description: `2つの素数 p と q を選びます（${bitLength(p)} / ${bitLength(q)} ビット、Miller–Rabin 法で素数判定済み）。これらは秘密にしておきます。`,
+    formula: `p = ${P}\nq = ${Q}`,
     values: { p, q }, detail: null,
   });
 
   steps.push({
     algorithm: 'rsa', id: 'rsa-keygen-n', phase: 'keygen',
     operation: 'computeN', label: 'n の計算',
-    description: 'p と q の積 n を計算します。n は公開鍵の一部になります。',
-    formula: `n = p × q = ${p} × ${q} = ${n}`,
+    description: `p と q の積 n を計算します。n は公開鍵の一部になります（${bitLength(n)} ビット）。`,
+    formula: `n = p × q = ${P} × ${Q} = ${N}`,
     values: { p, q, n }, detail: null,
   });
 
@@ -102,31 +232,77 @@ export function buildRSASteps(message, p = 61, q = 53, e = 17) {
     algorithm: 'rsa', id: 'rsa-keygen-phi', phase: 'keygen',
     operation: 'computePhi', label: 'φ(n) の計算',
     description: 'オイラーのトーシェント関数 φ(n) = (p−1)(q−1) を計算します。',
-    formula: `φ(n) = (p−1)(q−1) = ${p - 1} × ${q - 1} = ${phi}`,
+    formula: `φ(n) = (p−1)(q−1) = ${formatBig(p - 1n)} × ${formatBig(q - 1n)} = ${PHI}`,
     values: { p, q, n, phi }, detail: null,
   });
 
   steps.push({
     algorithm: 'rsa', id: 'rsa-keygen-e', phase: 'keygen',
     operation: 'chooseE', label: '公開指数 e の選択',
-    description: `gcd(e, φ(n)) = 1 を満たす e を選びます。`,
-    formula: `e = ${e} (gcd(${e}, ${phi}) = ${gcd(e, phi)})`,
-    values: { e, phi, gcdResult: gcd(e, phi) }, detail: null,
+    description: g === 1n
+      ? 'gcd(e, φ(n)) = 1 を満たす e を選びます。'
+      : `gcd(e, φ(n)) = ${formatBig(g)} ≠ 1 なので、この e には mod φ(n) の逆元がありません。互除法の表で確かめます。`,
+    formula: `e = ${E} (gcd(${E}, ${PHI}) = ${formatBig(g)})`,
+    values: { e, phi, gcdResult: g }, detail: null,
   });
 
+  // Extended Euclid: e·s + φ(n)·t = gcd(e, φ(n)), built row by row
+  let euclid;
+  try {
+    euclid = modInverse(e, phi, { withTable: true });
+  } catch (err) {
+    if (!err.table) throw err;
+    steps.push(...buildEuclidSteps(err.table));
+    steps.push({
+      algorithm: 'rsa', id: 'rsa-keygen-d-missing', phase: 'keygen',
+      operation: 'inverseMissing', label: '秘密指数 d は存在しません',
+      description: `${E} の mod ${PHI} における逆元は存在しません。最後の 0 でない余り gcd(e, φ(n)) = ${formatBig(err.gcd)} が 1 ではないため、`
+        + 's·e + t·φ(n) = 1 となる整数 s, t がなく、e·d ≡ 1 (mod φ(n)) を満たす d もありません。φ(n) と互いに素な e を選び直してください。',
+      formula: `gcd(${E}, ${PHI}) = ${formatBig(err.gcd)} ≠ 1`,
+      euclid: { rows: err.table, activeRow: null, gcdRow: err.table.length - 2 },
+      values: { e, phi, gcdResult: err.gcd }, detail: null,
+    });
+    return steps;
+  }
+  const d = euclid.inverse;
+  const D = formatBig(d);
+  const gcdRow = euclid.table[euclid.table.length - 2];
+  steps.push(...buildEuclidSteps(euclid.table));
+
   steps.push({
     algorithm: 'rsa', id: 'rsa-keygen-d', phase: 'keygen',
     operation: 'computeD', label: '秘密指数 d の計算',
-    description: 'e × d ≡ 1 (mod φ(n)) を満たす d を計算します（拡張ユークリッド互除法）。',
-    formula: `d = e⁻¹ mod φ(n) = ${e}⁻¹ mod ${phi} = ${d}`,
+    description: '表を下から上へ逆にたどって（逆代入）1 を e と φ(n) の組み合わせで表します。e の係数を mod φ(n) で正の値にしたものが d です。',
+    formula: [
+      ...backSubstitute(euclid.table),
+      `⇒ ${E}·(${formatBig(gcdRow.s)}) ≡ 1 (mod ${PHI})`,
+      `d = ${formatBig(gcdRow.s)} mod φ(n) = ${D}`,
+      `検算: e·d mod φ(n) = ${(e * d) % phi}`,
+    ].join('\n'),
+    euclid: { rows: euclid.table, activeRow: euclid.table.length - 2, gcdRow: euclid.table.length - 2 },
     values: { e, phi, d }, detail: null,
   });
 
+  const { dp, dq, qInv } = crtParams(p, q, d);
+  if (crt) {
+    steps.push({
+      algorithm: 'rsa', id: 'rsa-keygen-crt', phase: 'keygen',
+      operation: 'computeCRT', label: 'CRT パラメータの計算',
+      description: '中国剰余定理（CRT）で復号するための値を事前に計算し、秘密鍵と一緒に保存します。指数を p−1, q−1 で割った余りに縮められるのはフェルマーの小定理によります。',
+      formula: [
+        `dp = d mod (p−1) = ${formatBig(dp)}`,
+        `dq = d mod (q−1) = ${formatBig(dq)}`,
+        `qInv = q⁻¹ mod p = ${formatBig(qInv)}`,
+      ].join('\n'),
+      values: { dp, dq, qInv }, detail: null,
+    });
+  }
+
   steps.push({
     algorithm: 'rsa', id: 'rsa-keygen-keys', phase: 'keygen',
     operation: 'showKeys', label: '鍵ペアの確認',
     description: '公開鍵 (e, n) と秘密鍵 (d, n) が生成されました。',
-    formula: `公開鍵 (e, n) = (${e}, ${n})\n秘密鍵 (d, n) = (${d}, ${n})`,
+    formula: `公開鍵 (e, n) = (${E}, ${N})\n秘密鍵 (d, n) = (${D}, ${N})`,
     values: { e, n, d }, detail: null,
   });
 
@@ -135,7 +311,7 @@ export function buildRSASteps(message, p = 61, q = 53, e = 17) {
     algorithm: 'rsa', id: 'rsa-encrypt-input', phase: 'encrypt',
     operation: 'inputMessage', label: '平文の入力',
     description: '暗号化するメッセージ M を数値で入力します（0 ≤ M < n）。',
-    formula: `M = ${message}`,
+    formula: `M = ${M}`,
     values: { message, n }, detail: null,
   });
 
@@ -144,15 +320,16 @@ export function buildRSASteps(message, p = 61, q = 53, e = 17) {
     algorithm: 'rsa', id: 'rsa-encrypt-compute', phase: 'encrypt',
     operation: 'computePower', label: 'べき乗剰余の計算',
     description: '公開鍵 (e, n) を使って C = Mᵉ mod n を計算します。',
-    formula: `C = M^e mod n = ${message}^${e} mod ${n}`,
-    values: { message, e, n }, detail: null,
+    formula: `C = M^e mod n = ${M}^${E} mod ${N}`,
+    values: { message, e, n },
+    detail: powerDetail(message, e, n),
   });
 
   steps.push({
     algorithm: 'rsa', id: 'rsa-encrypt-result', phase: 'encrypt',
     operation: 'showCipher', label: '暗号文の出力',
     description: '暗号文 C が得られました。',
-    formula: `C = ${ciphertext}`,
+    formula: `C = ${formatBig(ciphertext)}`,
     values: { ciphertext }, detail: null,
   });
 
@@ -161,17 +338,19 @@ export function buildRSASteps(message, p = 61, q = 53, e = 17) {
     algorithm: 'rsa', id: 'rsa-decrypt-input', phase: 'decrypt',
     operation: 'inputCipher', label: '暗号文の入力',
     description: '復号する暗号文 C を入力します。',
-    formula: `C = ${ciphertext}`,
+    formula: `C = ${formatBig(ciphertext)}`,
     values: { ciphertext }, detail: null,
   });
 
   const decrypted = rsaDecrypt(ciphertext, d, n);
+  const decryptDetail = powerDetail(ciphertext, d, n);
   steps.push({
     algorithm: 'rsa', id: 'rsa-decrypt-compute', phase: 'decrypt',
     operation: 'computeDecrypt', label: '復号の計算',
     description: '秘密鍵 (d, n) を使って M = Cᵈ mod n を計算します。',
-    formula: `M = C^d mod n = ${ciphertext}^${d} mod ${n}`,
-    values: { ciphertext, d, n }, detail: null,
+    formula: `M = C^d mod n = ${formatBig(ciphertext)}^${D} mod ${N}`,
+    values: { ciphertext, d, n },
+    detail: decryptDetail,
   });
 
   const match = decrypted === message;
@@ -181,9 +360,114 @@ export function buildRSASteps(message, p = 61, q = 53, e = 17) {
     description: match
       ? '復号された値が元のメッセージと一致しました。'
       : '復号された値が元のメッセージと一致しませんでした。',
-    formula: `M = ${decrypted} ${match ? '✓ 一致' : '✗ 不一致'}`,
+    formula: `M = ${formatBig(decrypted)} ${match ? '✓ 一致' : '✗ 不一致'}`,
     values: { decrypted, original: message, match }, detail: null,
   });
 
+  if (crt) {
+    steps.push(...buildCRTSteps(ciphertext, message, decryptDetail, { p, q, n, d, dp, dq, qInv }));
+  }
+
+  return steps;
+}
+
+/**
+ * CRT decryption steps followed by a side-by-side cost comparison with C^d mod n.
+ * Cost is counted in multiplications; since schoolbook multiplication grows with the
+ * product of the operand sizes, each one is weighted by that product (bits² for a
+ * modular multiplication). Additions and subtractions are linear and left out.
+ * @param {bigint} ciphertext
+ * @param {bigint} message - Original plaintext for the final check
+ * @param {Object} plain - powerDetail() of the plain C^d mod n decryption
+ * @param {Object} key - p, q, n, d, dp, dq, qInv
+ * @returns {Object[]}
+ */
+function buildCRTSteps(ciphertext, message, plain, { p, q, n, d, dp, dq, qInv }) {
+  const steps = [];
+  const C = formatBig(ciphertext);
+  const m1Detail = powerDetail(ciphertext, dp, p);
+  const m2Detail = powerDetail(ciphertext, dq, q);
+  const m1 = m1Detail.result;
+  const m2 = m2Detail.result;
+
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-crt-m1', phase: 'crt',
+    operation: 'computeM1', label: 'CRT: m1 の計算',
+    description: `mod p だけで復号します。指数 dp も法 p も元の約半分（${bitLength(p)} ビット）です。`,
+    formula: `m1 = C^dp mod p = ${C}^${formatBig(dp)} mod ${formatBig(p)} = ${formatBig(m1)}`,
+    values: { ciphertext, dp, p, m1 },
+    detail: m1Detail,
+  });
+
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-crt-m2', phase: 'crt',
+    operation: 'computeM2', label: 'CRT: m2 の計算',
+    description: '同様に mod q で復号します。m1 と m2 は互いに独立なので並列に計算することもできます。',
+    formula: `m2 = C^dq mod q = ${C}^${formatBig(dq)} mod ${formatBig(q)} = ${formatBig(m2)}`,
+    values: { ciphertext, dq, q, m2 },
+    detail: m2Detail,
+  });
+
+  const h = (qInv * (((m1 - m2) % p) + p)) % p;
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-crt-h', phase: 'crt',
+    operation: 'computeH', label: 'CRT: h の計算',
+    description: 'M ≡ m1 (mod p) と M ≡ m2 (mod q) を両立させるための補正値 h を求めます。',
+    formula: `h = qInv·(m1 − m2) mod p = ${formatBig(qInv)}·(${formatBig(m1)} − ${formatBig(m2)}) mod ${formatBig(p)} = ${formatBig(h)}`,
+    values: { qInv, m1, m2, h }, detail: null,
+  });
+
+  const combined = rsaDecryptCRT(ciphertext, { p, q, dp, dq, qInv });
+  const match = combined === message;
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-crt-combine', phase: 'crt',
+    operation: 'recombine', label: 'CRT: 結果の合成',
+    description: match
+      ? 'M = m2 + h·q で mod n の値に戻します。通常の復号と同じ値が得られました。'
+      : 'M = m2 + h·q で mod n の値に戻しましたが、元のメッセージと一致しませんでした。',
+    formula: `M = m2 + h·q = ${formatBig(m2)} + ${formatBig(h)}·${formatBig(q)} = ${formatBig(combined)} ${match ? '✓ 一致' : '✗ 不一致'}`,
+    values: { decrypted: combined, original: message, match }, detail: null,
+  });
+
+  // Side-by-side cost: plain C^d mod n vs. two half-size exponentiations, then
+  // h = qInv·(m1 − m2) mod p (p-size) and the unreduced product h·q (p × q bits)
+  const nBits = bitLength(n);
+  const [pBits, qBits] = [bitLength(p), bitLength(q)].map(BigInt);
+  const plainCost = BigInt(plain.operations) * BigInt(nBits) ** 2n;
+  const crtMults = m1Detail.operations + m2Detail.operations + 2;
+  const crtCost = BigInt(m1Detail.operations + 1) * pBits ** 2n
+    + BigInt(m2Detail.operations) * qBits ** 2n
+    + pBits * qBits;
+  const speedup = crtCost > 0n ? Number((plainCost * 100n) / crtCost) / 100 : 1;
+  steps.push({
+    algorithm: 'rsa', id: 'rsa-crt-compare', phase: 'crt',
+    operation: 'compareCRT', label: '通常の復号と CRT の比較',
+    description: `同じ暗号文を 2 通りで復号しました。乗算 1 回のコストは 2 つのオペランドのビット長の積（剰余乗算ではビット長の 2 乗）に比例するとみなすと、CRT は約 ${speedup.toFixed(2)} 倍速くなります。`,
+    formula: `乗算ごとのビット長の積の合計: 通常 ${plainCost} ／ CRT ${crtCost}`,
+    sideBySide: [
+      {
+        title: '通常: C^d mod n',
+        values: {
+          '法のビット長': nBits,
+          '指数のビット長': bitLength(d),
+          'べき乗剰余の乗算回数': `${plain.squarings} + ${plain.multiplications} = ${plain.operations}`,
+          '合計の乗算回数': plain.operations,
+          '結果': plain.result,
+        },
+      },
+      {
+        title: 'CRT: m1, m2, h から合成',
+        values: {
+          '法のビット長': `${bitLength(p)} / ${bitLength(q)}`,
+          '指数のビット長': `${bitLength(dp)} / ${bitLength(dq)}`,
+          'べき乗剰余の乗算回数': `${m1Detail.operations} + ${m2Detail.operations}`,
+          '合計の乗算回数': `${crtMults}（h の計算と h·q の 2 回を含む）`,
+          '結果': combined,
+        },
+      },
+    ],
+    values: null, detail: null,
+  });
+
   return steps;
 }
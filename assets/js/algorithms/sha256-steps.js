@@ -0,0 +1,188 @@
+/**
+ * sha256-steps.js — SHA-256 step builder: padding, message schedule, 64 compression rounds
+ * Runs the pure-JS implementation from sha256.js and checks the digest against crypto.subtle.
+ * Pure functions only. No DOM access.
+ */
+
+import {
+  SHA256_K, SHA256_H0, SHA256_BLOCK_BYTES, sha256Pad, messageScheduleTrace, compressRoundTrace,
+} from './sha256.js';
+import { sha256Hex } from './blockchain/hash.js';
+import { utf8ToBytes } from './utils.js';
+
+/** Longest input visualized: 4 blocks (247 bytes) is already 271 steps. */
+export const SHA256_MAX_BLOCKS = 4;
+
+/** Names of the working variables. */
+export const SHA256_REGISTERS = Object.freeze(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']);
+
+/**
+ * Format a 32-bit word as 8 hex digits.
+ * @param {number} word
+ * @returns {string}
+ */
+function toHexWord(word) {
+  return word.toString(16).padStart(8, '0');
+}
+
+/**
+ * Split the padded message into byte-layout rows, one per block, keeping the
+ * message / 0x80 / zero / length segments apart.
+ * @param {number[]} padded
+ * @param {number} messageLength - Bytes of the original message
+ * @returns {Object[]} byteLayout rows
+ */
+function paddingRows(padded, messageLength) {
+  const lengthStart = padded.length - 8;
+  const parts = [
+    { label: 'メッセージ', kind: 'message', start: 0, end: messageLength },
+    { label: '0x80', kind: 'separator', start: messageLength, end: messageLength + 1 },
+    { label: '0 埋め', kind: 'zero', start: messageLength + 1, end: lengthStart },
+    { label: 'ビット長（64 ビット）', kind: 'length', start: lengthStart, end: padded.length },
+  ];
+  const rows = [];
+  for (let offset = 0; offset < padded.length; offset += SHA256_BLOCK_BYTES) {
+    const blockEnd = offset + SHA256_BLOCK_BYTES;
+    const segments = parts
+      .map(({ label, kind, start, end }) => ({
+        label, kind, bytes: padded.slice(Math.max(start, offset), Math.min(end, blockEnd)),
+      }))
+      .filter(({ bytes }) => bytes.length > 0);
+    rows.push({ label: `ブロック ${offset / SHA256_BLOCK_BYTES}`, operator: null, segments });
+  }
+  return rows;
+}
+
+/**
+ * Build the steps for hashing a text with SHA-256.
+ * The digest is compared with crypto.subtle (via sha256Hex), so the builder is async.
+ * Round steps carry `registers`: { names, before, after } with hex words, where only
+ * a and e are newly computed and the others shift one place to the right.
+ * @param {string} text - Input, encoded as UTF-8
+ * @returns {Promise<Object[]>} Array of step objects
+ */
+export async function buildSHA256Steps(text) {
+  const bytes = utf8ToBytes(text);
+  const padded = sha256Pad(bytes);
+  const blockCount = padded.length / SHA256_BLOCK_BYTES;
+  if (blockCount > SHA256_MAX_BLOCKS) {
+    throw new RangeError(`入力は ${SHA256_MAX_BLOCKS * SHA256_BLOCK_BYTES - 9} バイト（UTF-8）以内にしてください（現在: ${bytes.length} バイト）`);
+  }
+  const steps = [];
+
+  steps.push({
+    algorithm: 'sha256', id: 'sha256-input', phase: 'input',
+    operation: 'encodeInput', label: '入力のバイト列',
+    description: 'SHA-256 はバイト列を入力に取ります。テキストを UTF-8 で符号化し、この後 512 ビット（64 バイト）のブロックに分けて処理します。',
+    formula: `"${text}" → UTF-8 → ${bytes.length} バイト（${bytes.length * 8} ビット）`,
+    byteLayout: {
+      caption: `入力（${bytes.length} バイト）`,
+      rows: [{ label: 'M', operator: null, segments: [{ label: 'メッセージ', kind: 'message', bytes }] }],
+    },
+    values: { 'バイト数': bytes.length, 'ビット長 L': bytes.length * 8 },
+  });
+
+  const zeroBytes = padded.length - bytes.length - 9;
+  steps.push({
+    algorithm: 'sha256', id: 'sha256-pad', phase: 'pad',
+    operation: 'pad', label: 'パディング',
+    description: 'メッセージの後ろに 1 ビット（0x80）を付け、長さが 64 で割って 56 余るバイト数になるまで 0 を埋め、最後に元のビット長 L を 64 ビットで書き込みます。'
+      + '末尾に長さが入るので、長さの違うメッセージが同じパディング結果になることはありません。',
+    formula: `${bytes.length} + 1 + ${zeroBytes} ≡ 56 (mod 64)\n+ L = ${bytes.length * 8} を 8 バイトで → ${padded.length} バイト = ${blockCount} ブロック`,
+    byteLayout: { caption: `パディング後（${blockCount} ブロック × 64 バイト）`, rows: paddingRows(padded, bytes.length) },
+    values: { '0 埋めのバイト数': zeroBytes, 'ブロック数': blockCount },
+  });
+
+  let hash = [...SHA256_H0];
+  for (let block = 0; block < blockCount; block++) {
+    const prefix = blockCount > 1 ? `ブロック ${block}: ` : '';
+    const idPrefix = `sha256-b${block}`;
+    const schedule = messageScheduleTrace(padded.slice(block * SHA256_BLOCK_BYTES, (block + 1) * SHA256_BLOCK_BYTES));
+    steps.push({
+      algorithm: 'sha256', id: `${idPrefix}-schedule`, phase: 'schedule', block,
+      operation: 'messageSchedule', label: `${prefix}メッセージスケジュール W0〜W63`,
+      description: 'ブロックの 64 バイトを 32 ビットの語 16 個（W0〜W15）に分け、残りの W16〜W63 を前の語から作ります。'
+        + 'σ0 と σ1 は右回転とシフトを XOR したもので、入力の各ビットを後ろの語へ拡散させます。',
+      formula: 'σ0(x) = ROTR⁷(x) ⊕ ROTR¹⁸(x) ⊕ SHR³(x)\nσ1(x) = ROTR¹⁷(x) ⊕ ROTR¹⁹(x) ⊕ SHR¹⁰(x)\n'
+        + 'W[t] = σ1(W[t−2]) + W[t−7] + σ0(W[t−15]) + W[t−16]  (mod 2³²)',
+      table: {
+        caption: 'メッセージスケジュール',
+        columns: ['t', 'W[t]', 'σ0(W[t−15])', 'σ1(W[t−2])', '由来'],
+        rows: schedule.map(({ t, w, s0, s1 }) => (t < 16
+          ? [t, toHexWord(w), '—', '—', `ブロックの ${t * 4}〜${t * 4 + 3} バイト目`]
+          : [t, toHexWord(w), toHexWord(s0), toHexWord(s1), `W${t - 2}, W${t - 7}, W${t - 15}, W${t - 16}`])),
+      },
+    });
+
+    let vars = [...hash];
+    steps.push({
+      algorithm: 'sha256', id: `${idPrefix}-init`, phase: 'init', block,
+      operation: 'initRegisters', label: `${prefix}作業変数の初期化`,
+      description: block === 0
+        ? '作業変数 a〜h に初期ハッシュ値 H(0) を入れます。H(0) は最初の 8 個の素数 2〜19 の平方根の小数部分の先頭 32 ビットです。'
+        : `作業変数 a〜h に、前のブロックまでのハッシュ値 H(${block}) を入れます。`,
+      formula: SHA256_REGISTERS.map((name, i) => `${name} = H${i} = ${toHexWord(vars[i])}`).join('\n'),
+      registers: { names: SHA256_REGISTERS, before: null, after: vars.map(toHexWord) },
+    });
+
+    for (let t = 0; t < 64; t++) {
+      const trace = compressRoundTrace(vars, SHA256_K[t], schedule[t].w);
+      steps.push({
+        algorithm: 'sha256', id: `${idPrefix}-round${t}`, phase: 'compress', round: t, block,
+        operation: 'compressRound', label: `${prefix}圧縮ラウンド ${t}`,
+        description: t === 0
+          ? 'e から Σ1 と Ch、a から Σ0 と Maj を計算し、T1 と T2 にまとめます。新しく作られるのは a と e だけで、残りの変数は 1 つ右にずれます。'
+            + 'すべての加算は mod 2³² です。'
+          : `ラウンド定数 K[${t}] と W[${t}] を混ぜ込みます。新しい a と e 以外は 1 つ右にずれます。`,
+        formula: [
+          `Σ1(e) = ROTR⁶(e) ⊕ ROTR¹¹(e) ⊕ ROTR²⁵(e) = ${toHexWord(trace.S1)}`,
+          `Ch(e, f, g) = (e ∧ f) ⊕ (¬e ∧ g) = ${toHexWord(trace.ch)}`,
+          `T1 = h + Σ1(e) + Ch + K[${t}] + W[${t}] = ${toHexWord(trace.t1)}`,
+          `Σ0(a) = ROTR²(a) ⊕ ROTR¹³(a) ⊕ ROTR²²(a) = ${toHexWord(trace.S0)}`,
+          `Maj(a, b, c) = (a ∧ b) ⊕ (a ∧ c) ⊕ (b ∧ c) = ${toHexWord(trace.maj)}`,
+          `T2 = Σ0(a) + Maj = ${toHexWord(trace.t2)}`,
+          `a′ = T1 + T2 = ${toHexWord(trace.vars[0])}　e′ = d + T1 = ${toHexWord(trace.vars[4])}`,
+        ].join('\n'),
+        registers: { names: SHA256_REGISTERS, before: vars.map(toHexWord), after: trace.vars.map(toHexWord) },
+        values: { [`K[${t}]`]: toHexWord(SHA256_K[t]), [`W[${t}]`]: toHexWord(schedule[t].w) },
+      });
+      vars = trace.vars;
+    }
+
+    const next = hash.map((word, i) => (word + vars[i]) >>> 0);
+    steps.push({
+      algorithm: 'sha256', id: `${idPrefix}-add`, phase: 'add', block,
+      operation: 'addHash', label: `${prefix}ハッシュ値への加算`,
+      description: '64 ラウンド後の作業変数を、ブロックに入る前のハッシュ値に語ごとに足します（mod 2³²）。'
+        + 'この加算があるので、ラウンドを逆にたどっても入力のハッシュ値には戻れません。'
+        + (block + 1 < blockCount ? '結果は次のブロックの初期値になります。' : ''),
+      formula: `H(${block + 1})ᵢ = H(${block})ᵢ + 作業変数ᵢ  (mod 2³²)`,
+      table: {
+        caption: `H(${block + 1}) の計算`,
+        columns: ['i', `H(${block})ᵢ`, '作業変数', `H(${block + 1})ᵢ`],
+        rows: next.map((word, i) => [`${i}（${SHA256_REGISTERS[i]}）`, toHexWord(hash[i]), toHexWord(vars[i]), toHexWord(word)]),
+      },
+    });
+    hash = next;
+  }
+
+  const digest = hash.map(toHexWord).join('');
+  const reference = await sha256Hex(text);
+  const match = digest === reference;
+  steps.push({
+    algorithm: 'sha256', id: 'sha256-result', phase: 'result',
+    operation: 'compareDigest', label: match ? 'ハッシュ値 ✓ crypto.subtle と一致' : 'ハッシュ値 ✗ crypto.subtle と不一致',
+    description: `最後のハッシュ値 H(${blockCount}) の 8 語をつなげた 256 ビットが SHA-256 の出力です。`
+      + (match
+        ? 'ブラウザ組み込みの crypto.subtle.digest で計算した値と一致しました。'
+        : 'ブラウザ組み込みの crypto.subtle.digest で計算した値と一致しませんでした。'),
+    formula: `SHA-256 = H0 ‖ H1 ‖ … ‖ H7\n= ${digest}`,
+    sideBySide: [
+      { title: 'このページの実装（純粋 JS）', values: { digest } },
+      { title: 'crypto.subtle.digest', values: { digest: reference } },
+    ],
+    values: { match },
+  });
+
+  return steps;
+}
@@ -0,0 +1,164 @@
+/**
+ * sha256.js — Synchronous SHA-256 (FIPS 180-4) on byte arrays
+ * Used where a step builder needs a digest without awaiting crypto.subtle.
+ * Pure functions only. No DOM access.
+ */
+
+/* prettier-ignore */
+export const SHA256_K = Object.freeze([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+/** Initial hash value H(0): first 32 bits of the fractional parts of √2..√19. */
+export const SHA256_H0 = Object.freeze([
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+]);
+
+export const SHA256_BLOCK_BYTES = 64;
+export const SHA256_DIGEST_BYTES = 32;
+
+/**
+ * Rotate a 32-bit word right.
+ * @param {number} x
+ * @param {number} n
+ * @returns {number}
+ */
+export function rotr(x, n) {
+  return ((x >>> n) | (x << (32 - n))) >>> 0;
+}
+
+/**
+ * Append the 0x80 marker, zero padding and the 64-bit big-endian bit length.
+ * @param {number[]} bytes
+ * @param {number} [totalLength=bytes.length] - Byte length written into the length field;
+ *   larger when bytes continue a message whose earlier blocks were already hashed
+ * @returns {number[]} Multiple of 64 bytes
+ */
+export function sha256Pad(bytes, totalLength = bytes.length) {
+  const bitLength = totalLength * 8;
+  const padded = [...bytes, 0x80];
+  while (padded.length % SHA256_BLOCK_BYTES !== 56) padded.push(0);
+  for (let i = 7; i >= 0; i--) {
+    // Split the shift so lengths above 2^32 bits stay exact
+    padded.push(Math.floor(bitLength / 2 ** (i * 8)) & 0xff);
+  }
+  return padded;
+}
+
+/**
+ * Expand one 64-byte block into the message schedule, keeping σ0 / σ1 of each derived word.
+ * W[t] = σ1(W[t−2]) + W[t−7] + σ0(W[t−15]) + W[t−16] for t ≥ 16.
+ * @param {number[]} block - 64 bytes
+ * @returns {{ t: number, w: number, s0: number|null, s1: number|null }[]} 64 entries
+ */
+export function messageScheduleTrace(block) {
+  const entries = [];
+  for (let t = 0; t < 16; t++) {
+    const w = ((block[t * 4] << 24) | (block[t * 4 + 1] << 16) | (block[t * 4 + 2] << 8) | block[t * 4 + 3]) >>> 0;
+    entries.push({ t, w, s0: null, s1: null });
+  }
+  for (let t = 16; t < 64; t++) {
+    const [w2, w7, w15, w16] = [2, 7, 15, 16].map((back) => entries[t - back].w);
+    const s0 = (rotr(w15, 7) ^ rotr(w15, 18) ^ (w15 >>> 3)) >>> 0;
+    const s1 = (rotr(w2, 17) ^ rotr(w2, 19) ^ (w2 >>> 10)) >>> 0;
+    entries.push({ t, w: (w16 + s0 + w7 + s1) >>> 0, s0, s1 });
+  }
+  return entries;
+}
+
+/**
+ * Expand one 64-byte block into the 64-word message schedule W.
+ * @param {number[]} block - 64 bytes
+ * @returns {number[]}
+ */
+export function messageSchedule(block) {
+  return messageScheduleTrace(block).map(({ w }) => w);
+}
+
+/**
+ * One compression round on the working variables [a..h], with its intermediate words.
+ * @param {number[]} vars - a, b, c, d, e, f, g, h
+ * @param {number} k - Round constant K[t]
+ * @param {number} w - Schedule word W[t]
+ * @returns {{ S1: number, ch: number, t1: number, S0: number, maj: number, t2: number, vars: number[] }}
+ *   vars is the new working variables
+ */
+export function compressRoundTrace([a, b, c, d, e, f, g, h], k, w) {
+  const S1 = (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) >>> 0;
+  const ch = ((e & f) ^ (~e & g)) >>> 0;
+  const t1 = (h + S1 + ch + k + w) >>> 0;
+  const S0 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) >>> 0;
+  const maj = ((a & b) ^ (a & c) ^ (b & c)) >>> 0;
+  const t2 = (S0 + maj) >>> 0;
+  return { S1, ch, t1, S0, maj, t2, vars: [(t1 + t2) >>> 0, a, b, c, (d + t1) >>> 0, e, f, g] };
+}
+
+/**
+ * One compression round on the working variables [a..h].
+ * @param {number[]} vars - a, b, c, d, e, f, g, h
+ * @param {number} k - Round constant K[t]
+ * @param {number} w - Schedule word W[t]
+ * @returns {number[]} New working variables
+ */
+export function compressRound(vars, k, w) {
+  return compressRoundTrace(vars, k, w).vars;
+}
+
+/**
+ * Run the compression function over padded blocks, starting from a given hash state.
+ * @param {number[]} hash - Eight 32-bit words
+ * @param {number[]} padded - Multiple of 64 bytes
+ * @returns {number[]} Eight 32-bit words
+ */
+export function sha256Compress(hash, padded) {
+  let state = [...hash];
+  for (let offset = 0; offset < padded.length; offset += SHA256_BLOCK_BYTES) {
+    const w = messageSchedule(padded.slice(offset, offset + SHA256_BLOCK_BYTES));
+    let vars = [...state];
+    for (let t = 0; t < 64; t++) vars = compressRound(vars, SHA256_K[t], w[t]);
+    state = state.map((h, i) => (h + vars[i]) >>> 0);
+  }
+  return state;
+}
+
+/**
+ * Serialize 32-bit words big-endian.
+ * @param {number[]} words
+ * @returns {number[]}
+ */
+function wordsToBytes(words) {
+  return words.flatMap((word) => [word >>> 24, (word >>> 16) & 0xff, (word >>> 8) & 0xff, word & 0xff]);
+}
+
+/**
+ * Hash a byte array.
+ * @param {number[]} bytes
+ * @returns {number[]} 32-byte digest
+ */
+export function sha256(bytes) {
+  return wordsToBytes(sha256Compress(SHA256_H0, sha256Pad(bytes)));
+}
+
+/**
+ * Continue hashing from a published digest (the length-extension trick): the digest is
+ * the internal state after a hashed input of paddedLength bytes, so more blocks can be
+ * appended without knowing that input.
+ * @param {number[]} digest - 32-byte SHA-256 output
+ * @param {number} paddedLength - Length of the original input including its padding (multiple of 64)
+ * @param {number[]} suffix - Bytes to append
+ * @returns {number[]} 32-byte digest of input ‖ padding ‖ suffix
+ */
+export function sha256Extend(digest, paddedLength, suffix) {
+  const state = [];
+  for (let i = 0; i < SHA256_DIGEST_BYTES; i += 4) {
+    state.push(((digest[i] << 24) | (digest[i + 1] << 16) | (digest[i + 2] << 8) | digest[i + 3]) >>> 0);
+  }
+  return wordsToBytes(sha256Compress(state, sha256Pad(suffix, paddedLength + suffix.length)));
+}
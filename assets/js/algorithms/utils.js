@@ -3,6 +3,9 @@
  * Pure functions only. No DOM access.
  */
 
+/** Numbers longer than this many digits are abbreviated in formulas. */
+const FORMULA_DIGITS = 40;
+
 /**
  * Convert a hex string to a byte array.
  * @param {string} hex - Hex string (e.g. '0f1e2d')
@@ -25,6 +28,67 @@ export function bytesToHex(bytes) {
   return bytes.map((b) => b.toString(16).padStart(2, '0')).join('');
 }
 
+/**
+ * Encode a string as UTF-8 bytes.
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function utf8ToBytes(text) {
+  return Array.from(new TextEncoder().encode(text));
+}
+
+/**
+ * Decode UTF-8 bytes to a string (invalid sequences become U+FFFD).
+ * @param {number[]} bytes
+ * @returns {string}
+ */
+export function bytesToUtf8(bytes) {
+  return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+/**
+ * Change one character of a message: the first digit is incremented
+ * ("10 BTC" → "20 BTC"); without digits the last character is shifted by one code point.
+ * @param {string} text
+ * @returns {string}
+ */
+export function tamperMessage(text) {
+  const chars = Array.from(text);
+  if (chars.length === 0) throw new RangeError('署名するメッセージを入力してください');
+  const digit = chars.findIndex((ch) => /[0-9]/.test(ch));
+  if (digit >= 0) {
+    chars[digit] = String((Number(chars[digit]) + 1) % 10);
+  } else {
+    chars[chars.length - 1] = String.fromCodePoint(chars[chars.length - 1].codePointAt(0) + 1);
+  }
+  return chars.join('');
+}
+
+/**
+ * Interpret a byte array as a big-endian unsigned integer.
+ * @param {number[]} bytes
+ * @returns {bigint}
+ */
+export function bytesToBigInt(bytes) {
+  return bytes.reduce((acc, b) => (acc << 8n) | BigInt(b), 0n);
+}
+
+/**
+ * Encode a non-negative integer as a fixed-length big-endian byte array.
+ * @param {bigint} value
+ * @param {number} length - Output length in bytes
+ * @returns {number[]}
+ */
+export function bigIntToBytes(value, length) {
+  const bytes = new Array(length);
+  let v = value;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = Number(v & 0xffn);
+    v >>= 8n;
+  }
+  return bytes;
+}
+
 /**
  * Convert a 16-byte flat array into a 4x4 column-major state matrix.
  * AES spec: state[row][col], filled column-by-column.
@@ -76,41 +140,111 @@ export function clone2DArray(matrix) {
 }
 
 /**
- * Modular exponentiation using BigInt for precision.
+ * Compute indices of bytes that changed between two 4x4 matrices.
+ * Returns flat indices 0..15 in row-major order (row * 4 + col).
+ * @param {number[][]} prev
+ * @param {number[][]} curr
+ * @returns {number[]}
+ */
+export function diffIndices(prev, curr) {
+  const indices = [];
+  for (let r = 0; r < 4; r++) {
+    for (let c = 0; c < 4; c++) {
+      if (prev[r][c] !== curr[r][c]) {
+        indices.push(r * 4 + c);
+      }
+    }
+  }
+  return indices;
+}
+
+/**
+ * Modular exponentiation (square-and-multiply).
  * Computes (base^exp) mod mod.
- * @param {number} base
- * @param {number} exp
- * @param {number} mod
- * @returns {number}
+ * @param {bigint} base
+ * @param {bigint} exp
+ * @param {bigint} mod
+ * @returns {bigint}
  */
 export function modPow(base, exp, mod) {
   let result = 1n;
-  let b = BigInt(base) % BigInt(mod);
-  let e = BigInt(exp);
-  const m = BigInt(mod);
+  let b = ((base % mod) + mod) % mod;
+  let e = exp;
   while (e > 0n) {
-    if (e % 2n === 1n) {
-      result = (result * b) % m;
+    if (e & 1n) {
+      result = (result * b) % mod;
+    }
+    e >>= 1n;
+    b = (b * b) % mod;
+  }
+  return result % mod;
+}
+
+/**
+ * Left-to-right square-and-multiply that records every intermediate residue.
+ * The leading 1 bit just loads the base; each later bit squares the residue
+ * and, if the bit is 1, multiplies by the base. Each step is
+ * { index, bit, power, square, multiply, residue } where `square` / `multiply` are
+ * the residues after that operation (null when it is skipped), and `power`
+ * is the exponent reached so far (residue = base^power mod mod).
+ * @param {bigint} base
+ * @param {bigint} exp
+ * @param {bigint} mod
+ * @returns {{ result: bigint, bits: string, steps: Object[], squarings: number, multiplications: number }}
+ */
+export function modPowTrace(base, exp, mod) {
+  const b = ((base % mod) + mod) % mod;
+  const bits = exp.toString(2);
+  const steps = [];
+  let residue = 1n % mod;
+  let squarings = 0;
+  let multiplications = 0;
+  if (exp > 0n) {
+    residue = b;
+    steps.push({ index: bits.length - 1, bit: 1, power: 1n, square: null, multiply: null, residue });
+    for (let i = 1; i < bits.length; i++) {
+      const bit = bits[i] === '1' ? 1 : 0;
+      const square = (residue * residue) % mod;
+      squarings++;
+      const multiply = bit ? (square * b) % mod : null;
+      if (bit) multiplications++;
+      residue = multiply ?? square;
+      const index = bits.length - 1 - i;
+      steps.push({ index, bit, power: exp >> BigInt(index), square, multiply, residue });
     }
-    e = e / 2n;
-    b = (b * b) % m;
   }
-  return Number(result);
+  return { result: residue, bits, steps, squarings, multiplications };
+}
+
+/**
+ * Square-and-multiply trace for a compute step, with the naive operation count
+ * (base multiplied exp − 1 times) for comparison.
+ * @param {bigint} base
+ * @param {bigint} exp
+ * @param {bigint} n
+ * @returns {Object}
+ */
+export function powerDetail(base, exp, n) {
+  const trace = modPowTrace(base, exp, n);
+  return {
+    type: 'modPow',
+    ...trace,
+    operations: trace.squarings + trace.multiplications,
+    naiveMultiplications: exp > 0n ? exp - 1n : 0n,
+  };
 }
 
 /**
  * Greatest common divisor (Euclidean algorithm).
- * @param {number} a
- * @param {number} b
- * @returns {number}
+ * @param {bigint} a
+ * @param {bigint} b
+ * @returns {bigint}
  */
 export function gcd(a, b) {
-  a = Math.abs(a);
-  b = Math.abs(b);
-  while (b !== 0) {
-    const t = b;
-    b = a % b;
-    a = t;
+  a = a < 0n ? -a : a;
+  b = b < 0n ? -b : b;
+  while (b !== 0n) {
+    [a, b] = [b, a % b];
   }
   return a;
 }
@@ -118,20 +252,49 @@ export function gcd(a, b) {
 /**
  * Modular multiplicative inverse using the extended Euclidean algorithm.
  * Finds x such that (a * x) mod m === 1.
- * @param {number} a
- * @param {number} m
- * @returns {number}
+ *
+ * With `withTable`, returns { inverse, table, gcd } where each table row is
+ * { index, q, r, s, t } satisfying r = s·a + t·m; the first two rows are the
+ * inputs a and m (q = null) and the last row has r = 0. When no inverse
+ * exists the thrown RangeError carries the same `table` and `gcd`.
+ * @param {bigint} a
+ * @param {bigint} m
+ * @param {Object} [options]
+ * @param {boolean} [options.withTable=false] - Also return the iteration table
+ * @returns {bigint|{ inverse: bigint, table: Object[], gcd: bigint }}
  */
-export function modInverse(a, m) {
+export function modInverse(a, m, { withTable = false } = {}) {
   let [old_r, r] = [a, m];
-  let [old_s, s] = [1, 0];
-  while (r !== 0) {
-    const q = Math.floor(old_r / r);
+  let [old_s, s] = [1n, 0n];
+  let [old_t, t] = [0n, 1n];
+  const table = [
+    { index: 0, q: null, r: old_r, s: old_s, t: old_t },
+    { index: 1, q: null, r, s, t },
+  ];
+  while (r !== 0n) {
+    const q = old_r / r;
     [old_r, r] = [r, old_r - q * r];
     [old_s, s] = [s, old_s - q * s];
+    [old_t, t] = [t, old_t - q * t];
+    table.push({ index: table.length, q, r, s, t });
   }
-  if (old_r !== 1) {
-    throw new RangeError(`${a} の mod ${m} における逆元は存在しません`);
+  if (old_r !== 1n) {
+    throw Object.assign(
+      new RangeError(`${a} の mod ${m} における逆元は存在しません`),
+      { table, gcd: old_r },
+    );
   }
-  return ((old_s % m) + m) % m;
+  const inverse = ((old_s % m) + m) % m;
+  return withTable ? { inverse, table, gcd: old_r } : inverse;
+}
+
+/**
+ * Format a BigInt for a formula line, abbreviating very long values.
+ * @param {bigint} n
+ * @returns {string}
+ */
+export function formatBig(n) {
+  const digits = n.toString();
+  if (digits.length <= FORMULA_DIGITS) return digits;
+  return `${digits.slice(0, 12)}…${digits.slice(-12)}（${digits.length}桁）`;
 }
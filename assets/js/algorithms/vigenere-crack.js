@@ -0,0 +1,299 @@
+/**
+ * vigenere-crack.js — Breaking a Vigenère cipher without the key
+ * Kasiski examination and the index of coincidence find the key length; each column of
+ * letters encrypted with the same key letter is then solved as a Caesar cipher by frequency.
+ * Pure functions only. No DOM access.
+ */
+
+import { ALPHABET_SIZE, caesarDecrypt } from './caesar.js';
+import { vigenereDecrypt } from './classical.js';
+import {
+  LETTERS, LETTER_FREQUENCIES, letterCounts, toPercent, chiSquared,
+  indexOfCoincidence, referenceIndexOfCoincidence,
+} from './frequency.js';
+
+/** Longest key length tried. */
+export const VIGENERE_MAX_KEY_LENGTH = 12;
+
+/** Fewer letters than this cannot be split into useful columns. */
+export const VIGENERE_MIN_LETTERS = 60;
+
+/**
+ * Multiples of the key length score as high as the key length itself, so the best length
+ * is replaced by its smallest divisor reaching this share of the best IoC. A fixed cut-off
+ * does not work: keys with repeated letters (VIGENERE) lift some wrong lengths a lot.
+ */
+const IOC_DIVISOR_RATIO = 0.9;
+
+/** Repeated trigrams listed in the Kasiski table. */
+const KASISKI_ROWS = 12;
+
+/** Letters shown before cutting a column or candidate in the tables. */
+const PREVIEW_LENGTH = 36;
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function preview(text) {
+  return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text;
+}
+
+/**
+ * Keep only the letters, uppercased.
+ * @param {string} text
+ * @returns {string}
+ */
+function lettersOnly(text) {
+  return text.toUpperCase().replace(/[^A-Z]/g, '');
+}
+
+/**
+ * Split letters into the columns encrypted with the same key letter.
+ * @param {string} letters
+ * @param {number} keyLength
+ * @returns {string[]}
+ */
+export function splitColumns(letters, keyLength) {
+  const columns = new Array(keyLength).fill('');
+  [...letters].forEach((ch, i) => { columns[i % keyLength] += ch; });
+  return columns;
+}
+
+/**
+ * Kasiski examination: trigrams that occur more than once and the distances between
+ * consecutive occurrences. The key length usually divides most of these distances.
+ * @param {string} letters - Uppercase letters only
+ * @param {number} [maxKeyLength=VIGENERE_MAX_KEY_LENGTH]
+ * @returns {{ repeats: { trigram: string, positions: number[], spacings: number[] }[], factors: { length: number, count: number }[], spacingCount: number }}
+ */
+export function kasiskiExamination(letters, maxKeyLength = VIGENERE_MAX_KEY_LENGTH) {
+  const positions = new Map();
+  for (let i = 0; i + 3 <= letters.length; i++) {
+    const trigram = letters.slice(i, i + 3);
+    if (!positions.has(trigram)) positions.set(trigram, []);
+    positions.get(trigram).push(i);
+  }
+  const repeats = [...positions]
+    .filter(([, list]) => list.length > 1)
+    .map(([trigram, list]) => ({
+      trigram,
+      positions: list,
+      spacings: list.slice(1).map((pos, i) => pos - list[i]),
+    }))
+    .sort((x, y) => y.positions.length - x.positions.length || x.positions[0] - y.positions[0]);
+  const spacings = repeats.flatMap((r) => r.spacings);
+  const factors = Array.from({ length: maxKeyLength - 1 }, (_, i) => {
+    const length = i + 2;
+    return { length, count: spacings.filter((d) => d % length === 0).length };
+  });
+  return { repeats, factors, spacingCount: spacings.length };
+}
+
+/**
+ * Average index of coincidence of the columns for every candidate key length.
+ * The right length (and its multiples) gives columns that are plain Caesar ciphers,
+ * whose IoC is close to the language's; wrong lengths mix key letters and look random.
+ * @param {string} letters
+ * @param {number} [maxKeyLength=VIGENERE_MAX_KEY_LENGTH]
+ * @returns {{ length: number, columns: number[], average: number }[]} Lengths 1 … maxKeyLength
+ */
+export function columnIndexOfCoincidence(letters, maxKeyLength = VIGENERE_MAX_KEY_LENGTH) {
+  return Array.from({ length: maxKeyLength }, (_, i) => {
+    const length = i + 1;
+    const columns = splitColumns(letters, length).map((col) => indexOfCoincidence(letterCounts(col)));
+    return { length, columns, average: columns.reduce((sum, v) => sum + v, 0) / length };
+  });
+}
+
+/**
+ * Solve one column as a Caesar cipher: try all 26 shifts (A = no shift) and rank by χ².
+ * @param {string} column
+ * @param {number[]} percent - Reference frequencies
+ * @returns {{ shift: number, letter: string, text: string, score: number }[]} Best first
+ */
+export function solveColumn(column, percent) {
+  return Array.from({ length: ALPHABET_SIZE }, (_, shift) => {
+    const text = caesarDecrypt(column, shift);
+    return { shift, letter: LETTERS[shift], text, score: chiSquared(letterCounts(text), percent).score };
+  }).sort((x, y) => x.score - y.score);
+}
+
+/**
+ * Build the steps for breaking a Vigenère ciphertext.
+ * Steps carry `table` and, for the frequency views, `chart` (same shape as the Caesar crack).
+ * @param {string} ciphertext
+ * @param {Object} [options]
+ * @param {'english'|'romaji'} [options.reference='english'] - Language of the plaintext
+ * @param {number} [options.maxKeyLength=VIGENERE_MAX_KEY_LENGTH]
+ * @returns {Object[]} Array of step objects
+ */
+export function buildVigenereCrackSteps(ciphertext, {
+  reference = 'english', maxKeyLength = VIGENERE_MAX_KEY_LENGTH,
+} = {}) {
+  const letters = lettersOnly(ciphertext);
+  if (letters.length < VIGENERE_MIN_LETTERS) {
+    throw new RangeError(`解読には英字が ${VIGENERE_MIN_LETTERS} 文字以上必要です（現在: ${letters.length} 文字）。`);
+  }
+  const { name: refName, percent: refPercent } = LETTER_FREQUENCIES[reference];
+  const randomIoC = 1 / ALPHABET_SIZE;
+  const refIoC = referenceIndexOfCoincidence(refPercent);
+  const counts = letterCounts(letters);
+  const steps = [];
+
+  steps.push({
+    algorithm: 'vigenere-crack',
+    id: 'vigenere-crack-input',
+    phase: 'input',
+    label: '解読する暗号文',
+    description: 'ヴィジュネル暗号は位置ごとに違うシフト量を使うため、暗号文全体の文字頻度は平らにならされ、'
+      + 'シーザー暗号のように頻度の山をずらして合わせることができません。'
+      + '一致指数（IoC）は「文字を 2 つ選んだとき同じ文字である確率」で、平らな分布ほど 1/26 に近づきます。',
+    formula: `英字の数 N = ${letters.length}\n`
+      + `IoC = Σ nᵢ(nᵢ − 1) / N(N − 1) = ${indexOfCoincidence(counts).toFixed(4)}\n`
+      + `（${refName}の平文 ≈ ${refIoC.toFixed(4)}、ランダム ≈ ${randomIoC.toFixed(4)}）`,
+    chart: {
+      caption: `暗号文と${refName}の文字頻度（%）`,
+      series: [
+        { name: '暗号文', kind: 'observed', values: toPercent(counts) },
+        { name: refName, kind: 'reference', values: [...refPercent] },
+      ],
+    },
+    values: { '英字の数': letters.length, '暗号文の IoC': indexOfCoincidence(counts).toFixed(4) },
+  });
+
+  const kasiski = kasiskiExamination(letters, maxKeyLength);
+  steps.push({
+    algorithm: 'vigenere-crack',
+    id: 'vigenere-crack-kasiski',
+    phase: 'kasiski',
+    label: 'Kasiski 検査: 繰り返す 3 文字',
+    description: '平文で同じ語が、鍵の同じ位置に重なって現れると、暗号文にも同じ文字列が現れます。'
+      + 'そのため繰り返しの間隔は鍵の長さの倍数になりやすくなります（偶然の一致も混じります）。',
+    formula: kasiski.repeats.length > 0
+      ? `繰り返す 3 文字の組: ${kasiski.repeats.length} 種類、間隔: ${kasiski.spacingCount} 個`
+      : '繰り返す 3 文字の組は見つかりませんでした。一致指数で鍵の長さを調べます。',
+    table: {
+      caption: `繰り返す 3 文字（上位 ${Math.min(KASISKI_ROWS, kasiski.repeats.length)} 件、位置は英字だけを数えた 0 始まり）`,
+      columns: ['3 文字', '出現位置', '間隔'],
+      rows: kasiski.repeats.slice(0, KASISKI_ROWS)
+        .map((r) => [r.trigram, r.positions.join(', '), r.spacings.join(', ')]),
+    },
+  });
+
+  const maxFactor = Math.max(...kasiski.factors.map((f) => f.count));
+  steps.push({
+    algorithm: 'vigenere-crack',
+    id: 'vigenere-crack-factors',
+    phase: 'kasiski',
+    label: 'Kasiski 検査: 間隔の約数',
+    description: '各候補の長さで割り切れる間隔の数を数えます。本当の鍵の長さで割り切れる間隔は、その約数（例えば 2）でも割り切れるため、'
+      + '小さい数ほど数が多くなりがちです。ここでは候補を絞り、次の一致指数で確かめます。',
+    formula: kasiski.factors.filter((f) => f.count === maxFactor && maxFactor > 0)
+      .map((f) => `長さ ${f.length}: ${f.count} / ${kasiski.spacingCount} 個の間隔を割り切る`).join('\n')
+      || '割り切れる間隔がありません',
+    table: {
+      caption: '鍵の長さの候補と、割り切れる間隔の数',
+      columns: ['鍵の長さ', '割り切れる間隔', '割合'],
+      rows: kasiski.factors.map((f) => [
+        f.length, f.count, kasiski.spacingCount ? `${Math.round((f.count / kasiski.spacingCount) * 100)}%` : '—',
+      ]),
+    },
+  });
+
+  const iocs = columnIndexOfCoincidence(letters, maxKeyLength);
+  const best = iocs.reduce((top, r) => (r.average > top.average ? r : top));
+  const threshold = best.average * IOC_DIVISOR_RATIO;
+  const chosen = iocs.find((r) => best.length % r.length === 0 && r.average >= threshold);
+  const keyLength = chosen.length;
+  steps.push({
+    algorithm: 'vigenere-crack',
+    id: 'vigenere-crack-ioc',
+    phase: 'ioc',
+    label: `一致指数: 鍵の長さは ${keyLength}`,
+    description: '候補の長さ L ごとに、暗号文を L 文字おきに取り出した L 本の列に分け、列ごとの一致指数を平均します。'
+      + 'L が正しければ各列は同じ鍵の文字で暗号化されたシーザー暗号なので、平文の言語と同じ一致指数になります。'
+      + `L の倍数も同じく高くなるため、最大の L = ${best.length} の約数のうち、最大値の ${Math.round(IOC_DIVISOR_RATIO * 100)}%（${threshold.toFixed(4)}）以上になる最小の L を選びます。`,
+    formula: `列の IoC の平均が最大: L = ${best.length}（${best.average.toFixed(4)}）\n`
+      + `選んだ長さ: L = ${keyLength}（${chosen.average.toFixed(4)}）\n`
+      + `${refName} ≈ ${refIoC.toFixed(4)}、ランダム ≈ ${randomIoC.toFixed(4)}`,
+    table: {
+      caption: '鍵の長さごとの一致指数',
+      columns: ['L', 'IoC の平均', '列ごとの IoC'],
+      rows: iocs.map((r) => [r.length, r.average.toFixed(4), preview(r.columns.map((v) => v.toFixed(3)).join(' '))]),
+      highlightRow: keyLength - 1,
+    },
+  });
+
+  const columns = splitColumns(letters, keyLength);
+  steps.push({
+    algorithm: 'vigenere-crack',
+    id: 'vigenere-crack-columns',
+    phase: 'columns',
+    label: `${keyLength} 本の列に分割`,
+    description: `英字を ${keyLength} 文字おきに取り出すと、同じ鍵の文字で暗号化された列になります。`
+      + '各列は 1 つのシーザー暗号なので、それぞれを頻度分析で解きます。',
+    formula: `列 j = 暗号文の英字のうち、位置 i が i mod ${keyLength} = j のもの`,
+    table: {
+      caption: '列の内容',
+      columns: ['列', '文字数', 'IoC', '文字'],
+      rows: columns.map((col, j) => [j + 1, col.length, chosen.columns[j].toFixed(4), preview(col)]),
+    },
+  });
+
+  const columnKey = columns.map((col, j) => {
+    const ranked = solveColumn(col, refPercent);
+    const [best, second] = ranked;
+    steps.push({
+      algorithm: 'vigenere-crack',
+      id: `vigenere-crack-column-${j}`,
+      phase: 'column',
+      label: `列 ${j + 1} をシーザー暗号として解く: 鍵の文字 ${best.letter}`,
+      description: `列 ${j + 1} を 26 通りのシフト（鍵の文字 A〜Z）で caesarDecrypt し、${refName}の頻度との χ² が最小のものを選びます。`
+        + `シフト ${best.shift} で戻すと頻度の山が重なるので、この列の鍵の文字は '${best.letter}'（A = 0）です。`,
+      formula: `列 ${j + 1}: ${preview(col)}\n`
+        + `χ² 最小: シフト ${best.shift}（${best.letter}）= ${best.score.toFixed(1)}、2 位: ${second.letter} = ${second.score.toFixed(1)}`,
+      chart: {
+        caption: `列 ${j + 1} を ${best.letter} で戻した文字頻度と${refName}（%）`,
+        series: [
+          { name: `列 ${j + 1}（復号後）`, kind: 'observed', values: toPercent(letterCounts(best.text)) },
+          { name: refName, kind: 'reference', values: [...refPercent] },
+        ],
+      },
+      table: {
+        caption: `列 ${j + 1} の候補（χ² の小さい順に 5 件）`,
+        columns: ['順位', '鍵の文字', 'シフト', '復号した列', 'χ²'],
+        rows: ranked.slice(0, 5).map((c, i) => [i + 1, c.letter, c.shift, preview(c.text), c.score.toFixed(1)]),
+        markedRow: 0,
+      },
+    });
+    return best.letter;
+  }).join('');
+
+  // A multiple of the true period gives the key repeated (QQQQ, ABAB); keep one period
+  const period = [...Array(keyLength).keys()].map((i) => i + 1)
+    .find((len) => keyLength % len === 0 && columnKey === columnKey.slice(0, len).repeat(keyLength / len));
+  const key = columnKey.slice(0, period);
+  const plaintext = vigenereDecrypt(ciphertext, key);
+  steps.push({
+    algorithm: 'vigenere-crack',
+    id: 'vigenere-crack-result',
+    phase: 'result',
+    label: `解読結果: 鍵 ${key}`,
+    description: '列ごとの鍵の文字をつなげると鍵が得られ、暗号文全体を復号できます。'
+      + (period < keyLength
+        ? `列から得た ${columnKey} は ${key} の繰り返しなので、本当の鍵は ${key}（長さ ${period}）です。選んだ長さ ${keyLength} は鍵の長さの倍数でした。`
+        : '')
+      + 'ヴィジュネル暗号は 1 文字ごとの頻度を隠しても、鍵が短く繰り返されるために列単位の偏りが残り、それが突破口になります。'
+      + '鍵を平文と同じ長さの一度きりの乱数にしたものがワンタイムパッドです。',
+    formula: (period < keyLength ? `列の鍵: ${columnKey} = ${key} × ${keyLength / period}\n` : '')
+      + `鍵: ${key}\n平文: ${plaintext}`,
+    values: {
+      '鍵': key,
+      '鍵の長さ': period,
+      '平文': plaintext,
+    },
+  });
+
+  return steps;
+}
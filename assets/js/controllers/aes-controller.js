@@ -0,0 +1,192 @@
+/**
+ * aes-controller.js — AES tab inputs: presets, text → hex, random key / IV and the
+ * encrypt / decrypt / modes / avalanche forms
+ */
+
+import { buildAESSteps, buildAESDecryptSteps, keyExpansion } from '../algorithms/aes.js';
+import { buildKeyExpansionSteps } from '../algorithms/aes-key-steps.js';
+import { buildModeSteps } from '../algorithms/aes-modes.js';
+import { buildGCMSteps } from '../algorithms/aes-gcm.js';
+import { buildAvalancheSteps } from '../algorithms/aes-avalanche.js';
+import { hexToBytes } from '../algorithms/utils.js';
+import { validateHex, randomHex } from './input-helpers.js';
+
+const AES_BLOCK_BYTES = 16;
+const AES_KEY_HEX_LENGTHS = [32, 48, 64]; // AES-128 / 192 / 256
+const GCM_IV_HEX_LENGTH = 24; // 96-bit IV
+
+// Presets: plaintext + key pairs
+const PRESETS = {
+  hello: {
+    text: 'Hello, World!!!',
+    key: '0123456789abcdef0123456789abcdef',
+  },
+  nist: {
+    plaintext: '3243f6a8885a308d313198a2e0370734',
+    key: '2b7e151628aed2a6abf7158809cf4f3c',
+  },
+  // FIPS-197 Appendix C example vectors
+  nist128: {
+    plaintext: '00112233445566778899aabbccddeeff',
+    key: '000102030405060708090a0b0c0d0e0f',
+  },
+  nist192: {
+    plaintext: '00112233445566778899aabbccddeeff',
+    key: '000102030405060708090a0b0c0d0e0f1011121314151617',
+  },
+  nist256: {
+    plaintext: '00112233445566778899aabbccddeeff',
+    key: '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f',
+  },
+};
+
+/**
+ * Convert an ASCII string to a 32-char hex string (zero-padded to 16 bytes).
+ */
+function textToHex(text) {
+  let hex = '';
+  for (let i = 0; i < text.length && i < AES_BLOCK_BYTES; i++) {
+    hex += text.charCodeAt(i).toString(16).padStart(2, '0');
+  }
+  return hex.padEnd(AES_BLOCK_BYTES * 2, '0');
+}
+
+const input = (id) => document.getElementById(id);
+
+export class AESController {
+  #textInput = input('aes-text-input');
+  #plaintext = input('aes-plaintext');
+  #ciphertext = input('aes-ciphertext');
+  #key = input('aes-key');
+  #showKeySchedule = input('aes-show-key-schedule');
+  #message = input('aes-message');
+  #blockMode = input('aes-block-mode');
+  #iv = input('aes-iv');
+  #aad = input('aes-aad');
+  #flipTarget = input('aes-flip-target');
+  #flipBit = input('aes-flip-bit');
+  #roundKeys = null;
+  #keyHex = null;
+
+  constructor() {
+    // Text input → auto-convert to HEX
+    this.#textInput.addEventListener('input', () => {
+      const text = this.#textInput.value;
+      this.#plaintext.value = text.length > 0 ? textToHex(text) : '';
+    });
+    // If user manually edits the HEX field, clear text input
+    this.#plaintext.addEventListener('input', () => {
+      this.#textInput.value = '';
+    });
+    input('btn-random-key').addEventListener('click', () => {
+      this.#key.value = randomHex();
+    });
+    input('btn-random-iv').addEventListener('click', () => {
+      const ivBytes = this.#blockMode.value === 'GCM' ? GCM_IV_HEX_LENGTH / 2 : AES_BLOCK_BYTES;
+      this.#iv.value = randomHex(ivBytes);
+    });
+    this.#blockMode.addEventListener('change', () => this.#fitIv());
+    document.querySelectorAll('[data-preset]').forEach((btn) => {
+      btn.addEventListener('click', () => this.#applyPreset(btn.dataset.preset));
+    });
+  }
+
+  /** Round keys of the last run, for the round key panel. */
+  get roundKeys() {
+    return this.#roundKeys;
+  }
+
+  /** Key of the last run, used to drill into a single block of a mode run. */
+  get keyHex() {
+    return this.#keyHex;
+  }
+
+  /**
+   * Read the AES form and build the steps for the selected mode.
+   * @param {string} mode - 'encrypt' | 'decrypt' | 'modes' | 'avalanche'
+   * @returns {Object[]}
+   */
+  buildSteps(mode) {
+    const pt = this.#plaintext.value.trim();
+    const key = this.#key.value.trim();
+    validateHex(key, '鍵', AES_KEY_HEX_LENGTHS);
+    this.#roundKeys = keyExpansion(hexToBytes(key));
+    this.#keyHex = key;
+    if (mode === 'modes') {
+      const blockMode = this.#blockMode.value;
+      const iv = this.#iv.value.trim();
+      if (blockMode === 'GCM') {
+        validateHex(iv, 'IV', [GCM_IV_HEX_LENGTH]);
+        return buildGCMSteps(this.#message.value, key, iv, this.#aad.value);
+      }
+      if (blockMode !== 'ECB') validateHex(iv, blockMode === 'CTR' ? '初期カウンタ' : 'IV');
+      return buildModeSteps(blockMode, this.#message.value, key, iv);
+    }
+    if (mode === 'avalanche') {
+      validateHex(pt, '平文');
+      const bitIndex = parseInt(this.#flipBit.value, 10);
+      if (isNaN(bitIndex)) {
+        throw new RangeError('反転するビット位置を数値で入力してください。');
+      }
+      return buildAvalancheSteps(pt, key, { target: this.#flipTarget.value, bitIndex });
+    }
+    let steps;
+    if (mode === 'decrypt') {
+      const ct = this.#ciphertext.value.trim();
+      validateHex(ct, '暗号文');
+      if (pt) validateHex(pt, '平文');
+      steps = buildAESDecryptSteps(ct, key, pt || null);
+    } else {
+      validateHex(pt, '平文');
+      steps = buildAESSteps(pt, key);
+      // Carry the result over so switching to decrypt mode round-trips immediately
+      this.#ciphertext.value = steps[steps.length - 1].detail.cipherHex;
+    }
+    if (this.#showKeySchedule.checked) {
+      steps = [...buildKeyExpansionSteps(key), ...steps];
+    }
+    return steps;
+  }
+
+  /**
+   * Full round-by-round steps for one block's AES call inside a mode run.
+   * @param {string} aesInputHex - The block fed to the cipher
+   * @param {string} keyHex
+   * @param {number} blockIndex
+   * @returns {Object[]}
+   */
+  buildBlockSteps(aesInputHex, keyHex, blockIndex) {
+    return buildAESSteps(aesInputHex, keyHex).map((step) => ({
+      ...step,
+      drillDown: { blockIndex },
+    }));
+  }
+
+  /** GCM takes a 96-bit IV; trim or extend the field when switching modes. */
+  #fitIv() {
+    const iv = this.#iv.value.trim();
+    if (this.#blockMode.value === 'GCM' && iv.length === AES_BLOCK_BYTES * 2) {
+      this.#iv.value = iv.slice(0, GCM_IV_HEX_LENGTH);
+    } else if (this.#blockMode.value !== 'GCM' && iv.length === GCM_IV_HEX_LENGTH) {
+      this.#iv.value = iv.padEnd(AES_BLOCK_BYTES * 2, '0');
+    }
+  }
+
+  #applyPreset(name) {
+    if (name === 'random') {
+      this.#plaintext.value = randomHex();
+      this.#key.value = randomHex();
+      this.#textInput.value = '';
+    } else if (PRESETS[name]) {
+      const p = PRESETS[name];
+      if (p.text) {
+        this.#textInput.value = p.text;
+        this.#plaintext.value = textToHex(p.text);
+      } else {
+        this.#textInput.value = '';
+        this.#plaintext.value = p.plaintext;
+      }
+      this.#key.value = p.key;
+    }
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * chacha20-controller.js — ChaCha20 tab inputs, RFC 8439 presets and random key / nonce
+ */
+
+import {
+  buildChaCha20Steps, CHACHA_PRESETS, CHACHA_KEY_BYTES, CHACHA_NONCE_BYTES,
+} from '../algorithms/chacha20.js';
+import { hexToBytes, utf8ToBytes } from '../algorithms/utils.js';
+import { byIds, validateHex, randomHex } from './input-helpers.js';
+
+export class ChaCha20Controller {
+  #key;
+  #nonce;
+  #counter;
+  #plaintext;
+
+  constructor() {
+    [this.#key, this.#nonce, this.#counter, this.#plaintext] = byIds([
+      'chacha-key', 'chacha-nonce', 'chacha-counter', 'chacha-plaintext',
+    ]);
+    document.getElementById('btn-chacha-random-key').addEventListener('click', () => {
+      this.#key.value = randomHex(CHACHA_KEY_BYTES);
+    });
+    document.getElementById('btn-chacha-random-nonce').addEventListener('click', () => {
+      this.#nonce.value = randomHex(CHACHA_NONCE_BYTES);
+    });
+    const preset = document.getElementById('chacha-preset');
+    preset.addEventListener('change', () => this.#applyPreset(CHACHA_PRESETS[preset.value]));
+  }
+
+  /**
+   * Read key, nonce, counter and plaintext and build the keystream steps.
+   * @returns {Object[]}
+   */
+  buildSteps() {
+    const keyHex = this.#key.value.trim().toLowerCase();
+    const nonceHex = this.#nonce.value.trim().toLowerCase();
+    validateHex(keyHex, '鍵', [CHACHA_KEY_BYTES * 2]);
+    validateHex(nonceHex, 'ノンス', [CHACHA_NONCE_BYTES * 2]);
+    return buildChaCha20Steps(
+      hexToBytes(keyHex),
+      hexToBytes(nonceHex),
+      Number(this.#counter.value),
+      utf8ToBytes(this.#plaintext.value),
+    );
+  }
+
+  #applyPreset(preset) {
+    if (!preset) return;
+    this.#key.value = preset.keyHex;
+    this.#nonce.value = preset.nonceHex;
+    this.#counter.value = preset.counter;
+    this.#plaintext.value = preset.plaintext;
+  }
+}
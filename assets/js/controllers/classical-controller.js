@@ -0,0 +1,54 @@
+/**
+ * classical-controller.js — Caesar and classical cipher tab inputs
+ */
+
+import { buildCaesarSteps } from '../algorithms/caesar.js';
+import { buildCaesarCrackSteps } from '../algorithms/caesar-crack.js';
+import {
+  buildVigenereSteps, buildAffineSteps, buildSubstitutionSteps, buildTranspositionSteps,
+} from '../algorithms/classical.js';
+import { buildVigenereCrackSteps } from '../algorithms/vigenere-crack.js';
+
+const field = (id) => document.getElementById(id).value;
+
+export class CaesarController {
+  /**
+   * Read the Caesar form and build the steps for the selected mode.
+   * @param {string} mode - 'encrypt' | 'crack'
+   * @returns {Object[]}
+   */
+  buildSteps(mode) {
+    if (mode === 'crack') {
+      const reference = field('caesar-reference');
+      return buildCaesarCrackSteps(field('caesar-ciphertext'), { reference });
+    }
+    const shift = parseInt(field('caesar-shift'), 10);
+    if (isNaN(shift) || shift < 1 || shift > 25) {
+      throw new RangeError('シフト量は1〜25の範囲で指定してください。');
+    }
+    return buildCaesarSteps(field('caesar-text'), shift);
+  }
+}
+
+export class ClassicalController {
+  /**
+   * Read the classical cipher form and build the steps for the selected cipher.
+   * @param {string} mode - Cipher sub-mode, e.g. 'vigenere', 'affine' or 'vigenere-crack'
+   * @returns {Object[]}
+   */
+  buildSteps(mode) {
+    const text = field('classical-text');
+    if (mode === 'affine') {
+      const a = parseInt(field('affine-a'), 10);
+      const b = parseInt(field('affine-b'), 10);
+      return buildAffineSteps(text, a, b);
+    }
+    if (mode === 'substitution') return buildSubstitutionSteps(text, field('substitution-key'));
+    if (mode === 'vigenere-crack') {
+      const reference = field('vigenere-reference');
+      return buildVigenereCrackSteps(field('vigenere-ciphertext'), { reference });
+    }
+    if (mode === 'transposition') return buildTranspositionSteps(text, field('transposition-key'));
+    return buildVigenereSteps(text, field('vigenere-key'));
+  }
+}
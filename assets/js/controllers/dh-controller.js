@@ -0,0 +1,57 @@
+/**
+ * dh-controller.js — Diffie–Hellman tab inputs, group presets and random secrets
+ */
+
+import { buildDHSteps, DH_GROUPS, randomExponent } from '../algorithms/dh.js';
+import { byIds, readBigInts } from './input-helpers.js';
+
+export class DHController {
+  #p;
+  #g;
+  #a;
+  #b;
+  #m;
+
+  /**
+   * @param {Function} showError - Shows a message in the shared input error area
+   */
+  constructor(showError) {
+    [this.#p, this.#g, this.#a, this.#b, this.#m] = byIds(['dh-p', 'dh-g', 'dh-a', 'dh-b', 'dh-m']);
+    const preset = document.getElementById('dh-preset');
+    // The textbook example keeps its well-known secrets, larger groups get random ones
+    preset.addEventListener('change', () => {
+      const { p, g } = DH_GROUPS[preset.value];
+      this.#p.value = p.toString();
+      this.#g.value = g.toString();
+      if (preset.value === 'small') {
+        [this.#a.value, this.#b.value, this.#m.value] = ['4', '3', '9'];
+      } else {
+        this.#fillSecrets(p);
+      }
+    });
+    document.getElementById('btn-dh-random-secrets').addEventListener('click', () => {
+      const p = this.#p.value.replace(/\s+/g, '');
+      if (!/^\d+$/.test(p) || BigInt(p) < 5n) {
+        showError('先に素数 p を入力してください。');
+        return;
+      }
+      this.#fillSecrets(BigInt(p));
+    });
+  }
+
+  /**
+   * Read the group and secrets and build the exchange (or man-in-the-middle) steps.
+   * @param {string} mode - 'standard' | 'mitm'
+   * @returns {Object[]}
+   */
+  buildSteps(mode) {
+    const mitm = mode === 'mitm';
+    const inputs = [this.#p, this.#g, this.#a, this.#b, ...(mitm ? [this.#m] : [])];
+    const [p, g, a, b, m] = readBigInts(inputs);
+    return buildDHSteps({ p, g, a, b }, { mitm, m });
+  }
+
+  #fillSecrets(p) {
+    [this.#a, this.#b, this.#m].forEach((el) => { el.value = randomExponent(p).toString(); });
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * ecc-controller.js — Elliptic curve tab inputs (ECDH / ECDSA)
+ */
+
+import { buildECCSteps } from '../algorithms/ecc.js';
+import { byIds } from './input-helpers.js';
+
+export class ECCController {
+  #curve = byIds(['ecc-p', 'ecc-a', 'ecc-b']);
+  #ecdh = byIds(['ecc-alice', 'ecc-bob']);
+  #ecdsa = byIds(['ecc-d', 'ecc-k']);
+  #message = document.getElementById('ecc-message');
+  #tamper = document.getElementById('ecc-tamper');
+
+  /**
+   * Read the curve and the two scalars for the selected protocol.
+   * @param {string} mode - 'ecdh' | 'ecdsa'
+   * @returns {Object[]}
+   */
+  buildSteps(mode) {
+    const ecdsa = mode === 'ecdsa';
+    const inputs = [...this.#curve, ...(ecdsa ? this.#ecdsa : this.#ecdh)];
+    const fields = inputs.map((el) => el.value.trim());
+    if (!fields.every((v) => /^-?\d+$/.test(v))) {
+      throw new RangeError('すべてのフィールドに整数を入力してください。');
+    }
+    const [p, a, b, first, second] = fields.map(Number);
+    const curve = { p, a, b };
+    if (!ecdsa) return buildECCSteps('ecdh', { curve, alice: first, bob: second });
+    return buildECCSteps('ecdsa', {
+      curve,
+      privateKey: first,
+      nonce: second,
+      message: this.#message.value,
+      tamper: this.#tamper.checked,
+    });
+  }
+}
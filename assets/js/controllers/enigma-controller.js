@@ -0,0 +1,42 @@
+/**
+ * enigma-controller.js — Enigma tab inputs and historical presets
+ */
+
+import { buildEnigmaSteps, ENIGMA_PRESETS } from '../algorithms/enigma.js';
+import { byIds } from './input-helpers.js';
+
+export class EnigmaController {
+  #rotors = byIds(['enigma-rotor-left', 'enigma-rotor-middle', 'enigma-rotor-right']);
+  #fields;
+
+  constructor() {
+    const [reflector, rings, positions, plugboard, text] = byIds([
+      'enigma-reflector', 'enigma-rings', 'enigma-positions', 'enigma-plugboard', 'enigma-text',
+    ]);
+    this.#fields = { reflector, rings, positions, plugboard, text };
+    const preset = document.getElementById('enigma-preset');
+    preset.addEventListener('change', () => this.#applyPreset(ENIGMA_PRESETS[preset.value]));
+  }
+
+  /**
+   * Read the machine settings and type the input text.
+   * @returns {Object[]}
+   */
+  buildSteps() {
+    const { reflector, rings, positions, plugboard, text } = this.#fields;
+    const settings = {
+      rotors: this.#rotors.map((el) => el.value),
+      reflector: reflector.value,
+      rings: rings.value,
+      positions: positions.value,
+      plugboard: plugboard.value,
+    };
+    return buildEnigmaSteps(text.value, settings);
+  }
+
+  #applyPreset(preset) {
+    if (!preset) return;
+    this.#rotors.forEach((el, i) => { el.value = preset.rotors[i]; });
+    for (const [name, el] of Object.entries(this.#fields)) el.value = preset[name];
+  }
+}
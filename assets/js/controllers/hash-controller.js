@@ -0,0 +1,62 @@
+/**
+ * hash-controller.js — SHA-256 and HMAC tab inputs and RFC 4231 presets
+ */
+
+import { buildSHA256Steps } from '../algorithms/sha256-steps.js';
+import { buildHMACSteps, HMAC_PRESETS } from '../algorithms/hmac.js';
+import { hexToBytes, utf8ToBytes } from '../algorithms/utils.js';
+import { byIds } from './input-helpers.js';
+
+export class SHA256Controller {
+  #text = document.getElementById('sha256-text');
+
+  /**
+   * Hash the input text.
+   * @returns {Promise<Object[]>}
+   */
+  buildSteps() {
+    return buildSHA256Steps(this.#text.value);
+  }
+}
+
+export class HMACController {
+  #format;
+  #key;
+  #message;
+  #extension;
+
+  constructor() {
+    [this.#format, this.#key, this.#message, this.#extension] = byIds([
+      'hmac-format', 'hmac-key', 'hmac-message', 'hmac-extension',
+    ]);
+    const preset = document.getElementById('hmac-preset');
+    preset.addEventListener('change', () => {
+      const vector = HMAC_PRESETS[preset.value];
+      if (!vector) return;
+      this.#format.value = 'hex';
+      this.#key.value = vector.keyHex;
+      this.#message.value = vector.dataHex;
+    });
+  }
+
+  /**
+   * Read key and message as text or hex and build the HMAC (or length extension) steps.
+   * @param {string} mode - 'standard' | 'extension'
+   * @returns {Object[]}
+   */
+  buildSteps(mode) {
+    const key = this.#readBytes(this.#key, '鍵');
+    const message = this.#readBytes(this.#message, 'メッセージ');
+    const extension = mode === 'extension' ? utf8ToBytes(this.#extension.value) : null;
+    return buildHMACSteps(key, message, { extension });
+  }
+
+  #readBytes(el, name) {
+    if (this.#format.value === 'text') return utf8ToBytes(el.value);
+    const hex = el.value.replace(/\s+/g, '');
+    if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+      throw new RangeError(`${name}は偶数桁の16進数で入力してください`);
+    }
+    return hexToBytes(hex);
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * hex-tool.js — Sidebar text ⇄ HEX converter
+ */
+
+/**
+ * Keep the text and HEX fields of the converter in sync.
+ * @param {HTMLTextAreaElement} textField
+ * @param {HTMLTextAreaElement} hexField
+ */
+export function bindHexTool(textField, hexField) {
+  let updating = false;
+
+  textField.addEventListener('input', () => {
+    if (updating) return;
+    updating = true;
+    hexField.value = [...textField.value]
+      .map((ch) => ch.charCodeAt(0).toString(16).padStart(2, '0'))
+      .join(' ');
+    updating = false;
+  });
+
+  hexField.addEventListener('input', () => {
+    if (updating) return;
+    updating = true;
+    const raw = hexField.value.replace(/\s+/g, '');
+    if (/^[0-9a-fA-F]*$/.test(raw) && raw.length % 2 === 0) {
+      let text = '';
+      for (let i = 0; i < raw.length; i += 2) {
+        text += String.fromCharCode(parseInt(raw.substring(i, i + 2), 16));
+      }
+      textField.value = text;
+    }
+    updating = false;
+  });
+}
@@ -0,0 +1,50 @@
+/**
+ * input-helpers.js — Shared form reading and validation for the tab controllers
+ */
+
+const DEFAULT_RANDOM_BYTES = 16; // one AES block
+
+/**
+ * Look up several form elements at once.
+ * @param {string[]} ids
+ * @returns {HTMLElement[]}
+ */
+export function byIds(ids) {
+  return ids.map((id) => document.getElementById(id));
+}
+
+/**
+ * Throw unless the value is a hex string of one of the allowed lengths.
+ * @param {string} value
+ * @param {string} name - Field name for the error message
+ * @param {number[]} [lengths=[32]] - Allowed lengths in hex digits
+ */
+export function validateHex(value, name, lengths = [32]) {
+  if (!/^[0-9a-fA-F]*$/.test(value) || !lengths.includes(value.length)) {
+    throw new RangeError(`${name}は${lengths.join('・')}桁の16進数で入力してください（現在: ${value.length}桁）`);
+  }
+}
+
+/**
+ * Read whitespace-free non-negative integers from number fields.
+ * @param {HTMLInputElement[]} inputs
+ * @returns {bigint[]}
+ */
+export function readBigInts(inputs) {
+  const fields = inputs.map((el) => el.value.replace(/\s+/g, ''));
+  if (!fields.every((v) => /^\d+$/.test(v))) {
+    throw new RangeError('すべてのフィールドに 0 以上の整数を入力してください。');
+  }
+  return fields.map(BigInt);
+}
+
+/**
+ * Generate a random hex string (16 bytes / 32 chars by default).
+ * @param {number} [byteLength=16]
+ * @returns {string}
+ */
+export function randomHex(byteLength = DEFAULT_RANDOM_BYTES) {
+  const bytes = new Uint8Array(byteLength);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
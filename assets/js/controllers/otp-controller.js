@@ -0,0 +1,56 @@
+/**
+ * otp-controller.js — One-time pad tab inputs and random pad generation
+ */
+
+import { buildOTPSteps, buildTwoTimePadSteps, OTP_MAX_BYTES } from '../algorithms/otp.js';
+import { hexToBytes, utf8ToBytes } from '../algorithms/utils.js';
+import { byIds, randomHex } from './input-helpers.js';
+
+export class OTPController {
+  #message;
+  #message2;
+  #crib;
+  #key;
+  #getMode;
+
+  /**
+   * @param {Function} getMode - Returns the current OTP sub-mode ('standard' | 'two-time')
+   */
+  constructor(getMode) {
+    [this.#message, this.#message2, this.#crib, this.#key] = byIds([
+      'otp-message', 'otp-message2', 'otp-crib', 'otp-key',
+    ]);
+    this.#getMode = getMode;
+    document.getElementById('btn-otp-random-key').addEventListener('click', () => {
+      this.#key.value = randomHex(this.#keyLength());
+    });
+  }
+
+  /**
+   * Read the messages and pad, filling in a random pad when the key field is blank.
+   * @param {string} mode - 'standard' | 'two-time'
+   * @returns {Object[]}
+   */
+  buildSteps(mode) {
+    // A blank key field gets a fresh random pad, shown so the run can be repeated
+    if (!this.#key.value.trim()) this.#key.value = randomHex(this.#keyLength());
+    const hex = this.#key.value.trim();
+    if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+      throw new RangeError('鍵は偶数桁の16進数で入力してください');
+    }
+    const key = hexToBytes(hex);
+    return mode === 'two-time'
+      ? buildTwoTimePadSteps(this.#message.value, this.#message2.value, key, this.#crib.value)
+      : buildOTPSteps(this.#message.value, key);
+  }
+
+  /**
+   * Bytes the one-time pad key has to cover: the message, or the longer of the two
+   * messages when the key is reused.
+   */
+  #keyLength() {
+    const lengths = [this.#message, ...(this.#getMode() === 'two-time' ? [this.#message2] : [])]
+      .map((el) => utf8ToBytes(el.value).length);
+    return Math.min(Math.max(1, ...lengths), OTP_MAX_BYTES);
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * rsa-controller.js — RSA and RSA signature tab inputs and random prime generation
+ */
+
+import { buildRSASteps, generateRandomPrimes } from '../algorithms/rsa.js';
+import { buildRSAAttackSteps } from '../algorithms/rsa-attacks.js';
+import { buildRSATextSteps } from '../algorithms/rsa-text.js';
+import { buildRSASignSteps } from '../algorithms/rsa-sign.js';
+import { byIds, readBigInts } from './input-helpers.js';
+
+const RSA_STANDARD_E = 65537n;
+const RSA_STANDARD_E_MIN_BITS = 512;
+const RSA_SIGN_TOY_KEY = { p: 61n, q: 53n, e: 17n }; // small enough to read every number
+
+export class RSAController {
+  #p;
+  #q;
+  #e;
+  #message;
+  #text;
+  #padding;
+  #attack;
+
+  constructor() {
+    [this.#p, this.#q, this.#e, this.#message, this.#text, this.#padding, this.#attack] = byIds([
+      'rsa-p', 'rsa-q', 'rsa-e', 'rsa-message', 'rsa-text', 'rsa-padding', 'rsa-attack',
+    ]);
+    const keyBits = document.getElementById('rsa-key-bits');
+    const btnRandomPrimes = document.getElementById('btn-random-primes');
+    // Random RSA primes: large sizes use the conventional e = 65537
+    btnRandomPrimes.addEventListener('click', () => {
+      const bits = parseInt(keyBits.value, 10);
+      const e = bits >= RSA_STANDARD_E_MIN_BITS ? RSA_STANDARD_E : 17n;
+      btnRandomPrimes.disabled = true;
+      btnRandomPrimes.textContent = '生成中…';
+      // Let the label repaint before the (blocking) prime search
+      setTimeout(() => {
+        const { p, q } = generateRandomPrimes(bits, e);
+        this.#p.value = p.toString();
+        this.#q.value = q.toString();
+        this.#e.value = e.toString();
+        btnRandomPrimes.disabled = false;
+        btnRandomPrimes.textContent = '素数を生成';
+      }, 0);
+    });
+  }
+
+  /**
+   * Read p, q, e (and the message number) and build the steps for the selected mode.
+   * @param {string} mode - 'standard' | 'crt' | 'text' | 'attacks'
+   * @returns {Object[]}
+   */
+  buildSteps(mode) {
+    const isText = mode === 'text';
+    const inputs = [this.#p, this.#q, this.#e, ...(isText ? [] : [this.#message])];
+    const [p, q, e, m] = readBigInts(inputs);
+    if (isText) {
+      return buildRSATextSteps(this.#text.value, p, q, e, { padding: this.#padding.value });
+    }
+    if (mode === 'attacks') {
+      return buildRSAAttackSteps(this.#attack.value, { p, q, e, message: m });
+    }
+    return buildRSASteps(m, p, q, e, { crt: mode === 'crt' });
+  }
+}
+
+export class RSASignController {
+  #message = document.getElementById('rsa-sign-message');
+  #keyBits = document.getElementById('rsa-sign-key-bits');
+  #tamper = document.getElementById('rsa-sign-tamper');
+
+  /**
+   * Pick the toy key or fresh primes of the chosen size, then sign and verify.
+   * @returns {Promise<Object[]>}
+   */
+  buildSteps() {
+    const bits = this.#keyBits.value;
+    const { p, q, e } = bits === 'toy'
+      ? RSA_SIGN_TOY_KEY
+      : { ...generateRandomPrimes(parseInt(bits, 10), RSA_STANDARD_E), e: RSA_STANDARD_E };
+    return buildRSASignSteps(this.#message.value, p, q, e, { tamper: this.#tamper.checked });
+  }
+}
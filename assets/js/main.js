@@ -1,12 +1,18 @@
 /**
  * main.js — Initialization and event wiring (thin glue code)
- * No algorithm logic or DOM generation here.
+ * No algorithm logic or DOM generation here; each tab's form lives in controllers/.
  */
 
-import { buildAESSteps, keyExpansion } from './algorithms/aes.js';
-import { buildRSASteps } from './algorithms/rsa.js';
-import { buildCaesarSteps } from './algorithms/caesar.js';
-import { hexToBytes } from './algorithms/utils.js';
+import { CaesarController, ClassicalController } from './controllers/classical-controller.js';
+import { EnigmaController } from './controllers/enigma-controller.js';
+import { OTPController } from './controllers/otp-controller.js';
+import { AESController } from './controllers/aes-controller.js';
+import { ChaCha20Controller } from './controllers/chacha20-controller.js';
+import { RSAController, RSASignController } from './controllers/rsa-controller.js';
+import { DHController } from './controllers/dh-controller.js';
+import { ECCController } from './controllers/ecc-controller.js';
+import { SHA256Controller, HMACController } from './controllers/hash-controller.js';
+import { bindHexTool } from './controllers/hex-tool.js';
 import { Stepper } from './visualizer/stepper.js';
 import { Renderer } from './visualizer/renderer.js';
 import { Animator } from './visualizer/animator.js';
@@ -25,20 +31,42 @@ const progressBar = document.getElementById('progress-bar');
 const vizArea = document.getElementById('viz-area');
 const roundKeyPanel = document.getElementById('round-key-panel');
 const inputError = document.getElementById('input-error');
-const aesTextInput = document.getElementById('aes-text-input');
-const aesPlaintext = document.getElementById('aes-plaintext');
-const aesKey = document.getElementById('aes-key');
-const btnRandomKey = document.getElementById('btn-random-key');
-const presetButtons = document.querySelectorAll('[data-preset]');
+const modeGroups = document.querySelectorAll('[data-mode-group]');
 
 // --- State ---
 let currentAlgo = 'caesar';
 let stepper = null;
 let animator = null;
 let currentRoundKeys = null;
-const renderer = new Renderer(vizArea, roundKeyPanel);
+let currentSteps = null;
+let currentKeyHex = null;
+let drillDownParent = null; // { steps, index } of the block view while drilled into one block
+const currentModes = {
+  caesar: 'encrypt', classical: 'vigenere', otp: 'standard', aes: 'encrypt', rsa: 'standard', dh: 'standard', ecc: 'ecdh', hmac: 'standard',
+};
+const renderer = new Renderer(vizArea, roundKeyPanel, {
+  onBlockDrillDown: (aesInputHex, blockIndex) => drillDownBlock(aesInputHex, blockIndex),
+  onDrillDownExit: () => exitDrillDown(),
+});
 const controlBtns = [btnPlay, btnNext, btnPrev, btnFirst, btnLast];
 
+// Per-tab form reading, validation and presets
+const controllers = {
+  caesar: new CaesarController(),
+  classical: new ClassicalController(),
+  enigma: new EnigmaController(),
+  otp: new OTPController(() => currentModes.otp),
+  aes: new AESController(),
+  chacha20: new ChaCha20Controller(),
+  rsa: new RSAController(),
+  'rsa-sign': new RSASignController(),
+  dh: new DHController((message) => { inputError.textContent = message; }),
+  ecc: new ECCController(),
+  sha256: new SHA256Controller(),
+  hmac: new HMACController(),
+};
+bindHexTool(document.getElementById('hex-tool-text'), document.getElementById('hex-tool-hex'));
+
 // --- Algorithm Tab Switching ---
 algoButtons.forEach((btn) => {
   btn.addEventListener('click', () => {
@@ -50,70 +78,93 @@ algoButtons.forEach((btn) => {
     document.querySelectorAll('[data-input-for]').forEach((fs) => {
       fs.classList.toggle('is-hidden', fs.dataset.inputFor !== currentAlgo);
     });
+    updateSubmitLabel();
     resetVisualization();
   });
 });
 
+// --- Mode Switching (per-algorithm sub-modes such as encrypt / decrypt) ---
+const SUBMIT_LABELS = {
+  'caesar:crack': '解読を開始',
+  'classical:vigenere-crack': '解読を開始',
+  'otp:two-time': '攻撃を開始',
+  'aes:decrypt': '復号を開始',
+  'rsa:attacks': '攻撃を開始',
+  'rsa-sign': '署名を開始',
+  dh: '鍵交換を開始',
+  'ecc:ecdh': '鍵共有を開始',
+  'ecc:ecdsa': '署名を開始',
+  sha256: 'ハッシュを計算',
+  hmac: 'HMAC を計算',
+  enigma: 'キーを打つ',
+};
+const DEFAULT_SUBMIT_LABEL = '暗号化を開始';
+
+modeGroups.forEach((group) => {
+  const buttons = group.querySelectorAll('[data-mode]');
+  buttons.forEach((btn) => {
+    btn.addEventListener('click', () => {
+      currentModes[group.dataset.modeGroup] = btn.dataset.mode;
+      buttons.forEach((b) => {
+        b.classList.toggle('mode-switch__btn--active', b === btn);
+        b.setAttribute('aria-pressed', b === btn ? 'true' : 'false');
+      });
+      document.querySelectorAll('[data-mode-only]').forEach((el) => {
+        const [algo, modes] = el.dataset.modeOnly.split(':');
+        el.classList.toggle('is-hidden', !modes.split(',').includes(currentModes[algo]));
+      });
+      updateSubmitLabel();
+      resetVisualization();
+    });
+  });
+});
+
+function updateSubmitLabel() {
+  const label = SUBMIT_LABELS[`${currentAlgo}:${currentModes[currentAlgo]}`]
+    ?? SUBMIT_LABELS[currentAlgo] ?? DEFAULT_SUBMIT_LABEL;
+  btnEncrypt.textContent = label;
+  btnEncrypt.setAttribute('aria-label', label);
+}
+
 // --- Encrypt Button ---
-btnEncrypt.addEventListener('click', () => {
+btnEncrypt.addEventListener('click', async () => {
   try {
     inputError.textContent = '';
-    if (currentAlgo === 'caesar') {
-      startCaesar();
-    } else if (currentAlgo === 'aes') {
-      startAES();
-    } else {
-      startRSA();
+    drillDownParent = null;
+    const controller = controllers[currentAlgo];
+    if (!controller) {
+      throw new RangeError(`未対応のアルゴリズムです: ${currentAlgo}`);
     }
+    const steps = await controller.buildSteps(currentModes[currentAlgo]);
+    currentRoundKeys = controller.roundKeys ?? null;
+    currentKeyHex = controller.keyHex ?? null;
+    if (!currentRoundKeys) renderer.hideRoundKeys();
+    initVisualization(steps);
   } catch (err) {
     inputError.textContent = err.message;
   }
 });
 
-function startCaesar() {
-  const text = document.getElementById('caesar-text').value;
-  const shift = parseInt(document.getElementById('caesar-shift').value, 10);
-  if (isNaN(shift) || shift < 1 || shift > 25) {
-    throw new RangeError('シフト量は1〜25の範囲で指定してください。');
-  }
-  const steps = buildCaesarSteps(text, shift);
-  currentRoundKeys = null;
-  renderer.hideRoundKeys();
-  initVisualization(steps);
-}
-
-function startAES() {
-  const pt = document.getElementById('aes-plaintext').value.trim();
-  const key = document.getElementById('aes-key').value.trim();
-  validateHex(pt, '平文');
-  validateHex(key, '鍵');
-  const steps = buildAESSteps(pt, key);
-  currentRoundKeys = keyExpansion(hexToBytes(key));
-  initVisualization(steps);
+/**
+ * Swap the block view for the full round-by-round view of one block's AES call.
+ */
+function drillDownBlock(aesInputHex, blockIndex) {
+  if (!stepper || !currentKeyHex) return;
+  drillDownParent = { steps: currentSteps, index: stepper.currentIndex };
+  initVisualization(controllers.aes.buildBlockSteps(aesInputHex, currentKeyHex, blockIndex));
 }
 
-function startRSA() {
-  const p = parseInt(document.getElementById('rsa-p').value, 10);
-  const q = parseInt(document.getElementById('rsa-q').value, 10);
-  const e = parseInt(document.getElementById('rsa-e').value, 10);
-  const m = parseInt(document.getElementById('rsa-message').value, 10);
-  if (isNaN(p) || isNaN(q) || isNaN(e) || isNaN(m)) {
-    throw new RangeError('すべてのフィールドに数値を入力してください。');
-  }
-  const steps = buildRSASteps(m, p, q, e);
-  currentRoundKeys = null;
-  renderer.hideRoundKeys();
+function exitDrillDown() {
+  if (!drillDownParent) return;
+  const { steps, index } = drillDownParent;
+  drillDownParent = null;
   initVisualization(steps);
-}
-
-function validateHex(value, name) {
-  if (!/^[0-9a-fA-F]{32}$/.test(value)) {
-    throw new RangeError(`${name}は32桁の16進数で入力してください（現在: ${value.length}桁）`);
-  }
+  stepper.goTo(index);
 }
 
 function initVisualization(steps) {
   if (animator) animator.pause();
+  currentSteps = steps;
   stepper = new Stepper(steps, onStepChange);
   animator = new Animator(stepper, parseInt(speedSlider.value, 10), onPlayStateChange);
   setControlsEnabled(true);
@@ -154,6 +205,9 @@ function resetVisualization() {
   stepper = null;
   animator = null;
   currentRoundKeys = null;
+  currentSteps = null;
+  currentKeyHex = null;
+  drillDownParent = null;
   vizArea.innerHTML =
     '<p class="viz-area__placeholder">上の「かんたん入力」からサンプルを選ぶか、テキストを入力して「暗号化を開始」ボタンを押してください。</p>';
   stepLabel.textContent = 'ステップ: -- / --';
@@ -199,110 +253,3 @@ document.addEventListener('keydown', (e) => {
       break;
   }
 });
-
-// --- Input Helpers ---
-
-const AES_BLOCK_BYTES = 16;
-
-/**
- * Convert an ASCII string to a 32-char hex string (zero-padded to 16 bytes).
- */
-function textToHex(text) {
-  let hex = '';
-  for (let i = 0; i < text.length && i < AES_BLOCK_BYTES; i++) {
-    hex += text.charCodeAt(i).toString(16).padStart(2, '0');
-  }
-  return hex.padEnd(AES_BLOCK_BYTES * 2, '0');
-}
-
-/**
- * Generate a random 32-char hex string (16 bytes).
- */
-function randomHex() {
-  const bytes = new Uint8Array(AES_BLOCK_BYTES);
-  crypto.getRandomValues(bytes);
-  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
-}
-
-// Presets: plaintext + key pairs
-const PRESETS = {
-  hello: {
-    text: 'Hello, World!!!',
-    key: '0123456789abcdef0123456789abcdef',
-  },
-  nist: {
-    plaintext: '3243f6a8885a308d313198a2e0370734',
-    key: '2b7e151628aed2a6abf7158809cf4f3c',
-  },
-};
-
-// Text input → auto-convert to HEX
-aesTextInput.addEventListener('input', () => {
-  const text = aesTextInput.value;
-  if (text.length > 0) {
-    aesPlaintext.value = textToHex(text);
-  } else {
-    aesPlaintext.value = '';
-  }
-});
-
-// If user manually edits the HEX field, clear text input
-aesPlaintext.addEventListener('input', () => {
-  aesTextInput.value = '';
-});
-
-// Random key button
-btnRandomKey.addEventListener('click', () => {
-  aesKey.value = randomHex();
-});
-
-// Preset buttons
-presetButtons.forEach((btn) => {
-  btn.addEventListener('click', () => {
-    const preset = btn.dataset.preset;
-    if (preset === 'random') {
-      aesPlaintext.value = randomHex();
-      aesKey.value = randomHex();
-      aesTextInput.value = '';
-    } else if (PRESETS[preset]) {
-      const p = PRESETS[preset];
-      if (p.text) {
-        aesTextInput.value = p.text;
-        aesPlaintext.value = textToHex(p.text);
-      } else {
-        aesTextInput.value = '';
-        aesPlaintext.value = p.plaintext;
-      }
-      aesKey.value = p.key;
-    }
-  });
-});
-
-// --- HEX Converter Tool ---
-const hexToolText = document.getElementById('hex-tool-text');
-const hexToolHex = document.getElementById('hex-tool-hex');
-let hexToolUpdating = false;
-
-hexToolText.addEventListener('input', () => {
-  if (hexToolUpdating) return;
-  hexToolUpdating = true;
-  const text = hexToolText.value;
-  hexToolHex.value = [...text]
-    .map((ch) => ch.charCodeAt(0).toString(16).padStart(2, '0'))
-    .join(' ');
-  hexToolUpdating = false;
-});
-
-hexToolHex.addEventListener('input', () => {
-  if (hexToolUpdating) return;
-  hexToolUpdating = true;
-  const raw = hexToolHex.value.replace(/\s+/g, '');
-  if (/^[0-9a-fA-F]*$/.test(raw) && raw.length % 2 === 0) {
-    let text = '';
-    for (let i = 0; i < raw.length; i += 2) {
-      text += String.fromCharCode(parseInt(raw.substring(i, i + 2), 16));
-    }
-    hexToolText.value = text;
-  }
-  hexToolUpdating = false;
-});
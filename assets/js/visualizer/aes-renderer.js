@@ -0,0 +1,180 @@
+/**
+ * aes-renderer.js — DOM for AES round, key-expansion and avalanche steps
+ */
+
+import { buildCard, buildValues } from './step-card.js';
+import { buildGridWrapper, buildGridOperator } from './byte-grid.js';
+import { buildMixDrillDown } from './gf-arithmetic-renderer.js';
+import { buildSboxExplorer } from './sbox-renderer.js';
+
+export class AESRenderer {
+  #callbacks;
+
+  /**
+   * @param {Object} [callbacks]
+   * @param {Function} [callbacks.onDrillDownExit] - Return from a drilled-down round view
+   */
+  constructor(callbacks = {}) {
+    this.#callbacks = callbacks;
+  }
+
+  /**
+   * Build the step card for an AES round, key-expansion or avalanche step.
+   * @param {Object} step
+   * @returns {HTMLElement}
+   */
+  render(step) {
+    if (step.algorithm === 'aes-avalanche') return this.#renderAvalancheStep(step);
+    if (step.operation === 'keyExpansion') return this.#renderKeyExpansionStep(step);
+    return this.#renderAESStep(step);
+  }
+
+  #renderAESStep(step) {
+    const card = buildCard(step, this.#callbacks);
+    const content = document.createElement('div');
+    content.className = 'step-card__content';
+
+    let prevWrapper = null;
+    if (step.prevState) {
+      prevWrapper = buildGridWrapper('変換前', step.prevState, []);
+      content.append(prevWrapper, buildGridOperator('→'));
+    }
+
+    const currWrapper = buildGridWrapper(
+      step.prevState ? '変換後' : 'ステート',
+      step.state,
+      step.changedIndices,
+    );
+    content.append(currWrapper);
+
+    if (step.roundKey) {
+      const rkWrapper = buildGridWrapper('ラウンドキー', step.roundKey, []);
+      content.append(rkWrapper);
+    }
+
+    card.append(content);
+    if (step.detail?.trace) {
+      card.append(buildMixDrillDown(step.detail.trace, prevWrapper, currWrapper));
+    }
+    if (step.detail?.sbox) {
+      card.append(buildSboxExplorer(step.detail.sbox, prevWrapper, currWrapper));
+    }
+    return card;
+  }
+
+  #renderKeyExpansionStep(step) {
+    const card = buildCard(step, this.#callbacks);
+    const content = document.createElement('div');
+    content.className = 'step-card__content';
+
+    const list = document.createElement('div');
+    list.className = 'key-words';
+    step.keyWords.forEach((word) => {
+      const row = document.createElement('div');
+      row.className = 'key-words__row';
+
+      const op = document.createElement('span');
+      op.className = 'key-words__operator';
+      op.textContent = word.operator ?? '';
+      op.setAttribute('aria-hidden', 'true');
+
+      const label = document.createElement('span');
+      label.className = 'key-words__label';
+      label.textContent = word.label;
+
+      const grid = document.createElement('div');
+      grid.className = 'byte-grid byte-grid--word';
+      word.bytes.forEach((byte, j) => {
+        const cell = document.createElement('div');
+        cell.className = 'byte-grid__cell';
+        if (word.changedIndices.includes(j)) {
+          cell.classList.add('byte-grid__cell--changed');
+        }
+        cell.textContent = byte.toString(16).padStart(2, '0');
+        grid.append(cell);
+      });
+
+      row.append(op, label, grid);
+      list.append(row);
+    });
+
+    content.append(list);
+    card.append(content);
+    return card;
+  }
+
+  #renderAvalancheStep(step) {
+    const card = buildCard(step, this.#callbacks);
+    const content = document.createElement('div');
+    content.className = 'step-card__content step-card__content--vertical';
+
+    const grids = document.createElement('div');
+    grids.className = 'step-card__content';
+    grids.append(
+      buildGridWrapper('A', step.stateA, step.diffIndices),
+      buildGridWrapper('B（1 ビット反転）', step.stateB, step.diffIndices),
+    );
+    content.append(grids);
+
+    // Bit heatmap: the 4x4 state with every byte expanded to its 8 bits
+    const heatWrapper = document.createElement('div');
+    heatWrapper.className = 'byte-grid-wrapper';
+    const heatLabel = document.createElement('span');
+    heatLabel.className = 'byte-grid-wrapper__label';
+    heatLabel.textContent = `ビット差分 A ⊕ B（${step.hammingDistance} / 128 ビット）`;
+    const heatmap = document.createElement('div');
+    heatmap.className = 'bit-heatmap';
+    heatmap.setAttribute('role', 'img');
+    heatmap.setAttribute('aria-label', `${step.hammingDistance} ビットが異なります`);
+    step.xorState.forEach((row) => {
+      row.forEach((byte) => {
+        for (let bit = 7; bit >= 0; bit--) {
+          const cell = document.createElement('span');
+          cell.className = 'bit-heatmap__cell';
+          if ((byte >> bit) & 1) cell.classList.add('bit-heatmap__cell--diff');
+          heatmap.append(cell);
+        }
+      });
+    });
+    heatWrapper.append(heatLabel, heatmap);
+    content.append(heatWrapper);
+
+    // Per-round chart of differing bits
+    const chartWrapper = document.createElement('div');
+    chartWrapper.className = 'byte-grid-wrapper';
+    const chartLabel = document.createElement('span');
+    chartLabel.className = 'byte-grid-wrapper__label';
+    chartLabel.textContent = 'ラウンド終了時の差分ビット数（破線 = 64 ビット）';
+    const chart = document.createElement('div');
+    chart.className = 'round-chart';
+    step.roundHistory.forEach(({ round, bits }) => {
+      const col = document.createElement('div');
+      col.className = 'round-chart__col';
+      const bar = document.createElement('div');
+      bar.className = 'round-chart__bar';
+      if (round === step.round) bar.classList.add('round-chart__bar--active');
+      bar.style.setProperty('--bar-ratio', bits / 128);
+      bar.title = `${bits} ビット`;
+      const value = document.createElement('span');
+      value.className = 'round-chart__value';
+      value.textContent = bits;
+      const track = document.createElement('div');
+      track.className = 'round-chart__track';
+      track.append(bar);
+      const label = document.createElement('span');
+      label.className = 'round-chart__label';
+      label.textContent = `R${round}`;
+      col.append(value, track, label);
+      chart.append(col);
+    });
+    chartWrapper.append(chartLabel, chart);
+    content.append(chartWrapper);
+
+    if (step.values) {
+      content.append(buildValues(step.values));
+    }
+
+    card.append(content);
+    return card;
+  }
+}
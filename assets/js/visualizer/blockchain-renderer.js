@@ -54,7 +54,7 @@ export class BlockchainRenderer {
         viz.append(this.#renderContract(step, appState));
         break;
       default:
-        if (step.linkToRsa || step.linkToAes) {
+        if (step.linkToRsa || step.linkToAes || step.linkToSha256) {
           viz.append(this.#renderLinks(step));
         }
         break;
@@ -441,11 +441,18 @@ export class BlockchainRenderer {
   #renderLinks(step) {
     const wrap = document.createElement('div');
     wrap.className = 'bc-links';
+    if (step.linkToSha256) {
+      const a = document.createElement('a');
+      a.className = 'bc-links__anchor';
+      a.href = '../index.html';
+      a.textContent = 'SHA-256 ビジュアライザーを開く（トップページで SHA-256 タブを選択）';
+      wrap.append(a);
+    }
     if (step.linkToRsa) {
       const a = document.createElement('a');
       a.className = 'bc-links__anchor';
       a.href = '../index.html';
-      a.textContent = 'RSA ビジュアライザーを開く';
+      a.textContent = 'RSA ビジュアライザーを開く（トップページで RSA 署名タブを選択）';
       wrap.append(a);
     }
     if (step.linkToAes) {
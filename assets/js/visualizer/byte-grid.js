@@ -0,0 +1,82 @@
+/**
+ * byte-grid.js — Labelled 4×4 state grids, the operator glyph between them and selectable cells
+ */
+
+/**
+ * A labelled 4×4 state grid: AES state bytes, or 32-bit words with `words` (ChaCha20).
+ * @param {string} label
+ * @param {number[][]} matrix
+ * @param {number[]} changedIndices - Row-major indices to highlight
+ * @param {Object} [options]
+ * @param {boolean} [options.words=false] - Cells hold 32-bit words (8 hex digits)
+ * @param {string[]|null} [options.kinds=null] - Per-cell kind, coloured by `byte-grid__cell--{kind}`
+ * @returns {HTMLElement}
+ */
+export function buildGridWrapper(label, matrix, changedIndices, { words = false, kinds = null } = {}) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'byte-grid-wrapper';
+
+  const labelEl = document.createElement('span');
+  labelEl.className = 'byte-grid-wrapper__label';
+  labelEl.textContent = label;
+  wrapper.append(labelEl);
+
+  const grid = document.createElement('div');
+  grid.className = words ? 'byte-grid byte-grid--words' : 'byte-grid';
+
+  for (let row = 0; row < 4; row++) {
+    for (let col = 0; col < 4; col++) {
+      const cell = document.createElement('div');
+      cell.className = 'byte-grid__cell';
+      const flatIdx = row * 4 + col;
+      if (kinds) {
+        cell.classList.add(`byte-grid__cell--${kinds[flatIdx]}`);
+      }
+      if (changedIndices.includes(flatIdx)) {
+        cell.classList.add('byte-grid__cell--changed');
+      }
+      cell.textContent = matrix[row][col].toString(16).padStart(words ? 8 : 2, '0');
+      cell.dataset.row = row;
+      cell.dataset.col = col;
+      grid.append(cell);
+    }
+  }
+
+  wrapper.append(grid);
+  return wrapper;
+}
+
+/**
+ * Operator glyph placed between two grids, e.g. "→" or "⊕".
+ * @param {string} symbol
+ * @returns {HTMLElement}
+ */
+export function buildGridOperator(symbol) {
+  const operator = document.createElement('div');
+  operator.className = 'xor-display__operator';
+  operator.textContent = symbol;
+  operator.setAttribute('aria-hidden', 'true');
+  return operator;
+}
+
+/**
+ * Turn byte-grid cells into keyboard-accessible buttons.
+ * @param {HTMLElement[]} cells
+ * @param {string} action - Appended to the aria-label, e.g. "計算を表示"
+ * @param {Function} onSelect - (cell) => void
+ */
+export function makeSelectable(cells, action, onSelect) {
+  cells.forEach((cell) => {
+    cell.classList.add('byte-grid__cell--selectable');
+    cell.tabIndex = 0;
+    cell.setAttribute('role', 'button');
+    cell.setAttribute('aria-label', `行 ${cell.dataset.row} 列 ${cell.dataset.col} の${action}`);
+    cell.addEventListener('click', () => onSelect(cell));
+    cell.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        onSelect(cell);
+      }
+    });
+  });
+}
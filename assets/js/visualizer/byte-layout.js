@@ -0,0 +1,87 @@
+/**
+ * byte-layout.js — Segmented byte-string layouts (padding, message blocks, XOR rows)
+ */
+
+import { toHexByte } from './format.js';
+
+/** Legend text for each byte-layout segment kind (RSA padding, SHA-256, HMAC, one-time pad and ChaCha20). */
+const BYTE_KIND_LABELS = {
+  fixed: '固定バイト',
+  separator: '区切り',
+  random: '乱数',
+  zero: '0 の列',
+  hash: 'ハッシュ',
+  asn1: 'DigestInfo (ASN.1)',
+  message: 'メッセージ',
+  mask: 'MGF1 マスク',
+  masked: 'マスク済み',
+  plain: '復号したバイト',
+  length: 'ビット長',
+  key: '鍵',
+  cipher: '暗号文',
+  keystream: 'キーストリーム',
+};
+
+/**
+ * Byte-by-byte layout of a padded RSA block. Each row is one byte string; rows
+ * made of several segments label every segment underneath its bytes.
+ * @param {Object} layout - { caption, rows: [{ label, operator, segments: [{ label, kind, bytes }] }] }
+ * @returns {HTMLElement}
+ */
+export function buildByteLayout({ caption, rows }) {
+  const figure = document.createElement('figure');
+  figure.className = 'byte-layout';
+  const captionEl = document.createElement('figcaption');
+  captionEl.className = 'byte-layout__caption';
+  captionEl.textContent = caption;
+  figure.append(captionEl);
+
+  const kinds = new Set();
+  rows.forEach(({ label, operator, segments }) => {
+    const row = document.createElement('div');
+    row.className = 'byte-layout__row';
+    const op = document.createElement('span');
+    op.className = 'byte-layout__operator';
+    op.textContent = operator ?? '';
+    const name = document.createElement('span');
+    name.className = 'byte-layout__label';
+    name.textContent = label;
+    const bytes = document.createElement('div');
+    bytes.className = 'byte-layout__bytes';
+    segments.forEach((segment) => {
+      kinds.add(segment.kind);
+      const seg = document.createElement('div');
+      seg.className = `byte-layout__segment byte-layout__segment--${segment.kind}`;
+      seg.title = `${segment.label}（${segment.bytes.length} バイト）`;
+      const cells = document.createElement('div');
+      cells.className = 'byte-layout__cells';
+      segment.bytes.forEach((byte) => {
+        const cell = document.createElement('span');
+        cell.className = 'byte-layout__byte';
+        cell.textContent = toHexByte(byte);
+        cells.append(cell);
+      });
+      seg.append(cells);
+      if (segments.length > 1) {
+        const segLabel = document.createElement('span');
+        segLabel.className = 'byte-layout__segment-label';
+        segLabel.textContent = segment.label;
+        seg.append(segLabel);
+      }
+      bytes.append(seg);
+    });
+    row.append(op, name, bytes);
+    figure.append(row);
+  });
+
+  const legend = document.createElement('ul');
+  legend.className = 'byte-layout__legend';
+  Object.keys(BYTE_KIND_LABELS).filter((kind) => kinds.has(kind)).forEach((kind) => {
+    const item = document.createElement('li');
+    item.className = `byte-layout__legend-item byte-layout__segment--${kind}`;
+    item.textContent = BYTE_KIND_LABELS[kind];
+    legend.append(item);
+  });
+  figure.append(legend);
+  return figure;
+}
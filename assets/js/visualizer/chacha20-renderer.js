@@ -0,0 +1,105 @@
+/**
+ * chacha20-renderer.js — DOM for ChaCha20 steps (state matrix and quarter rounds)
+ */
+
+import { buildCard, buildFormula, buildValues, buildMethodCompare } from './step-card.js';
+import { buildGridWrapper, buildGridOperator } from './byte-grid.js';
+import { buildDataTable } from './data-table.js';
+import { buildByteLayout } from './byte-layout.js';
+
+/** Legend text for the word kinds of a ChaCha20 initial state. */
+const WORD_KIND_LABELS = {
+  constant: '定数',
+  key: '鍵',
+  counter: 'カウンタ',
+  nonce: 'ノンス',
+};
+
+export class ChaCha20Renderer {
+  /**
+   * Build the step card for a ChaCha20 step.
+   * @param {Object} step
+   * @returns {HTMLElement}
+   */
+  render(step) {
+    const card = buildCard(step);
+    const content = document.createElement('div');
+    content.className = 'step-card__content step-card__content--vertical';
+
+    if (step.formula) {
+      content.append(buildFormula(step.formula));
+    }
+
+    if (step.state) {
+      const grids = document.createElement('div');
+      grids.className = 'step-card__content';
+      if (step.prevState) {
+        grids.append(buildGridWrapper('変換前', step.prevState, [], { words: true }));
+        grids.append(buildGridOperator('→'));
+      }
+      grids.append(buildGridWrapper(
+        step.prevState ? '変換後' : 'ステート',
+        step.state,
+        step.changedIndices,
+        { words: true, kinds: step.wordKinds },
+      ));
+      content.append(grids);
+      if (step.wordKinds) {
+        content.append(this.#buildWordKindLegend(step.wordKinds));
+      }
+    }
+
+    if (step.addition) {
+      const { operands, result } = step.addition;
+      const grids = document.createElement('div');
+      grids.className = 'step-card__content';
+      operands.forEach(({ label, state, wordKinds }, i) => {
+        if (i > 0) grids.append(buildGridOperator('+'));
+        grids.append(buildGridWrapper(label, state, [], { words: true, kinds: wordKinds }));
+      });
+      grids.append(buildGridOperator('='));
+      grids.append(buildGridWrapper(result.label, result.state, [], { words: true }));
+      content.append(grids);
+    }
+
+    if (step.byteLayout) {
+      content.append(buildByteLayout(step.byteLayout));
+    }
+
+    step.byteLayouts?.forEach((layout) => {
+      content.append(buildByteLayout(layout));
+    });
+
+    if (step.table) {
+      content.append(buildDataTable(step.table));
+    }
+
+    if (step.sideBySide) {
+      content.append(buildMethodCompare(step.sideBySide));
+    }
+
+    if (step.values) {
+      content.append(buildValues(step.values));
+    }
+
+    card.append(content);
+    return card;
+  }
+
+  /**
+   * Legend for the coloured words of a ChaCha20 initial state.
+   * @param {string[]} kinds - Kind of each of the 16 words
+   * @returns {HTMLElement}
+   */
+  #buildWordKindLegend(kinds) {
+    const list = document.createElement('ul');
+    list.className = 'byte-grid__legend';
+    [...new Set(kinds)].forEach((kind) => {
+      const item = document.createElement('li');
+      item.className = `byte-grid__legend-item byte-grid__legend-item--${kind}`;
+      item.textContent = WORD_KIND_LABELS[kind] ?? kind;
+      list.append(item);
+    });
+    return list;
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * classical-renderer.js — DOM for classical cipher steps (character grid)
+ */
+
+import { buildCard, buildFormula, buildValues } from './step-card.js';
+
+export class ClassicalRenderer {
+  /**
+   * Build the step card for a classical cipher step.
+   * @param {Object} step
+   * @returns {HTMLElement}
+   */
+  render(step) {
+    const card = buildCard(step);
+    const content = document.createElement('div');
+    content.className = 'step-card__content step-card__content--vertical';
+
+    // Formula
+    if (step.formula) {
+      content.append(buildFormula(step.formula));
+    }
+
+    // Transposition table: key letters, reading order, then the text in rows
+    if (step.grid) {
+      const { header, order, rows, activeColumn, doneColumns } = step.grid;
+      const columnStatus = (col) => (col === activeColumn ? 'active' : doneColumns.includes(col) ? 'done' : null);
+      const gridSection = document.createElement('div');
+      gridSection.className = 'caesar-chars';
+      gridSection.append(this.#buildCharRow('鍵:', header.map((text, col) => ({ text, status: columnStatus(col) }))));
+      gridSection.append(this.#buildCharRow('順番:', order.map((text, col) => ({ text, status: columnStatus(col) }))));
+      rows.forEach((row, r) => {
+        gridSection.append(this.#buildCharRow(r === 0 ? '表:' : '', row.map((text, col) => ({ text, status: columnStatus(col) }))));
+      });
+      content.append(gridSection);
+    }
+
+    // Character grid
+    if (step.charResults) {
+      const charSection = document.createElement('div');
+      charSection.className = 'caesar-chars';
+      const shown = (status) => status === 'active' || status === 'done';
+
+      charSection.append(this.#buildCharRow('平文:', step.charResults.map((r) => ({ text: r.original, status: r.status }))));
+
+      // Key row (Vigenère): the repeating key under each letter
+      if (step.charResults.some((r) => r.key)) {
+        charSection.append(this.#buildCharRow('鍵:', step.charResults.map((r) => ({ text: r.key ?? '', status: r.key ? r.status : null }))));
+      }
+
+      // Arrow row; `note` replaces the arrow (e.g. the column's reading turn)
+      charSection.append(this.#buildCharRow('', step.charResults.map((r) => {
+        if (r.note) return { text: r.note, status: r.status, arrow: true };
+        return { text: shown(r.status) ? (r.isAlpha ? '↓' : '·') : '', status: r.status, arrow: true };
+      })));
+
+      // Cipher text row; `outputStatus` lets the output fill in a different order than the input
+      charSection.append(this.#buildCharRow('暗号文:', step.charResults.map((r) => {
+        const status = r.outputStatus ?? r.status;
+        return { text: shown(status) ? r.shifted : '', status };
+      })));
+
+      content.append(charSection);
+    }
+
+    // Full alphabet mapping (affine / substitution)
+    if (step.alphabet) {
+      const { from, to, active } = step.alphabet;
+      const alphabetSection = document.createElement('div');
+      alphabetSection.className = 'caesar-chars';
+      const status = (i) => (i === active ? 'active' : null);
+      alphabetSection.append(this.#buildCharRow('平文:', from.map((text, i) => ({ text, status: status(i) }))));
+      alphabetSection.append(this.#buildCharRow('暗号:', to.map((text, i) => ({ text, status: status(i) }))));
+      content.append(alphabetSection);
+    }
+
+    // Values (for result / decrypt steps)
+    if (step.values) {
+      content.append(buildValues(step.values));
+    }
+
+    card.append(content);
+    return card;
+  }
+
+  /**
+   * One labelled row of the Caesar character grid.
+   * @param {string} label
+   * @param {{ text: string, status: string|null, arrow?: boolean }[]} cells
+   * @returns {HTMLElement}
+   */
+  #buildCharRow(label, cells) {
+    const row = document.createElement('div');
+    row.className = 'caesar-chars__row';
+    const rowLabel = document.createElement('span');
+    rowLabel.className = 'caesar-chars__row-label';
+    rowLabel.textContent = label;
+    row.append(rowLabel);
+
+    const cellList = document.createElement('div');
+    cellList.className = 'caesar-chars__cells';
+    cells.forEach(({ text, status, arrow = false }) => {
+      const cell = document.createElement('span');
+      if (arrow) {
+        cell.className = 'caesar-chars__arrow';
+        if (status === 'active') cell.classList.add('caesar-chars__arrow--active');
+      } else {
+        cell.className = 'caesar-chars__cell';
+        if (status === 'active') cell.classList.add('caesar-chars__cell--active');
+        if (status === 'done') cell.classList.add('caesar-chars__cell--done');
+      }
+      cell.textContent = text;
+      cellList.append(cell);
+    });
+    row.append(cellList);
+    return row;
+  }
+}
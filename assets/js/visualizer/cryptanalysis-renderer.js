@@ -0,0 +1,86 @@
+/**
+ * cryptanalysis-renderer.js — DOM for classical cryptanalysis steps (frequency analysis)
+ */
+
+import { buildCard, buildFormula, buildValues } from './step-card.js';
+import { buildDataTable } from './data-table.js';
+
+export class CryptanalysisRenderer {
+  /**
+   * Build the step card for a cryptanalysis step.
+   * @param {Object} step
+   * @returns {HTMLElement}
+   */
+  render(step) {
+    const card = buildCard(step);
+    const content = document.createElement('div');
+    content.className = 'step-card__content step-card__content--vertical';
+
+    if (step.formula) {
+      content.append(buildFormula(step.formula));
+    }
+
+    if (step.chart) {
+      content.append(this.#buildFrequencyChart(step.chart));
+    }
+
+    if (step.table) {
+      content.append(buildDataTable(step.table));
+    }
+
+    if (step.values) {
+      content.append(buildValues(step.values));
+    }
+
+    card.append(content);
+    return card;
+  }
+
+  /**
+   * Letter-frequency histogram: one group of bars per letter A–Z, one bar per series,
+   * all scaled to the tallest bar.
+   * @param {Object} chart - { caption, series: [{ name, kind: 'observed'|'reference', values }], marked: number[] }
+   * @returns {HTMLElement}
+   */
+  #buildFrequencyChart({ caption, series, marked = [] }) {
+    const figure = document.createElement('figure');
+    figure.className = 'freq-chart';
+    const max = Math.max(...series.flatMap(({ values }) => values), 1);
+
+    const plot = document.createElement('div');
+    plot.className = 'freq-chart__plot';
+    series[0].values.forEach((_, i) => {
+      const letter = String.fromCharCode(65 + i);
+      const column = document.createElement('div');
+      column.className = 'freq-chart__column';
+      if (marked.includes(i)) column.classList.add('freq-chart__column--marked');
+      column.title = series.map(({ name, values }) => `${name}: ${values[i].toFixed(1)}%`).join(' / ');
+      const bars = document.createElement('div');
+      bars.className = 'freq-chart__bars';
+      series.forEach(({ kind, values }) => {
+        const bar = document.createElement('span');
+        bar.className = `freq-chart__bar freq-chart__bar--${kind}`;
+        bar.style.setProperty('--bar-ratio', (values[i] / max).toFixed(3));
+        bars.append(bar);
+      });
+      const label = document.createElement('span');
+      label.className = 'freq-chart__letter';
+      label.textContent = letter;
+      column.append(bars, label);
+      plot.append(column);
+    });
+    figure.append(plot);
+
+    const legend = document.createElement('figcaption');
+    legend.className = 'freq-chart__caption';
+    legend.append(caption);
+    series.forEach(({ name, kind }) => {
+      const key = document.createElement('span');
+      key.className = `freq-chart__key freq-chart__key--${kind}`;
+      key.textContent = name;
+      legend.append(key);
+    });
+    figure.append(legend);
+    return figure;
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * data-table.js — Numeric tables for step cards
+ */
+
+import { abbreviate } from './format.js';
+
+/**
+ * Numeric table with right-aligned, abbreviated cells.
+ * @param {Object} table
+ * @param {string} table.caption
+ * @param {string[]} table.columns
+ * @param {Array<Array<bigint|number|string>>} table.rows
+ * @param {number} [table.highlightRow=-1] - Row drawn as the current one
+ * @param {number} [table.markedRow=-1] - Row outlined as the result
+ * @returns {HTMLElement}
+ */
+export function buildDataTable({ caption, columns, rows, highlightRow = -1, markedRow = -1 }) {
+  const table = document.createElement('table');
+  table.className = 'data-table';
+  const captionEl = document.createElement('caption');
+  captionEl.className = 'data-table__caption';
+  captionEl.textContent = caption;
+  const head = document.createElement('tr');
+  columns.forEach((text) => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = text;
+    head.append(th);
+  });
+  const thead = document.createElement('thead');
+  thead.append(head);
+  const tbody = document.createElement('tbody');
+  rows.forEach((cells, i) => {
+    const tr = document.createElement('tr');
+    if (i === highlightRow) tr.classList.add('data-table__row--active');
+    if (i === markedRow) tr.classList.add('data-table__row--marked');
+    cells.forEach((value) => {
+      const td = document.createElement('td');
+      td.textContent = abbreviate(String(value));
+      tr.append(td);
+    });
+    tbody.append(tr);
+  });
+  table.append(captionEl, thead, tbody);
+  return table;
+}
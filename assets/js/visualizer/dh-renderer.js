@@ -0,0 +1,100 @@
+/**
+ * dh-renderer.js — DOM for Diffie–Hellman steps
+ */
+
+import { abbreviate } from './format.js';
+import { buildCard, buildFormula, buildValues } from './step-card.js';
+import { buildDataTable } from './data-table.js';
+import { buildPowTrace } from './rsa-renderer.js';
+
+export class DHRenderer {
+  /**
+   * Build the step card for a Diffie–Hellman step.
+   * @param {Object} step
+   * @returns {HTMLElement}
+   */
+  render(step) {
+    const card = buildCard(step);
+    const content = document.createElement('div');
+    content.className = 'step-card__content';
+
+    if (step.formula) {
+      content.append(buildFormula(step.formula));
+    }
+
+    if (step.table) {
+      content.append(buildDataTable(step.table));
+    }
+
+    content.append(this.#buildExchange(step.exchange));
+
+    if (step.values) {
+      content.append(buildValues(step.values));
+    }
+
+    card.append(content);
+    if (step.detail?.type === 'modPow') {
+      card.append(buildPowTrace(step.detail));
+    }
+    return card;
+  }
+
+  /**
+   * Three columns — Alice, the channel (eavesdropper or attacker), Bob — listing what
+   * each side knows, with the value sent in this step shown as an arrow underneath.
+   * @param {Object} exchange - { parties: [{ role, title, items }], message }
+   * @returns {HTMLElement}
+   */
+  #buildExchange({ parties, message }) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'key-exchange';
+    const columns = document.createElement('div');
+    columns.className = 'key-exchange__parties';
+    parties.forEach(({ role, title, items }) => {
+      const column = document.createElement('section');
+      column.className = `key-exchange__party key-exchange__party--${role}`;
+      const heading = document.createElement('h4');
+      heading.className = 'key-exchange__title';
+      heading.textContent = title;
+      const list = document.createElement('ul');
+      list.className = 'key-exchange__items';
+      items.forEach(({ name, value, secret, fresh, forged }) => {
+        const item = document.createElement('li');
+        item.className = 'key-exchange__item';
+        if (secret) item.classList.add('key-exchange__item--secret');
+        if (fresh) item.classList.add('key-exchange__item--fresh');
+        if (forged) item.classList.add('key-exchange__item--forged');
+        const nameEl = document.createElement('span');
+        nameEl.className = 'key-exchange__name';
+        nameEl.textContent = name;
+        const valueEl = document.createElement('span');
+        valueEl.className = 'key-exchange__value';
+        valueEl.textContent = abbreviate(String(value));
+        valueEl.title = String(value);
+        item.append(nameEl, valueEl);
+        if (secret || forged) {
+          const tag = document.createElement('span');
+          tag.className = 'key-exchange__tag';
+          tag.textContent = forged ? 'すり替え' : '秘密';
+          item.append(tag);
+        }
+        list.append(item);
+      });
+      column.append(heading, list);
+      columns.append(column);
+    });
+    wrapper.append(columns);
+
+    if (message) {
+      const arrow = document.createElement('p');
+      arrow.className = `key-exchange__message key-exchange__message--to-${message.to}`;
+      if (message.forged) arrow.classList.add('key-exchange__message--forged');
+      const names = { alice: 'Alice', bob: 'Bob' };
+      arrow.textContent = message.forged
+        ? `Mallory → ${names[message.to]}: ${message.name} のふりをした ${abbreviate(String(message.value))}`
+        : `${names[message.from]} → ${names[message.to]}: ${message.name} = ${abbreviate(String(message.value))}`;
+      wrapper.append(arrow);
+    }
+    return wrapper;
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * ecc-renderer.js — DOM for elliptic-curve steps (curve plot and scalar-multiplication ladder)
+ */
+
+import { buildCard, buildFormula, buildValues } from './step-card.js';
+
+export class ECCRenderer {
+  /**
+   * Build the step card for an elliptic-curve step.
+   * @param {Object} step
+   * @returns {HTMLElement}
+   */
+  render(step) {
+    const card = buildCard(step);
+    const content = document.createElement('div');
+    content.className = 'step-card__content';
+    content.append(buildFormula(step.formula));
+
+    const plot = this.#buildCurvePlot(step.plot);
+    content.append(plot.element);
+
+    if (step.values) {
+      content.append(buildValues(step.values));
+    }
+
+    card.append(content);
+    if (step.ladder) {
+      card.append(this.#buildLadder(step.ladder, plot, step.plot.marks));
+    }
+    return card;
+  }
+
+  /**
+   * Every point of a small curve on a p × p grid, with labelled marks for the points
+   * taking part in this step. The point at infinity has no position, so marks at O
+   * are listed in the caption instead.
+   * @param {Object} plot - { p, points: [x, y][], marks: [{ label, point, role }] }
+   * @returns {{ element: HTMLElement, setMarks: Function }} setMarks(marks) replaces the highlighted points
+   */
+  #buildCurvePlot({ p, points, marks }) {
+    const figure = document.createElement('figure');
+    figure.className = 'curve-plot';
+    const field = document.createElement('div');
+    field.className = 'curve-plot__field';
+    field.setAttribute('role', 'img');
+
+    const dots = new Map();
+    points.forEach(([x, y]) => {
+      const dot = document.createElement('span');
+      dot.className = 'curve-plot__point';
+      dot.style.setProperty('--x', x / (p - 1));
+      dot.style.setProperty('--y', y / (p - 1));
+      dot.title = `(${x}, ${y})`;
+      dots.set(`${x},${y}`, dot);
+      field.append(dot);
+    });
+    [['0', 'origin'], [String(p - 1), 'x-max'], [String(p - 1), 'y-max']].forEach(([text, pos]) => {
+      const tick = document.createElement('span');
+      tick.className = `curve-plot__tick curve-plot__tick--${pos}`;
+      tick.textContent = text;
+      field.append(tick);
+    });
+
+    const caption = document.createElement('figcaption');
+    caption.className = 'curve-plot__caption';
+    figure.append(field, caption);
+
+    const roleLabels = { key: '既知の点', operand: '足す点', reflection: '3 つ目の交点', result: '結果' };
+    let labels = [];
+    const setMarks = (next) => {
+      dots.forEach((dot) => { dot.className = 'curve-plot__point'; });
+      labels.forEach((label) => label.remove());
+      labels = [];
+      const infinite = [];
+      const stacked = new Map(); // labels already on a point, so a second one sits above
+      next.forEach(({ label, point, role }) => {
+        if (!point) {
+          infinite.push(label);
+          return;
+        }
+        const key = `${point.x},${point.y}`;
+        dots.get(key)?.classList.add('curve-plot__point--marked', `curve-plot__point--${role}`);
+        const tag = document.createElement('span');
+        tag.className = `curve-plot__label curve-plot__label--${role}`;
+        tag.style.setProperty('--x', point.x / (p - 1));
+        tag.style.setProperty('--y', point.y / (p - 1));
+        tag.style.setProperty('--stack', stacked.get(key) ?? 0);
+        stacked.set(key, (stacked.get(key) ?? 0) + 1);
+        tag.textContent = label;
+        field.append(tag);
+        labels.push(tag);
+      });
+      const described = next.filter(({ point }) => point)
+        .map(({ label, point, role }) => `${label} = (${point.x}, ${point.y})（${roleLabels[role]}）`);
+      field.setAttribute('aria-label', `mod ${p} の曲線上の ${points.length} 点${described.length ? `。${described.join('、')}` : ''}`);
+      caption.textContent = `横軸 x・縦軸 y（0〜${p - 1}）、${points.length} 点 + 無限遠点 O`
+        + (infinite.length ? `。${infinite.join('、')} = O（平面上に位置を持たない）` : '');
+    };
+    setMarks(marks);
+    return { element: figure, setMarks };
+  }
+
+  /**
+   * Double-and-add operation list for k·P. Selecting an operation shows its λ
+   * calculation and highlights that addition on the plot.
+   * @param {Object} ladder - { scalar, bits, base, operations } from buildECCSteps()
+   * @param {{ setMarks: Function }} plot - From #buildCurvePlot()
+   * @param {Object[]} resultMarks - Marks restored by the "結果" button
+   * @returns {HTMLElement}
+   */
+  #buildLadder({ scalar, bits, base, operations }, plot, resultMarks) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'curve-ladder';
+    const hint = document.createElement('p');
+    hint.className = 'curve-ladder__hint';
+    hint.textContent = `${scalar} = ${bits}₂。先頭ビットで ${base} を読み込み、以降のビットごとに 2 倍し、ビットが 1 なら ${base} を足します。`;
+
+    const list = document.createElement('div');
+    list.className = 'curve-ladder__ops';
+    const panel = document.createElement('div');
+    panel.className = 'curve-ladder__detail';
+    panel.setAttribute('aria-live', 'polite');
+
+    const buttons = [];
+    const select = (button, marks, formula) => {
+      buttons.forEach((b) => b.setAttribute('aria-pressed', b === button ? 'true' : 'false'));
+      plot.setMarks(marks);
+      panel.replaceChildren(...(formula ? [buildFormula(formula)] : []));
+    };
+    const addButton = (text, className, marks, formula) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.textContent = text;
+      button.setAttribute('aria-pressed', 'false');
+      button.addEventListener('click', () => select(button, marks, formula));
+      buttons.push(button);
+      list.append(button);
+      return button;
+    };
+
+    const summary = addButton('結果', 'curve-ladder__op curve-ladder__op--summary', resultMarks, null);
+    summary.setAttribute('aria-pressed', 'true');
+    operations.forEach((op) => {
+      const result = op.result ? `(${op.result.x}, ${op.result.y})` : 'O';
+      const action = op.op === 'double' ? '2 倍' : `+ ${base}`;
+      addButton(
+        `ビット ${op.index}（${op.bit}）${action} → ${op.name} = ${result}`,
+        `curve-ladder__op curve-ladder__op--${op.op}`,
+        op.marks,
+        op.formula,
+      );
+    });
+
+    wrapper.append(hint, list, panel);
+    return wrapper;
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * enigma-renderer.js — DOM for Enigma steps (rotor windows and signal path)
+ */
+
+import { buildCard, buildFormula, buildValues } from './step-card.js';
+
+export class EnigmaRenderer {
+  /**
+   * Build the step card for an Enigma step.
+   * @param {Object} step
+   * @returns {HTMLElement}
+   */
+  render(step) {
+    const card = buildCard(step);
+    const content = document.createElement('div');
+    content.className = 'step-card__content step-card__content--vertical';
+
+    if (step.formula) {
+      content.append(buildFormula(step.formula));
+    }
+
+    if (step.enigma) {
+      content.append(this.#buildEnigmaRotors(step.enigma));
+      if (step.enigma.path) {
+        content.append(this.#buildEnigmaPath(step.enigma));
+      }
+    }
+
+    if (step.values) {
+      content.append(buildValues(step.values));
+    }
+
+    card.append(content);
+    return card;
+  }
+
+  /**
+   * The three rotor windows, left to right. Rotors that moved on this keypress show the
+   * letter before and after; the middle rotor is flagged when it double-steps.
+   * @param {Object} enigma - { rotors: [{ name, slot, before, after, stepped, notch, ring }], doubleStep }
+   * @returns {HTMLElement}
+   */
+  #buildEnigmaRotors({ rotors, doubleStep }) {
+    const list = document.createElement('div');
+    list.className = 'enigma-rotors';
+    list.setAttribute('role', 'list');
+    list.setAttribute('aria-label', 'ローターの窓');
+    rotors.forEach(({ name, slot, before, after, stepped, notch, ring }, i) => {
+      const rotor = document.createElement('div');
+      rotor.className = 'enigma-rotors__rotor';
+      rotor.setAttribute('role', 'listitem');
+      if (stepped) rotor.classList.add('enigma-rotors__rotor--stepped');
+      if (doubleStep && i === 1) rotor.classList.add('enigma-rotors__rotor--double');
+
+      const title = document.createElement('span');
+      title.className = 'enigma-rotors__name';
+      title.textContent = `${slot}: ${name}`;
+      const letter = document.createElement('span');
+      letter.className = 'enigma-rotors__window';
+      letter.textContent = stepped && before ? `${before} → ${after}` : after;
+      const meta = document.createElement('span');
+      meta.className = 'enigma-rotors__meta';
+      meta.textContent = `リング ${ring}・切り欠き ${notch}`;
+      rotor.append(title, letter, meta);
+
+      if (doubleStep && i === 1) {
+        const flag = document.createElement('span');
+        flag.className = 'enigma-rotors__flag';
+        flag.textContent = '二重ステップ';
+        rotor.append(flag);
+      }
+      list.append(rotor);
+    });
+    return list;
+  }
+
+  /**
+   * Signal path of one keypress: keyboard, plugboard, the rotors right to left, the
+   * reflector, the rotors left to right and the plugboard again, ending at the lamp.
+   * Rotor stages also show the wiring contacts after the position / ring offset.
+   * @param {Object} enigma - { path: [{ stage, name, input, output, contactIn?, contactOut? }], input, output }
+   * @returns {HTMLElement}
+   */
+  #buildEnigmaPath({ path, input, output }) {
+    const figure = document.createElement('figure');
+    figure.className = 'enigma-path';
+    const stageLabels = {
+      plugboard: () => 'プラグボード',
+      rotor: (s) => `ローター ${s.name}`,
+      reflector: (s) => s.name,
+      'rotor-back': (s) => `ローター ${s.name}（戻り）`,
+      'plugboard-back': () => 'プラグボード（戻り）',
+    };
+    const list = document.createElement('ol');
+    list.className = 'enigma-path__stages';
+    const addStage = (label, text, modifier, detail = null) => {
+      const item = document.createElement('li');
+      item.className = `enigma-path__stage enigma-path__stage--${modifier}`;
+      const name = document.createElement('span');
+      name.className = 'enigma-path__name';
+      name.textContent = label;
+      const letters = document.createElement('span');
+      letters.className = 'enigma-path__letters';
+      letters.textContent = text;
+      item.append(name, letters);
+      if (detail) {
+        const contacts = document.createElement('span');
+        contacts.className = 'enigma-path__detail';
+        contacts.textContent = detail;
+        item.append(contacts);
+      }
+      list.append(item);
+    };
+    addStage('キー', input, 'key');
+    path.forEach((s) => {
+      const modifier = s.stage.startsWith('rotor') ? 'rotor' : s.stage.replace('-back', '');
+      const detail = s.contactIn ? `接点 ${s.contactIn} → ${s.contactOut}` : null;
+      addStage(stageLabels[s.stage](s), `${s.input} → ${s.output}`, modifier, detail);
+    });
+    addStage('ランプ', output, 'lamp');
+    const caption = document.createElement('figcaption');
+    caption.className = 'enigma-path__caption';
+    caption.textContent = '信号の経路（接点はローターの位置とリング設定でずらした配線上の文字）';
+    figure.append(caption, list);
+    return figure;
+  }
+}
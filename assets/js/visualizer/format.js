@@ -0,0 +1,35 @@
+/**
+ * format.js — Text formatting helpers shared by the step renderers
+ */
+
+/** Values longer than this are abbreviated in the value grid. */
+export const LONG_VALUE_LENGTH = 40;
+
+/**
+ * Abbreviate a long digit string to its head and tail plus the digit count.
+ * @param {string} text
+ * @returns {string}
+ */
+export function abbreviate(text) {
+  if (text.length <= LONG_VALUE_LENGTH) return text;
+  return `${text.slice(0, 12)}…${text.slice(-12)}（${text.length}桁）`;
+}
+
+/**
+ * Format a byte as two lowercase hex digits.
+ * @param {number} byte
+ * @returns {string}
+ */
+export function toHexByte(byte) {
+  return byte.toString(16).padStart(2, '0');
+}
+
+/**
+ * Format a value as binary in nibble groups, e.g. 0x1a8 → "1 1010 1000".
+ * @param {number} value
+ * @param {number} [width=8]
+ * @returns {string}
+ */
+export function toBinary(value, width = 8) {
+  return value.toString(2).padStart(width, '0').replace(/\B(?=(\d{4})+$)/g, ' ');
+}
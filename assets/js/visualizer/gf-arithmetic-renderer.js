@@ -0,0 +1,148 @@
+/**
+ * gf-arithmetic-renderer.js — GF(2^8) multiplication drill-down for MixColumns result bytes
+ */
+
+import { toHexByte, toBinary } from './format.js';
+import { buildFormula } from './step-card.js';
+import { makeSelectable } from './byte-grid.js';
+
+/**
+ * Make the result cells of a (Inv)MixColumns step clickable and return the
+ * panel that shows the GF(2^8) breakdown of the selected byte.
+ * @param {Object[][]} trace - 4x4 grid from mixColumnsTrace()
+ * @param {HTMLElement} prevWrapper - "変換前" grid (source column is highlighted)
+ * @param {HTMLElement} currWrapper - "変換後" grid (cells become selectable)
+ * @returns {HTMLElement}
+ */
+export function buildMixDrillDown(trace, prevWrapper, currWrapper) {
+  const panel = document.createElement('div');
+  panel.className = 'gf-detail';
+  panel.setAttribute('aria-live', 'polite');
+  const hint = document.createElement('p');
+  hint.className = 'gf-detail__hint';
+  hint.textContent = '変換後のバイトをクリックすると、GF(2⁸) 上の乗算と XOR の内訳を表示します。';
+  panel.append(hint);
+
+  const cells = [...currWrapper.querySelectorAll('.byte-grid__cell')];
+  const sourceCells = [...prevWrapper.querySelectorAll('.byte-grid__cell')];
+  const select = (cell) => {
+    const row = Number(cell.dataset.row);
+    const col = Number(cell.dataset.col);
+    cells.forEach((c) => c.classList.toggle('byte-grid__cell--selected', c === cell));
+    sourceCells.forEach((c) => {
+      c.classList.toggle('byte-grid__cell--source', Number(c.dataset.col) === col);
+    });
+    panel.replaceChildren(buildMixDetail(trace[row][col]));
+  };
+
+  makeSelectable(cells, '計算を表示', select);
+  return panel;
+}
+
+function buildMixDetail(entry) {
+  const fragment = document.createDocumentFragment();
+  const terms = entry.terms
+    .map((t) => `${toHexByte(t.coefficient)}·${toHexByte(t.input)}`)
+    .join(' ⊕ ');
+  fragment.append(buildFormula(
+    `s'[${entry.row},${entry.col}] = ${terms} = ${toHexByte(entry.result)}`,
+  ));
+
+  const termList = document.createElement('div');
+  termList.className = 'gf-detail__terms';
+  entry.terms.forEach((term) => termList.append(buildGmulTerm(term)));
+  fragment.append(termList);
+
+  // Combine the four products with XOR (addition in GF(2^8))
+  const xor = document.createElement('div');
+  xor.className = 'gf-detail__xor';
+  const rows = [
+    ...entry.terms.map((t, k) => ({
+      operator: k === 0 ? '' : '⊕',
+      label: `${toHexByte(t.coefficient)}·${toHexByte(t.input)}`,
+      value: t.product,
+    })),
+    { operator: '=', label: `s'[${entry.row},${entry.col}]`, value: entry.result },
+  ];
+  rows.forEach(({ operator, label, value }) => {
+    const row = document.createElement('div');
+    row.className = 'gf-detail__xor-row';
+    if (operator === '=') row.classList.add('gf-detail__xor-row--result');
+    const op = document.createElement('span');
+    op.className = 'gf-detail__operator';
+    op.textContent = operator;
+    op.setAttribute('aria-hidden', 'true');
+    const labelEl = document.createElement('span');
+    labelEl.className = 'gf-detail__label';
+    labelEl.textContent = label;
+    const bin = document.createElement('code');
+    bin.className = 'gf-detail__binary';
+    bin.textContent = toBinary(value);
+    const hex = document.createElement('code');
+    hex.className = 'gf-detail__hex';
+    hex.textContent = toHexByte(value);
+    row.append(op, labelEl, bin, hex);
+    xor.append(row);
+  });
+  fragment.append(xor);
+  return fragment;
+}
+
+function buildGmulTerm(term) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'gf-term';
+
+  const title = document.createElement('div');
+  title.className = 'gf-term__title';
+  title.textContent = `${toHexByte(term.coefficient)} · ${toHexByte(term.input)} = ${toHexByte(term.product)}`;
+  const note = document.createElement('span');
+  note.className = 'gf-term__note';
+  note.textContent = `係数 ${toBinary(term.coefficient)}`;
+  title.append(note);
+  wrapper.append(title);
+
+  const table = document.createElement('table');
+  table.className = 'gf-term__table';
+  const head = document.createElement('tr');
+  ['項', `${toHexByte(term.input)}·xⁱ`, '係数ビット', '累積'].forEach((text) => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = text;
+    head.append(th);
+  });
+  const thead = document.createElement('thead');
+  thead.append(head);
+  const tbody = document.createElement('tbody');
+
+  term.steps.forEach((s) => {
+    const row = document.createElement('tr');
+    if (s.used) row.className = 'gf-term__row--used';
+    [
+      `x^${s.bit}`,
+      toBinary(s.term),
+      s.used ? '1 → ⊕' : '0',
+      toBinary(s.accumulator),
+    ].forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.append(td);
+    });
+    tbody.append(row);
+
+    if (s.xtime) {
+      const xtimeRow = document.createElement('tr');
+      xtimeRow.className = 'gf-term__xtime';
+      const td = document.createElement('td');
+      td.colSpan = 4;
+      td.textContent = s.xtime.overflow
+        ? `xtime: 左シフト ${toBinary(s.xtime.shifted, 9)} → 8 ビットをあふれたので 1 0001 1011 (0x11b) と XOR → ${toBinary(s.xtime.reduced)}`
+        : `xtime: 左シフト → ${toBinary(s.xtime.reduced)}（あふれなし）`;
+      xtimeRow.append(td);
+      tbody.append(xtimeRow);
+    }
+  });
+
+  table.append(thead, tbody);
+  wrapper.append(table);
+  return wrapper;
+}
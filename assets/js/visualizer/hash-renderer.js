@@ -0,0 +1,91 @@
+/**
+ * hash-renderer.js — DOM for SHA-256 and HMAC steps
+ */
+
+import { buildCard, buildFormula, buildValues, buildMethodCompare } from './step-card.js';
+import { buildDataTable } from './data-table.js';
+import { buildByteLayout } from './byte-layout.js';
+
+export class HashRenderer {
+  /**
+   * Build the step card for a SHA-256 or HMAC step.
+   * @param {Object} step
+   * @returns {HTMLElement}
+   */
+  render(step) {
+    const card = buildCard(step);
+    const content = document.createElement('div');
+    content.className = 'step-card__content step-card__content--vertical';
+
+    if (step.formula) {
+      content.append(buildFormula(step.formula));
+    }
+
+    if (step.byteLayout) {
+      content.append(buildByteLayout(step.byteLayout));
+    }
+
+    step.byteLayouts?.forEach((layout) => {
+      content.append(buildByteLayout(layout));
+    });
+
+    if (step.registers) {
+      content.append(this.#buildRegisters(step.registers));
+    }
+
+    if (step.table) {
+      content.append(buildDataTable(step.table));
+    }
+
+    if (step.sideBySide) {
+      content.append(buildMethodCompare(step.sideBySide));
+    }
+
+    if (step.values) {
+      content.append(buildValues(step.values));
+    }
+
+    card.append(content);
+    return card;
+  }
+
+  /**
+   * SHA-256 working variables before and after a round. Only a and e are new;
+   * every other register takes its left neighbour's old value.
+   * @param {Object} registers - { names, before: string[]|null, after: string[] }
+   * @returns {HTMLElement}
+   */
+  #buildRegisters({ names, before, after }) {
+    const grid = document.createElement('div');
+    grid.className = 'sha-registers';
+    grid.setAttribute('role', 'table');
+    grid.setAttribute('aria-label', '作業変数 a〜h');
+    const addRow = (label, cells, rowClass) => {
+      const row = document.createElement('div');
+      row.className = `sha-registers__row ${rowClass}`;
+      row.setAttribute('role', 'row');
+      const head = document.createElement('span');
+      head.className = 'sha-registers__label';
+      head.setAttribute('role', 'rowheader');
+      head.textContent = label;
+      row.append(head);
+      cells.forEach(({ text, modifier }) => {
+        const cell = document.createElement('span');
+        cell.className = modifier ? `sha-registers__cell sha-registers__cell--${modifier}` : 'sha-registers__cell';
+        cell.setAttribute('role', rowClass === 'sha-registers__row--names' ? 'columnheader' : 'cell');
+        cell.textContent = text;
+        row.append(cell);
+      });
+      grid.append(row);
+    };
+
+    addRow('', names.map((name) => ({ text: name })), 'sha-registers__row--names');
+    if (before) {
+      addRow('前', before.map((text) => ({ text })), 'sha-registers__row--before');
+      addRow('後', after.map((text, i) => ({ text, modifier: i === 0 || i === 4 ? 'new' : 'shifted' })), 'sha-registers__row--after');
+    } else {
+      addRow('初期値', after.map((text) => ({ text })), 'sha-registers__row--after');
+    }
+    return grid;
+  }
+}
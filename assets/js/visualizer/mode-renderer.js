@@ -0,0 +1,134 @@
+/**
+ * mode-renderer.js — DOM for block cipher mode steps (ECB/CBC/CTR/GCM block tiles)
+ */
+
+import { buildCard, buildFormula, buildValues } from './step-card.js';
+
+/** Golden-angle hue step so neighbouring pattern groups get distinct colours. */
+const PATTERN_HUE_STEP = 137.5;
+
+export class ModeRenderer {
+  #callbacks;
+
+  /**
+   * @param {Object} [callbacks]
+   * @param {Function} [callbacks.onBlockDrillDown] - (aesInputHex, blockIndex) from a block tile
+   */
+  constructor(callbacks = {}) {
+    this.#callbacks = callbacks;
+  }
+
+  /**
+   * Build the step card for a block cipher mode step.
+   * @param {Object} step
+   * @returns {HTMLElement}
+   */
+  render(step) {
+    const card = buildCard(step);
+    const content = document.createElement('div');
+    content.className = 'step-card__content step-card__content--vertical';
+
+    if (step.formula) {
+      content.append(buildFormula(step.formula));
+    }
+
+    if (step.blocks) {
+      const tiles = document.createElement('div');
+      tiles.className = 'block-tiles';
+      step.blocks.forEach((block) => tiles.append(this.#buildBlockTile(block)));
+      content.append(tiles);
+    }
+
+    if (step.comparison) {
+      content.append(this.#buildPatternCompare(step));
+    }
+
+    if (step.values) {
+      content.append(buildValues(step.values));
+    }
+
+    card.append(content);
+    return card;
+  }
+
+  #buildBlockTile(block) {
+    const tile = document.createElement('div');
+    tile.className = `block-tile block-tile--${block.status}`;
+    tile.dataset.block = block.index;
+    if (block.patternGroup !== null && block.patternGroup !== undefined) {
+      tile.classList.add('block-tile--repeated');
+      tile.style.setProperty('--pattern-hue', (block.patternGroup * PATTERN_HUE_STEP) % 360);
+    }
+
+    const title = document.createElement('div');
+    title.className = 'block-tile__title';
+    title.textContent = block.title ?? `ブロック ${block.index}`;
+    tile.append(title);
+
+    block.rows.forEach((row) => {
+      const rowEl = document.createElement('div');
+      rowEl.className = 'block-tile__row';
+      if (row.highlight) rowEl.classList.add('block-tile__row--highlight');
+
+      const label = document.createElement('span');
+      label.className = 'block-tile__label';
+      label.textContent = row.label;
+
+      const hex = document.createElement('code');
+      hex.className = 'block-tile__hex';
+      if (row.padFrom !== null && row.padFrom !== undefined) {
+        const pad = document.createElement('span');
+        pad.className = 'block-tile__pad';
+        pad.textContent = row.hex.slice(row.padFrom * 2);
+        hex.append(row.hex.slice(0, row.padFrom * 2), pad);
+      } else {
+        hex.textContent = row.hex;
+      }
+
+      rowEl.append(label, hex);
+      tile.append(rowEl);
+    });
+
+    if (block.aesInputHex && this.#callbacks.onBlockDrillDown) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'input-helpers__btn block-tile__drill';
+      btn.textContent = 'ラウンド詳細';
+      btn.setAttribute('aria-label', `ブロック ${block.index} の AES ラウンドを表示`);
+      btn.addEventListener('click', () => this.#callbacks.onBlockDrillDown(block.aesInputHex, block.index));
+      tile.append(btn);
+    }
+    return tile;
+  }
+
+  #buildPatternCompare(step) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'pattern-compare';
+    const rows = [
+      { label: '平文', groups: step.plainPattern, hexes: null },
+      ...step.comparison.map((c) => ({ label: c.mode, groups: c.groups, hexes: c.hexes })),
+    ];
+    rows.forEach(({ label, groups, hexes }) => {
+      const row = document.createElement('div');
+      row.className = 'pattern-compare__row';
+      const labelEl = document.createElement('span');
+      labelEl.className = 'pattern-compare__label';
+      labelEl.textContent = label;
+      row.append(labelEl);
+
+      const strip = document.createElement('div');
+      strip.className = 'pattern-compare__strip';
+      groups.forEach((g, i) => {
+        const swatch = document.createElement('span');
+        swatch.className = 'pattern-compare__swatch';
+        swatch.style.setProperty('--pattern-hue', (g.group * PATTERN_HUE_STEP) % 360);
+        if (g.repeated) swatch.classList.add('pattern-compare__swatch--repeated');
+        swatch.title = hexes ? hexes[i] : `ブロック ${i}`;
+        strip.append(swatch);
+      });
+      row.append(strip);
+      wrapper.append(row);
+    });
+    return wrapper;
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * otp-renderer.js — DOM for one-time pad steps (XOR bit rows)
+ */
+
+import { toHexByte } from './format.js';
+import { buildCard, buildFormula, buildValues } from './step-card.js';
+import { buildDataTable } from './data-table.js';
+import { buildByteLayout } from './byte-layout.js';
+
+export class OTPRenderer {
+  /**
+   * Build the step card for a one-time pad step.
+   * @param {Object} step
+   * @returns {HTMLElement}
+   */
+  render(step) {
+    const card = buildCard(step);
+    const content = document.createElement('div');
+    content.className = 'step-card__content step-card__content--vertical';
+
+    if (step.formula) {
+      content.append(buildFormula(step.formula));
+    }
+
+    if (step.xorBits) {
+      content.append(this.#buildXorBits(step.xorBits));
+    }
+
+    step.byteLayouts?.forEach((layout) => {
+      content.append(buildByteLayout(layout));
+    });
+
+    if (step.table) {
+      content.append(buildDataTable(step.table));
+    }
+
+    if (step.values) {
+      content.append(buildValues(step.values));
+    }
+
+    card.append(content);
+    return card;
+  }
+
+  /**
+   * One byte XOR written out bit by bit. The last row is the XOR of the rows above it;
+   * its bits are marked where they differ from the first row, i.e. where the key bit is 1.
+   * @param {Object} xorBits - { rows: [{ label, byte, char }] }
+   * @returns {HTMLElement}
+   */
+  #buildXorBits({ rows }) {
+    const table = document.createElement('table');
+    table.className = 'xor-bits';
+    const caption = document.createElement('caption');
+    caption.className = 'xor-bits__caption';
+    caption.textContent = 'ビットごとの XOR（色付きは反転したビット）';
+    table.append(caption);
+
+    const first = rows[0].byte;
+    const body = document.createElement('tbody');
+    rows.forEach(({ label, byte, char }, r) => {
+      const isResult = r === rows.length - 1;
+      const tr = document.createElement('tr');
+      tr.className = isResult ? 'xor-bits__row xor-bits__row--result' : 'xor-bits__row';
+      const head = document.createElement('th');
+      head.className = 'xor-bits__label';
+      head.scope = 'row';
+      head.textContent = r === 0 ? label : `${isResult ? '=' : '⊕'} ${label}`;
+      tr.append(head);
+      for (let bit = 7; bit >= 0; bit--) {
+        const value = (byte >> bit) & 1;
+        const cell = document.createElement('td');
+        cell.className = 'xor-bits__bit';
+        if (value) cell.classList.add('xor-bits__bit--one');
+        if (isResult && value !== ((first >> bit) & 1)) cell.classList.add('xor-bits__bit--flipped');
+        cell.textContent = value;
+        tr.append(cell);
+      }
+      const hex = document.createElement('td');
+      hex.className = 'xor-bits__hex';
+      hex.textContent = `0x${toHexByte(byte)}`;
+      const text = document.createElement('td');
+      text.className = 'xor-bits__char';
+      text.textContent = char === ' ' ? '␣' : char;
+      tr.append(hex, text);
+      body.append(tr);
+    });
+    table.append(body);
+    return table;
+  }
+}
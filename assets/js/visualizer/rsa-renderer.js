@@ -0,0 +1,133 @@
+/**
+ * rsa-renderer.js — DOM for RSA steps and the square-and-multiply trace
+ */
+
+import { abbreviate } from './format.js';
+import { buildCard, buildFormula, buildValues, buildMethodCompare } from './step-card.js';
+import { buildDataTable } from './data-table.js';
+import { buildByteLayout } from './byte-layout.js';
+
+export class RSARenderer {
+  /**
+   * Build the step card for an RSA step.
+   * @param {Object} step
+   * @returns {HTMLElement}
+   */
+  render(step) {
+    const card = buildCard(step);
+    const content = document.createElement('div');
+    content.className = 'step-card__content';
+
+    if (step.formula) {
+      content.append(buildFormula(step.formula));
+    }
+
+    if (step.byteLayout) {
+      content.append(buildByteLayout(step.byteLayout));
+    }
+
+    if (step.euclid) {
+      content.append(this.#buildEuclidTable(step.euclid));
+    }
+
+    if (step.table) {
+      content.append(buildDataTable(step.table));
+    }
+
+    if (step.sideBySide) {
+      content.append(buildMethodCompare(step.sideBySide));
+    }
+
+    if (step.values) {
+      content.append(buildValues(step.values));
+    }
+
+    card.append(content);
+    if (step.detail?.type === 'modPow') {
+      card.append(buildPowTrace(step.detail));
+    }
+    return card;
+  }
+
+  /**
+   * Extended Euclidean table (rows so far) for e⁻¹ mod φ(n).
+   * @param {Object} euclid - { rows: [{ index, q, r, s, t }], activeRow, gcdRow }
+   * @returns {HTMLElement}
+   */
+  #buildEuclidTable(euclid) {
+    return buildDataTable({
+      caption: '各行で r = s·e + t·φ(n) が成り立ちます',
+      columns: ['行', 'q', 'r', 's', 't'],
+      rows: euclid.rows.map((row) => [row.index, row.q ?? '—', row.r, row.s, row.t]),
+      highlightRow: euclid.rows.findIndex((row) => row.index === euclid.activeRow),
+      markedRow: euclid.rows.findIndex((row) => row.index === euclid.gcdRow),
+    });
+  }
+}
+
+/**
+ * Expandable square-and-multiply trace. The table is built on first open,
+ * since a 2048-bit exponent produces about 2048 rows.
+ * @param {Object} detail - modPowTrace() result plus operations / naiveMultiplications
+ * @returns {HTMLElement}
+ */
+export function buildPowTrace(detail) {
+  const details = document.createElement('details');
+  details.className = 'pow-trace';
+  const summary = document.createElement('summary');
+  summary.className = 'pow-trace__summary';
+  summary.textContent = `二乗と乗算の過程（二乗 ${detail.squarings} 回 + 乗算 ${detail.multiplications} 回`
+    + ` = ${detail.operations} 回／素朴に掛けると ${abbreviate(String(detail.naiveMultiplications))} 回）`;
+  details.append(summary);
+
+  const bits = document.createElement('div');
+  bits.className = 'pow-trace__bits';
+  bits.setAttribute('aria-label', `指数の2進表記 ${detail.bits}`);
+  [...detail.bits].forEach((b) => {
+    const bit = document.createElement('span');
+    bit.className = b === '1' ? 'pow-trace__bit pow-trace__bit--one' : 'pow-trace__bit';
+    bit.textContent = b;
+    bits.append(bit);
+  });
+
+  const legend = document.createElement('p');
+  legend.className = 'pow-trace__hint';
+  legend.textContent = '指数を上位ビットから読み、毎回 2 乗し、ビットが 1 なら底を掛けます。各行の剰余は 底^指数 mod n です。';
+  details.append(bits, legend);
+
+  details.addEventListener('toggle', () => {
+    if (!details.open || details.querySelector('table')) return;
+    const table = document.createElement('table');
+    table.className = 'pow-trace__table';
+    const head = document.createElement('tr');
+    ['ビット位置', 'ビット', '指数', '2 乗', '× 底', '剰余'].forEach((text) => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = text;
+      head.append(th);
+    });
+    const thead = document.createElement('thead');
+    thead.append(head);
+    const tbody = document.createElement('tbody');
+    detail.steps.forEach((s, i) => {
+      const row = document.createElement('tr');
+      if (s.multiply !== null) row.className = 'pow-trace__row--multiply';
+      [
+        String(s.index),
+        String(s.bit),
+        abbreviate(String(s.power)),
+        i === 0 ? '（先頭ビット: 底を読み込む）' : abbreviate(String(s.square)),
+        s.multiply === null ? '—' : abbreviate(String(s.multiply)),
+        abbreviate(String(s.residue)),
+      ].forEach((text) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        row.append(td);
+      });
+      tbody.append(row);
+    });
+    table.append(thead, tbody);
+    details.append(table);
+  });
+  return details;
+}
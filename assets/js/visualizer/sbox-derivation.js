@@ -0,0 +1,88 @@
+/**
+ * sbox-derivation.js — GF(2^8) derivation of one S-BOX entry (inverse and affine transform)
+ */
+
+import { toHexByte, toBinary } from './format.js';
+
+/**
+ * Derivation of one S-BOX entry: the GF(2^8) inverse and the affine transform, in the
+ * order the (inverse) S-BOX applies them, with a per-bit table and the check against the table.
+ * @param {Object} entry - One entry of the step's S-BOX derivations
+ * @param {boolean} inverse - Inverse S-BOX (affine transform first)
+ * @returns {DocumentFragment}
+ */
+export function buildSboxDerivation(entry, inverse) {
+  const fragment = document.createDocumentFragment();
+  const x = toHexByte(entry.input);
+  const affineInput = inverse ? entry.input : entry.inverse;
+  const inverseInput = inverse ? entry.affine.result : entry.input;
+  const inverseText = inverseInput === 0
+    ? '00 は逆元を持たないため、慣例で 00 とします。'
+    : `${toHexByte(inverseInput)}⁻¹ = ${toHexByte(entry.inverse)}`
+      + `（${toHexByte(inverseInput)} · ${toHexByte(entry.inverse)} = ${toHexByte(entry.check)}）`;
+  const inverseStep = {
+    title: '乗法逆元（GF(2⁸) で x²⁵⁴ を計算）',
+    body: inverseText,
+  };
+  const affineStep = {
+    title: inverse
+      ? `逆アフィン変換: b_i = b'_(i+2) ⊕ b'_(i+5) ⊕ b'_(i+7) ⊕ d_i（d = ${toHexByte(entry.constant)}）`
+      : `アフィン変換: b'_i = b_i ⊕ b_(i+4) ⊕ b_(i+5) ⊕ b_(i+6) ⊕ b_(i+7) ⊕ c_i（c = ${toHexByte(entry.constant)}）`,
+    body: `${toBinary(affineInput)} → ${toBinary(entry.affine.result)}`,
+  };
+
+  const list = document.createElement('ol');
+  list.className = 'sbox-explorer__steps';
+  (inverse ? [affineStep, inverseStep] : [inverseStep, affineStep]).forEach(({ title, body }) => {
+    const item = document.createElement('li');
+    const titleEl = document.createElement('div');
+    titleEl.className = 'sbox-explorer__step-title';
+    titleEl.textContent = title;
+    const bodyEl = document.createElement('code');
+    bodyEl.className = 'gf-detail__binary';
+    bodyEl.textContent = body;
+    item.append(titleEl, bodyEl);
+    list.append(item);
+  });
+  fragment.append(list);
+
+  // Per-bit table of the affine transform (bit 7 first, matching the binary display)
+  const table = document.createElement('table');
+  table.className = 'gf-term__table';
+  const head = document.createElement('tr');
+  ['ビット', '入力ビットの XOR', '定数', '結果'].forEach((text) => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = text;
+    head.append(th);
+  });
+  const thead = document.createElement('thead');
+  thead.append(head);
+  const tbody = document.createElement('tbody');
+  [...entry.affine.bits].reverse().forEach((b) => {
+    const row = document.createElement('tr');
+    [
+      `${b.bit}`,
+      b.sources.map((src, k) => `b${src}=${b.inputBits[k]}`).join(' ⊕ '),
+      `${b.constantBit}`,
+      `${b.value}`,
+    ].forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.append(td);
+    });
+    tbody.append(row);
+  });
+  table.append(thead, tbody);
+  fragment.append(table);
+
+  const verdict = document.createElement('p');
+  verdict.className = entry.match
+    ? 'sbox-explorer__verdict sbox-explorer__verdict--match'
+    : 'sbox-explorer__verdict sbox-explorer__verdict--mismatch';
+  verdict.textContent = entry.match
+    ? `導出結果 ${toHexByte(entry.result)} は定数表の値 ${toHexByte(entry.tableValue)} と一致します ✓（入力 ${x}）`
+    : `導出結果 ${toHexByte(entry.result)} が定数表の値 ${toHexByte(entry.tableValue)} と一致しません ✗（入力 ${x}）`;
+  fragment.append(verdict);
+  return fragment;
+}
@@ -0,0 +1,123 @@
+/**
+ * sbox-renderer.js — S-BOX lookup table explorer for SubBytes
+ */
+
+import { toHexByte } from './format.js';
+import { buildFormula } from './step-card.js';
+import { makeSelectable } from './byte-grid.js';
+import { buildSboxDerivation } from './sbox-derivation.js';
+
+/**
+ * S-BOX explorer for (Inv)SubBytes steps: the full 16x16 table with the
+ * row/column lookup of the selected byte, plus an optional derivation from
+ * the GF(2^8) inverse and the affine transform.
+ * @param {Object} sbox - { table, inverse, derivations } from sboxLookup()
+ * @param {HTMLElement} prevWrapper - "変換前" grid
+ * @param {HTMLElement} currWrapper - "変換後" grid
+ * @returns {HTMLElement}
+ */
+export function buildSboxExplorer(sbox, prevWrapper, currWrapper) {
+  const tableName = sbox.inverse ? '逆 S-BOX' : 'S-BOX';
+  const panel = document.createElement('div');
+  panel.className = 'gf-detail sbox-explorer';
+
+  const hint = document.createElement('p');
+  hint.className = 'gf-detail__hint';
+  hint.textContent = `バイトをクリックすると、上位 4 ビットを行・下位 4 ビットを列として ${tableName} を引く位置を表示します。`;
+
+  const table = buildSboxTable(sbox.table, tableName);
+  const lookup = document.createElement('div');
+  lookup.className = 'sbox-explorer__lookup';
+  const derive = document.createElement('div');
+  derive.className = 'sbox-explorer__derive';
+  let showDerivation = false;
+  derive.hidden = true;
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'input-helpers__btn sbox-explorer__toggle';
+  const syncToggle = () => {
+    toggle.textContent = showDerivation ? '導出を隠す' : 'GF(2⁸) から導出';
+    toggle.setAttribute('aria-pressed', String(showDerivation));
+  };
+  syncToggle();
+  toggle.addEventListener('click', () => {
+    showDerivation = !showDerivation;
+    derive.hidden = !showDerivation;
+    syncToggle();
+  });
+
+  const gridCells = [
+    ...prevWrapper.querySelectorAll('.byte-grid__cell'),
+    ...currWrapper.querySelectorAll('.byte-grid__cell'),
+  ];
+  const select = (cell) => {
+    const row = Number(cell.dataset.row);
+    const col = Number(cell.dataset.col);
+    gridCells.forEach((c) => {
+      const same = Number(c.dataset.row) === row && Number(c.dataset.col) === col;
+      c.classList.toggle('byte-grid__cell--selected', same);
+    });
+    const entry = sbox.derivations[row][col];
+    const hi = entry.input >> 4;
+    const lo = entry.input & 0x0f;
+    table.querySelectorAll('[data-hi], [data-lo]').forEach((el) => {
+      const inRow = Number(el.dataset.hi) === hi;
+      const inCol = Number(el.dataset.lo) === lo;
+      el.classList.toggle('sbox-table__cell--lookup', inRow !== inCol);
+      el.classList.toggle('sbox-table__cell--hit', inRow && inCol);
+    });
+    lookup.replaceChildren(buildFormula(
+      `${tableName}[${hi.toString(16)}][${lo.toString(16)}] = ${toHexByte(entry.tableValue)}`
+        + `（${toHexByte(entry.input)} → ${toHexByte(entry.tableValue)}）`,
+    ));
+    derive.replaceChildren(buildSboxDerivation(entry, sbox.inverse));
+  };
+  makeSelectable(gridCells, `${tableName} 参照を表示`, select);
+
+  panel.append(hint, table, lookup, toggle, derive);
+  select(gridCells[0]);
+  return panel;
+}
+
+function buildSboxTable(values, caption) {
+  const table = document.createElement('table');
+  table.className = 'sbox-table';
+  const captionEl = document.createElement('caption');
+  captionEl.className = 'sbox-table__caption';
+  captionEl.textContent = `${caption}（行 = 上位 4 ビット、列 = 下位 4 ビット）`;
+  table.append(captionEl);
+
+  const head = document.createElement('tr');
+  head.append(document.createElement('th'));
+  for (let lo = 0; lo < 16; lo++) {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.dataset.lo = lo;
+    th.textContent = lo.toString(16);
+    head.append(th);
+  }
+  const thead = document.createElement('thead');
+  thead.append(head);
+
+  const tbody = document.createElement('tbody');
+  for (let hi = 0; hi < 16; hi++) {
+    const row = document.createElement('tr');
+    const th = document.createElement('th');
+    th.scope = 'row';
+    th.dataset.hi = hi;
+    th.textContent = hi.toString(16);
+    row.append(th);
+    for (let lo = 0; lo < 16; lo++) {
+      const td = document.createElement('td');
+      td.className = 'sbox-table__cell';
+      td.dataset.hi = hi;
+      td.dataset.lo = lo;
+      td.textContent = toHexByte(values[hi * 16 + lo]);
+      row.append(td);
+    }
+    tbody.append(row);
+  }
+  table.append(thead, tbody);
+  return table;
+}
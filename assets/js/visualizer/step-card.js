@@ -0,0 +1,148 @@
+/**
+ * step-card.js — Step card shell, formula block and value grid shared by the step renderers
+ */
+
+import { LONG_VALUE_LENGTH, abbreviate } from './format.js';
+
+/** Algorithms whose steps carry `charResults` and use the Caesar character grid. */
+export const CHAR_GRID_ALGORITHMS = ['caesar', 'vigenere', 'affine', 'substitution', 'transposition'];
+
+/** Badge text for the phases of the classical-cipher cryptanalysis steps. */
+const CRACK_PHASE_LABELS = {
+  input: '入力',
+  frequency: '頻度',
+  candidates: '総当たり',
+  score: 'χ²',
+  ranking: '順位',
+  kasiski: 'Kasiski',
+  ioc: 'IoC',
+  columns: '列分割',
+  column: '列の解読',
+  result: '結果',
+};
+
+/**
+ * Card shell shared by every step: phase/round badge, title and description.
+ * @param {Object} step
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onDrillDownExit] - Adds a back button to drilled-down AES steps
+ * @returns {HTMLElement}
+ */
+export function buildCard(step, callbacks = {}) {
+  const article = document.createElement('article');
+  article.className = 'step-card';
+  article.dataset.step = step.id;
+  article.dataset.algo = step.algorithm;
+  article.setAttribute('aria-label', step.label);
+
+  const header = document.createElement('div');
+  header.className = 'step-card__header';
+
+  if (step.round !== undefined || step.phase) {
+    const badge = document.createElement('span');
+    badge.className = 'step-card__round-badge';
+    if (step.algorithm === 'aes' || step.algorithm === 'aes-avalanche') {
+      badge.textContent = `R${step.round}`;
+    } else if (step.algorithm === 'aes-mode') {
+      badge.textContent = step.mode;
+    } else if ((step.algorithm === 'sha256' || step.algorithm === 'chacha20') && step.round !== undefined) {
+      badge.textContent = `R${step.round}`;
+    } else if (CHAR_GRID_ALGORITHMS.includes(step.algorithm)) {
+      const phaseLabels = { overview: '概要', encrypt: '暗号化', result: '結果', decrypt: '復号' };
+      badge.textContent = phaseLabels[step.phase] || step.phase;
+    } else if (step.algorithm === 'caesar-crack' || step.algorithm === 'vigenere-crack') {
+      badge.textContent = CRACK_PHASE_LABELS[step.phase] || step.phase;
+    } else {
+      badge.textContent = step.phase.toUpperCase();
+    }
+    header.append(badge);
+  }
+
+  const title = document.createElement('h3');
+  title.className = 'step-card__title';
+  title.textContent = step.label;
+  header.append(title);
+
+  if (step.drillDown && callbacks.onDrillDownExit) {
+    const back = document.createElement('button');
+    back.type = 'button';
+    back.className = 'input-helpers__btn step-card__back';
+    back.textContent = `← ブロック一覧に戻る（ブロック ${step.drillDown.blockIndex}）`;
+    back.addEventListener('click', () => callbacks.onDrillDownExit());
+    header.append(back);
+  }
+  article.append(header);
+
+  const desc = document.createElement('p');
+  desc.className = 'step-card__description';
+  desc.textContent = step.description;
+  article.append(desc);
+
+  return article;
+}
+
+/**
+ * Formula block; newlines in the text are kept.
+ * @param {string} text
+ * @returns {HTMLElement}
+ */
+export function buildFormula(text) {
+  const formula = document.createElement('div');
+  formula.className = 'step-card__formula';
+  formula.textContent = text;
+  return formula;
+}
+
+/**
+ * Key/value grid; values longer than LONG_VALUE_LENGTH collapse into an expandable summary.
+ * @param {Object} values
+ * @returns {HTMLElement}
+ */
+export function buildValues(values) {
+  const valGrid = document.createElement('div');
+  valGrid.className = 'step-card__values';
+  for (const [k, v] of Object.entries(values)) {
+    const keyEl = document.createElement('span');
+    keyEl.className = 'step-card__value-key';
+    keyEl.textContent = k;
+    const valEl = document.createElement('span');
+    valEl.className = 'step-card__value-val';
+    const text = String(v);
+    if (text.length > LONG_VALUE_LENGTH) {
+      // Large BigInts (e.g. 2048-bit RSA): abbreviated, expandable to the wrapped full value
+      const details = document.createElement('details');
+      details.className = 'step-card__value-long';
+      const summary = document.createElement('summary');
+      summary.textContent = abbreviate(text);
+      const full = document.createElement('span');
+      full.className = 'step-card__value-full';
+      full.textContent = text;
+      details.append(summary, full);
+      valEl.append(details);
+    } else {
+      valEl.textContent = text;
+    }
+    valGrid.append(keyEl, valEl);
+  }
+  return valGrid;
+}
+
+/**
+ * Two or more value lists side by side, e.g. CRT vs. plain decryption.
+ * @param {{ title: string, values: Object }[]} columns
+ * @returns {HTMLElement}
+ */
+export function buildMethodCompare(columns) {
+  const compare = document.createElement('div');
+  compare.className = 'method-compare';
+  columns.forEach(({ title, values }) => {
+    const column = document.createElement('section');
+    column.className = 'method-compare__column';
+    const heading = document.createElement('h4');
+    heading.className = 'method-compare__title';
+    heading.textContent = title;
+    column.append(heading, buildValues(values));
+    compare.append(column);
+  });
+  return compare;
+}